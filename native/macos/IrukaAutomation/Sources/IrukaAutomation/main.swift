@@ -3039,6 +3039,7 @@ enum Command: String {
   case daemon = "daemon"
   case voiceQuery = "voice-query"
   case windowControl = "window-control"
+  case paste = "paste"
   case help = "help"
   case version = "version"
 }
@@ -3143,6 +3144,8 @@ struct IrukaAutomationCLI {
       runVoiceQuery()
     case .windowControl:
       runWindowControl(arguments: Array(args.dropFirst(2)))
+    case .paste:
+      runPaste()
     case .help:
       printUsageAndExit(code: nil, message: nil, exitCode: EXIT_SUCCESS)
     case .version:
@@ -3210,6 +3213,51 @@ struct IrukaAutomationCLI {
     }
   }
 
+  /// Post Command+V to the frontmost app (used to replace the current selection with the pasteboard).
+  private static func runPaste() {
+    guard SelectedTextStateMachine.ensureAccessibility(prompt: false) else {
+      let output = BridgeOutput(
+        status: .error,
+        text: nil,
+        source: nil,
+        code: FlowError.bridgeNotTrusted.rawValue,
+        message: "Accessibility permission is required."
+      )
+      print(output.encoded())
+      exit(EXIT_FAILURE)
+    }
+
+    guard let source = CGEventSource(stateID: .hidSystemState),
+          let keyDown = CGEvent(keyboardEventSource: source, virtualKey: CGKeyCode(kVK_ANSI_V), keyDown: true),
+          let keyUp = CGEvent(keyboardEventSource: source, virtualKey: CGKeyCode(kVK_ANSI_V), keyDown: false) else {
+      let output = BridgeOutput(
+        status: .error,
+        text: nil,
+        source: nil,
+        code: "paste_dispatch_failed",
+        message: "Failed to create paste key events."
+      )
+      print(output.encoded())
+      exit(EXIT_FAILURE)
+    }
+
+    keyDown.flags = [.maskCommand]
+    keyDown.post(tap: .cghidEventTap)
+    usleep(10_000) // 10ms
+    keyUp.flags = [.maskCommand]
+    keyUp.post(tap: .cghidEventTap)
+
+    let output = BridgeOutput(
+      status: .ok,
+      text: nil,
+      source: nil,
+      code: nil,
+      message: "paste_dispatched"
+    )
+    print(output.encoded())
+    exit(EXIT_SUCCESS)
+  }
+
   private static func runClipboardPopup() {
     // Read first line from stdin for initial data
     guard let firstLine = readLine() else {
@@ -48,6 +48,8 @@ const menuTranslations = {
     checkForUpdates: 'Check for Updates…',
     launchAtLogin: 'Launch at Login',
     restart: 'Restart',
+    exportChat: 'Export Chat',
+    importChat: 'Import Chat…',
   },
   ja: {
     irukadark: 'IrukaDark',
@@ -98,6 +100,8 @@ const menuTranslations = {
     checkForUpdates: 'アップデートを確認…',
     launchAtLogin: 'ログイン時に起動',
     restart: '再起動',
+    exportChat: 'チャットを書き出す',
+    importChat: 'チャットを読み込む…',
   },
   es: {
     irukadark: 'IrukaDark',
@@ -145,6 +149,8 @@ const menuTranslations = {
     toneCasual: 'Informal',
     help: 'Ayuda',
     restart: 'Reiniciar',
+    exportChat: 'Exportar chat',
+    importChat: 'Importar chat…',
   },
   'zh-Hans': {
     irukadark: 'IrukaDark',
@@ -192,6 +198,8 @@ const menuTranslations = {
     toneCasual: '口语',
     help: '帮助',
     restart: '重启',
+    exportChat: '导出聊天',
+    importChat: '导入聊天…',
   },
   'zh-Hant': {
     irukadark: 'IrukaDark',
@@ -239,6 +247,8 @@ const menuTranslations = {
     toneCasual: '口語',
     help: '說明',
     restart: '重新啟動',
+    exportChat: '匯出聊天',
+    importChat: '匯入聊天…',
   },
   hi: {
     irukadark: 'IrukaDark',
@@ -286,6 +296,8 @@ const menuTranslations = {
     toneCasual: 'अनौपचारिक',
     help: 'सहायता',
     restart: 'पुनः प्रारंभ करें',
+    exportChat: 'चैट निर्यात करें',
+    importChat: 'चैट आयात करें…',
   },
   'pt-BR': {
     irukadark: 'IrukaDark',
@@ -333,6 +345,8 @@ const menuTranslations = {
     toneCasual: 'Informal',
     help: 'Ajuda',
     restart: 'Reiniciar',
+    exportChat: 'Exportar conversa',
+    importChat: 'Importar conversa…',
   },
   fr: {
     irukadark: 'IrukaDark',
@@ -380,6 +394,8 @@ const menuTranslations = {
     toneCasual: 'Décontracté',
     help: 'Aide',
     restart: 'Redémarrer',
+    exportChat: 'Exporter la conversation',
+    importChat: 'Importer une conversation…',
   },
   de: {
     irukadark: 'IrukaDark',
@@ -427,6 +443,8 @@ const menuTranslations = {
     toneCasual: 'Locker',
     help: 'Hilfe',
     restart: 'Neustart',
+    exportChat: 'Chat exportieren',
+    importChat: 'Chat importieren…',
   },
   ar: {
     irukadark: 'IrukaDark',
@@ -474,6 +492,8 @@ const menuTranslations = {
     toneCasual: 'غير رسمي',
     help: 'مساعدة',
     restart: 'إعادة التشغيل',
+    exportChat: 'تصدير المحادثة',
+    importChat: 'استيراد محادثة…',
   },
   ru: {
     irukadark: 'IrukaDark',
@@ -521,6 +541,8 @@ const menuTranslations = {
     toneCasual: 'Разговорный',
     help: 'Справка',
     restart: 'Перезапустить',
+    exportChat: 'Экспорт чата',
+    importChat: 'Импорт чата…',
   },
   ko: {
     irukadark: 'IrukaDark',
@@ -568,6 +590,8 @@ const menuTranslations = {
     toneCasual: '캐주얼',
     help: '도움말',
     restart: '재시작',
+    exportChat: '채팅 내보내기',
+    importChat: '채팅 가져오기…',
   },
   id: {
     irukadark: 'IrukaDark',
@@ -615,6 +639,8 @@ const menuTranslations = {
     toneCasual: 'Santai',
     help: 'Bantuan',
     restart: 'Mulai Ulang',
+    exportChat: 'Ekspor Obrolan',
+    importChat: 'Impor Obrolan…',
   },
   vi: {
     irukadark: 'IrukaDark',
@@ -662,6 +688,8 @@ const menuTranslations = {
     toneCasual: 'Thân mật',
     help: 'Trợ giúp',
     restart: 'Khởi động lại',
+    exportChat: 'Xuất cuộc trò chuyện',
+    importChat: 'Nhập cuộc trò chuyện…',
   },
   th: {
     irukadark: 'IrukaDark',
@@ -709,6 +737,8 @@ const menuTranslations = {
     toneCasual: 'ไม่เป็นทางการ',
     help: 'วิธีใช้',
     restart: 'รีสตาร์ท',
+    exportChat: 'ส่งออกแชท',
+    importChat: 'นำเข้าแชท…',
   },
   it: {
     irukadark: 'IrukaDark',
@@ -756,6 +786,8 @@ const menuTranslations = {
     toneCasual: 'Informale',
     help: 'Aiuto',
     restart: 'Riavvia',
+    exportChat: 'Esporta chat',
+    importChat: 'Importa chat…',
   },
   tr: {
     irukadark: 'IrukaDark',
@@ -803,6 +835,8 @@ const menuTranslations = {
     toneCasual: 'Gündelik',
     help: 'Yardım',
     restart: 'Yeniden Başlat',
+    exportChat: 'Sohbeti Dışa Aktar',
+    importChat: 'Sohbeti İçe Aktar…',
   },
 };
 
@@ -1,4 +1,6 @@
 // AI helper functions (SDK/REST wrappers) for Electron main process
+const fs = require('fs');
+const path = require('path');
 
 // GenAI client cache with TTL and size limit
 const CLIENT_CACHE_TTL = 3600000; // 1 hour
@@ -105,7 +107,10 @@ function extractTextFromSDKResult(result) {
     if (Array.isArray(candidates) && candidates.length) {
       const parts = candidates[0]?.content?.parts || candidates[0]?.content || [];
       if (Array.isArray(parts)) {
-        const text = parts.map((p) => (typeof p?.text === 'string' ? p.text : '')).join('');
+        // Thought summaries are returned separately (extractThoughts)
+        const text = parts
+          .map((p) => (typeof p?.text === 'string' && !p.thought ? p.text : ''))
+          .join('');
         if (text) return text;
       } else if (typeof parts?.text === 'string') {
         return parts.text;
@@ -306,6 +311,24 @@ function extractSourcesFromRESTData(data) {
   }
 }
 
+/**
+ * Normalize token counts from a Gemini response (SDK object or REST JSON).
+ * Thinking tokens are billed as output, so they are counted with the candidates.
+ * @returns {{promptTokens: number, candidatesTokens: number, totalTokens: number}|null}
+ */
+function extractUsage(data) {
+  const meta = data?.usageMetadata || data?.usage_metadata;
+  if (!meta || typeof meta !== 'object') return null;
+  const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+  const promptTokens = num(meta.promptTokenCount ?? meta.prompt_token_count);
+  const candidatesTokens =
+    num(meta.candidatesTokenCount ?? meta.candidates_token_count) +
+    num(meta.thoughtsTokenCount ?? meta.thoughts_token_count);
+  const totalTokens =
+    num(meta.totalTokenCount ?? meta.total_token_count) || promptTokens + candidatesTokens;
+  return { promptTokens, candidatesTokens, totalTokens };
+}
+
 function modelCandidates(original) {
   const raw = String(original || '').trim();
   const bare = raw.replace(/^models\//, '');
@@ -313,12 +336,418 @@ function modelCandidates(original) {
   return Array.from(new Set([bare, withPrefix]));
 }
 
+// ============================================================================
+// Multi-turn contents
+// ============================================================================
+
+// Rough per-image cost used by Gemini for inline images
+const IMAGE_TOKEN_ESTIMATE = 258;
+const DEFAULT_HISTORY_TOKEN_BUDGET = 8000;
+
+/**
+ * Approximate token count without a tokenizer round-trip.
+ * CJK characters are close to one token each; other scripts average ~4 chars per token.
+ */
+function estimateTokens(text) {
+  const str = String(text || '');
+  if (!str) return 0;
+  const cjk = (str.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length;
+  return cjk + Math.ceil((str.length - cjk) / 4);
+}
+
+function estimatePartTokens(part) {
+  if (typeof part?.text === 'string') return estimateTokens(part.text);
+  const inline = part?.inlineData;
+  if (inline) {
+    if (String(inline.mimeType || '').startsWith('image/')) return IMAGE_TOKEN_ESTIMATE;
+    // Documents: assume ~4 decoded bytes per token
+    return Math.ceil((String(inline.data || '').length * 0.75) / 4);
+  }
+  // Uploaded files: their size is not known here, so they count like an image
+  if (part?.fileData) return IMAGE_TOKEN_ESTIMATE;
+  return 0;
+}
+
+/**
+ * Validate renderer-supplied history turns.
+ * Accepts { role: 'user'|'model'|'assistant', parts: [{ text } | { inlineData } | { fileData }] }
+ * items (fileData: a Files API upload of an earlier attachment),
+ * drops empty turns and merges consecutive turns of the same role.
+ * @returns {Array<{role: string, parts: Array}>}
+ */
+function normalizeHistory(history) {
+  const out = [];
+  for (const turn of Array.isArray(history) ? history : []) {
+    const role = turn?.role === 'model' || turn?.role === 'assistant' ? 'model' : 'user';
+    const parts = [];
+    for (const p of Array.isArray(turn?.parts) ? turn.parts : []) {
+      if (typeof p?.text === 'string' && p.text.trim()) {
+        parts.push({ text: p.text });
+      } else if (p?.inlineData?.data) {
+        parts.push({
+          inlineData: {
+            data: String(p.inlineData.data),
+            mimeType: String(p.inlineData.mimeType || 'image/png'),
+          },
+        });
+      } else if (/^https:\/\//.test(String(p?.fileData?.fileUri || ''))) {
+        parts.push({
+          fileData: {
+            fileUri: String(p.fileData.fileUri),
+            mimeType: String(p.fileData.mimeType || 'application/octet-stream'),
+          },
+        });
+      }
+    }
+    if (!parts.length) continue;
+    const prev = out[out.length - 1];
+    if (prev && prev.role === role) {
+      prev.parts.push(...parts);
+    } else {
+      out.push({ role, parts });
+    }
+  }
+  return out;
+}
+
+/**
+ * Keep the most recent turns that fit in maxTokens.
+ * The newest turn is always kept (its text tail-truncated if needed), and the result
+ * never starts with a model turn so the conversation alternates correctly.
+ */
+function fitHistoryToTokenBudget(history, maxTokens = DEFAULT_HISTORY_TOKEN_BUDGET) {
+  const turns = normalizeHistory(history);
+  const kept = [];
+  let used = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const turn = turns[i];
+    const cost = turn.parts.reduce((sum, p) => sum + estimatePartTokens(p), 0);
+    if (used + cost <= maxTokens) {
+      kept.unshift(turn);
+      used += cost;
+      continue;
+    }
+    if (!kept.length) {
+      // Oversized latest turn: keep only its text, trimmed from the start
+      const text = turn.parts
+        .map((p) => p.text || '')
+        .join('\n')
+        .trim();
+      const ratio = maxTokens / Math.max(1, estimateTokens(text));
+      const tail = text.slice(-Math.max(1, Math.floor(text.length * ratio)));
+      if (tail) kept.unshift({ role: turn.role, parts: [{ text: tail }] });
+    }
+    break;
+  }
+  while (kept.length && kept[0].role === 'model') kept.shift();
+  return kept;
+}
+
+/**
+ * The attachment part of a request: inline base64, or a Files API URI for large files.
+ */
+function toMediaPart(base64, mimeType, fileUri) {
+  const type = String(mimeType || 'image/png');
+  if (fileUri) return { fileData: { fileUri: String(fileUri), mimeType: type } };
+  return { inlineData: { data: String(base64 || ''), mimeType: type } };
+}
+
+// Attachment limits for one message (decoded bytes). Files above the inline limit are uploaded
+// through the Files API, so a single file may be as large as a Gemini document (50 MB).
+const MAX_ATTACHMENTS = 10;
+const MAX_ATTACHMENT_BYTES = 50 * 1024 * 1024;
+const MAX_TOTAL_ATTACHMENT_BYTES = 100 * 1024 * 1024;
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Long recordings come as a file path instead of base64 and are uploaded from disk
+// (Files API), so they may be as large as a Gemini file (2 GB)
+const MAX_AUDIO_FILE_BYTES = 2 * 1024 * 1024 * 1024;
+
+function audioFileAttachment(item, name) {
+  const filePath = String(item.path);
+  const mimeType = String(item.mimeType || '');
+  // Only recordings: the path comes from the renderer, and the file is sent to Gemini
+  const isRecording = /\.(mp3|m4a|wav)$/i.test(filePath) && mimeType.startsWith('audio/');
+  if (!isRecording || !path.isAbsolute(filePath)) {
+    throw new Error(`"${name}" cannot be attached from disk; only recordings can.`);
+  }
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    throw new Error(`"${name}" could not be read.`);
+  }
+  if (!stat.isFile()) throw new Error(`"${name}" could not be read.`);
+  if (stat.size > MAX_AUDIO_FILE_BYTES) {
+    throw new Error(
+      `"${name}" is ${formatMegabytes(stat.size)}; a recording can be up to ${formatMegabytes(MAX_AUDIO_FILE_BYTES)}.`
+    );
+  }
+  return { filePath, size: stat.size, modifiedAt: stat.mtimeMs, mimeType, name };
+}
+
+/**
+ * Validate renderer-supplied attachments, keeping their order.
+ * @param {Array<{data: string, mimeType: string, name?: string}|{text: string, name?: string}|
+ *   {path: string, mimeType: string, name?: string}>} list - data: base64 file contents;
+ *   text: a text file already read; path: a large recording on disk (audio only)
+ * @returns {Array<{base64: string, mimeType: string, name: string}|{text: string, name: string}|
+ *   {filePath: string, size: number, modifiedAt: number, mimeType: string, name: string}>}
+ * @throws {Error} When there are too many attachments, or one of them or their total is too large
+ */
+function normalizeAttachments(list) {
+  const out = [];
+  let total = 0;
+  for (const item of Array.isArray(list) ? list : []) {
+    const name = String(item?.name || 'attachment');
+    if (typeof item?.text === 'string') {
+      if (item.text) out.push({ text: item.text, name });
+      continue;
+    }
+    // Not counted in the total: recordings on disk never travel inline
+    if (typeof item?.path === 'string' && item.path) {
+      out.push(audioFileAttachment(item, name));
+      continue;
+    }
+    const base64 = String(item?.data || '');
+    if (!base64) continue;
+    const bytes = Math.floor((base64.length * 3) / 4);
+    if (bytes > MAX_ATTACHMENT_BYTES) {
+      throw new Error(
+        `"${name}" is ${formatMegabytes(bytes)}; each attachment can be up to ${formatMegabytes(MAX_ATTACHMENT_BYTES)}.`
+      );
+    }
+    total += bytes;
+    out.push({ base64, mimeType: String(item.mimeType || 'application/octet-stream'), name });
+  }
+  if (out.length > MAX_ATTACHMENTS) {
+    throw new Error(`Too many attachments (${out.length}); attach up to ${MAX_ATTACHMENTS} files.`);
+  }
+  if (total > MAX_TOTAL_ATTACHMENT_BYTES) {
+    throw new Error(
+      `Attachments total ${formatMegabytes(total)}; one message can carry up to ${formatMegabytes(MAX_TOTAL_ATTACHMENT_BYTES)}.`
+    );
+  }
+  return out;
+}
+
+/**
+ * Request parts for normalized attachments, in order (uploaded files carry a fileUri).
+ */
+function toAttachmentParts(attachments) {
+  return (Array.isArray(attachments) ? attachments : []).map((a) =>
+    typeof a.text === 'string' ? { text: a.text } : toMediaPart(a.base64, a.mimeType, a.fileUri)
+  );
+}
+
+/**
+ * Build request contents: prior turns followed by the current user turn.
+ * @param {string} prompt - Current user message
+ * @param {Array} [history] - Normalized turns (see normalizeHistory)
+ * @param {Array} [extraParts] - Additional parts for the current turn (e.g. inlineData)
+ */
+function buildContents(prompt, history, extraParts = []) {
+  const current = { role: 'user', parts: [{ text: String(prompt || '') }, ...extraParts] };
+  const turns = Array.isArray(history) ? history : [];
+  const last = turns[turns.length - 1];
+  if (last && last.role === 'user') {
+    // Two user turns in a row: fold the current message into the previous turn
+    return [...turns.slice(0, -1), { role: 'user', parts: [...last.parts, ...current.parts] }];
+  }
+  return [...turns, current];
+}
+
+/**
+ * Validate an agent transcript (the current turn of a function-calling exchange).
+ * Besides text it keeps functionCall / functionResponse parts and the thoughtSignature
+ * Gemini attaches to them, which must be echoed back unchanged.
+ * @returns {Array<{role: string, parts: Array}>}
+ */
+function normalizeAgentContents(contents) {
+  const out = [];
+  for (const turn of Array.isArray(contents) ? contents : []) {
+    const role = turn?.role === 'model' ? 'model' : 'user';
+    const parts = [];
+    for (const p of Array.isArray(turn?.parts) ? turn.parts : []) {
+      let part = null;
+      if (typeof p?.text === 'string' && p.text) {
+        part = { text: p.text };
+        if (p.thought === true) part.thought = true;
+      } else if (p?.functionCall?.name) {
+        part = {
+          functionCall: {
+            name: String(p.functionCall.name),
+            args:
+              p.functionCall.args && typeof p.functionCall.args === 'object'
+                ? p.functionCall.args
+                : {},
+          },
+        };
+        if (p.functionCall.id) part.functionCall.id = String(p.functionCall.id);
+      } else if (p?.functionResponse?.name) {
+        part = {
+          functionResponse: {
+            name: String(p.functionResponse.name),
+            response:
+              p.functionResponse.response && typeof p.functionResponse.response === 'object'
+                ? p.functionResponse.response
+                : {},
+          },
+        };
+        if (p.functionResponse.id) part.functionResponse.id = String(p.functionResponse.id);
+      }
+      if (!part) continue;
+      if (typeof p.thoughtSignature === 'string') part.thoughtSignature = p.thoughtSignature;
+      parts.push(part);
+    }
+    if (parts.length) out.push({ role, parts });
+  }
+  return out;
+}
+
+/**
+ * Gemini `tools` entry for MCP server tools. Their input schemas are plain JSON Schema,
+ * so they go in parametersJsonSchema instead of the OpenAPI-style parameters.
+ * @param {Array<{functionName: string, description: string, inputSchema: Object}>} tools
+ * @returns {Object|null}
+ */
+function mcpFunctionDeclarationsTool(tools) {
+  const list = Array.isArray(tools) ? tools : [];
+  if (!list.length) return null;
+  return {
+    functionDeclarations: list.map((t) => {
+      const { $schema: _ignored, ...schema } =
+        t.inputSchema && typeof t.inputSchema === 'object' ? t.inputSchema : {};
+      return {
+        name: t.functionName,
+        description: String(t.description || '').slice(0, 1000),
+        parametersJsonSchema: { type: 'object', properties: {}, ...schema },
+      };
+    }),
+  };
+}
+
+// Thinking levels a request or a routing row can ask for (empty = the model's default)
+const THINKING_LEVELS = ['off', 'low', 'high'];
+
+// Schema keywords Gemini's responseSchema accepts; anything else is rejected with a 400
+const RESPONSE_SCHEMA_KEYS = [
+  'format',
+  'title',
+  'description',
+  'nullable',
+  'enum',
+  'minItems',
+  'maxItems',
+  'minimum',
+  'maximum',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'propertyOrdering',
+];
+
+/**
+ * Thought summary text of a response or stream chunk (SDK and REST share the shape).
+ * Parts flagged `thought: true` only arrive when thinkingConfig.includeThoughts is set.
+ */
+function extractThoughts(result) {
+  const r = result?.response || result;
+  const parts = r?.candidates?.[0]?.content?.parts;
+  if (!Array.isArray(parts)) return '';
+  return parts
+    .filter((p) => p?.thought === true && typeof p.text === 'string')
+    .map((p) => p.text)
+    .join('');
+}
+
+/**
+ * thinkingConfig for a thinking level ('off' | 'low' | 'high'); other levels keep the model default.
+ * Gemini 3 takes a thinkingLevel and cannot switch thinking off; 2.5 models take a token budget
+ * (Pro has a 128 token minimum). Older models reject thinkingConfig, so they get none.
+ * @returns {Object|undefined}
+ */
+function toThinkingConfig(level, model) {
+  if (!THINKING_LEVELS.includes(level)) return undefined;
+  const name = String(model || '')
+    .replace(/^models\//, '')
+    .toLowerCase();
+  const includeThoughts = level !== 'off';
+  if (/^gemini-3/.test(name)) {
+    return { thinkingLevel: level === 'high' ? 'high' : 'low', includeThoughts };
+  }
+  if (!/^gemini-(2\.5-|flash-latest|flash-lite-latest|pro-latest)/.test(name)) return undefined;
+  const isPro = /pro/.test(name);
+  const budget = { off: isPro ? 128 : 0, low: 1024, high: 8192 }[level];
+  return { thinkingBudget: budget, includeThoughts };
+}
+
+function withThinkingConfig(generationConfig, level, model) {
+  const thinkingConfig = toThinkingConfig(level, model);
+  return thinkingConfig ? { ...(generationConfig || {}), thinkingConfig } : generationConfig;
+}
+
+/**
+ * Convert a JSON Schema (or an already OpenAPI-style schema) to Gemini's responseSchema subset:
+ * uppercase types, ["string", "null"] → nullable, unsupported keywords dropped.
+ */
+function toGeminiResponseSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return undefined;
+  const out = {};
+  const types = (Array.isArray(schema.type) ? schema.type : [schema.type])
+    .filter(Boolean)
+    .map((t) => String(t).toUpperCase());
+  const type = types.find((t) => t !== 'NULL');
+  if (type) out.type = type;
+  if (types.includes('NULL')) out.nullable = true;
+  for (const key of RESPONSE_SCHEMA_KEYS) {
+    if (schema[key] !== undefined) out[key] = schema[key];
+  }
+  if (schema.properties && typeof schema.properties === 'object') {
+    out.properties = {};
+    for (const [key, child] of Object.entries(schema.properties)) {
+      out.properties[key] = toGeminiResponseSchema(child) || {};
+    }
+    // Keep the author's field order in the output (Gemini sorts keys otherwise)
+    if (!out.propertyOrdering) out.propertyOrdering = Object.keys(out.properties);
+  }
+  if (Array.isArray(schema.required)) out.required = schema.required.map(String);
+  if (schema.items) out.items = toGeminiResponseSchema(schema.items);
+  if (Array.isArray(schema.anyOf)) out.anyOf = schema.anyOf.map(toGeminiResponseSchema);
+  return out;
+}
+
+/**
+ * Structured JSON output: generationConfig.responseMimeType 'application/json' with an optional
+ * responseSchema (JSON Schema). Returns the config to send to Gemini.
+ */
+function toGeminiGenerationConfig(generationConfig) {
+  if (!generationConfig || !generationConfig.responseSchema) return generationConfig;
+  return {
+    ...generationConfig,
+    responseMimeType: 'application/json',
+    responseSchema: toGeminiResponseSchema(generationConfig.responseSchema),
+  };
+}
+
+function isJsonOutput(generationConfig) {
+  return String(generationConfig?.responseMimeType || '').toLowerCase() === 'application/json';
+}
+
+function toSystemInstruction(systemInstruction) {
+  const text = String(systemInstruction || '').trim();
+  return text ? { parts: [{ text }] } : undefined;
+}
+
 function collectTextPartsFromContent(content, bucket) {
   if (!content) return;
   const target = content?.parts ?? content;
   if (Array.isArray(target)) {
     for (const part of target) {
-      if (part && typeof part.text === 'string' && part.text.trim()) {
+      if (part && typeof part.text === 'string' && part.text.trim() && !part.thought) {
         bucket.push(part.text);
       }
     }
@@ -379,20 +808,107 @@ function extractTextFromRESTData(data) {
   return { text: '', finishReason: '' };
 }
 
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date).
+ * @returns {number|null} Milliseconds to wait, or null when absent/invalid
+ */
+function parseRetryAfter(value) {
+  const v = String(value || '').trim();
+  if (!v) return null;
+  if (/^\d+(\.\d+)?$/.test(v)) return Math.round(Number(v) * 1000);
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+/**
+ * Error for a non-OK HTTP response. The message keeps the "API Error: <status> - <body>" shape;
+ * status and retryAfterMs are attached for API key health tracking.
+ */
+async function apiErrorFromResponse(res) {
+  const t = await res.text();
+  const err = new Error(`API Error: ${res.status} - ${t}`);
+  err.status = res.status;
+  const retryAfterMs = parseRetryAfter(res.headers?.get?.('retry-after'));
+  if (retryAfterMs !== null) err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
+/**
+ * Create a Gemini context cache (cachedContents) holding a large document, so later requests
+ * can reference it instead of sending the document again. Requests that use the cache must not
+ * set their own systemInstruction or tools, so the instruction is stored with the cache.
+ * @param {string} apiKey
+ * @param {string} modelBare - Caches belong to one model
+ * @param {{contents: Array, systemInstruction?: string, ttlSeconds: number,
+ *   displayName?: string, signal?: AbortSignal}} options
+ * @returns {Promise<{name: string, expiresAt: number, tokens: number}>}
+ */
+async function restCreateCachedContent(
+  apiKey,
+  modelBare,
+  { contents, systemInstruction, ttlSeconds, displayName, signal }
+) {
+  const res = await fetch('https://generativelanguage.googleapis.com/v1beta/cachedContents', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': String(apiKey || '').trim() },
+    body: JSON.stringify({
+      model: `models/${modelBare}`,
+      contents,
+      systemInstruction: toSystemInstruction(systemInstruction),
+      ttl: `${ttlSeconds}s`,
+      displayName: displayName ? String(displayName).slice(0, 120) : undefined,
+    }),
+    signal: signal || undefined,
+  });
+  if (!res.ok) {
+    throw await apiErrorFromResponse(res);
+  }
+  const data = await res.json();
+  if (!data?.name) throw new Error('Unexpected response from API.');
+  const expiresAt = Date.parse(data.expireTime || '');
+  return {
+    name: String(data.name),
+    expiresAt: Number.isFinite(expiresAt) ? expiresAt : Date.now() + ttlSeconds * 1000,
+    tokens: Number(data.usageMetadata?.totalTokenCount) || 0,
+  };
+}
+
+/**
+ * Extend a context cache's lifetime.
+ * @returns {Promise<number>} The new expiry (epoch ms)
+ */
+async function restUpdateCachedContentTtl(apiKey, name, ttlSeconds, { signal } = {}) {
+  const url = `https://generativelanguage.googleapis.com/v1beta/${name}?updateMask=ttl`;
+  const res = await fetch(url, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': String(apiKey || '').trim() },
+    body: JSON.stringify({ ttl: `${ttlSeconds}s` }),
+    signal: signal || undefined,
+  });
+  if (!res.ok) {
+    throw await apiErrorFromResponse(res);
+  }
+  const data = await res.json();
+  const expiresAt = Date.parse(data?.expireTime || '');
+  return Number.isFinite(expiresAt) ? expiresAt : Date.now() + ttlSeconds * 1000;
+}
+
 async function restGenerateText(
   apiKey,
   modelBare,
   prompt,
   generationConfig,
-  { useGoogleSearch = false, signal } = {}
+  { useGoogleSearch = false, signal, history, systemInstruction, cachedContent } = {}
 ) {
   const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelBare}:generateContent`;
   const tools = [];
   if (useGoogleSearch) tools.push({ googleSearch: {} });
   const body = {
-    contents: [{ parts: [{ text: String(prompt || '') }] }],
+    contents: buildContents(prompt, history),
+    systemInstruction: toSystemInstruction(systemInstruction),
     generationConfig: generationConfig || undefined,
     tools: tools.length ? tools : undefined,
+    cachedContent: cachedContent || undefined,
   };
   const res = await fetch(url, {
     method: 'POST',
@@ -401,12 +917,12 @@ async function restGenerateText(
     signal: signal || undefined,
   });
   if (!res.ok) {
-    const t = await res.text();
-    throw new Error(`API Error: ${res.status} - ${t}`);
+    throw await apiErrorFromResponse(res);
   }
   const data = await res.json();
   const { text, finishReason } = extractTextFromRESTData(data);
   const sources = extractSourcesFromRESTData(data);
+  const usage = extractUsage(data);
   let outText = typeof text === 'string' && text.length ? text : '';
   if (!outText) {
     const reason = String(finishReason || '').toUpperCase();
@@ -417,34 +933,27 @@ async function restGenerateText(
   if (!outText) {
     outText = 'Unexpected response from API.';
   }
-  return { text: outText, sources };
+  return { text: outText, sources, usage, thoughts: extractThoughts(data) };
 }
 
+/**
+ * Answer about attachments (images, documents, text files).
+ * @param {Array} parts - Ordered request parts following the prompt (see toAttachmentParts)
+ */
 async function restGenerateImage(
   apiKey,
   modelBare,
   prompt,
-  imageBase64,
-  mimeType,
+  parts,
   generationConfig,
-  { useGoogleSearch = false, signal } = {}
+  { useGoogleSearch = false, signal, history, systemInstruction, cachedContent } = {}
 ) {
   const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelBare}:generateContent`;
   const body = {
-    contents: [
-      {
-        parts: [
-          { text: String(prompt || '') },
-          {
-            inlineData: {
-              data: String(imageBase64 || ''),
-              mimeType: String(mimeType || 'image/png'),
-            },
-          },
-        ],
-      },
-    ],
+    contents: buildContents(prompt, history, parts),
+    systemInstruction: toSystemInstruction(systemInstruction),
     generationConfig: generationConfig || undefined,
+    cachedContent: cachedContent || undefined,
   };
   const res = await fetch(url, {
     method: 'POST',
@@ -453,12 +962,12 @@ async function restGenerateImage(
     signal: signal || undefined,
   });
   if (!res.ok) {
-    const t = await res.text();
-    throw new Error(`API Error: ${res.status} - ${t}`);
+    throw await apiErrorFromResponse(res);
   }
   const data = await res.json();
   const { text, finishReason } = extractTextFromRESTData(data);
   const sources = extractSourcesFromRESTData(data);
+  const usage = extractUsage(data);
   let outText = typeof text === 'string' && text.length ? text : '';
   if (!outText) {
     const reason = String(finishReason || '').toUpperCase();
@@ -469,7 +978,69 @@ async function restGenerateImage(
   if (!outText) {
     outText = 'Unexpected response from API.';
   }
-  return { text: outText, sources };
+  return { text: outText, sources, usage, thoughts: extractThoughts(data) };
+}
+
+/**
+ * One step of a function-calling exchange (agent mode).
+ * @param {Array} contents - Full contents: prior turns plus the agent transcript so far
+ * @param {Object} [options]
+ * @param {Array} [options.tools] - Gemini tools (e.g. [{ functionDeclarations }])
+ * @returns {Promise<{text: string, functionCalls: Array<{name: string, args: Object, id?: string}>,
+ *   content: Object|null, usage: Object|null}>} content is the model turn to append as-is
+ *   before sending the function responses
+ */
+async function restGenerateAgentTurn(
+  apiKey,
+  modelBare,
+  contents,
+  generationConfig,
+  { tools, signal, systemInstruction } = {}
+) {
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelBare}:generateContent`;
+  const body = {
+    contents,
+    systemInstruction: toSystemInstruction(systemInstruction),
+    generationConfig: generationConfig || undefined,
+    tools: Array.isArray(tools) && tools.length ? tools : undefined,
+  };
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': String(apiKey || '').trim() },
+    body: JSON.stringify(body),
+    signal: signal || undefined,
+  });
+  if (!res.ok) {
+    throw await apiErrorFromResponse(res);
+  }
+  const data = await res.json();
+  const candidate = Array.isArray(data?.candidates) ? data.candidates[0] : null;
+  const content = candidate?.content || null;
+  const parts = Array.isArray(content?.parts) ? content.parts : [];
+  const functionCalls = parts
+    .filter((p) => p?.functionCall?.name)
+    .map((p) => ({
+      name: String(p.functionCall.name),
+      args: p.functionCall.args || {},
+      ...(p.functionCall.id ? { id: String(p.functionCall.id) } : {}),
+    }));
+  let text = parts
+    .filter((p) => typeof p?.text === 'string' && !p.thought)
+    .map((p) => p.text)
+    .join('')
+    .trim();
+  if (!text && !functionCalls.length) {
+    const reason = String(candidate?.finishReason || '').toUpperCase();
+    text = reason.includes('SAFETY')
+      ? 'The API blocked the response for safety reasons.'
+      : 'Unexpected response from API.';
+  }
+  return {
+    text,
+    functionCalls,
+    content: content ? { role: 'model', parts } : null,
+    usage: extractUsage(data),
+  };
 }
 
 async function sdkGenerateText(
@@ -477,7 +1048,7 @@ async function sdkGenerateText(
   modelName,
   prompt,
   generationConfig,
-  { useGoogleSearch = false } = {}
+  { useGoogleSearch = false, history, systemInstruction, cachedContent } = {}
 ) {
   if (!genAI?.models || typeof genAI.models.generateContent !== 'function') return null;
   const candidates = modelCandidates(modelName);
@@ -487,55 +1058,227 @@ async function sdkGenerateText(
   for (const model of candidates) {
     const config = { ...(generationConfig || {}) };
     if (tools.length) config.tools = tools;
+    if (systemInstruction) config.systemInstruction = String(systemInstruction);
+    if (cachedContent) config.cachedContent = String(cachedContent);
     const request = {
       model,
-      contents: [{ role: 'user', parts: [{ text: String(prompt || '') }] }],
+      contents: buildContents(prompt, history),
       config: Object.keys(config).length ? config : undefined,
     };
     try {
       const response = await genAI.models.generateContent(request);
       const text = extractTextFromSDKResult(response);
       const sources = extractSourcesFromSDKResult(response);
-      if (text) return { text, sources };
+      if (text) {
+        return {
+          text,
+          sources,
+          usage: extractUsage(response),
+          thoughts: extractThoughts(response),
+        };
+      }
     } catch {}
   }
   return null;
 }
 
+/**
+ * Read a Server-Sent Events response body and pass each `data:` payload to onData.
+ * Used by every streaming backend (Gemini streamGenerateContent, OpenAI-compatible chat).
+ */
+async function readSSEData(res, onData) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const reader = res.body.getReader();
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith('data:')) onData(line.slice(5).trim());
+    }
+  }
+  if (buffer.startsWith('data:')) onData(buffer.slice(5).trim());
+}
+
+function mergeSources(target, items) {
+  for (const s of items || []) {
+    if (!s || !s.url) continue;
+    const key = String(s.url).trim();
+    if (!target.some((t) => String(t.url).trim() === key)) target.push(s);
+  }
+  return target;
+}
+
+/**
+ * Streaming variant of restGenerateText (SSE via :streamGenerateContent?alt=sse).
+ * onChunk receives each text delta as it arrives; grounding sources are collected
+ * across events and returned with the final text.
+ */
+async function restGenerateTextStream(
+  apiKey,
+  modelBare,
+  prompt,
+  generationConfig,
+  { useGoogleSearch = false, signal, onChunk, history, systemInstruction, cachedContent } = {}
+) {
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelBare}:streamGenerateContent?alt=sse`;
+  const tools = [];
+  if (useGoogleSearch) tools.push({ googleSearch: {} });
+  const body = {
+    contents: buildContents(prompt, history),
+    systemInstruction: toSystemInstruction(systemInstruction),
+    generationConfig: generationConfig || undefined,
+    tools: tools.length ? tools : undefined,
+    cachedContent: cachedContent || undefined,
+  };
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': String(apiKey || '').trim() },
+    body: JSON.stringify(body),
+    signal: signal || undefined,
+  });
+  if (!res.ok) {
+    throw await apiErrorFromResponse(res);
+  }
+
+  let outText = '';
+  let thoughts = '';
+  let finishReason = '';
+  let usage = null;
+  const sources = [];
+  const handleEvent = (payload) => {
+    if (!payload || payload === '[DONE]') return;
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch {
+      return;
+    }
+    if (data?.error) {
+      throw new Error(`API Error: ${data.error.code || ''} - ${data.error.message || ''}`);
+    }
+    const r = extractTextFromRESTData(data);
+    if (r.finishReason) finishReason = r.finishReason;
+    if (r.text) {
+      // Chunks are trimmed by the extractor; keep raw part text to preserve spacing
+      const raw = (data.candidates?.[0]?.content?.parts || [])
+        .map((p) => (typeof p?.text === 'string' && !p.thought ? p.text : ''))
+        .join('');
+      const delta = raw || r.text;
+      outText += delta;
+      if (typeof onChunk === 'function') onChunk(delta);
+    }
+    thoughts += extractThoughts(data);
+    mergeSources(sources, extractSourcesFromRESTData(data));
+    // Counts are cumulative; the last event carries the final totals
+    usage = extractUsage(data) || usage;
+  };
+
+  await readSSEData(res, handleEvent);
+
+  if (!outText) {
+    const reason = String(finishReason || '').toUpperCase();
+    outText = reason.includes('SAFETY')
+      ? 'The API blocked the response for safety reasons.'
+      : 'Unexpected response from API.';
+  }
+  return { text: outText, sources, usage, thoughts };
+}
+
+/**
+ * Streaming variant of sdkGenerateText (models.generateContentStream).
+ * Returns null when nothing was produced so the caller can fall back to REST.
+ * Once any chunk has been emitted, errors are rethrown instead of silently
+ * trying the next candidate, otherwise the renderer would receive duplicated text.
+ */
+async function sdkGenerateTextStream(
+  genAI,
+  modelName,
+  prompt,
+  generationConfig,
+  { useGoogleSearch = false, signal, onChunk, history, systemInstruction, cachedContent } = {}
+) {
+  if (!genAI?.models || typeof genAI.models.generateContentStream !== 'function') return null;
+  const candidates = modelCandidates(modelName);
+  const tools = [];
+  if (useGoogleSearch) tools.push({ googleSearch: {} });
+
+  for (const model of candidates) {
+    const config = { ...(generationConfig || {}) };
+    if (tools.length) config.tools = tools;
+    if (signal) config.abortSignal = signal;
+    if (systemInstruction) config.systemInstruction = String(systemInstruction);
+    if (cachedContent) config.cachedContent = String(cachedContent);
+    const request = {
+      model,
+      contents: buildContents(prompt, history),
+      config: Object.keys(config).length ? config : undefined,
+    };
+    let text = '';
+    let thoughts = '';
+    let usage = null;
+    const sources = [];
+    try {
+      const stream = await genAI.models.generateContentStream(request);
+      for await (const chunk of stream) {
+        const delta = extractTextFromSDKResult(chunk);
+        if (delta) {
+          text += delta;
+          if (typeof onChunk === 'function') onChunk(delta);
+        }
+        thoughts += extractThoughts(chunk);
+        mergeSources(sources, extractSourcesFromSDKResult(chunk));
+        usage = extractUsage(chunk) || usage;
+      }
+      if (text) return { text, sources, usage, thoughts };
+    } catch (e) {
+      if (text || signal?.aborted) throw e;
+    }
+  }
+  return null;
+}
+
+/**
+ * SDK variant of restGenerateImage.
+ * @param {Array} parts - Ordered request parts following the prompt
+ */
 async function sdkGenerateImage(
   genAI,
   modelName,
   prompt,
-  imageBase64,
-  mimeType,
+  parts,
   generationConfig,
-  { useGoogleSearch = false } = {}
+  { useGoogleSearch = false, history, systemInstruction, cachedContent } = {}
 ) {
   if (!genAI?.models || typeof genAI.models.generateContent !== 'function') return null;
   const candidates = modelCandidates(modelName);
-  const imagePart = {
-    inlineData: { data: String(imageBase64 || ''), mimeType: String(mimeType || 'image/png') },
-  };
   const tools = useGoogleSearch ? [{ googleSearch: {} }] : [];
 
   for (const model of candidates) {
     const config = { ...(generationConfig || {}) };
     if (tools.length) config.tools = tools;
+    if (systemInstruction) config.systemInstruction = String(systemInstruction);
+    if (cachedContent) config.cachedContent = String(cachedContent);
     const request = {
       model,
-      contents: [
-        {
-          role: 'user',
-          parts: [{ text: String(prompt || '') }, imagePart],
-        },
-      ],
+      contents: buildContents(prompt, history, parts),
       config: Object.keys(config).length ? config : undefined,
     };
     try {
       const response = await genAI.models.generateContent(request);
       const text = extractTextFromSDKResult(response);
       const sources = extractSourcesFromSDKResult(response);
-      if (text) return { text, sources };
+      if (text) {
+        return {
+          text,
+          sources,
+          usage: extractUsage(response),
+          thoughts: extractThoughts(response),
+        };
+      }
     } catch {}
   }
   return null;
@@ -606,12 +1349,11 @@ async function restGenerateImageFromText(
   });
 
   if (!res.ok) {
-    const t = await res.text();
-    throw new Error(`API Error: ${res.status} - ${t}`);
+    throw await apiErrorFromResponse(res);
   }
 
   const data = await res.json();
-  return extractImageFromCandidates(data?.candidates);
+  return { ...extractImageFromCandidates(data?.candidates), usage: extractUsage(data) };
 }
 
 async function restGenerateImageFromTextWithReference(
@@ -653,12 +1395,11 @@ async function restGenerateImageFromTextWithReference(
   });
 
   if (!res.ok) {
-    const t = await res.text();
-    throw new Error(`API Error: ${res.status} - ${t}`);
+    throw await apiErrorFromResponse(res);
   }
 
   const data = await res.json();
-  return extractImageFromCandidates(data?.candidates);
+  return { ...extractImageFromCandidates(data?.candidates), usage: extractUsage(data) };
 }
 
 /**
@@ -684,7 +1425,7 @@ async function sdkGenerateImageFromText(
 
   const requestOptions = signal ? { signal } : undefined;
   const response = await genAI.models.generateContent(request, requestOptions);
-  return extractImageFromCandidates(response?.candidates);
+  return { ...extractImageFromCandidates(response?.candidates), usage: extractUsage(response) };
 }
 
 /**
@@ -723,7 +1464,7 @@ async function sdkGenerateImageFromTextWithReference(
 
   const requestOptions = signal ? { signal } : undefined;
   const response = await genAI.models.generateContent(request, requestOptions);
-  return extractImageFromCandidates(response?.candidates);
+  return { ...extractImageFromCandidates(response?.candidates), usage: extractUsage(response) };
 }
 
 async function restGenerateVideoFromText(
@@ -770,8 +1511,7 @@ async function restGenerateVideoFromText(
   });
 
   if (!res.ok) {
-    const t = await res.text();
-    throw new Error(`API Error: ${res.status} - ${t}`);
+    throw await apiErrorFromResponse(res);
   }
 
   const data = await res.json();
@@ -828,8 +1568,9 @@ async function pollVideoOperation(apiKey, operationName, signal, maxWaitMs = 600
         throw new Error('No video URI in completed response.');
       }
 
-      // Download video data
-      return downloadVideoFromUri(videoUri, signal, apiKey);
+      // Download video data; Veo reports usage only when the operation includes it
+      const video = await downloadVideoFromUri(videoUri, signal, apiKey);
+      return { ...video, usage: extractUsage(data.response) || extractUsage(data) };
     }
 
     // Check for errors
@@ -872,14 +1613,42 @@ async function downloadVideoFromUri(uri, signal, apiKey) {
 module.exports = {
   getGenAIClientForKey,
   extractTextFromSDKResult,
+  extractThoughts,
   extractSourcesFromSDKResult,
   extractSourcesFromRESTData,
+  extractUsage,
   modelCandidates,
+  estimateTokens,
+  normalizeHistory,
+  fitHistoryToTokenBudget,
+  buildContents,
+  toMediaPart,
+  MAX_ATTACHMENT_BYTES,
+  MAX_AUDIO_FILE_BYTES,
+  MAX_TOTAL_ATTACHMENT_BYTES,
+  normalizeAttachments,
+  toAttachmentParts,
+  normalizeAgentContents,
+  mcpFunctionDeclarationsTool,
+  toGeminiResponseSchema,
+  toGeminiGenerationConfig,
+  isJsonOutput,
+  THINKING_LEVELS,
+  toThinkingConfig,
+  withThinkingConfig,
+  readSSEData,
+  parseRetryAfter,
+  apiErrorFromResponse,
+  restCreateCachedContent,
+  restUpdateCachedContentTtl,
   restGenerateText,
+  restGenerateTextStream,
   restGenerateImage,
+  restGenerateAgentTurn,
   restGenerateImageFromText,
   restGenerateImageFromTextWithReference,
   sdkGenerateText,
+  sdkGenerateTextStream,
   sdkGenerateImage,
   sdkGenerateImageFromText,
   sdkGenerateImageFromTextWithReference,
@@ -0,0 +1,409 @@
+// AI provider layer for the Electron main process.
+// Every provider exposes the same generate() shape so key rotation, model fallback
+// and cancellation in the IPC handlers stay provider-agnostic.
+
+const {
+  getGenAIClientForKey,
+  modelCandidates,
+  readSSEData,
+  apiErrorFromResponse,
+  toGeminiGenerationConfig,
+  isJsonOutput,
+  toAttachmentParts,
+  restGenerateText,
+  restGenerateTextStream,
+  restGenerateImage,
+  sdkGenerateText,
+  sdkGenerateTextStream,
+  sdkGenerateImage,
+} = require('./ai');
+
+const DEFAULT_PROVIDER_ID = 'gemini';
+
+// Known backends. OpenAI-compatible servers share one implementation and differ only by defaults.
+const PROVIDER_PRESETS = {
+  gemini: {
+    id: 'gemini',
+    label: 'Gemini',
+    kind: 'gemini',
+    requiresKey: true,
+    supportsWebSearch: true,
+  },
+  openai: {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    kind: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+    requiresKey: true,
+    supportsWebSearch: false,
+  },
+  ollama: {
+    id: 'ollama',
+    label: 'Ollama',
+    kind: 'openai',
+    baseUrl: 'http://localhost:11434/v1',
+    defaultModel: 'llama3.2',
+    requiresKey: false,
+    supportsWebSearch: false,
+  },
+  llamacpp: {
+    id: 'llamacpp',
+    label: 'llama.cpp',
+    kind: 'openai',
+    baseUrl: 'http://localhost:8080/v1',
+    defaultModel: 'default',
+    requiresKey: false,
+    supportsWebSearch: false,
+  },
+};
+
+function isKnownProvider(id) {
+  return Object.prototype.hasOwnProperty.call(PROVIDER_PRESETS, String(id || ''));
+}
+
+// ============================================================================
+// Gemini (SDK first, REST fallback)
+// ============================================================================
+
+function createGeminiProvider(preset) {
+  return {
+    ...preset,
+    /**
+     * @param {Object} req
+     * @param {string} req.apiKey
+     * @param {string} req.model
+     * @param {string} req.prompt - Current user message
+     * @param {Array} [req.history] - Earlier turns ({ role: 'user'|'model', parts })
+     * @param {string} [req.systemInstruction]
+     * @param {Array} [req.attachments] - Ordered attachments (see normalizeAttachments in ai.js);
+     *   a fileUri instead of base64 references an uploaded Files API file
+     * @param {Object} [req.generationConfig]
+     * @param {boolean} [req.useGoogleSearch]
+     * @param {AbortSignal} [req.signal]
+     * @param {Function} [req.onChunk] - Stream text deltas (text-only requests)
+     * @param {Function} [req.onError] - Receives (method, error) for non-fatal SDK failures
+     * @param {string} [req.cachedContent] - Context cache name (cachedContents/...); the request
+     *   then carries no systemInstruction or tools of its own
+     * @returns {Promise<{text: string, sources: Array, usage: Object|null}|null>}
+     */
+    async generate({
+      apiKey,
+      model,
+      prompt,
+      history,
+      systemInstruction,
+      attachments = [],
+      generationConfig,
+      useGoogleSearch = false,
+      signal,
+      onChunk,
+      onError,
+      cachedContent,
+    }) {
+      // Structured output cannot be combined with the search tool
+      if (isJsonOutput(generationConfig)) useGoogleSearch = false;
+      generationConfig = toGeminiGenerationConfig(generationConfig);
+      let client = null;
+      try {
+        client = await getGenAIClientForKey(apiKey);
+      } catch {}
+
+      const bare = modelCandidates(model)[0].replace(/^models\//, '');
+      const parts = toAttachmentParts(attachments);
+      const streaming = typeof onChunk === 'function' && !parts.length;
+      let streamed = false;
+      const emit = (delta) => {
+        streamed = true;
+        onChunk(delta);
+      };
+      const turnOptions = { history, systemInstruction, cachedContent };
+
+      if (client) {
+        try {
+          const r1 = parts.length
+            ? await sdkGenerateImage(client, model, prompt, parts, generationConfig, {
+                useGoogleSearch,
+                ...turnOptions,
+              })
+            : streaming
+              ? await sdkGenerateTextStream(client, model, prompt, generationConfig, {
+                  useGoogleSearch,
+                  signal,
+                  onChunk: emit,
+                  ...turnOptions,
+                })
+              : await sdkGenerateText(client, model, prompt, generationConfig, {
+                  useGoogleSearch,
+                  ...turnOptions,
+                });
+          if (r1) return r1;
+        } catch (e) {
+          // A partially streamed answer cannot be retried without duplicating text
+          if (signal?.aborted || streamed) throw e;
+          if (typeof onError === 'function') onError('SDK', e);
+        }
+      }
+
+      // REST as fallback only (if SDK failed or unavailable)
+      if (parts.length) {
+        return restGenerateImage(apiKey, bare, prompt, parts, generationConfig, {
+          useGoogleSearch,
+          signal,
+          ...turnOptions,
+        });
+      }
+      if (streaming) {
+        return restGenerateTextStream(apiKey, bare, prompt, generationConfig, {
+          useGoogleSearch,
+          signal,
+          onChunk: emit,
+          ...turnOptions,
+        });
+      }
+      return restGenerateText(apiKey, bare, prompt, generationConfig, {
+        useGoogleSearch,
+        signal,
+        ...turnOptions,
+      });
+    },
+  };
+}
+
+// ============================================================================
+// OpenAI-compatible /v1/chat/completions (OpenAI, Ollama, llama.cpp server)
+// ============================================================================
+
+function toImageContent(base64, mimeType) {
+  return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64}` } };
+}
+
+// Convert Gemini-style turns into chat messages; non-image inline data (PDF) is skipped
+function historyToChatMessages(history) {
+  return (Array.isArray(history) ? history : []).map((turn) => {
+    const role = turn.role === 'model' ? 'assistant' : 'user';
+    const text = turn.parts
+      .map((p) => p.text || '')
+      .filter(Boolean)
+      .join('\n');
+    const images = turn.parts.filter(
+      (p) => role === 'user' && String(p.inlineData?.mimeType || '').startsWith('image/')
+    );
+    if (!images.length) return { role, content: text };
+    return {
+      role,
+      content: [
+        { type: 'text', text },
+        ...images.map((p) => toImageContent(p.inlineData.data, p.inlineData.mimeType)),
+      ],
+    };
+  });
+}
+
+// Attachments keep their order: text files become text blocks, images image_url blocks
+function buildChatMessages(prompt, attachments, { history, systemInstruction } = {}) {
+  const text = String(prompt || '');
+  const messages = [];
+  const system = String(systemInstruction || '').trim();
+  if (system) messages.push({ role: 'system', content: system });
+  messages.push(...historyToChatMessages(history));
+  const list = Array.isArray(attachments) ? attachments : [];
+  if (!list.length) {
+    messages.push({ role: 'user', content: text });
+    return messages;
+  }
+  const content = [{ type: 'text', text }];
+  for (const a of list) {
+    if (typeof a.text === 'string') {
+      content.push({ type: 'text', text: a.text });
+      continue;
+    }
+    const mimeType = String(a.mimeType || 'image/png');
+    if (!mimeType.startsWith('image/')) {
+      throw new Error(`This provider does not support ${mimeType} attachments.`);
+    }
+    content.push(toImageContent(a.base64, mimeType));
+  }
+  messages.push({ role: 'user', content });
+  return messages;
+}
+
+// Chat completion servers expect JSON Schema types in lowercase
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'type') {
+      out.type = Array.isArray(value)
+        ? value.map((t) => String(t).toLowerCase())
+        : String(value).toLowerCase();
+    } else if (key === 'properties' && value && typeof value === 'object') {
+      out.properties = Object.fromEntries(
+        Object.entries(value).map(([k, v]) => [k, toJsonSchema(v)])
+      );
+    } else if (key === 'items' || key === 'anyOf') {
+      out[key] = toJsonSchema(value);
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+// Map Gemini-style generationConfig onto chat completion parameters
+function toChatParams(generationConfig) {
+  const cfg = generationConfig || {};
+  const out = {};
+  if (typeof cfg.temperature === 'number') out.temperature = cfg.temperature;
+  if (typeof cfg.topP === 'number') out.top_p = cfg.topP;
+  if (typeof cfg.maxOutputTokens === 'number') out.max_tokens = cfg.maxOutputTokens;
+  if (isJsonOutput(cfg)) {
+    out.response_format = cfg.responseSchema
+      ? {
+          type: 'json_schema',
+          json_schema: { name: 'response', schema: toJsonSchema(cfg.responseSchema) },
+        }
+      : { type: 'json_object' };
+  }
+  return out;
+}
+
+// Chat completion usage → the token shape returned by ai.js extractUsage()
+function toUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  const promptTokens = Number(usage.prompt_tokens) || 0;
+  const candidatesTokens = Number(usage.completion_tokens) || 0;
+  return {
+    promptTokens,
+    candidatesTokens,
+    totalTokens: Number(usage.total_tokens) || promptTokens + candidatesTokens,
+  };
+}
+
+function extractChatText(message) {
+  const content = message?.content;
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map((p) => (typeof p?.text === 'string' ? p.text : '')).join('');
+  }
+  return '';
+}
+
+function createOpenAICompatibleProvider(preset, { baseUrl } = {}) {
+  const root = String(baseUrl || preset.baseUrl || '')
+    .trim()
+    .replace(/\/+$/, '');
+
+  return {
+    ...preset,
+    baseUrl: root,
+    async generate({
+      apiKey,
+      model,
+      prompt,
+      history,
+      systemInstruction,
+      attachments = [],
+      generationConfig,
+      signal,
+      onChunk,
+    }) {
+      const streaming = typeof onChunk === 'function';
+      const headers = { 'Content-Type': 'application/json' };
+      const key = String(apiKey || '').trim();
+      if (key) headers.Authorization = `Bearer ${key}`;
+      const body = {
+        model: String(model || preset.defaultModel || ''),
+        messages: buildChatMessages(prompt, attachments, { history, systemInstruction }),
+        ...toChatParams(generationConfig),
+        stream: streaming,
+      };
+      // Ask for a final usage chunk; servers that do not know the option ignore it
+      if (streaming) body.stream_options = { include_usage: true };
+      const res = await fetch(`${root}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: signal || undefined,
+      });
+      if (!res.ok) {
+        throw await apiErrorFromResponse(res);
+      }
+
+      let text = '';
+      let finishReason = '';
+      let usage = null;
+      if (streaming) {
+        await readSSEData(res, (payload) => {
+          if (!payload || payload === '[DONE]') return;
+          let data;
+          try {
+            data = JSON.parse(payload);
+          } catch {
+            return;
+          }
+          if (data?.error) {
+            throw new Error(`API Error: ${data.error.message || 'Unknown error'}`);
+          }
+          usage = toUsage(data?.usage) || usage;
+          const choice = data?.choices?.[0];
+          if (choice?.finish_reason) finishReason = choice.finish_reason;
+          const delta = choice?.delta?.content;
+          if (typeof delta === 'string' && delta) {
+            text += delta;
+            onChunk(delta);
+          }
+        });
+      } else {
+        const data = await res.json();
+        const choice = data?.choices?.[0];
+        usage = toUsage(data?.usage);
+        finishReason = choice?.finish_reason || '';
+        text = extractChatText(choice?.message).trim();
+      }
+
+      if (!text) {
+        text =
+          finishReason === 'content_filter'
+            ? 'The API blocked the response for safety reasons.'
+            : 'Unexpected response from API.';
+      }
+      return { text, sources: [], usage };
+    },
+  };
+}
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+/**
+ * Create a provider instance by id.
+ * @param {string} id - One of PROVIDER_PRESETS keys (falls back to Gemini)
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Override for OpenAI-compatible servers
+ */
+function getProvider(id, options = {}) {
+  const preset = PROVIDER_PRESETS[isKnownProvider(id) ? id : DEFAULT_PROVIDER_ID];
+  if (preset.kind === 'openai') return createOpenAICompatibleProvider(preset, options);
+  return createGeminiProvider(preset);
+}
+
+function listProviders() {
+  return Object.values(PROVIDER_PRESETS).map((p) => ({
+    id: p.id,
+    label: p.label,
+    baseUrl: p.baseUrl || '',
+    defaultModel: p.defaultModel || '',
+    requiresKey: p.requiresKey,
+  }));
+}
+
+module.exports = {
+  DEFAULT_PROVIDER_ID,
+  PROVIDER_PRESETS,
+  isKnownProvider,
+  getProvider,
+  listProviders,
+};
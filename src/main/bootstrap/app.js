@@ -14,31 +14,50 @@ const {
   screen,
   nativeImage,
   dialog,
+  clipboard,
 } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { fileURLToPath } = require('url');
 
 const { loadPrefs, savePrefs, setPref, getPref } = require('../services/preferences');
 const { WindowManager } = require('../windows/windowManager');
+const {
+  showRephrasePopup,
+  showRephraseResult,
+  showRephraseError,
+  closeRephrasePopup,
+} = require('../windows/rephrasePopupWindow');
 const { SettingsController } = require('../services/settingsController');
 const { createAppMenu, createTrayMenu } = require('../menu');
 const {
   showWindowNonActivating,
   tryCopySelectedText,
+  replaceSelectionWithText,
   captureInteractiveArea,
 } = require('../shortcuts');
 const { fetchUrlContent } = require('../services/urlContent');
+const { officeFormat, extractOfficeText } = require('../services/officeContent');
 const {
   getGenAIClientForKey,
-  modelCandidates,
-  restGenerateText,
-  restGenerateImage,
-  sdkGenerateText,
-  sdkGenerateImage,
+  fitHistoryToTokenBudget,
+  normalizeAgentContents,
+  mcpFunctionDeclarationsTool,
+  restGenerateAgentTurn,
   sdkGenerateImageFromText,
   sdkGenerateImageFromTextWithReference,
   restGenerateVideoFromText,
+  THINKING_LEVELS,
+  withThinkingConfig,
+  normalizeAttachments,
 } = require('../ai');
+const {
+  DEFAULT_PROVIDER_ID,
+  isKnownProvider,
+  getProvider,
+  listProviders,
+} = require('../aiProviders');
 const { getMainWindow, setMainWindow, setPopupWindow, getPopupWindow } = require('../context');
 const { setupAutoUpdates, manualCheckForUpdates } = require('../updates');
 const { AppScanner } = require('../services/appScanner');
@@ -60,13 +79,42 @@ const {
   WINDOW_CONTROL_ACTIONS,
 } = require('../services/macAutomationBridge');
 const { getClipboardHistoryService } = require('../services/clipboardHistory');
+const {
+  getToolDefinition,
+  functionDeclarationsTool,
+  ToolConfirmations,
+  AgentToolRunner,
+} = require('../services/agentTools');
+const { splitCommandLine, parseEnvLines, getMcpManager } = require('../services/mcpClient');
+const { getChatThreadStore } = require('../services/chatThreads');
+const { getGeminiFileStore, isMissingFileError } = require('../services/geminiFiles');
+const { getContextCacheRegistry } = require('../services/contextCache');
+const { getUsageLedger } = require('../services/usageLedger');
+const { getKnowledgeBase } = require('../services/knowledgeBase');
+const { PRIMARY_ID, getApiKeyPool, classifyKeyError } = require('../services/apiKeyPool');
+const {
+  DEFAULT_MAX_CONCURRENT,
+  MAX_CONCURRENT_LIMIT,
+  getAIRequestRegistry,
+} = require('../services/aiRequestRegistry');
+const {
+  PROMPT_TEMPLATE_ACTIONS,
+  PROMPT_TEMPLATE_VARIABLES,
+  BUILTIN_PROMPT_TEMPLATES,
+  getPromptTemplateStore,
+} = require('../services/promptTemplates');
+const { CUSTOM_ACTION_OUTPUTS, getCustomActionStore } = require('../services/customActions');
+const { getJsonSchemaStore } = require('../services/jsonSchemas');
+const { getModelRouter } = require('../services/modelRouting');
 
 // Import shared shortcut constants and validation functions
 const {
   DEFAULT_SHORTCUTS,
+  DEFAULT_OUTPUT_MODES,
   isReservedShortcut,
   isValidShortcutFormat,
   isValidAction,
+  isValidOutputMode,
 } = require('../../shared/shortcutDefaults');
 
 const isDev = process.env.NODE_ENV === 'development' || process.argv.includes('--dev');
@@ -145,6 +193,27 @@ function extractFirstValidUrl(rawText) {
   return '';
 }
 
+// Text explained in place of a selected .docx/.xlsx/.pptx path ("Copy as Pathname" in Finder,
+// a path in a terminal); '' when the selection is not a readable Office file
+const MAX_SHORTCUT_OFFICE_TEXT = 20000;
+
+async function readOfficeSelection(rawText) {
+  let candidate = String(rawText || '').trim();
+  if (!candidate || /[\r\n]/.test(candidate) || !officeFormat(candidate)) return '';
+  try {
+    if (/^file:\/\//i.test(candidate)) candidate = fileURLToPath(candidate);
+    if (!path.isAbsolute(candidate)) return '';
+    const buffer = await fs.promises.readFile(candidate);
+    const { text } = await extractOfficeText(buffer, {
+      name: candidate,
+      maxTextLength: MAX_SHORTCUT_OFFICE_TEXT,
+    });
+    return text ? `[${path.basename(candidate)}]\n${text}` : '';
+  } catch {
+    return '';
+  }
+}
+
 function bootstrapApp() {
   const initialShowMain = true;
 
@@ -334,6 +403,19 @@ function bootstrapApp() {
         hasPopupWindow: () => windowManager.hasPopupWindow(),
         togglePopupWindow: () => windowManager.togglePopupWindow(),
         showMainWindow: () => windowManager.bringAppToFront(),
+        // Chat export/import run in the renderer, which owns the current conversation
+        handleChatExport: (format) => {
+          const mainWindow = getMainWindow();
+          if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('chat:export-request', format);
+          }
+        },
+        handleChatImport: () => {
+          const mainWindow = getMainWindow();
+          if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('chat:import-request');
+          }
+        },
         rebuild: () => buildAppMenu(),
       };
       createAppMenu(ctx);
@@ -418,21 +500,46 @@ function bootstrapApp() {
     } catch (error) {}
   }
 
+  // Every configured Gemini key (primary first); see services/apiKeyPool.js for health and order
   function resolveApiKeys() {
-    const out = [];
     try {
-      const prefs = loadPrefs();
-      const key = prefs?.GEMINI_API_KEY;
-      if (key && String(key).trim()) {
-        out.push(String(key).trim());
-      }
-    } catch {}
-    return out;
+      return getApiKeyPool().keys();
+    } catch {
+      return [];
+    }
+  }
+
+  // Gemini keys for one request: healthy keys round-robin, skipping cooled-down or invalid ones
+  function orderedApiKeys() {
+    try {
+      return getApiKeyPool().order().keys;
+    } catch {
+      return resolveApiKeys();
+    }
+  }
+
+  // Provider for a request: explicit payload.provider wins over the AI_PROVIDER preference
+  function resolveProvider(payload) {
+    const requested = String(payload?.provider || '');
+    const id = isKnownProvider(requested)
+      ? requested
+      : String(getPref('AI_PROVIDER') || DEFAULT_PROVIDER_ID);
+    return getProvider(id, { baseUrl: getPref('AI_PROVIDER_BASE_URL') || '' });
+  }
+
+  function resolveProviderKeys(provider) {
+    if (provider.kind === 'gemini') return resolveApiKeys();
+    const key = String(getPref('AI_PROVIDER_API_KEY') || '').trim();
+    if (key) return [key];
+    // Local servers (Ollama, llama.cpp) usually run without authentication
+    return provider.requiresKey ? [] : [''];
   }
 
-  let currentAIController = null;
-  let currentAIKind = null;
-  let currentAICancelFlag = null;
+  function missingKeyMessage(provider) {
+    return provider.kind === 'gemini'
+      ? 'API key is not set. Please set GEMINI_API_KEY.'
+      : `API key is not set. Please set the ${provider.label} API key in Settings.`;
+  }
 
   // Response cache with TTL (5 minutes) and LRU eviction
   class ResponseCache {
@@ -558,6 +665,11 @@ function bootstrapApp() {
     }
   }
 
+  function getShortcutOutputMode(action) {
+    const saved = getPref('SHORTCUT_OUTPUT_MODES') || {};
+    return isValidOutputMode(action, saved[action]) ? saved[action] : DEFAULT_OUTPUT_MODES[action];
+  }
+
   function registerGlobalShortcuts(silent = false) {
     // Load shortcut assignments from preferences
     const savedAssignments = getPref('SHORTCUT_ASSIGNMENTS') || {};
@@ -575,7 +687,8 @@ function bootstrapApp() {
               const mainWindow = getMainWindow();
               if (!mainWindow || mainWindow.isDestroyed()) return;
 
-              const text = await tryCopySelectedText();
+              const selected = await tryCopySelectedText();
+              const text = (await readOfficeSelection(selected)) || selected;
 
               if (!mainWindow || mainWindow.isDestroyed()) return;
 
@@ -695,11 +808,12 @@ function bootstrapApp() {
               const text = await tryCopySelectedText();
               if (!mainWindow || mainWindow.isDestroyed()) return;
 
-              // Bring window to front
-              bringMainWindowToFront(mainWindow);
+              // Replace mode pastes back into the frontmost app, so keep it focused
+              const output = getShortcutOutputMode('translate');
+              if (!text || output !== 'replace') bringMainWindowToFront(mainWindow);
 
               if (text) {
-                mainWindow.webContents.send('translate-clipboard', text);
+                mainWindow.webContents.send('translate-clipboard', text, { output });
               } else {
                 mainWindow.webContents.send('explain-clipboard-error', '');
               }
@@ -724,10 +838,11 @@ function bootstrapApp() {
               const text = await tryCopySelectedText();
               if (!mainWindow || mainWindow.isDestroyed()) return;
 
-              bringMainWindowToFront(mainWindow);
+              const output = getShortcutOutputMode('rephrase');
+              if (!text || output !== 'replace') bringMainWindowToFront(mainWindow);
 
               if (text) {
-                mainWindow.webContents.send('rephrase-clipboard', text);
+                mainWindow.webContents.send('rephrase-clipboard', text, { output });
               } else {
                 mainWindow.webContents.send('explain-clipboard-error', '');
               }
@@ -1171,6 +1286,60 @@ function bootstrapApp() {
       }
     }
 
+    // User-defined actions: selected text → prompt template → chat / popup / replace / clipboard
+    const customActionsRegistered = [];
+    for (const action of getCustomActionStore().list()) {
+      const accel = shortcuts[action.id];
+      if (!accel) continue;
+
+      try {
+        const ok = globalShortcut.register(accel, () => {
+          logShortcutEvent('shortcut.trigger', {
+            accel,
+            kind: 'custom_action',
+            action: action.id,
+          });
+          (async () => {
+            try {
+              const mainWindow = getMainWindow();
+              if (!mainWindow || mainWindow.isDestroyed()) return;
+
+              const text = await tryCopySelectedText();
+              if (!mainWindow || mainWindow.isDestroyed()) return;
+
+              if (!text) {
+                bringMainWindowToFront(mainWindow);
+                mainWindow.webContents.send('explain-clipboard-error', '');
+                return;
+              }
+
+              // Only the chat output needs the main window; the others keep focus where it is
+              if (action.output === 'chat') {
+                bringMainWindowToFront(mainWindow);
+              } else if (action.output === 'popup') {
+                showRephrasePopup(action.name);
+              }
+              mainWindow.webContents.send('custom-action-run', { ...action, text });
+            } catch (e) {}
+          })();
+        });
+        if (ok) {
+          customActionsRegistered.push(action.id);
+        } else {
+          logShortcutEvent('shortcut.register.customAction.failed', {
+            accel,
+            action: action.id,
+          });
+        }
+      } catch (e) {
+        logShortcutEvent('shortcut.register.customAction.exception', {
+          accel,
+          action: action.id,
+          error: e?.message || '',
+        });
+      }
+    }
+
     try {
       const mainWindow = getMainWindow();
       if (mainWindow && !mainWindow.isDestroyed() && !silent) {
@@ -1193,6 +1362,7 @@ function bootstrapApp() {
         voiceQueryUsed,
         voiceOnlyUsed,
         windowControlCount: windowControlRegistered.length,
+        customActionCount: customActionsRegistered.length,
       });
     } catch {}
 
@@ -1276,6 +1446,14 @@ function bootstrapApp() {
           shell.openExternal(url);
           return true;
         }
+        // Knowledge base citations: only files that are part of the local index
+        if (typeof url === 'string' && /^file:\/\//i.test(url)) {
+          const filePath = fileURLToPath(url);
+          if (getKnowledgeBase().hasFile(filePath)) {
+            shell.openPath(filePath);
+            return true;
+          }
+        }
       } catch {}
       return false;
     });
@@ -2082,6 +2260,298 @@ function bootstrapApp() {
     });
   }
 
+  function setupOfficeContentHandlers() {
+    // DOCX / XLSX / PPTX attachments: the renderer sends base64 data, text comes back
+    ipcMain.handle('office:extract-content', async (_e, payload = {}) => {
+      try {
+        const buffer = Buffer.from(String(payload?.data || ''), 'base64');
+        const result = await extractOfficeText(buffer, {
+          name: String(payload?.name || ''),
+          sheetFormat: payload?.sheetFormat,
+          maxTextLength: Number.isFinite(payload?.maxLength)
+            ? Number(payload.maxLength)
+            : undefined,
+        });
+        return { success: true, ...result };
+      } catch (error) {
+        return { success: false, error: error?.message || 'Failed to read the Office file' };
+      }
+    });
+  }
+
+  function setupChatThreadHandlers() {
+    ipcMain.handle('chat-thread:list', () => {
+      try {
+        return { success: true, threads: getChatThreadStore().list() };
+      } catch (err) {
+        return { success: false, error: err.message, threads: [] };
+      }
+    });
+
+    ipcMain.handle('chat-thread:get', (_e, id) => {
+      try {
+        const thread = getChatThreadStore().get(id);
+        if (!thread) return { success: false, error: 'Thread not found' };
+        return { success: true, thread };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('chat-thread:save', (_e, thread) => {
+      try {
+        return { success: true, thread: getChatThreadStore().save(thread || {}) };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('chat-thread:rename', (_e, { id, title } = {}) => {
+      try {
+        const thread = getChatThreadStore().rename(id, title);
+        if (!thread) return { success: false, error: 'Thread not found' };
+        return { success: true, thread };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('chat-thread:delete', (_e, id) => {
+      try {
+        getGeminiFileStore().forgetConversation(id);
+        getContextCacheRegistry().forgetConversation(id);
+        return { success: getChatThreadStore().delete(id) };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('chat-thread:search', (_e, query) => {
+      try {
+        return { success: true, threads: getChatThreadStore().search(query) };
+      } catch (err) {
+        return { success: false, error: err.message, threads: [] };
+      }
+    });
+
+    ipcMain.handle('chat-thread:import', async () => {
+      try {
+        const win = BrowserWindow.getFocusedWindow() || getMainWindow();
+        const result = await dialog.showOpenDialog(win, {
+          filters: [{ name: 'JSON', extensions: ['json'] }],
+          properties: ['openFile'],
+        });
+        if (result.canceled || !result.filePaths?.length) {
+          return { success: false, canceled: true };
+        }
+        let data;
+        try {
+          data = JSON.parse(fs.readFileSync(result.filePaths[0], 'utf8'));
+        } catch {
+          return { success: false, error: 'INVALID_FORMAT' };
+        }
+        return { success: true, thread: getChatThreadStore().importThread(data) };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    // Renderer builds the file content (Markdown/HTML/JSON); main only asks where to save it
+    ipcMain.handle('chat:export-save', async (_e, { content, fileName, extension, filterName }) => {
+      try {
+        const ext = String(extension || '').replace(/[^a-z0-9]/gi, '') || 'txt';
+        const win = BrowserWindow.getFocusedWindow() || getMainWindow();
+        const result = await dialog.showSaveDialog(win, {
+          defaultPath: path.join(app.getPath('documents'), path.basename(String(fileName || ''))),
+          filters: [{ name: String(filterName || ext.toUpperCase()), extensions: [ext] }],
+        });
+        if (result.canceled || !result.filePath) return { success: false, canceled: true };
+        fs.writeFileSync(result.filePath, String(content || ''), 'utf8');
+        return { success: true, filePath: result.filePath };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+  }
+
+  function setupKnowledgeBaseHandlers() {
+    // Progress goes back to the window that started the indexing (Settings)
+    const progressTo = (sender) => (progress) => {
+      try {
+        if (!sender.isDestroyed()) sender.send('kb:index-progress', progress);
+      } catch {}
+    };
+
+    ipcMain.handle('kb:list-folders', () => {
+      try {
+        const kb = getKnowledgeBase();
+        return { success: true, folders: kb.listFolders(), indexing: kb.isIndexing() };
+      } catch (err) {
+        return { success: false, error: err.message, folders: [] };
+      }
+    });
+
+    ipcMain.handle('kb:add-folder', async (e) => {
+      try {
+        const win = BrowserWindow.fromWebContents(e.sender) || getMainWindow();
+        const result = await dialog.showOpenDialog(win, {
+          properties: ['openDirectory'],
+        });
+        if (result.canceled || !result.filePaths?.length) {
+          return { success: false, canceled: true };
+        }
+        const folders = await getKnowledgeBase().addFolder(
+          result.filePaths[0],
+          progressTo(e.sender)
+        );
+        return { success: true, folders };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('kb:remove-folder', async (_e, folderPath) => {
+      try {
+        return { success: true, folders: await getKnowledgeBase().removeFolder(folderPath) };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('kb:reindex', async (e) => {
+      try {
+        return { success: true, folders: await getKnowledgeBase().reindex(progressTo(e.sender)) };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('kb:search', (_e, { query, limit } = {}) => {
+      try {
+        const kb = getKnowledgeBase();
+        return {
+          success: true,
+          folderCount: kb.listFolders().length,
+          results: kb.search(String(query || ''), { limit: Math.min(Number(limit) || 6, 20) }),
+        };
+      } catch (err) {
+        return { success: false, error: err.message, results: [] };
+      }
+    });
+  }
+
+  function setupMcpHandlers() {
+    const mcp = getMcpManager();
+
+    ipcMain.handle('mcp:list-servers', () => {
+      try {
+        return { success: true, servers: mcp.status() };
+      } catch (err) {
+        return { success: false, error: err.message, servers: [] };
+      }
+    });
+
+    // config: { name, commandLine, env } where env is KEY=VALUE lines
+    ipcMain.handle('mcp:add-server', async (_e, config) => {
+      try {
+        const [command, ...args] = splitCommandLine(config?.commandLine);
+        const { id } = mcp.addServer({
+          name: config?.name,
+          command,
+          args,
+          env: parseEnvLines(config?.env),
+        });
+        // Connect right away so Settings can show the tools (or the startup error)
+        await mcp.ensure(id).catch(() => {});
+        return { success: true, servers: mcp.status() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('mcp:remove-server', (_e, id) => {
+      try {
+        mcp.removeServer(String(id || ''));
+        return { success: true, servers: mcp.status() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('mcp:refresh-server', async (_e, id) => {
+      try {
+        await mcp.restart(String(id || '')).catch(() => {});
+        return { success: true, servers: mcp.status() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('mcp:set-enabled', (_e, { id, enabled } = {}) => {
+      try {
+        mcp.setEnabled(String(id || ''), enabled);
+        return { success: true, servers: mcp.status() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('mcp:set-tool-approval', (_e, { id, tool, approval } = {}) => {
+      try {
+        mcp.setToolApproval(String(id || ''), tool, approval);
+        return { success: true, servers: mcp.status() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+  }
+
+  function setupShortcutResultHandlers() {
+    // Result of a selection shortcut generated in the background by the main window renderer
+    // (custom actions, and translate / rephrase in replace mode)
+    ipcMain.handle('shortcut:deliver-result', async (_e, payload) => {
+      try {
+        const output = String(payload?.output || '');
+        const text = String(payload?.text || '');
+        const error = payload?.error ? String(payload.error) : '';
+
+        if (output === 'popup') {
+          if (error) showRephraseError(error);
+          else showRephraseResult(text);
+          return { success: true };
+        }
+        if (error || !text) return { success: true };
+        if (output === 'clipboard') {
+          clipboard.writeText(text);
+          return { success: true };
+        }
+        if (output === 'replace') {
+          const result = await replaceSelectionWithText(text);
+          return result.status === 'ok'
+            ? { success: true }
+            : { success: false, error: result.code || 'paste_failed' };
+        }
+        return { success: true };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    // Floating result popup (rephrase_popup.html)
+    ipcMain.handle('rephrase:copy', (_e, text) => {
+      try {
+        clipboard.writeText(String(text || ''));
+        return true;
+      } catch {
+        return false;
+      }
+    });
+    ipcMain.handle('rephrase:close', () => {
+      closeRephrasePopup();
+      return true;
+    });
+  }
+
   function setupTerminalHandlers() {
     ipcMain.handle('terminal:create', (event, { id, cols, rows, cwd }) => {
       try {
@@ -2561,8 +3031,8 @@ function bootstrapApp() {
           throw new Error('Invalid parameter types. Expected strings.');
         }
 
-        // Validate action is a known shortcut
-        if (!isValidAction(action)) {
+        // Validate action is a known shortcut (built-in or an existing custom action)
+        if (!isValidAction(action, getCustomActionStore().ids())) {
           throw new Error(`Unknown shortcut action: ${action}`);
         }
 
@@ -2605,6 +3075,32 @@ function bootstrapApp() {
       }
     });
 
+    // Output mode (chat / replace selection) for the translate and rephrase shortcuts
+    ipcMain.handle('settings:get-shortcut-output-modes', () => {
+      try {
+        const modes = {};
+        for (const action of Object.keys(DEFAULT_OUTPUT_MODES)) {
+          modes[action] = getShortcutOutputMode(action);
+        }
+        return { success: true, modes };
+      } catch (err) {
+        return { success: false, error: err.message, modes: { ...DEFAULT_OUTPUT_MODES } };
+      }
+    });
+
+    ipcMain.handle('settings:set-shortcut-output-mode', (_e, action, mode) => {
+      try {
+        if (!isValidOutputMode(action, mode)) {
+          throw new Error(`Invalid output mode for ${action}: ${mode}`);
+        }
+        const saved = getPref('SHORTCUT_OUTPUT_MODES') || {};
+        setPref('SHORTCUT_OUTPUT_MODES', { ...saved, [action]: mode });
+        return { success: true };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
     // Reset all shortcuts to defaults
     ipcMain.handle('settings:reset-shortcut-assignments', () => {
       try {
@@ -2646,18 +3142,58 @@ function bootstrapApp() {
         }
 
         setPref('GEMINI_API_KEY', trimmedKey);
+        // Saving the key again gives it a fresh start (e.g. after fixing billing)
+        getApiKeyPool().resetHealth(PRIMARY_ID);
         return { success: true };
       } catch (err) {
         return { success: false, error: err.message };
       }
     });
 
-    // Custom Instructions handlers (ChatGPT-style personalization)
-    ipcMain.handle('settings:get-custom-instructions', () => {
+    // Gemini API key pool (extra keys, health and cooldowns; see services/apiKeyPool.js)
+    ipcMain.handle('settings:get-api-key-pool', () => {
       try {
-        const userInfo = getPref('CUSTOM_USER_INFO') || '';
-        const aiInstructions = getPref('CUSTOM_AI_INSTRUCTIONS') || '';
-        return { success: true, userInfo, aiInstructions };
+        return { success: true, keys: getApiKeyPool().status() };
+      } catch (err) {
+        return { success: false, error: err.message, keys: [] };
+      }
+    });
+
+    ipcMain.handle('settings:add-pool-api-key', (_e, { label, apiKey } = {}) => {
+      try {
+        getApiKeyPool().addKey({ label, key: apiKey });
+        return { success: true, keys: getApiKeyPool().status() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('settings:remove-pool-api-key', (_e, id) => {
+      try {
+        if (!getApiKeyPool().removeKey(String(id || ''))) {
+          return { success: false, error: 'Unknown API key' };
+        }
+        return { success: true, keys: getApiKeyPool().status() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('settings:reset-api-key-health', (_e, id) => {
+      try {
+        getApiKeyPool().resetHealth(id ? String(id) : undefined);
+        return { success: true, keys: getApiKeyPool().status() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    // Custom Instructions handlers (ChatGPT-style personalization)
+    ipcMain.handle('settings:get-custom-instructions', () => {
+      try {
+        const userInfo = getPref('CUSTOM_USER_INFO') || '';
+        const aiInstructions = getPref('CUSTOM_AI_INSTRUCTIONS') || '';
+        return { success: true, userInfo, aiInstructions };
       } catch (err) {
         return { success: false, error: err.message, userInfo: '', aiInstructions: '' };
       }
@@ -2677,54 +3213,375 @@ function bootstrapApp() {
         return { success: false, error: err.message };
       }
     });
+
+    // Prompt templates for shortcut actions (user overrides of the built-in prompts)
+    ipcMain.handle('settings:get-prompt-templates', () => {
+      try {
+        return {
+          success: true,
+          actions: PROMPT_TEMPLATE_ACTIONS,
+          variables: PROMPT_TEMPLATE_VARIABLES,
+          builtins: BUILTIN_PROMPT_TEMPLATES,
+          templates: getPromptTemplateStore().getOverrides(),
+        };
+      } catch (err) {
+        return { success: false, error: err.message, templates: {} };
+      }
+    });
+
+    ipcMain.handle('settings:set-prompt-template', (_e, action, template) => {
+      try {
+        const templates = getPromptTemplateStore().setTemplate(action, template);
+        return { success: true, templates };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('settings:reset-prompt-templates', (_e, action) => {
+      try {
+        const templates = getPromptTemplateStore().reset(action);
+        return { success: true, templates };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    // Model routing: per-task primary and fallback Gemini models
+    ipcMain.handle('settings:get-model-routes', () => {
+      try {
+        const router = getModelRouter();
+        return {
+          success: true,
+          defaults: router.getDefaults(),
+          routes: router.getRoutes(),
+        };
+      } catch (err) {
+        return { success: false, error: err.message, routes: {} };
+      }
+    });
+
+    ipcMain.handle('settings:save-model-routes', (_e, routes) => {
+      try {
+        return { success: true, routes: getModelRouter().saveRoutes(routes) };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    // User-defined shortcut actions (accelerators are saved via settings:save-shortcut-assignment)
+    ipcMain.handle('settings:get-custom-actions', () => {
+      try {
+        return {
+          success: true,
+          outputs: CUSTOM_ACTION_OUTPUTS,
+          actions: getCustomActionStore().list(),
+        };
+      } catch (err) {
+        return { success: false, error: err.message, actions: [] };
+      }
+    });
+
+    ipcMain.handle('settings:save-custom-action', (_e, action) => {
+      try {
+        const store = getCustomActionStore();
+        const saved = store.save(action);
+        // Re-register so an edited output/template applies to the existing accelerator
+        try {
+          globalShortcut.unregisterAll();
+          registerGlobalShortcuts(true);
+        } catch (regErr) {}
+        return { success: true, action: saved, actions: store.list() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('settings:get-json-schemas', () => {
+      try {
+        return { success: true, schemas: getJsonSchemaStore().list() };
+      } catch (err) {
+        return { success: false, error: err.message, schemas: [] };
+      }
+    });
+
+    ipcMain.handle('settings:save-json-schema', (_e, entry) => {
+      try {
+        const store = getJsonSchemaStore();
+        const saved = store.save(entry);
+        return { success: true, schema: saved, schemas: store.list() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('settings:delete-json-schema', (_e, name) => {
+      try {
+        const store = getJsonSchemaStore();
+        store.delete(name);
+        return { success: true, schemas: store.list() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('settings:delete-custom-action', (_e, id) => {
+      try {
+        const store = getCustomActionStore();
+        store.delete(id);
+        try {
+          globalShortcut.unregisterAll();
+          registerGlobalShortcuts(true);
+        } catch (regErr) {}
+        return { success: true, actions: store.list() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    // AI provider handlers (Gemini / OpenAI-compatible / local model servers)
+    ipcMain.handle('settings:get-ai-provider', () => {
+      try {
+        return {
+          success: true,
+          providers: listProviders(),
+          provider: String(getPref('AI_PROVIDER') || DEFAULT_PROVIDER_ID),
+          baseUrl: getPref('AI_PROVIDER_BASE_URL') || '',
+          model: getPref('AI_PROVIDER_MODEL') || '',
+          hasApiKey: !!getPref('AI_PROVIDER_API_KEY'),
+        };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('settings:set-ai-provider', (_e, config) => {
+      try {
+        const { provider, baseUrl, model, apiKey } = config || {};
+        if (!isKnownProvider(provider)) {
+          return { success: false, error: 'Unknown provider' };
+        }
+        const url = typeof baseUrl === 'string' ? baseUrl.trim() : '';
+        if (url && !/^https?:\/\//i.test(url)) {
+          return { success: false, error: 'Base URL must start with http:// or https://' };
+        }
+        setPref('AI_PROVIDER', provider === DEFAULT_PROVIDER_ID ? '' : provider);
+        setPref('AI_PROVIDER_BASE_URL', url);
+        setPref('AI_PROVIDER_MODEL', typeof model === 'string' ? model.trim() : '');
+        // undefined keeps the saved key; an empty string removes it
+        if (typeof apiKey === 'string') {
+          setPref('AI_PROVIDER_API_KEY', apiKey.trim());
+        }
+        return { success: true };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    // Token usage ledger (see services/usageLedger.js)
+    ipcMain.handle('usage:get-summary', () => {
+      try {
+        return {
+          success: true,
+          summary: getUsageLedger().getMonthSummary(),
+          budgetTokens: Number(getPref('USAGE_MONTHLY_BUDGET_TOKENS')) || 0,
+        };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('usage:set-budget', (_e, budgetTokens) => {
+      try {
+        const budget = Math.floor(Number(budgetTokens));
+        if (!Number.isFinite(budget) || budget < 0) {
+          return { success: false, error: 'Budget must be a non-negative number' };
+        }
+        // 0 disables the warning
+        setPref('USAGE_MONTHLY_BUDGET_TOKENS', budget > 0 ? budget : '');
+        return { success: true };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    ipcMain.handle('usage:clear', () => {
+      try {
+        getUsageLedger().clear();
+        return { success: true };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
   }
 
   function setupAiHandlers() {
+    // Every ai:* call runs through the request registry: ids, per-request cancel, concurrency limit
+    const aiRequests = getAIRequestRegistry();
+    aiRequests.setMaxConcurrent(getPref('AI_MAX_CONCURRENT_REQUESTS') || DEFAULT_MAX_CONCURRENT);
+    aiRequests.onChange((requests) => {
+      for (const win of BrowserWindow.getAllWindows()) {
+        try {
+          if (!win.isDestroyed()) win.webContents.send('ai:requests-changed', requests);
+        } catch {}
+      }
+    });
+
+    // { requestId } cancels one request, { kind } (or legacy { fromShortcut }) all of a kind;
+    // no argument is the chat stop button: everything except terminal command generation
     ipcMain.handle('cancel-ai', (_e, payload = {}) => {
-      const { fromShortcut } = payload || {};
+      const { requestId, kind, fromShortcut } = payload || {};
       try {
-        if (currentAIController) {
-          if (fromShortcut && currentAIKind === 'shortcut') {
-            if (currentAICancelFlag) currentAICancelFlag.user = true;
-            currentAIController.abort();
-            return true;
-          }
-          if (!fromShortcut) {
-            currentAIController.abort();
-            return true;
-          }
+        if (requestId) return aiRequests.cancel(String(requestId));
+        if (kind || fromShortcut) {
+          return aiRequests.cancelKind(fromShortcut ? 'shortcut' : String(kind)) > 0;
         }
+        return aiRequests.cancelWhere((r) => r.kind !== 'terminal') > 0;
       } catch {}
       return false;
     });
 
+    ipcMain.handle('ai:list-requests', () => aiRequests.list());
+
+    ipcMain.handle('settings:get-ai-concurrency', () => ({
+      success: true,
+      value: aiRequests.maxConcurrent,
+      max: MAX_CONCURRENT_LIMIT,
+    }));
+
+    ipcMain.handle('settings:set-ai-concurrency', (_e, value) => {
+      try {
+        const applied = aiRequests.setMaxConcurrent(value);
+        setPref('AI_MAX_CONCURRENT_REQUESTS', applied === DEFAULT_MAX_CONCURRENT ? '' : applied);
+        return { success: true, value: applied };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    });
+
+    // Record token usage for a finished call and warn once when the monthly budget is reached
+    function recordUsage(model, feature, usage) {
+      try {
+        const ledger = getUsageLedger();
+        ledger.record({ model, feature, usage });
+        const budgetTokens = Number(getPref('USAGE_MONTHLY_BUDGET_TOKENS')) || 0;
+        if (ledger.checkBudget(budgetTokens)) {
+          const mainWindow = getMainWindow();
+          if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('usage:budget-exceeded', {
+              totalTokens: ledger.getMonthSummary().total.totalTokens,
+              budgetTokens,
+            });
+          }
+        }
+      } catch {}
+    }
+
     // Common AI generation handler for both text and image
-    async function handleAIGeneration(payload, imageData = null) {
+    // Pass { onChunk } to stream text deltas (text-only requests)
+    /**
+     * @param {Object} payload - Renderer request (prompt, history, source, task, ...)
+     * @param {Array} [attachmentList] - Ordered attachments ({ data, mimeType, name },
+     *   { text, name } or a recording's { path, mimeType, name }); validated by
+     *   normalizeAttachments
+     */
+    async function handleAIGeneration(
+      payload,
+      attachmentList = [],
+      { onChunk, onUploadProgress } = {}
+    ) {
       try {
-        const keys = resolveApiKeys();
+        const provider = resolveProvider(payload);
+        const keys = resolveProviderKeys(provider);
         if (!keys.length) {
-          return 'API key is not set. Please set GEMINI_API_KEY.';
+          return missingKeyMessage(provider);
         }
         const prompt = String(payload?.prompt ?? '');
-        const hasImage = imageData && imageData.imageBase64;
-        if (!prompt || (hasImage && !imageData.imageBase64)) return '';
+        if (!prompt) return '';
+        // Per-file and total size limits surface as a readable error
+        const attachments = normalizeAttachments(attachmentList);
+        const hasAttachments = attachments.length > 0;
+        const hasAudio = attachments.some((a) => String(a.mimeType || '').startsWith('audio/'));
 
         const source = String(payload?.source || 'chat');
         const isShortcut = source === 'shortcut' || payload?.fromShortcut === true;
-        const requestedModel = String(
-          payload?.model || getPref('GEMINI_MODEL') || 'gemini-flash-lite-latest'
-        );
-        const useGoogleSearch = payload?.useWebSearch === true;
-
+        // Usage ledger bucket; callers may refine it (e.g. 'rephrase' is a shortcut request)
+        const feature = String(payload?.feature || (isShortcut ? 'shortcut' : source));
+        const isGemini = provider.kind === 'gemini';
+        // Routing table row (Settings → Model Routing); unknown tasks route like chat
+        const task = String(payload?.task || source);
+        // Compare mode asks for one exact model: no fallback model and no cached answer
+        const strictModel = payload?.strictModel === true && !!payload?.model;
+        let modelsToTry;
+        if (!isGemini) {
+          // payload.model is a Gemini model name unless the caller picked the provider explicitly
+          // (or pinned the model with strictModel)
+          modelsToTry = [
+            String(
+              ((payload?.provider || strictModel) && payload?.model) ||
+                getPref('AI_PROVIDER_MODEL') ||
+                provider.defaultModel
+            ),
+          ];
+        } else if (strictModel) {
+          modelsToTry = [String(payload.model)];
+        } else {
+          // Primary then fallbacks for this task (Settings → Model Routing)
+          modelsToTry = getModelRouter().resolve(task, { model: payload?.model });
+        }
+        const requestedModel = modelsToTry[0];
+        // /think in chat overrides the task's thinking level from the routing table
+        const thinking = !isGemini
+          ? ''
+          : THINKING_LEVELS.includes(payload?.thinking)
+            ? payload.thinking
+            : getModelRouter().thinkingFor(task);
+        const useGoogleSearch = provider.supportsWebSearch && payload?.useWebSearch === true;
+        // Earlier turns travel as structured contents; trim by estimated tokens, newest first
+        const history = fitHistoryToTokenBudget(payload?.history);
+        const systemInstruction = String(payload?.systemInstruction || '').trim();
+        // Files uploaded for large attachments are remembered per conversation (saved thread id)
+        const conversationId = String(payload?.conversationId || '');
         // Check cache for non-shortcut requests
-        if (!isShortcut) {
-          const imageHash = hasImage ? imageData.imageBase64.substring(0, 32) : 'no-image';
-          const cacheKey = `${prompt}-${requestedModel}-${useGoogleSearch}-${imageHash}`;
+        let attachmentsHash = 'no-attachments';
+        if (hasAttachments) {
+          const hash = crypto.createHash('sha1');
+          for (const a of attachments) {
+            // Recordings on disk are identified by path, size and modification time
+            const content = a.filePath ? `${a.filePath}:${a.size}:${a.modifiedAt}` : a.base64;
+            hash.update(`${a.name}\0${a.text ?? content}\0`);
+          }
+          attachmentsHash = hash.digest('hex');
+        }
+        // The same prompt with another response schema is a different request
+        const responseSchema = payload?.generationConfig?.responseSchema || null;
+        const contextHash =
+          history.length || systemInstruction || responseSchema
+            ? crypto
+                .createHash('sha1')
+                .update(JSON.stringify([systemInstruction, history, responseSchema]))
+                .digest('hex')
+            : 'no-context';
+        // Another temperature or length limit (/config) may give another answer
+        const configKey = `${payload?.generationConfig?.temperature ?? ''}:${payload?.generationConfig?.maxOutputTokens ?? ''}`;
+        const cacheKey = `${provider.id}-${prompt}-${requestedModel}-${thinking}-${useGoogleSearch}-${attachmentsHash}-${contextHash}-${configKey}`;
+        const useCache = !isShortcut && !strictModel;
+        // Regenerated answers skip the lookup (the new answer still replaces the cached one)
+        if (useCache && payload?.fresh !== true) {
           const cached = responseCache.get(cacheKey);
           if (cached) {
             return cached;
           }
         }
+        // Large documents stay in a Gemini context cache for the rest of the thread, so
+        // follow-up questions reference them instead of sending them again. Cached requests
+        // cannot carry the search tool.
+        const contextCache = getContextCacheRegistry();
+        const documents = isGemini ? contextCache.setDocuments(conversationId, attachments) : [];
+        const isCachedDocument = attachments.map((a) => documents.includes(a));
+        const useContextCache =
+          isGemini && !useGoogleSearch && contextCache.hasDocument(conversationId);
+
         let generationConfig = payload?.generationConfig || {
           temperature: 0.7,
           topK: 40,
@@ -2740,79 +3597,168 @@ function bootstrapApp() {
             topP: Math.min(0.95, Number(generationConfig.topP || 0.95)),
           };
         }
-        const searchPreferred = getPref('WEB_SEARCH_MODEL') || 'gemini-flash-latest';
-        const modelsToTry =
-          requestedModel === searchPreferred ? [requestedModel] : [requestedModel, searchPreferred];
-
         const isInvalid = (msg) => /API_KEY_INVALID|API key not valid/i.test(String(msg || ''));
-        const errorLog = [];
+        const streaming = typeof onChunk === 'function' && !hasAttachments;
+        // A partially streamed answer cannot move on to another key without duplicating text
+        let streamed = false;
+
+        // Gemini keys come from the pool: healthy keys round-robin, cooled-down ones skipped
+        const pool = isGemini ? getApiKeyPool() : null;
+        let keysToTry = keys;
+        if (pool) {
+          const { keys: ready, retryInMs } = pool.order();
+          if (!ready.length) {
+            return retryInMs !== null
+              ? `API error occurred: All Gemini API keys are cooling down after rate limits. Try again in ${Math.ceil(retryInMs / 1000)}s.`
+              : 'API error occurred: No valid Gemini API key found. Please set a valid key (e.g., GEMINI_API_KEY).';
+          }
+          keysToTry = ready;
+        }
 
-        const tryOne = async (key) => {
-          let client = null;
+        // Gemini: large inline parts become Files API references for this key
+        const prepareMedia = async (key, request, refresh = false) => {
+          if (!isGemini) return { attachments, history, usesFiles: false };
           try {
-            client = await getGenAIClientForKey(key);
-          } catch (e) {}
+            return await getGeminiFileStore().prepare(
+              key,
+              { conversationId, attachments, history },
+              { refresh, onProgress: onUploadProgress, signal: request.signal }
+            );
+          } catch (e) {
+            if (request.cancelled) throw new Error('CANCELLED');
+            throw e;
+          }
+        };
 
+        // The thread's documents as uploaded files for this key. The registry only knows their
+        // hashes: the bytes come from this message's attachments, or the documents were uploaded
+        // for this key in an earlier turn.
+        const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+        const documentParts = (key, request) => async (docs) => {
+          const fileStore = getGeminiFileStore();
+          const parts = [];
+          for (const doc of docs) {
+            const attachment = attachments.find((a) => a.base64 && sha256(a.base64) === doc.hash);
+            const file = attachment
+              ? await fileStore.ensure(
+                  key,
+                  conversationId,
+                  { data: attachment.base64, mimeType: doc.mimeType, displayName: doc.name },
+                  { onProgress: onUploadProgress, signal: request.signal }
+                )
+              : fileStore.find(key, conversationId, doc.hash);
+            if (!file) throw new Error(`${doc.name} is no longer uploaded for this key`);
+            parts.push({ fileData: { fileUri: file.uri, mimeType: file.mimeType } });
+          }
+          return parts;
+        };
+
+        // Earlier turns still carry the cached documents (inline or uploaded); send them once
+        const withoutCachedDocuments = (turns, key, cache) => {
+          const hashes = new Set(cache.hashes);
+          const uris = new Set(
+            cache.hashes
+              .map((hash) => getGeminiFileStore().find(key, conversationId, hash)?.uri)
+              .filter(Boolean)
+          );
+          const isCached = (part) =>
+            part.inlineData
+              ? hashes.has(sha256(part.inlineData.data))
+              : !!part.fileData && uris.has(part.fileData.fileUri);
+          return turns
+            .map((turn) => ({ ...turn, parts: turn.parts.filter((part) => !isCached(part)) }))
+            .filter((turn) => turn.parts.length);
+        };
+
+        const tryOne = async (key, request) => {
+          if (request.cancelled) throw new Error('CANCELLED');
+          const errorLog = [];
+          // Uploads run before the attempt's timeout starts
+          let media = await prepareMedia(key, request);
+          let filesRefreshed = false;
+          let cacheFailed = false;
+          // Per-attempt controller: aborted by its own timeout or by cancelling the request
           const controller = new AbortController();
-          const cancelFlag = { user: false };
-          const timeoutMs = useGoogleSearch ? 60000 : hasImage ? 45000 : 30000;
-          const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-          currentAIController = controller;
-          currentAIKind = isShortcut ? 'shortcut' : 'chat';
-          currentAICancelFlag = cancelFlag;
+          const abortAttempt = () => controller.abort();
+          request.signal.addEventListener('abort', abortAttempt);
+          // Transcribing a long recording takes minutes
+          const timeoutMs = hasAudio
+            ? 300000
+            : useGoogleSearch
+              ? 60000
+              : hasAttachments
+                ? 45000
+                : 30000;
+          let timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+          const emitChunk = (delta) => {
+            streamed = true;
+            // Streams can outlive the request timeout; treat it as an idle timeout instead
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+            onChunk(delta);
+          };
 
           try {
-            for (const modelName of modelsToTry) {
-              const bare = modelCandidates(modelName)[0].replace(/^models\//, '');
-
-              // Try SDK first (for all requests including shortcuts)
-              if (client) {
-                try {
-                  const r1 = hasImage
-                    ? await sdkGenerateImage(
-                        client,
-                        modelName,
-                        prompt,
-                        imageData.imageBase64,
-                        imageData.mimeType,
-                        generationConfig,
-                        { useGoogleSearch }
-                      )
-                    : await sdkGenerateText(client, modelName, prompt, generationConfig, {
-                        useGoogleSearch,
-                      });
-                  if (r1) {
-                    clearTimeout(timeoutId);
-                    return r1;
-                  }
-                } catch (e) {
-                  errorLog.push({
-                    model: modelName,
-                    method: 'SDK',
-                    error: e?.message || 'Unknown',
+            for (let i = 0; i < modelsToTry.length; i++) {
+              const modelName = modelsToTry[i];
+              const startedAt = Date.now();
+              let cache = null;
+              try {
+                if (useContextCache && !cacheFailed) {
+                  cache = await contextCache.acquire(key, modelName.replace(/^models\//, ''), {
+                    conversationId,
+                    systemInstruction,
+                    toParts: documentParts(key, request),
+                    signal: controller.signal,
                   });
                 }
-              }
-
-              // Try REST as fallback only (if SDK failed or unavailable)
-              try {
-                const r2 = hasImage
-                  ? await restGenerateImage(
-                      key,
-                      bare,
-                      prompt,
-                      imageData.imageBase64,
-                      imageData.mimeType,
-                      generationConfig,
-                      { useGoogleSearch, signal: controller.signal }
-                    )
-                  : await restGenerateText(key, bare, prompt, generationConfig, {
-                      useGoogleSearch,
-                      signal: controller.signal,
-                    });
-                if (r2) {
+                const result = await provider.generate({
+                  apiKey: key,
+                  model: modelName,
+                  prompt,
+                  history: cache
+                    ? withoutCachedDocuments(media.history, key, cache)
+                    : media.history,
+                  // The cache holds the system instruction and the document
+                  systemInstruction: cache ? '' : systemInstruction,
+                  attachments: cache
+                    ? media.attachments.filter((_, index) => !isCachedDocument[index])
+                    : media.attachments,
+                  cachedContent: cache ? cache.name : undefined,
+                  generationConfig: withThinkingConfig(generationConfig, thinking, modelName),
+                  useGoogleSearch,
+                  signal: controller.signal,
+                  onChunk: streaming ? emitChunk : undefined,
+                  onError: (method, e) =>
+                    errorLog.push({
+                      model: modelName,
+                      method,
+                      error: e?.message || 'Unknown',
+                      cause: e,
+                    }),
+                });
+                if (result) {
                   clearTimeout(timeoutId);
-                  return r2;
+                  recordUsage(modelName, feature, result.usage);
+                  // Uploaded attachments, so later turns can refer to them in the history
+                  const files = media.attachments
+                    .filter((a) => a.fileUri)
+                    .map(({ name, fileUri, mimeType }) => ({ name, fileUri, mimeType }));
+                  return {
+                    ...result,
+                    model: modelName,
+                    latencyMs: Date.now() - startedAt,
+                    ...(files.length ? { files } : {}),
+                    ...(cache
+                      ? {
+                          cached: {
+                            documents: cache.documents,
+                            tokens: cache.tokens,
+                            expiresAt: cache.expiresAt,
+                          },
+                        }
+                      : {}),
+                  };
                 }
               } catch (e) {
                 const m = e?.message || '';
@@ -2820,12 +3766,29 @@ function bootstrapApp() {
                   clearTimeout(timeoutId);
                   throw new Error('API_KEY_INVALID');
                 }
-                if (e.name === 'AbortError') {
+                if (e.name === 'AbortError' || controller.signal.aborted) {
                   clearTimeout(timeoutId);
-                  if (cancelFlag.user) throw new Error('CANCELLED');
+                  if (request.cancelled) throw new Error('CANCELLED');
                   throw new Error('Request timed out');
                 }
-                errorLog.push({ model: modelName, method: 'REST', error: m });
+                if (streamed) throw e;
+                // The cache was rejected (e.g. deleted early): forget it and retry without one
+                if (cache && !cacheFailed) {
+                  cacheFailed = true;
+                  contextCache.drop(conversationId, cache.name);
+                  i--;
+                  continue;
+                }
+                // An uploaded file expired or was deleted: upload again once and retry this model
+                if (media.usesFiles && !filesRefreshed && isMissingFileError(e)) {
+                  filesRefreshed = true;
+                  clearTimeout(timeoutId);
+                  media = await prepareMedia(key, request, true);
+                  timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+                  i--;
+                  continue;
+                }
+                errorLog.push({ model: modelName, method: provider.label, error: m, cause: e });
               }
             }
 
@@ -2837,6 +3800,8 @@ function bootstrapApp() {
                 .length,
               modelNotFound: errorLog.filter((e) => /model.*not found|404/i.test(e.error)).length,
               permission: errorLog.filter((e) => /permission|403|forbidden/i.test(e.error)).length,
+              unreachable: errorLog.filter((e) => /fetch failed|ECONNREFUSED/i.test(e.error))
+                .length,
             };
             const models = [...new Set(errorLog.map((e) => e.model))].join(', ');
             let suggestion = 'Please check your API key and model settings.';
@@ -2846,80 +3811,283 @@ function bootstrapApp() {
             } else if (errorTypes.rateLimit > 0) {
               suggestion = 'API rate limit exceeded. Please wait a moment and try again.';
             } else if (errorTypes.modelNotFound > 0) {
-              suggestion = `Model(s) not found: ${models}. Check your GEMINI_MODEL setting.`;
+              suggestion = isGemini
+                ? `Model(s) not found: ${models}. Check GEMINI_MODEL and Settings → Model Routing.`
+                : `Model(s) not found: ${models}. Check the ${provider.label} model setting.`;
             } else if (errorTypes.permission > 0) {
               suggestion = 'Permission denied. Verify your API key has access to the model.';
+            } else if (errorTypes.unreachable > 0) {
+              suggestion = `Could not reach ${provider.label} at ${provider.baseUrl || 'the configured URL'}. Is the server running?`;
             }
-            throw new Error(`All model attempts failed. Tried: ${models}. ${suggestion}`);
+            const err = new Error(`All model attempts failed. Tried: ${models}. ${suggestion}`);
+            // Key health is judged by the most key-specific failure (rate limit, then permission)
+            const byType = (type) =>
+              errorLog.find((x) => classifyKeyError(x.cause || x.error).type === type);
+            const keyFailure = byType('rate_limit') || byType('forbidden') || errorLog.at(-1);
+            err.keyError = keyFailure ? keyFailure.cause || keyFailure.error : null;
+            throw err;
           } catch (e) {
             clearTimeout(timeoutId);
             throw e;
           } finally {
-            try {
-              if (currentAIController === controller) {
-                currentAIController = null;
-                currentAIKind = null;
-                currentAICancelFlag = null;
-              }
-            } catch {}
+            request.signal.removeEventListener('abort', abortAttempt);
           }
         };
 
-        // Try keys in parallel (max 2 at a time for efficiency)
-        const maxParallel = Math.min(2, keys.length);
-        for (let i = 0; i < keys.length; i += maxParallel) {
-          const batch = keys.slice(i, i + maxParallel);
-          const promises = batch.map((key) =>
-            tryOne(key)
-              .then((result) => ({ status: 'fulfilled', value: result }))
-              .catch((error) => ({ status: 'rejected', reason: error }))
-          );
-
-          const results = await Promise.all(promises);
-
-          for (const result of results) {
-            if (result.status === 'fulfilled' && result.value) {
-              // Cache successful non-shortcut responses
-              if (!isShortcut) {
-                const imageHash = hasImage ? imageData.imageBase64.substring(0, 32) : 'no-image';
-                const cacheKey = `${prompt}-${requestedModel}-${useGoogleSearch}-${imageHash}`;
-                responseCache.set(cacheKey, result.value);
+        // One key at a time; only key-specific failures (invalid, rate-limited, forbidden)
+        // move on to the next key. Timeouts or an unreachable server fail the same with any key.
+        const runKeys = async (request) => {
+          let lastError = null;
+          for (const key of keysToTry) {
+            try {
+              const result = await tryOne(key, request);
+              if (result) {
+                if (pool) pool.reportSuccess(key);
+                // Cache successful non-shortcut responses
+                if (useCache) {
+                  responseCache.set(cacheKey, result);
+                }
+                return result;
               }
-              return result.value;
-            }
-          }
-
-          // Check if we should stop early due to non-auth errors
-          for (const result of results) {
-            if (result.status === 'rejected') {
-              const errMsg = String(result.reason?.message || '');
-              if (errMsg !== 'API_KEY_INVALID') {
+            } catch (error) {
+              const errMsg = String(error?.message || '');
+              if (errMsg === 'CANCELLED') {
+                return `API error occurred: ${errMsg}`;
+              }
+              const cause = error.keyError || error;
+              const failure = pool ? pool.reportFailure(key, cause) : classifyKeyError(cause);
+              lastError = error;
+              if (streamed || !['invalid', 'rate_limit', 'forbidden'].includes(failure.type)) {
                 return `API error occurred: ${errMsg || 'Unknown error'}`;
               }
             }
           }
-        }
-        return 'API error occurred: No valid Gemini API key found. Please set a valid key (e.g., GEMINI_API_KEY).';
+          if (lastError && lastError.message !== 'API_KEY_INVALID') {
+            return `API error occurred: ${lastError.message || 'Unknown error'}`;
+          }
+          return isGemini
+            ? 'API error occurred: No valid Gemini API key found. Please set a valid key (e.g., GEMINI_API_KEY).'
+            : `API error occurred: The ${provider.label} API key was rejected.`;
+        };
+
+        return await aiRequests.run(
+          { id: payload?.requestId, kind: isShortcut ? 'shortcut' : source, label: feature },
+          runKeys
+        );
       } catch (err) {
         return `API error occurred: ${err?.message || 'Unknown error'}`;
       }
     }
 
+    // Files API upload progress as 'ai:upload-progress' events tagged with the requestId
+    function uploadProgressSender(sender, payload) {
+      const requestId = String(payload?.requestId || '');
+      return (progress) => {
+        try {
+          if (!sender.isDestroyed()) sender.send('ai:upload-progress', { requestId, ...progress });
+        } catch {}
+      };
+    }
+
     ipcMain.handle('ai:generate', async (_e, payload) => {
-      return handleAIGeneration(payload, null);
+      return handleAIGeneration(payload);
     });
 
-    ipcMain.handle('ai:generate-with-image', async (_e, payload) => {
-      const imageBase64 = String(payload?.imageBase64 || '');
-      const mimeType = String(payload?.mimeType || 'image/png');
-      return handleAIGeneration(payload, { imageBase64, mimeType });
+    // Streaming variant: text deltas are pushed as 'ai:stream-chunk' events tagged with
+    // the caller's streamId; the invoke result is the final { text, sources } (or error string)
+    ipcMain.handle('ai:generate-stream', async (e, payload) => {
+      const streamId = String(payload?.streamId || '');
+      const sender = e.sender;
+      const onChunk = (delta) => {
+        try {
+          if (!sender.isDestroyed()) sender.send('ai:stream-chunk', { streamId, delta });
+        } catch {}
+      };
+      return handleAIGeneration(payload, [], {
+        onChunk,
+        onUploadProgress: uploadProgressSender(e.sender, payload),
+      });
     });
 
-    ipcMain.handle('ai:generate-command', async (_e, payload) => {
+    ipcMain.handle('ai:generate-with-image', async (e, payload) => {
+      const attachment = {
+        data: String(payload?.imageBase64 || ''),
+        mimeType: String(payload?.mimeType || 'image/png'),
+        name: String(payload?.fileName || ''),
+      };
+      return handleAIGeneration(payload, [attachment], {
+        onUploadProgress: uploadProgressSender(e.sender, payload),
+      });
+    });
+
+    // Several images, documents and text files in one message, in the order they were attached
+    ipcMain.handle('ai:generate-with-attachments', async (e, payload) => {
+      return handleAIGeneration(payload, payload?.attachments, {
+        onUploadProgress: uploadProgressSender(e.sender, payload),
+      });
+    });
+
+    // Agent mode: one function-calling step. The renderer drives the loop (it shows each call,
+    // asks for confirmation and sends the results back); only confirmation tokens are kept here.
+    // Returns { text, functionCalls, content } or { error }
+    const toolConfirmations = new ToolConfirmations();
+    ipcMain.handle('ai:agent-step', async (_e, payload) => {
       try {
-        const keys = resolveApiKeys();
+        const provider = resolveProvider(payload);
+        if (provider.kind !== 'gemini') {
+          return { error: 'Agent mode requires the Gemini provider (Settings → AI Provider).' };
+        }
+        if (!resolveApiKeys().length) return { error: missingKeyMessage(provider) };
+        const pool = getApiKeyPool();
+        const { keys, retryInMs } = pool.order();
         if (!keys.length) {
-          return { error: 'API key is not set. Please set GEMINI_API_KEY.' };
+          return {
+            error:
+              retryInMs !== null
+                ? `All Gemini API keys are cooling down after rate limits. Try again in ${Math.ceil(retryInMs / 1000)}s.`
+                : 'No valid Gemini API key found.',
+          };
+        }
+
+        const transcript = normalizeAgentContents(payload?.contents);
+        if (!transcript.length) return { error: 'Prompt is required.' };
+        const contents = [...fitHistoryToTokenBudget(payload?.history), ...transcript];
+        // Agent turns are chat turns: the chat route's primary model, unless the conversation
+        // pinned one with /config model
+        const [model] =
+          payload?.strictModel === true && payload?.model
+            ? [String(payload.model)]
+            : getModelRouter().resolve('chat', { model: payload?.model });
+        // Conversation settings (/config) apply on top of the agent defaults
+        const generationConfig = { temperature: 0.4, ...payload?.generationConfig };
+        const TIMEOUT_MS = 60000;
+        // Tools from configured MCP servers ('off' tools are left out)
+        let mcpTools = [];
+        try {
+          mcpTools = await getMcpManager().availableTools();
+        } catch {}
+        const mcpDeclarations = mcpFunctionDeclarationsTool(mcpTools);
+        const tools = [functionDeclarationsTool(), ...(mcpDeclarations ? [mcpDeclarations] : [])];
+
+        return await aiRequests.run(
+          { id: payload?.requestId, kind: 'agent', label: 'agent' },
+          async (request) => {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+            const abortRequest = () => controller.abort();
+            request.signal.addEventListener('abort', abortRequest);
+            let lastError = null;
+            try {
+              for (const key of keys) {
+                try {
+                  const result = await restGenerateAgentTurn(
+                    key,
+                    model,
+                    contents,
+                    generationConfig,
+                    {
+                      tools,
+                      systemInstruction: payload?.systemInstruction,
+                      signal: controller.signal,
+                    }
+                  );
+                  pool.reportSuccess(key);
+                  recordUsage(model, 'agent', result.usage);
+                  return {
+                    text: result.text,
+                    content: result.content,
+                    // Where each call runs and whether the user has to confirm it first
+                    // Calls that run here and need confirmation carry a one-time token
+                    functionCalls: result.functionCalls.map((call) => {
+                      const mcpTool = mcpTools.find((t) => t.functionName === call.name);
+                      if (mcpTool) {
+                        const sideEffect = mcpTool.approval !== 'auto';
+                        return {
+                          ...call,
+                          known: true,
+                          sideEffect,
+                          runsIn: 'main',
+                          label: `${mcpTool.serverName} · ${mcpTool.tool}`,
+                          ...(sideEffect
+                            ? { confirmToken: toolConfirmations.issue(call.name, call.args) }
+                            : {}),
+                        };
+                      }
+                      const tool = getToolDefinition(call.name);
+                      const runsIn = tool ? tool.runsIn : 'main';
+                      return {
+                        ...call,
+                        known: !!tool,
+                        sideEffect: tool ? tool.sideEffect : false,
+                        runsIn,
+                        ...(tool?.sideEffect && runsIn === 'main'
+                          ? { confirmToken: toolConfirmations.issue(call.name, call.args) }
+                          : {}),
+                      };
+                    }),
+                  };
+                } catch (err) {
+                  if (err.name === 'AbortError' || controller.signal.aborted) {
+                    return { error: request.cancelled ? 'CANCELLED' : 'Request timed out' };
+                  }
+                  lastError = err;
+                  // Only key-specific failures move on to the next key
+                  const failure = pool.reportFailure(key, err);
+                  if (!['invalid', 'rate_limit', 'forbidden'].includes(failure.type)) break;
+                }
+              }
+              return { error: lastError?.message || 'Unknown error' };
+            } finally {
+              clearTimeout(timeoutId);
+              request.signal.removeEventListener('abort', abortRequest);
+            }
+          }
+        );
+      } catch (err) {
+        return { error: err?.message || 'Unknown error' };
+      }
+    });
+
+    // Run a main-process agent tool once the renderer has shown (and if needed confirmed) the call
+    const agentTools = new AgentToolRunner({
+      getAppScanner,
+      getFileSearch,
+      getClipboardHistory: getClipboardHistoryService,
+    });
+    // The renderer shows the Allow / Deny card, but main decides whether a call needs it
+    const requireConfirmation = (payload) => {
+      if (!toolConfirmations.consume(payload?.confirmToken, payload?.name, payload?.args)) {
+        throw new Error('This action needs the user to confirm it first.');
+      }
+    };
+    ipcMain.handle('agent:run-tool', async (_e, payload) => {
+      try {
+        const name = String(payload?.name || '');
+        if (name.startsWith('mcp__')) {
+          const mcp = getMcpManager();
+          const entry = mcp.findTool(name);
+          if (!entry) throw new Error(`MCP tool is not available: ${name}`);
+          if (entry.approval !== 'auto') requireConfirmation(payload);
+          // Server tools can run for minutes; the stop button cancels them through the registry
+          const result = await aiRequests.run(
+            { id: payload?.requestId, kind: 'agent', label: entry.tool },
+            (request) => mcp.call(entry, payload?.args, request.signal)
+          );
+          return { success: true, result };
+        }
+        if (getToolDefinition(name)?.sideEffect) requireConfirmation(payload);
+        const result = await agentTools.run(name, payload?.args);
+        return { success: true, result };
+      } catch (err) {
+        return { success: false, error: err?.message || 'Unknown error' };
+      }
+    });
+
+    ipcMain.handle('ai:generate-command', async (_e, payload) => {
+      try {
+        const provider = resolveProvider(payload);
+        if (!resolveProviderKeys(provider).length) {
+          return { error: missingKeyMessage(provider) };
         }
 
         const naturalLanguage = String(payload?.prompt ?? '');
@@ -2976,9 +4144,13 @@ Command:`;
             prompt,
             generationConfig,
             source: 'terminal',
-            model: 'gemini-3-pro-preview', // Use Gemini 3 Pro for terminal commands
+            requestId: payload?.requestId,
+            provider: payload?.provider,
+            // Gemini models come from the 'terminal' route (other providers use their configured model)
+            task: 'terminal',
+            model: payload?.model,
           },
-          null
+          []
         );
 
         // Clean up the response (remove any markdown or extra formatting)
@@ -3022,14 +4194,16 @@ Command:`;
     });
 
     ipcMain.handle('ai:generate-image-from-text', async (_e, payload) => {
-      const IMAGE_MODEL = 'gemini-3-pro-image-preview';
       const TIMEOUT_MS = 60000;
 
       try {
-        const keys = resolveApiKeys();
-        if (!keys.length) {
+        if (!resolveApiKeys().length) {
           return { error: 'API key is not set. Please set GEMINI_API_KEY.' };
         }
+        const keys = orderedApiKeys();
+        if (!keys.length) {
+          return { error: 'All Gemini API keys are cooling down or invalid. Try again later.' };
+        }
 
         const prompt = String(payload?.prompt ?? '');
         if (!prompt) {
@@ -3040,48 +4214,69 @@ Command:`;
         const referenceImages = payload?.referenceImages;
         const hasReferences = Array.isArray(referenceImages) && referenceImages.length > 0;
 
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
-        currentAIController = controller;
-        currentAIKind = 'chat';
-
         const errorLog = [];
 
-        try {
-          for (const key of keys) {
-            try {
-              const genAI = await getGenAIClientForKey(key);
-              const result = hasReferences
-                ? await sdkGenerateImageFromTextWithReference(
-                    genAI,
-                    IMAGE_MODEL,
-                    prompt,
-                    referenceImages,
-                    { aspectRatio, signal: controller.signal }
-                  )
-                : await sdkGenerateImageFromText(genAI, IMAGE_MODEL, prompt, {
-                    aspectRatio,
-                    signal: controller.signal,
-                  });
+        const kind = payload?.feature === 'slide' ? 'slide' : 'image';
+        // Primary then fallbacks for this task (Settings → Model Routing); every key per model
+        const models = getModelRouter().resolve(kind);
+        return await aiRequests.run(
+          { id: payload?.requestId, kind, label: kind },
+          async (request) => {
+            // Aborted by the timeout or by cancelling the request
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+            const abortRequest = () => controller.abort();
+            request.signal.addEventListener('abort', abortRequest);
 
-              if (result?.imageData) {
-                return { imageBase64: result.imageData, mimeType: result.mimeType || 'image/png' };
-              }
-            } catch (err) {
-              if (err.name === 'AbortError') {
-                return { error: 'Image generation was cancelled or timed out.' };
+            try {
+              for (const modelName of models) {
+                for (const key of keys) {
+                  try {
+                    const genAI = await getGenAIClientForKey(key);
+                    const result = hasReferences
+                      ? await sdkGenerateImageFromTextWithReference(
+                          genAI,
+                          modelName,
+                          prompt,
+                          referenceImages,
+                          { aspectRatio, signal: controller.signal }
+                        )
+                      : await sdkGenerateImageFromText(genAI, modelName, prompt, {
+                          aspectRatio,
+                          signal: controller.signal,
+                        });
+
+                    if (result?.imageData) {
+                      getApiKeyPool().reportSuccess(key);
+                      recordUsage(
+                        modelName,
+                        payload?.feature === 'slide' ? 'slide' : 'chat',
+                        result.usage
+                      );
+                      return {
+                        imageBase64: result.imageData,
+                        mimeType: result.mimeType || 'image/png',
+                      };
+                    }
+                  } catch (err) {
+                    if (err.name === 'AbortError') {
+                      return { error: 'Image generation was cancelled or timed out.' };
+                    }
+                    const msg = err?.message || 'Unknown error';
+                    getApiKeyPool().reportFailure(key, err);
+                    errorLog.push(`${modelName} / key ${key.substring(0, 8)}...: ${msg}`);
+                    // Continue to next key, then the next model
+                  }
+                }
               }
-              const msg = err?.message || 'Unknown error';
-              errorLog.push(`Key ${key.substring(0, 8)}...: ${msg}`);
-              // Continue to next key
+
+              return { error: `Image generation failed: ${errorLog.join('; ')}` };
+            } finally {
+              clearTimeout(timeoutId);
+              request.signal.removeEventListener('abort', abortRequest);
             }
           }
-
-          return { error: `Image generation failed: ${errorLog.join('; ')}` };
-        } finally {
-          clearTimeout(timeoutId);
-          currentAIController = null;
-        }
+        );
       } catch (err) {
         return { error: `Image generation error: ${err?.message || 'Unknown error'}` };
       }
@@ -3089,10 +4284,13 @@ Command:`;
 
     ipcMain.handle('ai:generate-video-from-text', async (_e, payload) => {
       try {
-        const keys = resolveApiKeys();
-        if (!keys.length) {
+        if (!resolveApiKeys().length) {
           return { error: 'API key is not set. Please set GEMINI_API_KEY.' };
         }
+        const keys = orderedApiKeys();
+        if (!keys.length) {
+          return { error: 'All Gemini API keys are cooling down or invalid. Try again later.' };
+        }
 
         const prompt = String(payload?.prompt ?? '');
         if (!prompt) {
@@ -3104,75 +4302,86 @@ Command:`;
         const resolution = String(payload?.resolution || '720p');
         const generationConfig = payload?.generationConfig || {};
         const referenceImage = payload?.referenceImage || null;
-        const modelName = 'veo-3.1-fast-generate-preview';
+        // Primary then fallbacks (Settings → Model Routing)
+        const models = getModelRouter().resolve('video');
         const errorLog = [];
 
-        // Create AbortController for cancellation and timeout
-        const controller = new AbortController();
-        const timeoutMs = 600000; // 10 minutes for video generation
-        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-
-        // Set as current AI controller for cancel functionality
-        currentAIController = controller;
-        currentAIKind = 'chat';
+        return await aiRequests.run(
+          { id: payload?.requestId, kind: 'video', label: 'video' },
+          async (request) => {
+            // Aborted by the timeout or by cancelling the request
+            const controller = new AbortController();
+            const timeoutMs = 600000; // 10 minutes for video generation
+            const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+            const abortRequest = () => controller.abort();
+            request.signal.addEventListener('abort', abortRequest);
 
-        try {
-          for (const key of keys) {
             try {
-              const options = {
-                aspectRatio,
-                durationSeconds,
-                resolution,
-                signal: controller.signal,
-              };
-
-              // Add reference image if provided
-              if (referenceImage) {
-                options.referenceImage = referenceImage;
-              }
-
-              const result = await restGenerateVideoFromText(
-                key,
-                modelName,
-                prompt,
-                generationConfig,
-                options
-              );
-
-              if (result && result.videoData) {
-                clearTimeout(timeoutId);
-                return {
-                  videoBase64: result.videoData,
-                  mimeType: result.mimeType || 'video/mp4',
-                };
-              }
-            } catch (err) {
-              const msg = String(err?.message || 'Unknown error');
-              errorLog.push(`Key ${key.substring(0, 8)}...: ${msg}`);
+              for (const [index, modelName] of models.entries()) {
+                for (const key of keys) {
+                  try {
+                    const options = {
+                      aspectRatio,
+                      durationSeconds,
+                      resolution,
+                      signal: controller.signal,
+                    };
 
-              if (/API_KEY_INVALID|API key not valid/i.test(msg)) {
-                continue;
-              }
+                    // Add reference image if provided
+                    if (referenceImage) {
+                      options.referenceImage = referenceImage;
+                    }
 
-              // If aborted, return error immediately
-              if (err.name === 'AbortError') {
-                clearTimeout(timeoutId);
-                return { error: 'Video generation was cancelled or timed out.' };
+                    const result = await restGenerateVideoFromText(
+                      key,
+                      modelName,
+                      prompt,
+                      generationConfig,
+                      options
+                    );
+
+                    if (result && result.videoData) {
+                      clearTimeout(timeoutId);
+                      getApiKeyPool().reportSuccess(key);
+                      recordUsage(modelName, 'chat', result.usage);
+                      return {
+                        videoBase64: result.videoData,
+                        mimeType: result.mimeType || 'video/mp4',
+                      };
+                    }
+                  } catch (err) {
+                    const msg = String(err?.message || 'Unknown error');
+                    errorLog.push(`${modelName} / key ${key.substring(0, 8)}...: ${msg}`);
+
+                    // If aborted, return error immediately
+                    if (err.name === 'AbortError') {
+                      clearTimeout(timeoutId);
+                      return { error: 'Video generation was cancelled or timed out.' };
+                    }
+
+                    // Invalid, rate-limited or forbidden keys: try the next key
+                    const { type } = getApiKeyPool().reportFailure(key, err);
+                    if (type !== 'other') {
+                      continue;
+                    }
+
+                    // Other failures are about the model or request: try the next model
+                    if (index < models.length - 1) break;
+                    throw err;
+                  }
+                }
               }
 
-              throw err;
+              clearTimeout(timeoutId);
+              return {
+                error: `Video generation failed: ${errorLog.join('; ')}`,
+              };
+            } finally {
+              clearTimeout(timeoutId);
+              request.signal.removeEventListener('abort', abortRequest);
             }
           }
-
-          clearTimeout(timeoutId);
-          return {
-            error: `Video generation failed: ${errorLog.join('; ')}`,
-          };
-        } finally {
-          clearTimeout(timeoutId);
-          currentAIController = null;
-          currentAIKind = null;
-        }
+        );
       } catch (err) {
         return {
           error: `Video generation error: ${err?.message || 'Unknown error'}`,
@@ -3214,6 +4423,9 @@ Command:`;
 
   // Clean shutdown hooks
   app.on('before-quit', () => {
+    try {
+      getUsageLedger().flush();
+    } catch {}
     try {
       const { getClipboardHistoryService } = require('../services/clipboardHistory');
       const svc = getClipboardHistoryService();
@@ -3274,7 +4486,12 @@ Command:`;
     setupCaptureHandlers();
     setupUiHandlers();
     setupUrlContentHandlers();
+    setupOfficeContentHandlers();
     setupClipboardHandlers();
+    setupChatThreadHandlers();
+    setupKnowledgeBaseHandlers();
+    setupMcpHandlers();
+    setupShortcutResultHandlers();
     setupTerminalHandlers();
     setupLauncherHandlers();
     setupSettingsHandlers();
@@ -3377,6 +4594,9 @@ Command:`;
     try {
       stopClipboardDaemon();
     } catch {}
+    try {
+      getMcpManager().stopAll();
+    } catch {}
   });
 
   app.on('quit', () => {
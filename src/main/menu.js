@@ -154,6 +154,19 @@ function createAppMenu(ctx) {
           }));
         })(),
       },
+      { type: 'separator' },
+      {
+        label: t.exportChat,
+        submenu: [
+          { label: 'Markdown…', click: () => ctx.handleChatExport('md') },
+          { label: 'HTML…', click: () => ctx.handleChatExport('html') },
+          { label: 'JSON…', click: () => ctx.handleChatExport('json') },
+        ],
+      },
+      {
+        label: t.importChat,
+        click: () => ctx.handleChatImport(),
+      },
     ],
   };
 
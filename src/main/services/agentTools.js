@@ -0,0 +1,286 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const crypto = require('crypto');
+const { shell } = require('electron');
+
+const MAX_RESULTS = 20;
+const CLIPBOARD_TEXT_LIMIT = 500;
+// How long an approval card may wait for Allow before its token expires
+const CONFIRMATION_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Functions the chat agent may call.
+ * - sideEffect: the renderer asks the user to confirm before running it; also set on tools that
+ *   read private data, which should not reach the model unasked
+ * - runsIn: 'main' tools run here (agent:run-tool); 'renderer' tools drive UI that lives in the
+ *   chat window (timer, schedules) and are executed there
+ */
+const TOOL_DEFINITIONS = [
+  {
+    name: 'search_apps',
+    description: 'Search installed applications by name. Returns matching app names and paths.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        query: { type: 'STRING', description: 'Part of the application name, e.g. "figma"' },
+        limit: { type: 'INTEGER', description: 'Maximum number of results (default 5)' },
+      },
+      required: ['query'],
+    },
+    sideEffect: false,
+    runsIn: 'main',
+  },
+  {
+    name: 'launch_app',
+    description: 'Open an installed application by name.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        name: { type: 'STRING', description: 'Application name, e.g. "Figma"' },
+      },
+      required: ['name'],
+    },
+    sideEffect: true,
+    runsIn: 'main',
+  },
+  {
+    name: 'search_files',
+    description: "Search files in the user's home folder by file name (Spotlight).",
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        query: { type: 'STRING', description: 'Part of the file name (at least 2 characters)' },
+        limit: { type: 'INTEGER', description: 'Maximum number of results (default 10)' },
+      },
+      required: ['query'],
+    },
+    sideEffect: false,
+    runsIn: 'main',
+  },
+  {
+    name: 'get_clipboard_history',
+    description: 'Read recent text entries from the clipboard history, newest first.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        query: { type: 'STRING', description: 'Only return entries containing this text' },
+        limit: { type: 'INTEGER', description: 'Maximum number of entries (default 10)' },
+      },
+    },
+    // Clipboard history may hold passwords and other copied secrets
+    sideEffect: true,
+    runsIn: 'main',
+  },
+  {
+    name: 'create_schedule',
+    description:
+      'Create a scheduled action at a time of day: an alarm (reminder), opening an app, or opening a URL.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        time: { type: 'STRING', description: '24-hour local time, "HH:MM" (e.g. "15:00")' },
+        action: {
+          type: 'STRING',
+          enum: ['alarm', 'open-app', 'open-url'],
+          description: 'What happens at that time',
+        },
+        app_name: { type: 'STRING', description: 'Application name for "open-app"' },
+        url: { type: 'STRING', description: 'http(s) URL for "open-url"' },
+        repeat: {
+          type: 'STRING',
+          enum: ['once', 'daily'],
+          description: 'Run once (default) or every day',
+        },
+      },
+      required: ['time', 'action'],
+    },
+    sideEffect: true,
+    runsIn: 'renderer',
+  },
+  {
+    name: 'start_timer',
+    description: 'Start the countdown timer. Replaces a timer that is already running.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        hours: { type: 'INTEGER' },
+        minutes: { type: 'INTEGER' },
+        seconds: { type: 'INTEGER' },
+      },
+    },
+    sideEffect: true,
+    runsIn: 'renderer',
+  },
+];
+
+const TOOLS_BY_NAME = new Map(TOOL_DEFINITIONS.map((t) => [t.name, t]));
+
+function getToolDefinition(name) {
+  return TOOLS_BY_NAME.get(String(name || '')) || null;
+}
+
+/**
+ * Gemini `tools` entry declaring every agent function.
+ */
+function functionDeclarationsTool() {
+  return {
+    functionDeclarations: TOOL_DEFINITIONS.map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters,
+    })),
+  };
+}
+
+function argsKey(args) {
+  try {
+    return JSON.stringify(args || {});
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * One-time approvals for main-process tool calls that need the user's confirmation.
+ * ai:agent-step issues a token with each such call; agent:run-tool runs the call only when the
+ * renderer sends that token back (after Allow) for the same tool and arguments.
+ */
+class ToolConfirmations {
+  constructor() {
+    this.tokens = new Map(); // token -> { name, args, expiresAt }
+  }
+
+  issue(name, args) {
+    const now = Date.now();
+    for (const [token, entry] of this.tokens) {
+      if (entry.expiresAt <= now) this.tokens.delete(token);
+    }
+    const token = crypto.randomUUID();
+    this.tokens.set(token, {
+      name: String(name || ''),
+      args: argsKey(args),
+      expiresAt: now + CONFIRMATION_TTL_MS,
+    });
+    return token;
+  }
+
+  /**
+   * @returns {boolean} True if the token was issued for this call and has not been used yet
+   */
+  consume(token, name, args) {
+    const key = String(token || '');
+    const entry = this.tokens.get(key);
+    if (!entry) return false;
+    this.tokens.delete(key);
+    return (
+      entry.expiresAt > Date.now() &&
+      entry.name === String(name || '') &&
+      entry.args === argsKey(args)
+    );
+  }
+}
+
+function clampLimit(value, fallback) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.min(MAX_RESULTS, n);
+}
+
+/**
+ * Executes the main-process agent tools on top of the launcher and clipboard services.
+ * Results are plain JSON-able objects sent back to the model as functionResponse.
+ */
+class AgentToolRunner {
+  /**
+   * @param {Object} deps
+   * @param {Function} deps.getAppScanner - Async, resolves the (scanned) AppScanner
+   * @param {Function} deps.getFileSearch - Returns the FileSearchService
+   * @param {Function} deps.getClipboardHistory - Returns the ClipboardHistoryService
+   */
+  constructor({ getAppScanner, getFileSearch, getClipboardHistory }) {
+    this.getAppScanner = getAppScanner;
+    this.getFileSearch = getFileSearch;
+    this.getClipboardHistory = getClipboardHistory;
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object} args - Arguments from the model's functionCall
+   * @returns {Promise<Object>}
+   */
+  async run(name, args = {}) {
+    const tool = getToolDefinition(name);
+    if (!tool || tool.runsIn !== 'main') {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+    const a = args && typeof args === 'object' ? args : {};
+    switch (tool.name) {
+      case 'search_apps':
+        return this.searchApps(a.query, clampLimit(a.limit, 5));
+      case 'launch_app':
+        return this.launchApp(a.name);
+      case 'search_files':
+        return this.searchFiles(a.query, clampLimit(a.limit, 10));
+      case 'get_clipboard_history':
+        return this.clipboardHistory(a.query, clampLimit(a.limit, 10));
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  async searchApps(query, limit) {
+    const scanner = await this.getAppScanner();
+    const { results, total } = scanner.searchApps(String(query || '').trim(), limit);
+    // Icons are data URLs; the model only needs names and paths
+    return { apps: results.map((app) => ({ name: app.name, path: app.path })), total };
+  }
+
+  async launchApp(name) {
+    const wanted = String(name || '').trim();
+    if (!wanted) throw new Error('Application name is required');
+    const scanner = await this.getAppScanner();
+    const { results } = scanner.searchApps(wanted, 5);
+    const app =
+      results.find((r) => r.name.toLowerCase() === wanted.toLowerCase()) || results[0] || null;
+    if (!app) throw new Error(`No installed application matches "${wanted}"`);
+    const error = await shell.openPath(app.path);
+    if (error) throw new Error(error);
+    return { launched: app.name, path: app.path };
+  }
+
+  async searchFiles(query, limit) {
+    const q = String(query || '').trim();
+    if (q.length < 2) throw new Error('File search needs at least 2 characters');
+    const { results, total } = await this.getFileSearch().searchFiles(q, { limit });
+    return { files: results.map((f) => ({ name: f.name, path: f.path })), total };
+  }
+
+  clipboardHistory(query, limit) {
+    const q = String(query || '')
+      .trim()
+      .toLowerCase();
+    const entries = this.getClipboardHistory()
+      .getHistory()
+      .filter((item) => typeof item.text === 'string' && item.text)
+      .filter((item) => !q || item.text.toLowerCase().includes(q))
+      .slice(0, limit)
+      .map((item) => ({
+        text:
+          item.text.length > CLIPBOARD_TEXT_LIMIT
+            ? `${item.text.slice(0, CLIPBOARD_TEXT_LIMIT)}…`
+            : item.text,
+        copiedAt: new Date(item.timestamp).toISOString(),
+      }));
+    return { entries };
+  }
+}
+
+module.exports = {
+  TOOL_DEFINITIONS,
+  getToolDefinition,
+  functionDeclarationsTool,
+  ToolConfirmations,
+  AgentToolRunner,
+};
@@ -0,0 +1,218 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+
+const DEFAULT_MAX_CONCURRENT = 3;
+const MAX_CONCURRENT_LIMIT = 8;
+const REQUEST_ID_RE = /^[\w.:-]{1,80}$/;
+
+function cancelledError() {
+  return new Error('CANCELLED');
+}
+
+function clampConcurrency(value) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n) || n < 1) return DEFAULT_MAX_CONCURRENT;
+  return Math.min(MAX_CONCURRENT_LIMIT, n);
+}
+
+/**
+ * Registry of in-flight AI requests.
+ * Every request gets an id and its own AbortSignal, runs under a concurrency limit
+ * (extra requests wait in a FIFO queue) and can be cancelled by id or by kind.
+ */
+class AIRequestRegistry {
+  constructor(options = {}) {
+    this.maxConcurrent = clampConcurrency(options.maxConcurrent);
+    this.requests = new Map(); // id -> entry (queued or running)
+    this.queue = [];
+    this.running = 0;
+    this.seq = 0;
+    this.listeners = new Set();
+  }
+
+  setMaxConcurrent(value) {
+    this.maxConcurrent = clampConcurrency(value);
+    this.pump();
+    this.notify();
+    return this.maxConcurrent;
+  }
+
+  /**
+   * Subscribe to changes of the in-flight list.
+   * @param {Function} listener - Receives list()
+   * @returns {Function} Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const snapshot = this.list();
+    for (const listener of this.listeners) {
+      try {
+        listener(snapshot);
+      } catch {}
+    }
+  }
+
+  /**
+   * @returns {Array<{id: string, kind: string, label: string, state: 'queued'|'running', createdAt: number, startedAt: number}>}
+   */
+  list() {
+    return Array.from(this.requests.values(), (e) => ({
+      id: e.id,
+      kind: e.kind,
+      label: e.label,
+      state: e.state,
+      createdAt: e.createdAt,
+      startedAt: e.startedAt,
+    }));
+  }
+
+  /**
+   * Run a task once a slot is free.
+   * @param {{id?: string, kind?: string, label?: string}} meta - id may come from the renderer
+   * @param {(request: {id: string, kind: string, signal: AbortSignal, cancelled: boolean}) => Promise<*>} task
+   * @returns {Promise<*>} The task result; rejects with Error('CANCELLED') if cancelled while queued,
+   *   and without running the task if the id is already in flight
+   */
+  async run(meta, task) {
+    const entry = this.register(meta || {});
+    try {
+      await this.acquire(entry);
+      return await task(entry.handle);
+    } finally {
+      this.release(entry);
+    }
+  }
+
+  register({ id, kind, label }) {
+    let requestId = typeof id === 'string' && REQUEST_ID_RE.test(id) ? id : '';
+    // A reused id would make cancel() stop the wrong request, so it is refused rather than renamed
+    if (requestId && this.requests.has(requestId)) {
+      throw new Error(`Request id is already in flight: ${requestId}`);
+    }
+    if (!requestId) {
+      this.seq += 1;
+      requestId = `ai-${Date.now().toString(36)}-${this.seq}`;
+    }
+    const controller = new AbortController();
+    const entry = {
+      id: requestId,
+      kind: String(kind || 'chat'),
+      label: String(label || ''),
+      state: 'queued',
+      createdAt: Date.now(),
+      startedAt: 0,
+      cancelled: false,
+      controller,
+      resolveSlot: null,
+      rejectSlot: null,
+    };
+    entry.handle = {
+      id: entry.id,
+      kind: entry.kind,
+      signal: controller.signal,
+      get cancelled() {
+        return entry.cancelled;
+      },
+    };
+    this.requests.set(entry.id, entry);
+    return entry;
+  }
+
+  acquire(entry) {
+    if (entry.cancelled) return Promise.reject(cancelledError());
+    if (this.running < this.maxConcurrent) {
+      this.start(entry);
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      entry.resolveSlot = resolve;
+      entry.rejectSlot = reject;
+      this.queue.push(entry);
+      this.notify();
+    });
+  }
+
+  start(entry) {
+    this.running += 1;
+    entry.state = 'running';
+    entry.startedAt = Date.now();
+    this.notify();
+  }
+
+  release(entry) {
+    if (this.requests.get(entry.id) !== entry) return;
+    this.requests.delete(entry.id);
+    if (entry.state === 'running') {
+      this.running = Math.max(0, this.running - 1);
+    } else {
+      this.queue = this.queue.filter((e) => e !== entry);
+    }
+    this.pump();
+    this.notify();
+  }
+
+  pump() {
+    while (this.running < this.maxConcurrent && this.queue.length) {
+      const next = this.queue.shift();
+      this.start(next);
+      next.resolveSlot();
+    }
+  }
+
+  /**
+   * Cancel one request. Running requests are aborted; queued ones never start.
+   * @returns {boolean} True if the request was in flight
+   */
+  cancel(id) {
+    const entry = this.requests.get(String(id || ''));
+    if (!entry || entry.cancelled) return false;
+    entry.cancelled = true;
+    entry.controller.abort();
+    if (entry.state === 'queued' && entry.rejectSlot) {
+      this.queue = this.queue.filter((e) => e !== entry);
+      entry.rejectSlot(cancelledError());
+    }
+    return true;
+  }
+
+  /**
+   * Cancel every request matching a predicate.
+   * @param {Function} predicate - Receives { id, kind, label, state }
+   * @returns {number} How many requests were cancelled
+   */
+  cancelWhere(predicate) {
+    let count = 0;
+    for (const entry of Array.from(this.requests.values())) {
+      if (predicate({ id: entry.id, kind: entry.kind, label: entry.label, state: entry.state })) {
+        if (this.cancel(entry.id)) count += 1;
+      }
+    }
+    return count;
+  }
+
+  cancelKind(kind) {
+    return this.cancelWhere((r) => r.kind === kind);
+  }
+}
+
+let instance = null;
+
+function getAIRequestRegistry() {
+  if (!instance) {
+    instance = new AIRequestRegistry();
+  }
+  return instance;
+}
+
+module.exports = {
+  DEFAULT_MAX_CONCURRENT,
+  MAX_CONCURRENT_LIMIT,
+  AIRequestRegistry,
+  getAIRequestRegistry,
+};
@@ -0,0 +1,280 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const crypto = require('crypto');
+const { getPref, setPref } = require('./preferences');
+
+// Extra Gemini keys next to GEMINI_API_KEY: [{ id, label, key }]
+const POOL_PREF_KEY = 'GEMINI_API_KEY_POOL';
+const PRIMARY_ID = 'primary';
+const MAX_KEYS = 20;
+const MAX_LABEL_LENGTH = 40;
+
+// Cooldowns double on every consecutive failure of the same kind, up to the cap
+const RATE_LIMIT_BASE_MS = 30 * 1000;
+const RATE_LIMIT_MAX_MS = 15 * 60 * 1000;
+const FORBIDDEN_BASE_MS = 60 * 1000;
+const FORBIDDEN_MAX_MS = 30 * 60 * 1000;
+// Server-provided delays beyond this are clamped (daily quotas report many hours)
+const RETRY_AFTER_MAX_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Classify a failed request by what it says about the key that made it.
+ * @param {Error|string} err
+ * @returns {{type: 'invalid'|'rate_limit'|'forbidden'|'other', retryAfterMs: number|null}}
+ */
+function classifyKeyError(err) {
+  const message = String(err?.message || err || '');
+  const status = Number(err?.status || err?.code) || 0;
+  let type = 'other';
+  if (/API_KEY_INVALID|API key not valid|API key expired/i.test(message)) {
+    type = 'invalid';
+  } else if (
+    status === 429 ||
+    /\b429\b|RESOURCE_EXHAUSTED|rate limit|quota|too many requests/i.test(message)
+  ) {
+    type = 'rate_limit';
+  } else if (status === 403 || /\b403\b|PERMISSION_DENIED|forbidden/i.test(message)) {
+    type = 'forbidden';
+  }
+  return { type, retryAfterMs: retryAfterFromError(err) };
+}
+
+/**
+ * Retry delay from the Retry-After header (err.retryAfterMs) or Gemini's RetryInfo in the body.
+ * @returns {number|null}
+ */
+function retryAfterFromError(err) {
+  if (Number.isFinite(err?.retryAfterMs)) return err.retryAfterMs;
+  const message = String(err?.message || err || '');
+  const match =
+    message.match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/) ||
+    message.match(/retry in (\d+(?:\.\d+)?)\s*s/i);
+  return match ? Math.round(Number(match[1]) * 1000) : null;
+}
+
+function fingerprint(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 16);
+}
+
+function maskKey(key) {
+  const k = String(key || '');
+  return k.length > 8 ? `${k.slice(0, 4)}…${k.slice(-4)}` : '••••';
+}
+
+/**
+ * Gemini API key pool: the primary key plus labelled extras.
+ * Tracks per-key health in memory, puts rate-limited / forbidden keys on exponential cooldown
+ * (honoring retry-after) and hands out healthy keys round-robin.
+ */
+class ApiKeyPool {
+  constructor() {
+    this.health = new Map(); // fingerprint -> health record
+    this.cursor = 0;
+  }
+
+  /**
+   * Configured keys, primary first, duplicates removed.
+   * @returns {Array<{id: string, label: string, key: string}>}
+   */
+  entries() {
+    const out = [];
+    const seen = new Set();
+    const push = (id, label, key) => {
+      const k = String(key || '').trim();
+      if (!k || seen.has(k)) return;
+      seen.add(k);
+      out.push({ id, label, key: k });
+    };
+    push(PRIMARY_ID, '', getPref('GEMINI_API_KEY'));
+    const extras = getPref(POOL_PREF_KEY);
+    if (Array.isArray(extras)) {
+      for (const e of extras) {
+        if (e && typeof e === 'object') push(String(e.id || ''), String(e.label || ''), e.key);
+      }
+    }
+    return out;
+  }
+
+  keys() {
+    return this.entries().map((e) => e.key);
+  }
+
+  healthOf(key) {
+    const id = fingerprint(key);
+    if (!this.health.has(id)) {
+      this.health.set(id, {
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        invalid: false,
+        cooldownUntil: 0,
+        lastError: '',
+        lastErrorType: '',
+        lastErrorAt: 0,
+        lastUsedAt: 0,
+      });
+    }
+    return this.health.get(id);
+  }
+
+  /**
+   * Keys to try for the next request: healthy keys rotated round-robin.
+   * @returns {{keys: string[], retryInMs: number|null}} retryInMs is set when every usable key
+   *   is cooling down (time until the first one is available again)
+   */
+  order() {
+    const now = Date.now();
+    const ready = [];
+    let retryInMs = null;
+    for (const key of this.keys()) {
+      const h = this.healthOf(key);
+      if (h.invalid) continue;
+      if (h.cooldownUntil > now) {
+        const wait = h.cooldownUntil - now;
+        retryInMs = retryInMs === null ? wait : Math.min(retryInMs, wait);
+        continue;
+      }
+      ready.push(key);
+    }
+    if (!ready.length) return { keys: [], retryInMs };
+    const start = this.cursor % ready.length;
+    this.cursor = (this.cursor + 1) % Number.MAX_SAFE_INTEGER;
+    return { keys: [...ready.slice(start), ...ready.slice(0, start)], retryInMs: null };
+  }
+
+  reportSuccess(key) {
+    const h = this.healthOf(key);
+    h.successes += 1;
+    h.consecutiveFailures = 0;
+    h.cooldownUntil = 0;
+    h.lastUsedAt = Date.now();
+  }
+
+  /**
+   * Record a failed request for a key.
+   * @returns {{type: string, retryAfterMs: number|null}} The classification applied
+   */
+  reportFailure(key, err) {
+    const failure = classifyKeyError(err);
+    const h = this.healthOf(key);
+    const now = Date.now();
+    const consecutive = h.lastErrorType === failure.type ? h.consecutiveFailures + 1 : 1;
+    h.failures += 1;
+    h.consecutiveFailures = consecutive;
+    h.lastError = String(err?.message || err || '').slice(0, 300);
+    h.lastErrorType = failure.type;
+    h.lastErrorAt = now;
+    h.lastUsedAt = now;
+
+    if (failure.type === 'invalid') {
+      h.invalid = true;
+    } else if (failure.type === 'rate_limit' || failure.type === 'forbidden') {
+      const [base, max] =
+        failure.type === 'rate_limit'
+          ? [RATE_LIMIT_BASE_MS, RATE_LIMIT_MAX_MS]
+          : [FORBIDDEN_BASE_MS, FORBIDDEN_MAX_MS];
+      const backoff = Math.min(max, base * 2 ** (consecutive - 1));
+      const serverDelay = Math.min(RETRY_AFTER_MAX_MS, failure.retryAfterMs || 0);
+      h.cooldownUntil = now + Math.max(backoff, serverDelay);
+    }
+    return failure;
+  }
+
+  /**
+   * Forget health records (all keys, or one key by its pool id).
+   */
+  resetHealth(id) {
+    if (!id) {
+      this.health.clear();
+      return;
+    }
+    const entry = this.entries().find((e) => e.id === id);
+    if (entry) this.health.delete(fingerprint(entry.key));
+  }
+
+  /**
+   * Pool status for Settings. Keys themselves are never returned, only a masked form.
+   */
+  status() {
+    const now = Date.now();
+    return this.entries().map(({ id, label, key }) => {
+      const h = this.healthOf(key);
+      const cooldownRemainingMs = Math.max(0, h.cooldownUntil - now);
+      return {
+        id,
+        label,
+        masked: maskKey(key),
+        state: h.invalid ? 'invalid' : cooldownRemainingMs > 0 ? 'cooldown' : 'healthy',
+        cooldownRemainingMs,
+        successes: h.successes,
+        failures: h.failures,
+        lastError: h.lastError,
+        lastErrorType: h.lastErrorType,
+        lastErrorAt: h.lastErrorAt,
+        lastUsedAt: h.lastUsedAt,
+      };
+    });
+  }
+
+  /**
+   * Add an extra key to the pool.
+   * @returns {{id: string, label: string}}
+   */
+  addKey({ label, key } = {}) {
+    const k = String(key || '').trim();
+    const name = String(label || '').trim();
+    if (!k) {
+      throw new Error('API key cannot be empty');
+    }
+    if (name.length > MAX_LABEL_LENGTH) {
+      throw new Error(`Label is too long (max ${MAX_LABEL_LENGTH} characters)`);
+    }
+    if (this.keys().includes(k)) {
+      throw new Error('This API key is already in the pool');
+    }
+    // Count the keys actually in the pool: the primary key may not be set
+    if (this.entries().length >= MAX_KEYS) {
+      throw new Error(`Too many API keys (max ${MAX_KEYS})`);
+    }
+    const extras = Array.isArray(getPref(POOL_PREF_KEY)) ? getPref(POOL_PREF_KEY) : [];
+    const entry = {
+      id: `key_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+      label: name || `Key ${extras.length + 2}`,
+      key: k,
+    };
+    setPref(POOL_PREF_KEY, [...extras, entry]);
+    return { id: entry.id, label: entry.label };
+  }
+
+  /**
+   * Remove an extra key. The primary key is managed by the regular API key setting.
+   * @returns {boolean} True if the key existed
+   */
+  removeKey(id) {
+    const extras = Array.isArray(getPref(POOL_PREF_KEY)) ? getPref(POOL_PREF_KEY) : [];
+    const next = extras.filter((e) => e && e.id !== id);
+    if (next.length === extras.length) return false;
+    const removed = extras.find((e) => e && e.id === id);
+    if (removed?.key) this.health.delete(fingerprint(String(removed.key).trim()));
+    setPref(POOL_PREF_KEY, next.length ? next : '');
+    return true;
+  }
+}
+
+let instance = null;
+
+function getApiKeyPool() {
+  if (!instance) {
+    instance = new ApiKeyPool();
+  }
+  return instance;
+}
+
+module.exports = {
+  PRIMARY_ID,
+  classifyKeyError,
+  ApiKeyPool,
+  getApiKeyPool,
+};
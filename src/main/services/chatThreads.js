@@ -0,0 +1,320 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_TITLE_LENGTH = 80;
+const MAX_MESSAGES_PER_THREAD = 1000;
+const MAX_BRANCH_VERSIONS = 10;
+// Limits of the per-conversation /config values
+const MAX_TEMPERATURE = 2;
+const MAX_OUTPUT_TOKENS = 65536;
+const SNIPPET_RADIUS = 60;
+// Matches the JSON written by the renderer's chat export (features/chatExport.js)
+const EXPORT_FORMAT_ID = 'irukadark-chat';
+
+/**
+ * Persistent chat threads stored as one JSON file per thread under
+ * userData/chat-threads, plus a small index.json for fast listing.
+ */
+class ChatThreadStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(app.getPath('userData'), 'chat-threads');
+    this.indexPath = path.join(this.dir, 'index.json');
+    this.index = null; // Map<id, meta>
+  }
+
+  ensureDir() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  // Thread ids become file names; reject anything that could escape the directory
+  threadPath(id) {
+    const safe = String(id || '');
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(safe)) {
+      throw new Error('Invalid thread id');
+    }
+    return path.join(this.dir, `${safe}.json`);
+  }
+
+  loadIndex() {
+    if (this.index) return this.index;
+    this.index = new Map();
+    try {
+      if (fs.existsSync(this.indexPath)) {
+        const list = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+        for (const meta of Array.isArray(list) ? list : []) {
+          if (meta && meta.id) this.index.set(meta.id, meta);
+        }
+        return this.index;
+      }
+    } catch {}
+    // Missing or corrupt index: rebuild from thread files
+    try {
+      if (fs.existsSync(this.dir)) {
+        for (const file of fs.readdirSync(this.dir)) {
+          if (!file.endsWith('.json') || file === 'index.json') continue;
+          try {
+            const thread = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+            if (thread && thread.id) this.index.set(thread.id, this.toMeta(thread));
+          } catch {}
+        }
+        this.saveIndex();
+      }
+    } catch {}
+    return this.index;
+  }
+
+  saveIndex() {
+    try {
+      this.ensureDir();
+      const list = Array.from(this.loadIndex().values());
+      fs.writeFileSync(this.indexPath, JSON.stringify(list, null, 2), 'utf8');
+    } catch {}
+  }
+
+  toMeta(thread) {
+    return {
+      id: thread.id,
+      title: thread.title,
+      createdAt: thread.createdAt,
+      updatedAt: thread.updatedAt,
+      messageCount: Array.isArray(thread.messages) ? thread.messages.length : 0,
+    };
+  }
+
+  deriveTitle(messages) {
+    const first = messages.find((m) => m.role === 'user' && m.content);
+    const text = String(first?.content || '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!text) return 'New chat';
+    return text.length > MAX_TITLE_LENGTH ? `${text.slice(0, MAX_TITLE_LENGTH - 1)}…` : text;
+  }
+
+  normalizeMessage(m) {
+    if (!m || typeof m !== 'object') return null;
+    const role = m.role === 'assistant' ? 'assistant' : 'user';
+    const out = { role, content: String(m.content || '') };
+    if (m.kind) out.kind = String(m.kind);
+    if (m.createdAt) out.createdAt = Number(m.createdAt) || Date.now();
+    // Attachments are stored as metadata only (file contents stay on disk where they were)
+    if (Array.isArray(m.attachments) && m.attachments.length) {
+      out.attachments = m.attachments
+        .filter((a) => a && a.name)
+        .map((a) => ({
+          name: String(a.name),
+          type: String(a.type || ''),
+          size: Number(a.size) || 0,
+        }));
+    }
+    if (Array.isArray(m.sources) && m.sources.length) {
+      out.sources = m.sources
+        .filter((s) => s && s.url)
+        .map((s) => ({ url: String(s.url), title: String(s.title || s.url) }));
+    }
+    // Structured (JSON mode) answers keep their data so tables and option cards can be redrawn
+    if (m.structured && typeof m.structured === 'object' && m.structured.kind) {
+      out.structured = { kind: String(m.structured.kind), data: m.structured.data ?? null };
+    }
+    // Thought summaries are shown again on restore but never sent back to the model
+    if (typeof m.thoughts === 'string' && m.thoughts.trim()) out.thoughts = m.thoughts;
+    const branch = this.normalizeBranch(m.branch);
+    if (branch) out.branch = branch;
+    return out;
+  }
+
+  /**
+   * Versions of a message made by edit / regenerate: { index, tails }. Each tail is that version
+   * of the message plus everything that followed it; the selected one (index) is null because
+   * it is the thread's own messages.
+   */
+  normalizeBranch(branch) {
+    if (!branch || !Array.isArray(branch.tails)) return null;
+    const selected = Number(branch.index);
+    const tails = [];
+    let index = -1;
+    branch.tails.slice(0, MAX_BRANCH_VERSIONS).forEach((tail, i) => {
+      if (i === selected) {
+        index = tails.length;
+        tails.push(null);
+        return;
+      }
+      const messages = (Array.isArray(tail) ? tail : [])
+        .map((m) => this.normalizeMessage(m))
+        .filter(Boolean)
+        .slice(0, MAX_MESSAGES_PER_THREAD);
+      if (messages.length) tails.push(messages);
+    });
+    return index >= 0 && tails.length > 1 ? { index, tails } : null;
+  }
+
+  /**
+   * Generation settings chosen with /config for this conversation:
+   * { temperature?, maxOutputTokens?, model? }, or null when none are set.
+   */
+  normalizeSettings(settings) {
+    if (!settings || typeof settings !== 'object') return null;
+    const out = {};
+    const { temperature, maxOutputTokens, model } = settings;
+    if (typeof temperature === 'number' && temperature >= 0 && temperature <= MAX_TEMPERATURE) {
+      out.temperature = temperature;
+    }
+    if (Number.isInteger(maxOutputTokens) && maxOutputTokens > 0) {
+      out.maxOutputTokens = Math.min(maxOutputTokens, MAX_OUTPUT_TOKENS);
+    }
+    if (typeof model === 'string' && /^[\w.:/-]{1,100}$/.test(model)) out.model = model;
+    return Object.keys(out).length ? out : null;
+  }
+
+  list() {
+    return Array.from(this.loadIndex().values()).sort(
+      (a, b) => (b.updatedAt || 0) - (a.updatedAt || 0)
+    );
+  }
+
+  get(id) {
+    try {
+      const file = this.threadPath(id);
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Create or update a thread.
+   * @param {Object} thread - { id?, title?, createdAt?, messages, settings? } - settings left
+   *   out keeps the saved ones
+   * @returns {Object} Saved thread metadata
+   */
+  save(thread) {
+    const messages = (Array.isArray(thread?.messages) ? thread.messages : [])
+      .map((m) => this.normalizeMessage(m))
+      .filter(Boolean)
+      .slice(-MAX_MESSAGES_PER_THREAD);
+    const now = Date.now();
+    const id = thread?.id ? String(thread.id) : `t${now.toString(36)}-${crypto.randomUUID()}`;
+    const existing = thread?.id ? this.get(id) : null;
+    const title =
+      String(thread?.title || '').trim() || existing?.title || this.deriveTitle(messages);
+    const settings = this.normalizeSettings(
+      thread?.settings === undefined ? existing?.settings : thread.settings
+    );
+    const saved = {
+      id,
+      title: title.slice(0, MAX_TITLE_LENGTH),
+      createdAt: existing?.createdAt || Number(thread?.createdAt) || now,
+      updatedAt: now,
+      messages,
+      ...(settings ? { settings } : {}),
+    };
+    this.ensureDir();
+    fs.writeFileSync(this.threadPath(id), JSON.stringify(saved, null, 2), 'utf8');
+    this.loadIndex().set(id, this.toMeta(saved));
+    this.saveIndex();
+    return this.toMeta(saved);
+  }
+
+  /**
+   * Import a chat exported as JSON. Always creates a new thread so an import
+   * never overwrites an existing conversation.
+   * @param {Object} data - Parsed export file ({ format, version, thread })
+   * @returns {Object} Saved thread metadata
+   */
+  importThread(data) {
+    const source = data?.format === EXPORT_FORMAT_ID ? data.thread : null;
+    if (!source || !Array.isArray(source.messages)) {
+      throw new Error('INVALID_FORMAT');
+    }
+    const meta = this.save({
+      title: source.title,
+      createdAt: source.createdAt,
+      messages: source.messages,
+    });
+    if (!meta.messageCount) {
+      this.delete(meta.id);
+      throw new Error('EMPTY_THREAD');
+    }
+    return meta;
+  }
+
+  rename(id, title) {
+    const thread = this.get(id);
+    if (!thread) return null;
+    return this.save({ ...thread, title: String(title || '').trim() || thread.title });
+  }
+
+  delete(id) {
+    try {
+      const file = this.threadPath(id);
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    } catch {}
+    const removed = this.loadIndex().delete(String(id || ''));
+    this.saveIndex();
+    return removed;
+  }
+
+  /**
+   * Full-text search across titles and message contents.
+   * All whitespace-separated terms must appear somewhere in the thread.
+   */
+  search(query, { limit = 30 } = {}) {
+    const terms = String(query || '')
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean);
+    if (!terms.length) return this.list().slice(0, limit);
+
+    const results = [];
+    for (const meta of this.list()) {
+      const thread = this.get(meta.id);
+      if (!thread) continue;
+      const title = String(thread.title || '').toLowerCase();
+      const bodies = (thread.messages || []).map((m) => String(m.content || ''));
+      const haystack = `${title}\n${bodies.join('\n').toLowerCase()}`;
+      if (!terms.every((t) => haystack.includes(t))) continue;
+
+      let snippet = '';
+      let matchCount = 0;
+      for (const body of bodies) {
+        const lower = body.toLowerCase();
+        const hits = terms.filter((t) => lower.includes(t));
+        if (!hits.length) continue;
+        matchCount += hits.length;
+        if (!snippet) {
+          const at = lower.indexOf(hits[0]);
+          const start = Math.max(0, at - SNIPPET_RADIUS);
+          const end = Math.min(body.length, at + hits[0].length + SNIPPET_RADIUS);
+          snippet = `${start > 0 ? '…' : ''}${body.slice(start, end).replace(/\s+/g, ' ')}${
+            end < body.length ? '…' : ''
+          }`;
+        }
+      }
+      results.push({ ...meta, snippet, matchCount });
+      if (results.length >= limit) break;
+    }
+    return results;
+  }
+}
+
+let instance = null;
+
+function getChatThreadStore() {
+  if (!instance) {
+    instance = new ChatThreadStore();
+  }
+  return instance;
+}
+
+module.exports = {
+  ChatThreadStore,
+  getChatThreadStore,
+};
@@ -0,0 +1,174 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const crypto = require('crypto');
+const { restCreateCachedContent, restUpdateCachedContentTtl } = require('../ai');
+
+// Caches are billed per hour of storage; each use extends the TTL again
+const CACHE_TTL_SECONDS = 10 * 60;
+const EXPIRY_MARGIN_MS = 30 * 1000;
+// Gemini caches need at least 1,024-4,096 tokens; smaller documents are cheaper to resend
+const MIN_DOCUMENT_BYTES = 64 * 1024;
+const MAX_CONVERSATIONS = 20;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function decodedSize(base64) {
+  return Math.floor((String(base64 || '').length * 3) / 4);
+}
+
+/**
+ * Whether an attachment is worth a context cache: a large non-image file (PDF, text, audio).
+ * Images cost a fixed ~258 tokens, far below the cache minimum.
+ * @param {{base64?: string, mimeType?: string}|null} attachment
+ */
+function isCacheableDocument(attachment) {
+  return (
+    !!attachment?.base64 &&
+    !String(attachment.mimeType || '').startsWith('image/') &&
+    decodedSize(attachment.base64) >= MIN_DOCUMENT_BYTES
+  );
+}
+
+/**
+ * Gemini context caches per conversation. The large documents of the latest message that had
+ * any are remembered here by content hash (never their bytes), cached once per API key, model
+ * and system instruction, and referenced by every later request of that thread until the
+ * cache's TTL runs out.
+ */
+class ContextCacheRegistry {
+  constructor() {
+    // conversationId -> { documents: [{ hash, mimeType, name }], hash,
+    //   caches: Map(key -> entry), unsupported: Set(key) }
+    this.conversations = new Map();
+  }
+
+  /**
+   * Remember the thread's documents (replacing earlier ones) by the SHA-256 of their base64
+   * data; attachments that are not cacheable documents are ignored.
+   * @param {string} conversationId
+   * @param {Array<{base64?: string, mimeType?: string, name?: string}>} attachments
+   * @returns {Array} The documents taken from the list
+   */
+  setDocuments(conversationId, attachments) {
+    const id = String(conversationId || '');
+    const documents = (Array.isArray(attachments) ? attachments : []).filter(isCacheableDocument);
+    if (!id || !documents.length) return documents;
+    const hashes = documents.map((d) => sha256(d.base64));
+    const hash = sha256(hashes.join('|'));
+    const current = this.conversations.get(id);
+    if (current?.hash === hash) return documents;
+    this.conversations.delete(id);
+    this.conversations.set(id, {
+      documents: documents.map((d, index) => ({
+        hash: hashes[index],
+        mimeType: String(d.mimeType),
+        name: String(d.name || ''),
+      })),
+      hash,
+      caches: new Map(),
+      unsupported: new Set(),
+    });
+    while (this.conversations.size > MAX_CONVERSATIONS) {
+      this.conversations.delete(this.conversations.keys().next().value);
+    }
+    return documents;
+  }
+
+  hasDocument(conversationId) {
+    return this.conversations.has(String(conversationId || ''));
+  }
+
+  /**
+   * A live cache of the thread's documents for this key and model, created when missing.
+   * Failures are not fatal: the request then goes out without a cache.
+   * @param {string} apiKey
+   * @param {string} model - Bare model name
+   * @param {{conversationId: string, systemInstruction?: string, toParts: Function,
+   *   signal?: AbortSignal}} options - toParts(documents) resolves the remembered
+   *   { hash, mimeType, name } documents to request parts, or rejects when their bytes are
+   *   no longer at hand (no cache then)
+   * @returns {Promise<{name: string, expiresAt: number, tokens: number,
+   *   documents: string[], hashes: string[]}|null>} documents: names; hashes: content hashes
+   */
+  async acquire(apiKey, model, { conversationId, systemInstruction = '', toParts, signal }) {
+    const conversation = this.conversations.get(String(conversationId || ''));
+    if (!conversation) return null;
+    const { documents, caches, unsupported } = conversation;
+    const names = documents.map((d) => d.name);
+    const hashes = documents.map((d) => d.hash);
+    const key = `${sha256(apiKey).slice(0, 16)}|${model}|${sha256(systemInstruction).slice(0, 16)}`;
+    if (unsupported.has(key)) return null;
+
+    const now = Date.now();
+    let entry = caches.get(key);
+    if (entry && entry.expiresAt - EXPIRY_MARGIN_MS > now) {
+      // Keep a cache that is in use alive for another full TTL
+      const ttl = CACHE_TTL_SECONDS;
+      if (entry.expiresAt - now < (ttl * 1000) / 2) {
+        try {
+          entry.expiresAt = await restUpdateCachedContentTtl(apiKey, entry.name, ttl, { signal });
+        } catch {
+          caches.delete(key);
+          entry = null;
+        }
+      }
+      if (entry) return { ...entry, documents: names, hashes };
+    }
+
+    try {
+      const created = await restCreateCachedContent(apiKey, model, {
+        contents: [{ role: 'user', parts: await toParts(documents) }],
+        systemInstruction,
+        ttlSeconds: CACHE_TTL_SECONDS,
+        displayName: names.join(', '),
+        signal,
+      });
+      caches.set(key, created);
+      return { ...created, documents: names, hashes };
+    } catch (err) {
+      if (err?.name === 'AbortError' || signal?.aborted) throw err;
+      // Too few tokens or a model without caching: do not ask again for these documents
+      if (err?.status === 400 || err?.status === 404) unsupported.add(key);
+      caches.delete(key);
+      return null;
+    }
+  }
+
+  /**
+   * Forget a cache the API no longer accepts (deleted or expired early).
+   */
+  drop(conversationId, name) {
+    const conversation = this.conversations.get(String(conversationId || ''));
+    if (!conversation) return;
+    for (const [key, entry] of conversation.caches) {
+      if (entry.name === name) conversation.caches.delete(key);
+    }
+  }
+
+  /**
+   * Drop a deleted thread's documents; its caches expire on the server.
+   */
+  forgetConversation(conversationId) {
+    return this.conversations.delete(String(conversationId || ''));
+  }
+}
+
+let instance = null;
+
+function getContextCacheRegistry() {
+  if (!instance) {
+    instance = new ContextCacheRegistry();
+  }
+  return instance;
+}
+
+module.exports = {
+  CACHE_TTL_SECONDS,
+  isCacheableDocument,
+  ContextCacheRegistry,
+  getContextCacheRegistry,
+};
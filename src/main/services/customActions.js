@@ -0,0 +1,140 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const crypto = require('crypto');
+const { getPref, setPref } = require('./preferences');
+const { CUSTOM_ACTION_PREFIX, isCustomAction } = require('../../shared/shortcutDefaults');
+
+const PREF_KEY = 'CUSTOM_SHORTCUT_ACTIONS';
+const MAX_ACTIONS = 30;
+const MAX_NAME_LENGTH = 60;
+const MAX_TEMPLATE_LENGTH = 20000;
+
+/**
+ * Where the result of a custom action goes:
+ * chat (main window), popup (floating result next to the cursor),
+ * replace (pasted over the selection) or clipboard (copied only).
+ */
+const CUSTOM_ACTION_OUTPUTS = ['chat', 'popup', 'replace', 'clipboard'];
+
+function normalizeAction(raw) {
+  if (!raw || typeof raw !== 'object' || !isCustomAction(raw.id)) return null;
+  const name = String(raw.name || '').trim();
+  const template = typeof raw.template === 'string' ? raw.template : '';
+  if (!name || !template.trim()) return null;
+  return {
+    id: raw.id,
+    name: name.slice(0, MAX_NAME_LENGTH),
+    template: template.slice(0, MAX_TEMPLATE_LENGTH),
+    output: CUSTOM_ACTION_OUTPUTS.includes(raw.output) ? raw.output : 'chat',
+  };
+}
+
+/**
+ * User-defined "selected text → prompt template → output" actions persisted in preferences.
+ * Their accelerators live in SHORTCUT_ASSIGNMENTS under the action id, next to the built-ins.
+ */
+class CustomActionStore {
+  /**
+   * @returns {Array<{id: string, name: string, template: string, output: string}>}
+   */
+  list() {
+    const saved = getPref(PREF_KEY);
+    if (!Array.isArray(saved)) return [];
+    return saved.map(normalizeAction).filter(Boolean);
+  }
+
+  get(id) {
+    return this.list().find((a) => a.id === id) || null;
+  }
+
+  ids() {
+    return this.list().map((a) => a.id);
+  }
+
+  /**
+   * Create (no id) or update an action.
+   * @param {{id?: string, name: string, template: string, output?: string}} action
+   * @returns {Object} The saved action
+   */
+  save(action) {
+    const name = String(action?.name || '').trim();
+    const template =
+      typeof action?.template === 'string' ? action.template.replace(/\r\n/g, '\n') : '';
+    if (!name) {
+      throw new Error('Action name is required');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new Error(`Action name is too long (max ${MAX_NAME_LENGTH} characters)`);
+    }
+    if (!template.trim()) {
+      throw new Error('Prompt template is required');
+    }
+    if (template.length > MAX_TEMPLATE_LENGTH) {
+      throw new Error(`Template is too long (max ${MAX_TEMPLATE_LENGTH} characters)`);
+    }
+    if (action.output && !CUSTOM_ACTION_OUTPUTS.includes(action.output)) {
+      throw new Error(`Unknown output: ${action.output}`);
+    }
+
+    const actions = this.list();
+    const index = action.id ? actions.findIndex((a) => a.id === action.id) : -1;
+    if (action.id && index === -1) {
+      throw new Error(`Unknown custom action: ${action.id}`);
+    }
+    if (index === -1 && actions.length >= MAX_ACTIONS) {
+      throw new Error(`Too many custom actions (max ${MAX_ACTIONS})`);
+    }
+
+    const saved = {
+      id:
+        index === -1
+          ? `${CUSTOM_ACTION_PREFIX}${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`
+          : action.id,
+      name,
+      template,
+      output: action.output || 'chat',
+    };
+    if (index === -1) {
+      actions.push(saved);
+    } else {
+      actions[index] = saved;
+    }
+    setPref(PREF_KEY, actions);
+    return saved;
+  }
+
+  /**
+   * Remove an action together with its shortcut assignment.
+   * @returns {boolean} True if the action existed
+   */
+  delete(id) {
+    const actions = this.list();
+    const next = actions.filter((a) => a.id !== id);
+    if (next.length === actions.length) return false;
+    setPref(PREF_KEY, next.length ? next : '');
+
+    const assignments = getPref('SHORTCUT_ASSIGNMENTS');
+    if (assignments && typeof assignments === 'object' && id in assignments) {
+      const { [id]: _removed, ...rest } = assignments;
+      setPref('SHORTCUT_ASSIGNMENTS', rest);
+    }
+    return true;
+  }
+}
+
+let instance = null;
+
+function getCustomActionStore() {
+  if (!instance) {
+    instance = new CustomActionStore();
+  }
+  return instance;
+}
+
+module.exports = {
+  CUSTOM_ACTION_OUTPUTS,
+  CustomActionStore,
+  getCustomActionStore,
+};
@@ -0,0 +1,361 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+
+const FILES_API_BASE = 'https://generativelanguage.googleapis.com';
+// Inline parts larger than this (decoded) are uploaded through the Files API instead;
+// the whole generateContent request must stay under 20 MB
+const UPLOAD_THRESHOLD_BYTES = 8 * 1024 * 1024;
+// Resumable upload chunks must be multiples of 256 KiB
+const CHUNK_SIZE = 32 * 256 * 1024;
+// Uploaded files live 48 hours; one closer to expiry than this is uploaded again
+const EXPIRY_MARGIN_MS = 10 * 60 * 1000;
+const DEFAULT_LIFETIME_MS = 48 * 60 * 60 * 1000;
+const PROCESSING_POLL_MS = 1000;
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+const MAX_CONVERSATIONS = 50;
+
+function decodedSize(base64) {
+  const str = String(base64 || '');
+  const padding = str.endsWith('==') ? 2 : str.endsWith('=') ? 1 : 0;
+  return Math.max(0, Math.floor((str.length * 3) / 4) - padding);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Whether a generateContent failure means a referenced file is gone (expired or deleted).
+ * Gemini reports it as a 403 ("... access the File x or it may not exist") or as a file
+ * that is not ACTIVE.
+ */
+function isMissingFileError(err) {
+  const message = String(err?.message || err || '');
+  return /\bFile\b[^.]*?(?:may not exist|not in an ACTIVE state|has expired|not found)/i.test(
+    message
+  );
+}
+
+/**
+ * The bytes of an upload: a buffer in memory, or a file read from disk one chunk at a time
+ * (long recordings are too large to hold in memory).
+ */
+async function openUploadSource({ buffer, filePath }) {
+  if (!filePath) {
+    return {
+      size: buffer.length,
+      read: async (offset, length) => buffer.subarray(offset, offset + length),
+      close: async () => {},
+    };
+  }
+  const handle = await fs.promises.open(filePath, 'r');
+  const { size } = await handle.stat();
+  return {
+    size,
+    read: async (offset, length) => {
+      const chunk = Buffer.alloc(Math.min(length, size - offset));
+      const { bytesRead } = await handle.read(chunk, 0, chunk.length, offset);
+      return chunk.subarray(0, bytesRead);
+    },
+    close: () => handle.close(),
+  };
+}
+
+async function errorFromResponse(res, action) {
+  const text = await res.text().catch(() => '');
+  const err = new Error(`File ${action} failed: ${res.status} - ${text}`);
+  err.status = res.status;
+  return err;
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        const err = new Error('Upload aborted');
+        err.name = 'AbortError';
+        reject(err);
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Large attachments through the Gemini Files API.
+ * Uploaded file URIs are remembered per conversation (and per API key, since files belong to
+ * the key's project) so follow-up turns reuse them; expired ones are uploaded again.
+ */
+class GeminiFileStore {
+  /**
+   * @param {{baseUrl?: string}} [options] - baseUrl points the upload at another server (tests)
+   */
+  constructor({ baseUrl = FILES_API_BASE } = {}) {
+    this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+    // conversationId -> Map(`${key fingerprint}:${content hash}` -> file | Promise<file>)
+    this.conversations = new Map();
+  }
+
+  /**
+   * Upload bytes with the resumable protocol and wait until the file is usable.
+   * @param {string} apiKey
+   * @param {{buffer?: Buffer, filePath?: string, mimeType: string, displayName?: string}} file -
+   *   buffer, or filePath to read the bytes from disk
+   * @param {{onProgress?: Function, signal?: AbortSignal}} [options] - onProgress receives
+   *   { loaded, total } after every chunk
+   * @returns {Promise<{name: string, uri: string, mimeType: string, expiresAt: number}>}
+   */
+  async upload(apiKey, { buffer, filePath, mimeType, displayName }, { onProgress, signal } = {}) {
+    const source = await openUploadSource({ buffer, filePath });
+    try {
+      return await this.uploadFrom(
+        apiKey,
+        source,
+        { mimeType, displayName },
+        { onProgress, signal }
+      );
+    } finally {
+      await source.close().catch(() => {});
+    }
+  }
+
+  async uploadFrom(apiKey, source, { mimeType, displayName }, { onProgress, signal }) {
+    const key = String(apiKey || '').trim();
+    const total = source.size;
+    const start = await fetch(`${this.baseUrl}/upload/v1beta/files`, {
+      method: 'POST',
+      headers: {
+        'x-goog-api-key': key,
+        'X-Goog-Upload-Protocol': 'resumable',
+        'X-Goog-Upload-Command': 'start',
+        'X-Goog-Upload-Header-Content-Length': String(total),
+        'X-Goog-Upload-Header-Content-Type': mimeType,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ file: { display_name: String(displayName || 'attachment') } }),
+      signal,
+    });
+    if (!start.ok) throw await errorFromResponse(start, 'upload');
+    const uploadUrl = start.headers.get('x-goog-upload-url');
+    if (!uploadUrl) throw new Error('File upload failed: no upload URL returned');
+
+    let data = null;
+    let offset = 0;
+    do {
+      const chunk = await source.read(offset, CHUNK_SIZE);
+      if (!chunk.length && offset < total) {
+        throw new Error('File upload failed: the file changed while uploading');
+      }
+      const last = offset + chunk.length >= total;
+      const res = await fetch(uploadUrl, {
+        method: 'POST',
+        headers: {
+          'X-Goog-Upload-Command': last ? 'upload, finalize' : 'upload',
+          'X-Goog-Upload-Offset': String(offset),
+        },
+        body: chunk,
+        signal,
+      });
+      if (!res.ok) throw await errorFromResponse(res, 'upload');
+      offset += chunk.length;
+      if (typeof onProgress === 'function') onProgress({ loaded: offset, total });
+      if (last) data = await res.json();
+    } while (offset < total);
+
+    const file = await this.waitUntilActive(key, data?.file, signal);
+    const expiresAt = Date.parse(file.expirationTime || '');
+    return {
+      name: String(file.name),
+      uri: String(file.uri),
+      mimeType: String(file.mimeType || mimeType),
+      expiresAt: Number.isFinite(expiresAt) ? expiresAt : Date.now() + DEFAULT_LIFETIME_MS,
+    };
+  }
+
+  // Videos and large documents are PROCESSING for a while after the upload
+  async waitUntilActive(apiKey, file, signal) {
+    if (!file?.name || !file?.uri) throw new Error('File upload failed: unexpected response');
+    const deadline = Date.now() + PROCESSING_TIMEOUT_MS;
+    let current = file;
+    while (current.state === 'PROCESSING') {
+      if (Date.now() > deadline) throw new Error(`File ${file.name} is still processing`);
+      await delay(PROCESSING_POLL_MS, signal);
+      const res = await fetch(`${this.baseUrl}/v1beta/${current.name}`, {
+        headers: { 'x-goog-api-key': apiKey },
+        signal,
+      });
+      if (!res.ok) throw await errorFromResponse(res, 'status check');
+      current = await res.json();
+    }
+    if (current.state === 'FAILED') throw new Error(`File ${file.name} could not be processed`);
+    return current;
+  }
+
+  /**
+   * Uploaded file for inline data, reusing the conversation's earlier upload of the same bytes.
+   * @param {string} apiKey
+   * @param {string} conversationId - Empty: upload without remembering the file
+   * @param {{data?: string, filePath?: string, size?: number, modifiedAt?: number,
+   *   mimeType: string, displayName?: string}} inline - Base64 data, or a file on disk
+   *   (remembered by path, size and modification time)
+   * @param {{refresh?: boolean, onProgress?: Function, signal?: AbortSignal}} [options] -
+   *   refresh: upload again even if a remembered file looks valid
+   */
+  async ensure(apiKey, conversationId, inline, { refresh = false, onProgress, signal } = {}) {
+    const files = conversationId ? this.filesFor(conversationId) : new Map();
+    const content = inline.filePath
+      ? sha256(`file:${inline.filePath}:${inline.size}:${inline.modifiedAt}`)
+      : sha256(inline.data);
+    const entryKey = `${sha256(apiKey).slice(0, 16)}:${content}`;
+    const known = files.get(entryKey);
+    if (known && !refresh) {
+      // A concurrent request (compare mode) may already be uploading the same file
+      const file = await Promise.resolve(known).catch(() => null);
+      if (file && file.expiresAt - EXPIRY_MARGIN_MS > Date.now()) return file;
+    }
+    const pending = this.upload(
+      apiKey,
+      {
+        ...(inline.filePath
+          ? { filePath: inline.filePath }
+          : { buffer: Buffer.from(String(inline.data), 'base64') }),
+        mimeType: String(inline.mimeType || 'application/octet-stream'),
+        displayName: inline.displayName,
+      },
+      {
+        onProgress:
+          typeof onProgress === 'function'
+            ? (p) => onProgress({ ...p, name: String(inline.displayName || '') })
+            : undefined,
+        signal,
+      }
+    );
+    files.set(entryKey, pending);
+    try {
+      const file = await pending;
+      if (files.get(entryKey) === pending) files.set(entryKey, file);
+      return file;
+    } catch (err) {
+      if (files.get(entryKey) === pending) files.delete(entryKey);
+      throw err;
+    }
+  }
+
+  /**
+   * A conversation's live upload of base64 data, without uploading anything.
+   * @param {string} apiKey
+   * @param {string} conversationId
+   * @param {string} contentHash - SHA-256 (hex) of the base64 data
+   * @returns {{name: string, uri: string, mimeType: string, expiresAt: number}|null}
+   */
+  find(apiKey, conversationId, contentHash) {
+    const files = this.conversations.get(String(conversationId || ''));
+    const file = files?.get(`${sha256(apiKey).slice(0, 16)}:${contentHash}`);
+    // Uploads still in flight are not found
+    if (!file || typeof file.then === 'function') return null;
+    return file.expiresAt - EXPIRY_MARGIN_MS > Date.now() ? file : null;
+  }
+
+  /**
+   * Swap large inline attachments of a Gemini request (the current attachments and history
+   * parts) for uploaded file references. Small parts stay inline; history may already carry
+   * references (fileData) to files uploaded in earlier turns.
+   * @param {string} apiKey
+   * @param {{conversationId?: string, attachments?: Array, history?: Array}} request -
+   *   attachments: normalized attachments ({ base64, mimeType, name }, { text, name }, or
+   *   { filePath, size, modifiedAt, mimeType, name } for a recording read from disk, which is
+   *   always uploaded)
+   * @param {{refresh?: boolean, onProgress?: Function, signal?: AbortSignal}} [options]
+   * @returns {Promise<{attachments: Array, history: Array, usesFiles: boolean}>}
+   */
+  async prepare(apiKey, { conversationId = '', attachments = [], history = [] }, options = {}) {
+    const id = String(conversationId || '');
+    let usesFiles = false;
+    const toFile = async (inline) => {
+      usesFiles = true;
+      const file = await this.ensure(apiKey, id, inline, options);
+      return { fileUri: file.uri, mimeType: file.mimeType };
+    };
+
+    // One at a time, in order: progress events then follow the attachment list
+    const nextAttachments = [];
+    for (const a of Array.isArray(attachments) ? attachments : []) {
+      if (a.filePath) {
+        const { filePath, size, modifiedAt, mimeType, name } = a;
+        const file = await toFile({ filePath, size, modifiedAt, mimeType, displayName: name });
+        nextAttachments.push({ ...file, name });
+      } else if (a.base64 && decodedSize(a.base64) > UPLOAD_THRESHOLD_BYTES) {
+        const file = await toFile({ data: a.base64, mimeType: a.mimeType, displayName: a.name });
+        nextAttachments.push({ ...file, name: a.name });
+      } else {
+        nextAttachments.push(a);
+      }
+    }
+
+    const nextHistory = [];
+    for (const turn of Array.isArray(history) ? history : []) {
+      const parts = [];
+      for (const part of turn.parts) {
+        if (part.fileData) {
+          // Uploads of earlier turns cannot be redone from here (main never had their bytes), so
+          // after a missing-file error the retried request goes without them
+          if (options.refresh) continue;
+          usesFiles = true;
+          parts.push(part);
+        } else if (part.inlineData && decodedSize(part.inlineData.data) > UPLOAD_THRESHOLD_BYTES) {
+          parts.push({ fileData: await toFile(part.inlineData) });
+        } else {
+          parts.push(part);
+        }
+      }
+      if (parts.length) nextHistory.push({ ...turn, parts });
+    }
+    return { attachments: nextAttachments, history: nextHistory, usesFiles };
+  }
+
+  filesFor(conversationId) {
+    let files = this.conversations.get(conversationId);
+    if (files) {
+      // Keep recently used conversations at the end
+      this.conversations.delete(conversationId);
+    } else {
+      files = new Map();
+    }
+    this.conversations.set(conversationId, files);
+    while (this.conversations.size > MAX_CONVERSATIONS) {
+      this.conversations.delete(this.conversations.keys().next().value);
+    }
+    return files;
+  }
+
+  /**
+   * Drop what is remembered for a conversation (deleted thread). The files themselves
+   * expire on the server.
+   */
+  forgetConversation(conversationId) {
+    return this.conversations.delete(String(conversationId || ''));
+  }
+}
+
+let instance = null;
+
+function getGeminiFileStore() {
+  if (!instance) {
+    instance = new GeminiFileStore();
+  }
+  return instance;
+}
+
+module.exports = {
+  UPLOAD_THRESHOLD_BYTES,
+  isMissingFileError,
+  GeminiFileStore,
+  getGeminiFileStore,
+};
@@ -0,0 +1,149 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const { getPref, setPref } = require('./preferences');
+
+const PREF_KEY = 'JSON_OUTPUT_SCHEMAS';
+const MAX_SCHEMAS = 30;
+const MAX_SCHEMA_LENGTH = 20000;
+const MAX_DESCRIPTION_LENGTH = 200;
+// Used as `/json <name>`, so no spaces
+const NAME_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const SCHEMA_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean'];
+
+function normalizeSchema(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const name = String(raw.name || '')
+    .trim()
+    .toLowerCase();
+  if (!NAME_RE.test(name) || !raw.schema || typeof raw.schema !== 'object') return null;
+  return {
+    name,
+    description: String(raw.description || '').slice(0, MAX_DESCRIPTION_LENGTH),
+    schema: raw.schema,
+  };
+}
+
+/**
+ * Parse and sanity-check a schema typed in Settings. Both JSON Schema (lowercase types)
+ * and Gemini's OpenAPI style (uppercase types) are accepted; the root must be an object or array.
+ * @param {string|Object} input
+ * @returns {Object}
+ */
+function parseSchema(input) {
+  let schema = input;
+  if (typeof input === 'string') {
+    if (input.length > MAX_SCHEMA_LENGTH) {
+      throw new Error(`Schema is too long (max ${MAX_SCHEMA_LENGTH} characters)`);
+    }
+    try {
+      schema = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`Schema is not valid JSON: ${err.message}`);
+    }
+  }
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('Schema must be a JSON object');
+  }
+  const rootType = String(schema.type || '').toLowerCase();
+  if (rootType !== 'object' && rootType !== 'array') {
+    throw new Error('The schema root must have "type": "object" or "array"');
+  }
+  const check = (node, path) => {
+    if (!node || typeof node !== 'object') return;
+    const types = (Array.isArray(node.type) ? node.type : [node.type]).filter(Boolean);
+    for (const t of types) {
+      const type = String(t).toLowerCase();
+      if (type !== 'null' && !SCHEMA_TYPES.includes(type)) {
+        throw new Error(`Unknown type "${t}" at ${path}`);
+      }
+    }
+    if (node.properties && typeof node.properties === 'object') {
+      for (const [key, child] of Object.entries(node.properties)) check(child, `${path}.${key}`);
+    }
+    if (node.items) check(node.items, `${path}[]`);
+  };
+  check(schema, '$');
+  return schema;
+}
+
+/**
+ * User-defined response schemas for `/json <name>`, persisted in preferences.
+ */
+class JsonSchemaStore {
+  /**
+   * @returns {Array<{name: string, description: string, schema: Object}>}
+   */
+  list() {
+    const saved = getPref(PREF_KEY);
+    if (!Array.isArray(saved)) return [];
+    return saved.map(normalizeSchema).filter(Boolean);
+  }
+
+  get(name) {
+    const key = String(name || '')
+      .trim()
+      .toLowerCase();
+    return this.list().find((s) => s.name === key) || null;
+  }
+
+  /**
+   * Create or replace a schema by name.
+   * @param {{name: string, description?: string, schema: string|Object}} entry
+   * @returns {Object} The saved entry
+   */
+  save(entry) {
+    const name = String(entry?.name || '')
+      .trim()
+      .toLowerCase();
+    if (!NAME_RE.test(name)) {
+      throw new Error('Schema name must be 1-40 lowercase letters, digits, "-" or "_" (no spaces)');
+    }
+    const saved = {
+      name,
+      description: String(entry?.description || '')
+        .trim()
+        .slice(0, MAX_DESCRIPTION_LENGTH),
+      schema: parseSchema(entry?.schema),
+    };
+    const schemas = this.list();
+    const index = schemas.findIndex((s) => s.name === name);
+    if (index === -1 && schemas.length >= MAX_SCHEMAS) {
+      throw new Error(`Too many schemas (max ${MAX_SCHEMAS})`);
+    }
+    if (index === -1) {
+      schemas.push(saved);
+    } else {
+      schemas[index] = saved;
+    }
+    setPref(PREF_KEY, schemas);
+    return saved;
+  }
+
+  /**
+   * @returns {boolean} True if the schema existed
+   */
+  delete(name) {
+    const schemas = this.list();
+    const next = schemas.filter((s) => s.name !== name);
+    if (next.length === schemas.length) return false;
+    setPref(PREF_KEY, next.length ? next : '');
+    return true;
+  }
+}
+
+let instance = null;
+
+function getJsonSchemaStore() {
+  if (!instance) {
+    instance = new JsonSchemaStore();
+  }
+  return instance;
+}
+
+module.exports = {
+  parseSchema,
+  JsonSchemaStore,
+  getJsonSchemaStore,
+};
@@ -0,0 +1,405 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_VERSION = 1;
+const TEXT_EXTENSIONS = new Set(['.txt', '.md', '.markdown']);
+const PDF_EXTENSION = '.pdf';
+const SKIP_DIRS = new Set(['node_modules', '__pycache__']);
+const MAX_FILES_PER_FOLDER = 5000;
+const MAX_TEXT_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_PDF_FILE_BYTES = 50 * 1024 * 1024;
+const MAX_PDF_PAGES = 500;
+const MAX_PDF_TEXT_LENGTH = 1000000;
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+// BM25 parameters (Robertson / Lucene defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set(
+  'a an and are as at be but by for from has have how i if in into is it its of on or that the their then there these this to was were what when where which who why will with you your'.split(
+    ' '
+  )
+);
+
+// Scripts written without spaces are indexed as overlapping character bigrams
+const CJK_RE =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+const CJK_RUN_RE =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}ー]+|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}ー]+/gu;
+
+/**
+ * Split text into index terms: lower-cased words for spaced scripts,
+ * character bigrams for CJK / Thai runs.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  const terms = [];
+  for (const [word] of String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .matchAll(/[\p{L}\p{N}_]+/gu)) {
+    if (!CJK_RE.test(word)) {
+      if ((word.length > 1 || /\d/.test(word)) && !STOPWORDS.has(word)) terms.push(word);
+      continue;
+    }
+    for (const [run] of word.matchAll(CJK_RUN_RE)) {
+      if (!CJK_RE.test(run)) {
+        if (run.length > 1 && !STOPWORDS.has(run)) terms.push(run);
+      } else if (run.length === 1) {
+        terms.push(run);
+      } else {
+        for (let i = 0; i < run.length - 1; i++) terms.push(run.slice(i, i + 2));
+      }
+    }
+  }
+  return terms;
+}
+
+/**
+ * Split text into overlapping chunks, preferring paragraph boundaries.
+ * @param {string} text
+ * @returns {Array<{text: string, line: number}>} line is 1-based, where the chunk starts
+ */
+function chunkText(text) {
+  const source = String(text || '').replace(/\r\n?/g, '\n');
+  const chunks = [];
+  let start = 0;
+  // Line numbers are counted on from the previous chunk's start (chunk starts only move forward)
+  let line = 1;
+  let counted = 0;
+  while (start < source.length) {
+    let end = Math.min(source.length, start + CHUNK_SIZE);
+    if (end < source.length) {
+      // Prefer a paragraph break, then a line break, then a sentence end in the second half
+      const window = source.slice(start + CHUNK_SIZE / 2, end);
+      const cut = Math.max(
+        window.lastIndexOf('\n\n'),
+        window.lastIndexOf('\n'),
+        window.lastIndexOf('. '),
+        window.lastIndexOf('。')
+      );
+      if (cut > 0) end = start + CHUNK_SIZE / 2 + cut + 1;
+    }
+    const body = source.slice(start, end).trim();
+    for (; counted < start; counted++) {
+      if (source.charCodeAt(counted) === 10) line += 1;
+    }
+    if (body) chunks.push({ text: body, line });
+    if (end >= source.length) break;
+    start = Math.max(start + 1, end - CHUNK_OVERLAP);
+  }
+  return chunks;
+}
+
+function isIndexableFile(name) {
+  const ext = path.extname(name).toLowerCase();
+  return TEXT_EXTENSIONS.has(ext) || ext === PDF_EXTENSION;
+}
+
+/**
+ * Local knowledge base: registered folders are chunked and indexed for BM25 retrieval.
+ * Everything (extraction, index, search) runs offline; the index lives in
+ * userData/knowledge-base/index.json.
+ */
+class KnowledgeBase {
+  constructor(options = {}) {
+    this.dir =
+      options.dir || path.join(require('electron').app.getPath('userData'), 'knowledge-base');
+    this.indexPath = path.join(this.dir, 'index.json');
+    this.data = null; // { version, folders, files, chunks, postings, totalLength }
+    this.indexing = null; // Promise of the running (re)index
+  }
+
+  emptyIndex() {
+    return {
+      version: INDEX_VERSION,
+      folders: [],
+      files: {},
+      chunks: [],
+      postings: {},
+      totalLength: 0,
+    };
+  }
+
+  load() {
+    if (this.data) return this.data;
+    this.data = this.emptyIndex();
+    try {
+      if (fs.existsSync(this.indexPath)) {
+        const parsed = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+        if (parsed && parsed.version === INDEX_VERSION && Array.isArray(parsed.chunks)) {
+          this.data = { ...this.emptyIndex(), ...parsed };
+        } else if (parsed && Array.isArray(parsed.folders)) {
+          // Unknown index format: keep the folder list, the next reindex rebuilds the rest
+          this.data.folders = parsed.folders;
+        }
+      }
+    } catch {}
+    return this.data;
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const tmp = `${this.indexPath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.data), 'utf8');
+      fs.renameSync(tmp, this.indexPath);
+    } catch {}
+  }
+
+  /**
+   * @returns {Array<{path: string, addedAt: number, indexedAt: number, fileCount: number, chunkCount: number, error?: string}>}
+   */
+  listFolders() {
+    return this.load().folders.map((f) => ({ ...f }));
+  }
+
+  isIndexing() {
+    return !!this.indexing;
+  }
+
+  /**
+   * True if the file is part of the index (used to allow opening cited files).
+   */
+  hasFile(filePath) {
+    return Object.prototype.hasOwnProperty.call(this.load().files, path.resolve(String(filePath)));
+  }
+
+  async addFolder(folderPath, onProgress) {
+    const resolved = path.resolve(String(folderPath || ''));
+    const stat = await fs.promises.stat(resolved).catch(() => null);
+    if (!stat || !stat.isDirectory()) {
+      throw new Error(`Not a folder: ${resolved}`);
+    }
+    const data = this.load();
+    if (!data.folders.some((f) => f.path === resolved)) {
+      data.folders.push({
+        path: resolved,
+        addedAt: Date.now(),
+        indexedAt: 0,
+        fileCount: 0,
+        chunkCount: 0,
+      });
+      this.save();
+    }
+    // A running pass may already be past the folder loop; the new folder needs a pass of its own
+    if (this.indexing) await this.indexing.catch(() => {});
+    await this.reindex(onProgress);
+    return this.listFolders();
+  }
+
+  async removeFolder(folderPath) {
+    if (this.indexing) await this.indexing;
+    const data = this.load();
+    const resolved = path.resolve(String(folderPath || ''));
+    data.folders = data.folders.filter((f) => f.path !== resolved);
+    const files = {};
+    const chunks = [];
+    for (const [file, meta] of Object.entries(data.files)) {
+      if (meta.folder !== resolved) files[file] = meta;
+    }
+    for (const chunk of data.chunks) {
+      if (files[chunk.file]) chunks.push(chunk);
+    }
+    this.rebuild(files, chunks);
+    this.save();
+    return this.listFolders();
+  }
+
+  /**
+   * Re-scan every folder. Unchanged files (same size and mtime) keep their chunks.
+   * Concurrent calls share the running pass.
+   * @param {Function} [onProgress] - ({ folder, processed, total }) per file
+   */
+  reindex(onProgress) {
+    if (this.indexing) return this.indexing;
+    this.indexing = this.runIndex(onProgress).finally(() => {
+      this.indexing = null;
+    });
+    return this.indexing;
+  }
+
+  async runIndex(onProgress) {
+    const data = this.load();
+    const previousChunks = new Map();
+    for (const chunk of data.chunks) {
+      if (!previousChunks.has(chunk.file)) previousChunks.set(chunk.file, []);
+      previousChunks.get(chunk.file).push(chunk);
+    }
+
+    const files = {};
+    const chunks = [];
+    for (const folder of data.folders) {
+      let list = [];
+      try {
+        list = await this.collectFiles(folder.path);
+        delete folder.error;
+      } catch (err) {
+        folder.error = err?.message || 'Failed to read folder';
+      }
+
+      let processed = 0;
+      let chunkCount = 0;
+      for (const { file, stat } of list) {
+        processed += 1;
+        if (files[file]) continue; // Nested folders registered twice
+        const old = data.files[file];
+        let fileChunks = null;
+        if (old && old.size === stat.size && old.mtimeMs === stat.mtimeMs) {
+          fileChunks = previousChunks.get(file) || [];
+        } else {
+          fileChunks = await this.extractChunks(file).catch(() => []);
+        }
+        files[file] = { folder: folder.path, size: stat.size, mtimeMs: stat.mtimeMs };
+        for (const chunk of fileChunks) chunks.push({ ...chunk, file });
+        chunkCount += fileChunks.length;
+        if (
+          typeof onProgress === 'function' &&
+          (processed % 10 === 0 || processed === list.length)
+        ) {
+          onProgress({ folder: folder.path, processed, total: list.length });
+        }
+        // Yield so IPC and the UI stay responsive during large scans
+        if (processed % 25 === 0) await new Promise((resolve) => setImmediate(resolve));
+      }
+      folder.fileCount = list.length;
+      folder.chunkCount = chunkCount;
+      folder.indexedAt = Date.now();
+    }
+
+    this.rebuild(files, chunks);
+    this.save();
+    return this.listFolders();
+  }
+
+  async collectFiles(root) {
+    const out = [];
+    const queue = [root];
+    while (queue.length && out.length < MAX_FILES_PER_FOLDER) {
+      const dir = queue.shift();
+      let entries = [];
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (err) {
+        if (dir === root) throw err;
+        continue;
+      }
+      for (const entry of entries) {
+        if (entry.name.startsWith('.') || entry.isSymbolicLink()) continue;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!SKIP_DIRS.has(entry.name)) queue.push(full);
+        } else if (entry.isFile() && isIndexableFile(entry.name)) {
+          const stat = await fs.promises.stat(full).catch(() => null);
+          if (!stat) continue;
+          const limit =
+            path.extname(full).toLowerCase() === PDF_EXTENSION
+              ? MAX_PDF_FILE_BYTES
+              : MAX_TEXT_FILE_BYTES;
+          if (stat.size > 0 && stat.size <= limit) out.push({ file: full, stat });
+          if (out.length >= MAX_FILES_PER_FOLDER) break;
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * @returns {Promise<Array<{text: string, line?: number, page?: number, length: number}>>}
+   */
+  async extractChunks(file) {
+    const withLength = (chunk) => ({ ...chunk, length: tokenize(chunk.text).length });
+    if (path.extname(file).toLowerCase() === PDF_EXTENSION) {
+      // Lazy-load: pdfjs is only needed when a PDF changed
+      const { extractTextFromPdf } = require('./pdfContent');
+      const buffer = await fs.promises.readFile(file);
+      const result = await extractTextFromPdf(new Uint8Array(buffer), {
+        maxPages: MAX_PDF_PAGES,
+        maxTextLength: MAX_PDF_TEXT_LENGTH,
+      });
+      const out = [];
+      for (const { page, text } of result.pages || []) {
+        for (const chunk of chunkText(text)) out.push(withLength({ text: chunk.text, page }));
+      }
+      return out;
+    }
+    const text = await fs.promises.readFile(file, 'utf8');
+    return chunkText(text).map(withLength);
+  }
+
+  /**
+   * Rebuild the inverted index. Postings are flat [chunkIndex, termFrequency, ...] arrays.
+   */
+  rebuild(files, chunks) {
+    const postings = {};
+    let totalLength = 0;
+    chunks.forEach((chunk, index) => {
+      const counts = new Map();
+      for (const term of tokenize(chunk.text)) counts.set(term, (counts.get(term) || 0) + 1);
+      for (const [term, tf] of counts) {
+        if (!postings[term]) postings[term] = [];
+        postings[term].push(index, tf);
+      }
+      totalLength += chunk.length || 0;
+    });
+    Object.assign(this.load(), { version: INDEX_VERSION, files, chunks, postings, totalLength });
+  }
+
+  /**
+   * BM25 search over all indexed chunks.
+   * @param {string} query
+   * @param {{limit?: number}} [options]
+   * @returns {Array<{file: string, line?: number, page?: number, text: string, score: number}>}
+   */
+  search(query, { limit = 6 } = {}) {
+    const data = this.load();
+    const count = data.chunks.length;
+    if (!count) return [];
+    const avgLength = data.totalLength / count || 1;
+    const scores = new Map();
+    for (const term of new Set(tokenize(query))) {
+      const list = data.postings[term];
+      if (!list) continue;
+      const df = list.length / 2;
+      const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+      for (let i = 0; i < list.length; i += 2) {
+        const index = list[i];
+        const tf = list[i + 1];
+        const length = data.chunks[index].length || 0;
+        const score =
+          (idf * tf * (BM25_K1 + 1)) /
+          (tf + BM25_K1 * (1 - BM25_B + (BM25_B * length) / avgLength));
+        scores.set(index, (scores.get(index) || 0) + score);
+      }
+    }
+    return Array.from(scores, ([index, score]) => ({ index, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ index, score }) => {
+        const { file, line, page, text } = data.chunks[index];
+        return { file, line, page, text, score: Math.round(score * 1000) / 1000 };
+      });
+  }
+}
+
+let instance = null;
+
+function getKnowledgeBase() {
+  if (!instance) {
+    instance = new KnowledgeBase();
+  }
+  return instance;
+}
+
+module.exports = {
+  tokenize,
+  chunkText,
+  KnowledgeBase,
+  getKnowledgeBase,
+};
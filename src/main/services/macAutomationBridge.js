@@ -7,6 +7,7 @@ const fs = require('fs');
 const path = require('path');
 
 const DEFAULT_TIMEOUT_MS = 1500;
+const PASTE_TIMEOUT_MS = 1500;
 const PROMPT_BACKOFF_MS = 60_000;
 
 // Daemon mode constants
@@ -290,6 +291,29 @@ async function fetchSelectedText({ timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
   }
 }
 
+/**
+ * Paste the current clipboard into the frontmost app (Command+V posted by the Swift helper)
+ * @returns {Promise<{status: string, code?: string, message?: string}>}
+ */
+async function pasteClipboard({ timeoutMs = PASTE_TIMEOUT_MS } = {}) {
+  if (process.platform !== 'darwin') {
+    return { status: 'error', code: 'unsupported_platform', text: '' };
+  }
+  try {
+    const result = await spawnBridge('paste', { timeoutMs });
+    return normalizeBridgePayload(result.payload);
+  } catch (error) {
+    logBridgeEvent('pasteClipboard.error', { message: error?.message || '' });
+    if (error?.message === 'SWIFT_BRIDGE_NOT_AVAILABLE') {
+      return { status: 'error', code: 'bridge_missing', text: '' };
+    }
+    if (error?.message === 'SWIFT_BRIDGE_TIMEOUT') {
+      return { status: 'error', code: 'timeout', text: '' };
+    }
+    return { status: 'error', code: 'invoke_failed', text: '' };
+  }
+}
+
 function isClipboardPopupActive() {
   if (!clipboardPopupProcess) return false;
 
@@ -1218,6 +1242,7 @@ function isWindowControlAction(action) {
 
 module.exports = {
   fetchSelectedText,
+  pasteClipboard,
   spawnClipboardPopup,
   isClipboardPopupActive,
   closeClipboardPopup,
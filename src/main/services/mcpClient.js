@@ -0,0 +1,592 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const crypto = require('crypto');
+const path = require('path');
+const { spawn } = require('child_process');
+// Loaded on first use so the stdio client also works outside Electron (tests)
+const preferences = () => require('./preferences');
+
+// Configured servers: [{ id, name, command, args, env, enabled, toolApprovals: { tool: approval } }]
+const SERVERS_PREF_KEY = 'MCP_SERVERS';
+const PROTOCOL_VERSION = '2025-06-18';
+const MAX_SERVERS = 20;
+const REQUEST_TIMEOUT_MS = 30000;
+const TOOL_CALL_TIMEOUT_MS = 120000;
+const MAX_STDERR_LENGTH = 2000;
+const MAX_RESULT_TEXT = 20000;
+
+/**
+ * Per-tool approval:
+ * - ask: the user confirms every call (default)
+ * - auto: calls run without asking
+ * - off: the tool is not offered to the model
+ */
+const TOOL_APPROVALS = ['ask', 'auto', 'off'];
+const DEFAULT_APPROVAL = 'ask';
+// Reading a resource has no side effects, so it does not ask by default
+const READ_RESOURCE_TOOL = 'read_resource';
+
+// GUI apps on macOS start with a minimal PATH; servers are usually launched via npx / uvx
+const EXTRA_PATH_DIRS = ['/opt/homebrew/bin', '/usr/local/bin', '/usr/bin', '/bin'];
+
+/**
+ * Split a command line into arguments, honoring single and double quotes.
+ * @returns {string[]}
+ */
+function splitCommandLine(line) {
+  const out = [];
+  const re = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(line || '')))) {
+    if (m[1] !== undefined) out.push(m[1].replace(/\\(.)/g, '$1'));
+    else if (m[2] !== undefined) out.push(m[2]);
+    else out.push(m[3]);
+  }
+  return out;
+}
+
+/**
+ * Parse KEY=VALUE lines into an env object (blank lines and # comments are ignored).
+ */
+function parseEnvLines(text) {
+  const env = {};
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const eq = line.indexOf('=');
+    if (eq <= 0) throw new Error(`Invalid environment line: ${line}`);
+    env[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+  }
+  return env;
+}
+
+const cleanName = (s) => String(s || '').replace(/[^A-Za-z0-9_]/g, '_');
+
+// Server part of the function names; two servers must not share it ("my-fs" and "my fs" would)
+function serverNamePrefix(serverName) {
+  return cleanName(serverName).slice(0, 20);
+}
+
+// Function names Gemini accepts: letters, digits, _ . - ; at most 64 characters
+function toFunctionName(serverName, toolName) {
+  const name = `mcp__${serverNamePrefix(serverName)}__${cleanName(toolName)}`;
+  if (name.length <= 64) return name;
+  const hash = crypto.createHash('sha1').update(name).digest('hex').slice(0, 8);
+  return `${name.slice(0, 55)}_${hash}`;
+}
+
+/**
+ * One stdio MCP server: newline-delimited JSON-RPC 2.0 over the child's stdin/stdout.
+ */
+class McpConnection {
+  constructor(config) {
+    this.config = config;
+    this.child = null;
+    this.buffer = '';
+    this.nextId = 1;
+    this.pending = new Map(); // id -> { resolve, reject, timer }
+    this.stderr = '';
+    this.closed = false;
+    this.serverInfo = null;
+    this.capabilities = {};
+  }
+
+  async start() {
+    const { command, args = [], env = {} } = this.config;
+    const basePath = process.env.PATH || '';
+    const extra = EXTRA_PATH_DIRS.filter((d) => !basePath.split(path.delimiter).includes(d));
+    this.child = spawn(command, args, {
+      env: {
+        ...process.env,
+        PATH: [basePath, ...extra].filter(Boolean).join(path.delimiter),
+        ...env,
+      },
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    this.child.stdout.setEncoding('utf8');
+    this.child.stdout.on('data', (chunk) => this.onData(chunk));
+    this.child.stderr.setEncoding('utf8');
+    this.child.stderr.on('data', (chunk) => {
+      this.stderr = (this.stderr + chunk).slice(-MAX_STDERR_LENGTH);
+    });
+    // A server that dies mid-write makes stdin emit EPIPE; without a listener that would crash main
+    this.child.stdin.on('error', (err) => this.fail(err));
+    this.child.on('error', (err) => this.fail(err));
+    this.child.on('exit', (code, signal) => {
+      const detail = this.stderr.trim().split('\n').pop() || '';
+      this.fail(
+        new Error(`Server exited (${signal || `code ${code}`})${detail ? `: ${detail}` : ''}`)
+      );
+    });
+
+    const result = await this.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'IrukaDark', version: appVersion() },
+    });
+    this.serverInfo = result?.serverInfo || null;
+    this.capabilities = result?.capabilities || {};
+    this.notify('notifications/initialized');
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+      if (!line) continue;
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        continue; // Servers sometimes log to stdout; ignore anything that is not JSON-RPC
+      }
+      this.onMessage(message);
+    }
+  }
+
+  onMessage(message) {
+    if (message && message.id !== undefined && message.method) {
+      // Server-to-client request: answer ping, decline everything else
+      try {
+        if (message.method === 'ping') {
+          this.send({ jsonrpc: '2.0', id: message.id, result: {} });
+        } else {
+          this.send({
+            jsonrpc: '2.0',
+            id: message.id,
+            error: { code: -32601, message: `Method not supported: ${message.method}` },
+          });
+        }
+      } catch {}
+      return;
+    }
+    const entry = message && this.pending.get(message.id);
+    if (!entry) return; // Notifications (logging, list_changed) are not used
+    this.pending.delete(message.id);
+    clearTimeout(entry.timer);
+    if (message.error) {
+      entry.reject(new Error(message.error.message || `MCP error ${message.error.code}`));
+    } else {
+      entry.resolve(message.result);
+    }
+  }
+
+  send(message) {
+    if (this.closed) throw new Error('MCP server is not running');
+    const stdin = this.child?.stdin;
+    if (!stdin || stdin.destroyed || !stdin.writable) {
+      // The pipe is gone but exit has not been reported yet: settle every waiting call now
+      const err = new Error('MCP server is not running');
+      this.fail(err);
+      throw err;
+    }
+    stdin.write(`${JSON.stringify(message)}\n`, (err) => {
+      if (err) this.fail(err);
+    });
+  }
+
+  request(method, params, { timeoutMs = REQUEST_TIMEOUT_MS, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`MCP request timed out: ${method}`));
+      }, timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+      if (signal) {
+        signal.addEventListener(
+          'abort',
+          () => {
+            if (!this.pending.has(id)) return;
+            this.pending.delete(id);
+            clearTimeout(timer);
+            try {
+              this.notify('notifications/cancelled', { requestId: id });
+            } catch {}
+            reject(new Error('CANCELLED'));
+          },
+          { once: true }
+        );
+      }
+      try {
+        this.send({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) });
+      } catch (err) {
+        this.pending.delete(id);
+        clearTimeout(timer);
+        reject(err);
+      }
+    });
+  }
+
+  notify(method, params) {
+    this.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+  }
+
+  // Follow nextCursor until a list is complete
+  async listAll(method, key) {
+    const items = [];
+    let cursor;
+    for (let page = 0; page < 20; page++) {
+      const result = await this.request(method, cursor ? { cursor } : undefined);
+      items.push(...(Array.isArray(result?.[key]) ? result[key] : []));
+      cursor = result?.nextCursor;
+      if (!cursor) break;
+    }
+    return items;
+  }
+
+  listTools() {
+    return this.capabilities.tools ? this.listAll('tools/list', 'tools') : Promise.resolve([]);
+  }
+
+  listResources() {
+    return this.capabilities.resources
+      ? this.listAll('resources/list', 'resources')
+      : Promise.resolve([]);
+  }
+
+  callTool(name, args, signal) {
+    return this.request(
+      'tools/call',
+      { name, arguments: args || {} },
+      { timeoutMs: TOOL_CALL_TIMEOUT_MS, signal }
+    );
+  }
+
+  readResource(uri, signal) {
+    return this.request('resources/read', { uri }, { signal });
+  }
+
+  fail(err) {
+    if (this.closed) return;
+    this.closed = true;
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(err);
+    }
+    this.pending.clear();
+    if (typeof this.onClose === 'function') this.onClose(err);
+  }
+
+  close() {
+    this.fail(new Error('MCP server stopped'));
+    try {
+      this.child?.stdin?.end();
+    } catch {}
+    try {
+      this.child?.kill();
+    } catch {}
+  }
+}
+
+function appVersion() {
+  try {
+    return require('electron').app.getVersion();
+  } catch {
+    return '0.0.0';
+  }
+}
+
+/**
+ * Flatten a tools/call or resources/read result into something the model can read.
+ */
+function summarizeContent(items) {
+  const texts = [];
+  for (const item of Array.isArray(items) ? items : []) {
+    if (typeof item?.text === 'string') {
+      texts.push(item.text);
+    } else if (item?.type === 'resource' && typeof item.resource?.text === 'string') {
+      texts.push(item.resource.text);
+    } else if (item?.type === 'image' || item?.blob) {
+      texts.push(`[${item.mimeType || 'binary'} content omitted]`);
+    }
+  }
+  const text = texts.join('\n');
+  return text.length > MAX_RESULT_TEXT ? `${text.slice(0, MAX_RESULT_TEXT)}…` : text;
+}
+
+/**
+ * MCP client subsystem: configured stdio servers, their live connections and the tools
+ * they offer to agent mode. Servers start lazily when their tools are first needed.
+ */
+class McpManager {
+  constructor() {
+    this.connections = new Map(); // server id -> { connection, ready: Promise }
+    this.state = new Map(); // server id -> { status, error, tools, resources }
+  }
+
+  servers() {
+    const list = preferences().getPref(SERVERS_PREF_KEY);
+    return Array.isArray(list) ? list.filter((s) => s && s.id && s.command) : [];
+  }
+
+  saveServers(list) {
+    preferences().setPref(SERVERS_PREF_KEY, list.length ? list : '');
+  }
+
+  stateOf(id) {
+    if (!this.state.has(id)) {
+      this.state.set(id, { status: 'stopped', error: '', tools: [], resources: [] });
+    }
+    return this.state.get(id);
+  }
+
+  /**
+   * Servers with their connection state for Settings.
+   */
+  status() {
+    return this.servers().map((server) => {
+      const st = this.stateOf(server.id);
+      const approvals = server.toolApprovals || {};
+      const tools = st.tools.map((t) => ({
+        name: t.name,
+        description: t.description || '',
+        approval: approvals[t.name] || DEFAULT_APPROVAL,
+      }));
+      if (st.resources.length) {
+        tools.push({
+          name: READ_RESOURCE_TOOL,
+          description: 'Read one of the resources listed by this server',
+          approval: approvals[READ_RESOURCE_TOOL] || 'auto',
+        });
+      }
+      return {
+        id: server.id,
+        name: server.name,
+        command: server.command,
+        args: server.args || [],
+        envKeys: Object.keys(server.env || {}),
+        enabled: server.enabled !== false,
+        status: st.status,
+        error: st.error,
+        tools,
+        resources: st.resources.map((r) => ({ uri: r.uri, name: r.name || r.uri })),
+      };
+    });
+  }
+
+  /**
+   * @param {{name: string, command: string, args?: string[], env?: Object}} config
+   */
+  addServer({ name, command, args, env } = {}) {
+    const label = String(name || '').trim();
+    const cmd = String(command || '').trim();
+    if (!label) throw new Error('Server name is required');
+    if (!cmd) throw new Error('Command is required');
+    const list = this.servers();
+    if (list.length >= MAX_SERVERS) throw new Error(`Too many MCP servers (max ${MAX_SERVERS})`);
+    if (list.some((s) => s.name.toLowerCase() === label.toLowerCase())) {
+      throw new Error('A server with this name already exists');
+    }
+    const prefix = serverNamePrefix(label);
+    const clash = list.find((s) => serverNamePrefix(s.name) === prefix);
+    if (clash) {
+      throw new Error(`The name is too close to "${clash.name}"; tool names would collide`);
+    }
+    const server = {
+      id: `mcp_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+      name: label.slice(0, 40),
+      command: cmd,
+      args: Array.isArray(args) ? args.map(String) : [],
+      env: env && typeof env === 'object' ? env : {},
+      enabled: true,
+      toolApprovals: {},
+    };
+    this.saveServers([...list, server]);
+    return { id: server.id, name: server.name };
+  }
+
+  removeServer(id) {
+    const list = this.servers();
+    const next = list.filter((s) => s.id !== id);
+    if (next.length === list.length) return false;
+    this.stop(id);
+    this.state.delete(id);
+    this.saveServers(next);
+    return true;
+  }
+
+  setToolApproval(id, tool, approval) {
+    if (!TOOL_APPROVALS.includes(approval)) throw new Error(`Unknown approval: ${approval}`);
+    const list = this.servers();
+    const server = list.find((s) => s.id === id);
+    if (!server) throw new Error('Server not found');
+    server.toolApprovals = { ...(server.toolApprovals || {}), [String(tool)]: approval };
+    this.saveServers(list);
+  }
+
+  setEnabled(id, enabled) {
+    const list = this.servers();
+    const server = list.find((s) => s.id === id);
+    if (!server) throw new Error('Server not found');
+    server.enabled = !!enabled;
+    this.saveServers(list);
+    if (!server.enabled) this.stop(id);
+  }
+
+  /**
+   * Start a server (if needed) and load its tools and resources.
+   */
+  async ensure(id) {
+    const existing = this.connections.get(id);
+    if (existing) return existing.ready;
+    const server = this.servers().find((s) => s.id === id);
+    if (!server) throw new Error('Server not found');
+
+    const st = this.stateOf(id);
+    const connection = new McpConnection(server);
+    const entry = { connection, ready: null };
+    connection.onClose = (err) => {
+      if (this.connections.get(id) === entry) this.connections.delete(id);
+      if (st.status !== 'stopped') {
+        st.status = 'error';
+        st.error = err?.message || 'Server stopped';
+      }
+    };
+    st.status = 'starting';
+    st.error = '';
+    entry.ready = (async () => {
+      try {
+        await connection.start();
+        const [tools, resources] = await Promise.all([
+          connection.listTools(),
+          connection.listResources().catch(() => []),
+        ]);
+        st.tools = tools.filter((t) => t && t.name);
+        st.resources = resources.filter((r) => r && r.uri);
+        st.status = 'ready';
+        return connection;
+      } catch (err) {
+        st.status = 'error';
+        st.error = err?.message || 'Failed to start';
+        connection.close();
+        this.connections.delete(id);
+        throw err;
+      }
+    })();
+    this.connections.set(id, entry);
+    return entry.ready;
+  }
+
+  async restart(id) {
+    this.stop(id);
+    await this.ensure(id);
+  }
+
+  stop(id) {
+    const entry = this.connections.get(id);
+    this.connections.delete(id);
+    const st = this.stateOf(id);
+    st.status = 'stopped';
+    st.error = '';
+    if (entry) entry.connection.close();
+  }
+
+  stopAll() {
+    for (const id of Array.from(this.connections.keys())) this.stop(id);
+  }
+
+  /**
+   * Tools of every enabled server, starting servers as needed. Servers that fail to start
+   * are skipped (their error shows in Settings).
+   * @returns {Promise<Array<{functionName: string, serverId: string, serverName: string,
+   *   tool: string, description: string, inputSchema: Object, approval: string}>>}
+   */
+  async availableTools() {
+    const servers = this.servers().filter((s) => s.enabled !== false);
+    await Promise.all(servers.map((s) => this.ensure(s.id).catch(() => null)));
+    return this.toolEntries();
+  }
+
+  /**
+   * Resolve a declared function name back to its server and tool (running servers only).
+   */
+  findTool(functionName) {
+    return this.toolEntries().find((t) => t.functionName === functionName) || null;
+  }
+
+  toolEntries() {
+    const out = [];
+    for (const server of this.servers().filter((s) => s.enabled !== false)) {
+      const st = this.stateOf(server.id);
+      if (st.status !== 'ready') continue;
+      const approvals = server.toolApprovals || {};
+      for (const tool of st.tools) {
+        const approval = approvals[tool.name] || DEFAULT_APPROVAL;
+        if (approval === 'off') continue;
+        out.push({
+          functionName: toFunctionName(server.name, tool.name),
+          serverId: server.id,
+          serverName: server.name,
+          tool: tool.name,
+          description: tool.description || '',
+          inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+          approval,
+        });
+      }
+      if (st.resources.length && approvals[READ_RESOURCE_TOOL] !== 'off') {
+        const listed = st.resources
+          .slice(0, 30)
+          .map((r) => `${r.uri}${r.name && r.name !== r.uri ? ` (${r.name})` : ''}`)
+          .join(', ');
+        out.push({
+          functionName: toFunctionName(server.name, READ_RESOURCE_TOOL),
+          serverId: server.id,
+          serverName: server.name,
+          tool: READ_RESOURCE_TOOL,
+          description: `Read a resource from the "${server.name}" MCP server. Available: ${listed}`,
+          inputSchema: {
+            type: 'object',
+            properties: { uri: { type: 'string', description: 'Resource URI' } },
+            required: ['uri'],
+          },
+          approval: approvals[READ_RESOURCE_TOOL] || 'auto',
+        });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Route a model function call back to its server.
+   * @param {Object} entry - An item from availableTools()
+   * @returns {Promise<{text: string, structuredContent?: Object}>}
+   */
+  async call(entry, args, signal) {
+    const connection = await this.ensure(entry.serverId);
+    if (entry.tool === READ_RESOURCE_TOOL) {
+      const result = await connection.readResource(String(args?.uri || ''), signal);
+      return { text: summarizeContent(result?.contents) };
+    }
+    const result = await connection.callTool(entry.tool, args, signal);
+    const text = summarizeContent(result?.content);
+    if (result?.isError) throw new Error(text || 'Tool returned an error');
+    return {
+      text,
+      ...(result?.structuredContent ? { structuredContent: result.structuredContent } : {}),
+    };
+  }
+}
+
+let instance = null;
+
+function getMcpManager() {
+  if (!instance) {
+    instance = new McpManager();
+  }
+  return instance;
+}
+
+module.exports = {
+  TOOL_APPROVALS,
+  splitCommandLine,
+  parseEnvLines,
+  toFunctionName,
+  McpConnection,
+  McpManager,
+  getMcpManager,
+};
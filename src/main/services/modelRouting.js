@@ -0,0 +1,177 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const { getPref, setPref } = require('./preferences');
+const { THINKING_LEVELS } = require('../ai');
+
+const PREF_KEY = 'MODEL_ROUTES';
+const MAX_FALLBACKS = 4;
+const MODEL_NAME_RE = /^[\w.:/-]{1,100}$/;
+
+const DEFAULT_TEXT_MODEL = 'gemini-flash-lite-latest';
+const DEFAULT_FALLBACK_MODEL = 'gemini-flash-latest';
+
+/**
+ * Routed tasks with their built-in models. A null primary follows GEMINI_MODEL and null
+ * fallbacks follow WEB_SEARCH_MODEL, so an empty table behaves like the app did before routing.
+ */
+const MODEL_ROUTE_DEFAULTS = {
+  chat: { kind: 'text', primary: null, fallbacks: null },
+  explain: { kind: 'text', primary: null, fallbacks: null },
+  detailed: { kind: 'text', primary: null, fallbacks: null },
+  translate: { kind: 'text', primary: null, fallbacks: null },
+  rephrase: { kind: 'text', primary: null, fallbacks: null },
+  reply: { kind: 'text', primary: null, fallbacks: null },
+  screenshot: { kind: 'text', primary: null, fallbacks: null },
+  terminal: { kind: 'text', primary: 'gemini-3-pro-preview', fallbacks: null },
+  url: { kind: 'text', primary: null, fallbacks: null },
+  slide: { kind: 'image', primary: 'gemini-3-pro-image-preview', fallbacks: [] },
+  image: { kind: 'image', primary: 'gemini-3-pro-image-preview', fallbacks: [] },
+  video: { kind: 'video', primary: 'veo-3.1-fast-generate-preview', fallbacks: [] },
+};
+
+const MODEL_ROUTE_TASKS = Object.keys(MODEL_ROUTE_DEFAULTS);
+
+function isValidRouteTask(task) {
+  return typeof task === 'string' && MODEL_ROUTE_TASKS.includes(task);
+}
+
+function cleanModelName(name) {
+  return String(name || '')
+    .trim()
+    .replace(/^models\//, '');
+}
+
+/**
+ * @param {string|string[]} value - Array or a comma / whitespace separated list
+ * @returns {string[]}
+ */
+function parseModelList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return [...new Set(items.map(cleanModelName).filter(Boolean))];
+}
+
+function checkModelName(name) {
+  if (!MODEL_NAME_RE.test(name)) throw new Error(`Invalid model name: ${name}`);
+  return name;
+}
+
+function cleanThinking(level, task) {
+  const value = String(level || '').toLowerCase();
+  // Thinking applies to text answers only
+  if (!value || MODEL_ROUTE_DEFAULTS[task]?.kind !== 'text') return '';
+  return THINKING_LEVELS.includes(value) ? value : '';
+}
+
+/**
+ * Per-task model overrides persisted in preferences: { [task]: { primary, fallbacks, thinking } }.
+ * An empty primary keeps the built-in primary; empty fallbacks keep the built-in fallbacks;
+ * an empty thinking level leaves the model's default thinking.
+ */
+class ModelRouter {
+  /**
+   * @returns {Object.<string, {primary: string, fallbacks: string[], thinking: string}>}
+   */
+  getRoutes() {
+    const saved = getPref(PREF_KEY);
+    const out = {};
+    if (!saved || typeof saved !== 'object') return out;
+    for (const task of MODEL_ROUTE_TASKS) {
+      const entry = saved[task];
+      if (!entry || typeof entry !== 'object') continue;
+      const primary = cleanModelName(entry.primary);
+      const fallbacks = parseModelList(entry.fallbacks).slice(0, MAX_FALLBACKS);
+      const thinking = cleanThinking(entry.thinking, task);
+      if (primary || fallbacks.length || thinking) out[task] = { primary, fallbacks, thinking };
+    }
+    return out;
+  }
+
+  /**
+   * Replace the whole table. Rows without a primary, fallbacks or thinking level are dropped.
+   * @param {Object.<string, {primary?: string, fallbacks?: string|string[], thinking?: string}>} routes
+   */
+  saveRoutes(routes) {
+    const next = {};
+    for (const [task, entry] of Object.entries(routes || {})) {
+      if (!isValidRouteTask(task)) throw new Error(`Unknown routing task: ${task}`);
+      const primary = cleanModelName(entry?.primary);
+      if (primary) checkModelName(primary);
+      const fallbacks = parseModelList(entry?.fallbacks).map(checkModelName);
+      if (fallbacks.length > MAX_FALLBACKS) {
+        throw new Error(`Too many fallback models (max ${MAX_FALLBACKS})`);
+      }
+      const thinking = cleanThinking(entry?.thinking, task);
+      if (primary || fallbacks.length || thinking) next[task] = { primary, fallbacks, thinking };
+    }
+    setPref(PREF_KEY, Object.keys(next).length ? next : '');
+    return next;
+  }
+
+  /**
+   * Built-in models for every task, with GEMINI_MODEL / WEB_SEARCH_MODEL filled in.
+   * @returns {Array<{task: string, kind: string, primary: string, fallbacks: string[]}>}
+   */
+  getDefaults() {
+    const textModel = String(getPref('GEMINI_MODEL') || DEFAULT_TEXT_MODEL);
+    const fallbackModel = String(getPref('WEB_SEARCH_MODEL') || DEFAULT_FALLBACK_MODEL);
+    return MODEL_ROUTE_TASKS.map((task) => {
+      const builtin = MODEL_ROUTE_DEFAULTS[task];
+      return {
+        task,
+        kind: builtin.kind,
+        primary: builtin.primary || textModel,
+        fallbacks: builtin.fallbacks || [fallbackModel],
+      };
+    });
+  }
+
+  /**
+   * Models to try for a task, in order.
+   * @param {string} task - Unknown tasks route like chat
+   * @param {{model?: string}} [options] - model: the caller's default model, used when
+   *   neither the table nor the built-in route names a primary
+   * @returns {string[]}
+   */
+  resolve(task, { model } = {}) {
+    const key = isValidRouteTask(task) ? task : 'chat';
+    const builtin = MODEL_ROUTE_DEFAULTS[key];
+    const route = this.getRoutes()[key] || { primary: '', fallbacks: [] };
+    const primary =
+      route.primary ||
+      builtin.primary ||
+      cleanModelName(model) ||
+      String(getPref('GEMINI_MODEL') || DEFAULT_TEXT_MODEL);
+    const fallbacks = route.fallbacks.length
+      ? route.fallbacks
+      : builtin.fallbacks || [String(getPref('WEB_SEARCH_MODEL') || DEFAULT_FALLBACK_MODEL)];
+    return [...new Set([primary, ...fallbacks])];
+  }
+
+  /**
+   * @returns {string} 'off' | 'low' | 'high', or '' for the model's default
+   */
+  thinkingFor(task) {
+    const key = isValidRouteTask(task) ? task : 'chat';
+    return this.getRoutes()[key]?.thinking || '';
+  }
+}
+
+let instance = null;
+
+function getModelRouter() {
+  if (!instance) {
+    instance = new ModelRouter();
+  }
+  return instance;
+}
+
+module.exports = {
+  MODEL_ROUTE_TASKS,
+  MODEL_ROUTE_DEFAULTS,
+  isValidRouteTask,
+  parseModelList,
+  ModelRouter,
+  getModelRouter,
+};
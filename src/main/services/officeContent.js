@@ -0,0 +1,371 @@
+/*!
+ * Office document (OOXML) text extraction for Node.js/Electron environment.
+ * Reads DOCX, XLSX and PPTX packages with adm-zip; no rendering.
+ */
+const path = require('path');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+const DEFAULT_MAX_TEXT_LENGTH = 100000;
+const MAX_FILE_SIZE_BYTES = 50 * 1024 * 1024; // 50MB
+// Uncompressed size of a single XML part; guards against zip bombs
+const MAX_PART_BYTES = 64 * 1024 * 1024;
+const MAX_SHEET_ROWS = 500;
+const MAX_SHEET_COLUMNS = 50;
+const MAX_SLIDES = 200;
+
+const OFFICE_FORMATS = {
+  '.docx': 'docx',
+  '.xlsx': 'xlsx',
+  '.pptx': 'pptx',
+};
+
+const OFFICE_MIME_TYPES = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+};
+
+// Slide placeholders that only repeat the deck's boilerplate
+const SKIPPED_PLACEHOLDERS = new Set(['sldNum', 'dt', 'ftr', 'hdr', 'sldImg']);
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Office format of a file name or MIME type.
+ * @param {string} nameOrType
+ * @returns {'docx'|'xlsx'|'pptx'|''}
+ */
+function officeFormat(nameOrType) {
+  const value = String(nameOrType || '').toLowerCase();
+  const byMime = Object.keys(OFFICE_MIME_TYPES).find((k) => OFFICE_MIME_TYPES[k] === value);
+  if (byMime) return byMime;
+  return OFFICE_FORMATS[path.extname(value)] || '';
+}
+
+function decodeXml(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (m, entity) => {
+    const e = entity.toLowerCase();
+    if (e === 'lt') return '<';
+    if (e === 'gt') return '>';
+    if (e === 'amp') return '&';
+    if (e === 'quot') return '"';
+    if (e === 'apos') return "'";
+    const code = e.startsWith('#x') ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    // Beyond the last Unicode code point (malformed): keep the entity as written
+    return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+  });
+}
+
+function attr(tag, name) {
+  const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+  return match ? decodeXml(match[1]) : '';
+}
+
+function readPart(zip, name) {
+  const entry = zip.getEntry(name);
+  if (!entry || entry.isDirectory) return '';
+  if (entry.header.size > MAX_PART_BYTES) throw new Error(`${name} is too large to read`);
+  return entry.getData().toString('utf8');
+}
+
+/**
+ * Relationship targets of a part, by id: word/document.xml -> word/_rels/document.xml.rels.
+ * @returns {Map<string, {target: string, type: string}>}
+ */
+function readRelationships(zip, partName) {
+  const dir = path.posix.dirname(partName);
+  const relsName = path.posix.join(dir, '_rels', `${path.posix.basename(partName)}.rels`);
+  const rels = new Map();
+  for (const [tag] of readPart(zip, relsName).matchAll(/<Relationship\b[^>]*>/g)) {
+    const target = attr(tag, 'Target');
+    if (attr(tag, 'TargetMode') === 'External' || !target) continue;
+    rels.set(attr(tag, 'Id'), {
+      target: target.startsWith('/')
+        ? target.slice(1)
+        : path.posix.normalize(path.posix.join(dir, target)),
+      type: attr(tag, 'Type'),
+    });
+  }
+  return rels;
+}
+
+/**
+ * Text of WordprocessingML / DrawingML runs inside a paragraph (<w:t>, <a:t>, tabs, breaks).
+ * Paragraph properties are skipped: their tab stops are <w:tab> / <a:tab> elements too.
+ */
+function runText(xml, prefix) {
+  const props = new RegExp(`<${prefix}:pPr\\b(?:[^>]*/>|[^>]*>[\\s\\S]*?</${prefix}:pPr>)`, 'g');
+  const re = new RegExp(
+    `<${prefix}:t(?:\\s[^>]*)?>([^<]*)</${prefix}:t>|<${prefix}:(tab|br|cr)\\b[^>]*/>`,
+    'g'
+  );
+  let out = '';
+  for (const m of xml.replace(props, '').matchAll(re)) {
+    if (m[2]) out += m[2] === 'tab' ? '\t' : '\n';
+    else out += decodeXml(m[1]);
+  }
+  return out;
+}
+
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function escapeCsvCell(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {string[][]} rows - First row is used as the header
+ * @param {'markdown'|'csv'} format
+ */
+function formatTable(rows, format) {
+  if (!rows.length) return '';
+  if (format === 'csv') return rows.map((r) => r.map(escapeCsvCell).join(',')).join('\n');
+  const width = Math.max(...rows.map((r) => r.length));
+  const line = (r) =>
+    `| ${Array.from({ length: width }, (_, i) => escapeMarkdownCell(r[i] ?? '')).join(' | ')} |`;
+  return [line(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n');
+}
+
+// ============================================================================
+// Formats
+// ============================================================================
+
+// Self-closing paragraphs first, so an empty <w:p/> does not swallow the next one
+const DOCX_PARAGRAPH_RE = /<w:p\b[^>]*\/>|<w:p\b[^>]*>[\s\S]*?<\/w:p>/g;
+
+function docxParagraph(xml) {
+  const text = runText(xml, 'w').trim();
+  if (!text) return '';
+  const style = /<w:pStyle\b[^>]*w:val="([^"]*)"/.exec(xml)?.[1] || '';
+  const heading = /^heading\s?(\d)$/i.exec(style);
+  if (/^Title$/i.test(style)) return `# ${text}`;
+  if (heading) return `${'#'.repeat(Math.min(6, Number(heading[1]) + 1))} ${text}`;
+  if (/<w:numPr\b/.test(xml)) return `- ${text}`;
+  return text;
+}
+
+/**
+ * Paragraphs of word/document.xml in order; headings and list items keep a Markdown marker,
+ * tables become Markdown tables.
+ */
+function extractDocx(zip) {
+  const xml = readPart(zip, 'word/document.xml');
+  if (!xml) throw new Error('Not a Word document (word/document.xml missing)');
+  const body = /<w:body\b[^>]*>([\s\S]*)<\/w:body>/.exec(xml)?.[1] || xml;
+  const blocks = [];
+  const blockRe = new RegExp(`(<w:tbl\\b[\\s\\S]*?</w:tbl>)|${DOCX_PARAGRAPH_RE.source}`, 'g');
+  for (const [block, table] of body.matchAll(blockRe)) {
+    if (table) {
+      const rows = [...table.matchAll(/<w:tr\b[\s\S]*?<\/w:tr>/g)].map(([row]) =>
+        [...row.matchAll(/<w:tc\b[\s\S]*?<\/w:tc>/g)].map(([cell]) =>
+          [...cell.matchAll(DOCX_PARAGRAPH_RE)]
+            .map(([p]) => runText(p, 'w').trim())
+            .filter(Boolean)
+            .join('\n')
+        )
+      );
+      const text = formatTable(rows, 'markdown');
+      if (text) blocks.push(text);
+      continue;
+    }
+    const text = docxParagraph(block);
+    if (text) blocks.push(text);
+  }
+  return { text: blocks.join('\n\n'), sections: [], truncated: false };
+}
+
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/i.exec(String(ref || ''))?.[0].toUpperCase() || '';
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+function cellValue(cell, sharedStrings) {
+  const type = attr(cell.slice(0, cell.indexOf('>') + 1), 't');
+  if (type === 'inlineStr') return runTextPlain(cell);
+  const raw = /<v>([^<]*)<\/v>/.exec(cell)?.[1];
+  if (raw === undefined) return '';
+  if (type === 's') return sharedStrings[Number(raw)] ?? '';
+  if (type === 'b') return raw === '1' ? 'TRUE' : 'FALSE';
+  return decodeXml(raw);
+}
+
+// <t> elements of a SpreadsheetML string; phonetic guides (<rPh>, furigana) are left out
+function runTextPlain(xml) {
+  return [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)]
+    .map((m) => decodeXml(m[1]))
+    .join('');
+}
+
+/**
+ * Every worksheet as a table; the first row acts as the header. Dates stay serial numbers
+ * (the number format lives in styles.xml).
+ */
+function extractXlsx(zip, { sheetFormat = 'markdown' } = {}) {
+  const workbook = readPart(zip, 'xl/workbook.xml');
+  if (!workbook) throw new Error('Not an Excel workbook (xl/workbook.xml missing)');
+  const rels = readRelationships(zip, 'xl/workbook.xml');
+  const sharedStrings = [
+    ...readPart(zip, 'xl/sharedStrings.xml').matchAll(/<si>([\s\S]*?)<\/si>/g),
+  ].map(([, si]) => runTextPlain(si));
+
+  let truncated = false;
+  const sections = [];
+  for (const [tag] of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    const name = attr(tag, 'name');
+    const target = rels.get(attr(tag, 'r:id'))?.target;
+    if (!target) continue;
+    const rows = [];
+    const rowRe = /<row\b[^>]*\/>|<row\b[^>]*>([\s\S]*?)<\/row>/g;
+    for (const [, rowXml = ''] of readPart(zip, target).matchAll(rowRe)) {
+      if (rows.length >= MAX_SHEET_ROWS) {
+        truncated = true;
+        break;
+      }
+      const row = [];
+      let next = 0;
+      for (const [cell] of rowXml.matchAll(/<c\b[^>]*\/>|<c\b[^>]*>[\s\S]*?<\/c>/g)) {
+        const ref = attr(cell.slice(0, cell.indexOf('>') + 1), 'r');
+        const index = ref ? columnIndex(ref) : next;
+        next = index + 1;
+        if (index >= MAX_SHEET_COLUMNS) {
+          truncated = true;
+          continue;
+        }
+        row[index] = cellValue(cell, sharedStrings);
+      }
+      rows.push(Array.from(row, (v) => v ?? ''));
+    }
+    // Drop trailing empty rows so sparse sheets stay short
+    while (rows.length && rows[rows.length - 1].every((v) => v === '')) rows.pop();
+    sections.push({ name, text: formatTable(rows, sheetFormat) });
+  }
+  return {
+    text: sections.map((s) => `## ${s.name}\n\n${s.text}`.trim()).join('\n\n'),
+    sections,
+    truncated,
+  };
+}
+
+/**
+ * Paragraphs of a slide or notes part; boilerplate placeholders (slide number, date, footer)
+ * are left out. The title placeholder's text is returned separately.
+ */
+function slideText(xml) {
+  let title = '';
+  const lines = [];
+  for (const [shape] of xml.matchAll(/<p:(sp|graphicFrame)\b[\s\S]*?<\/p:\1>/g)) {
+    const phType = /<p:ph\b[^>]*\btype="([^"]*)"/.exec(shape)?.[1] || '';
+    if (SKIPPED_PLACEHOLDERS.has(phType)) continue;
+    const paragraphs = [...shape.matchAll(/<a:p\b[^>]*>[\s\S]*?<\/a:p>/g)]
+      .map(([p]) => runText(p, 'a').trim())
+      .filter(Boolean);
+    if (!paragraphs.length) continue;
+    if (!title && (phType === 'title' || phType === 'ctrTitle')) {
+      title = paragraphs.join(' ');
+    } else {
+      lines.push(...paragraphs);
+    }
+  }
+  return { title, lines };
+}
+
+/**
+ * Slides in presentation order with their speaker notes.
+ */
+function extractPptx(zip) {
+  const presentation = readPart(zip, 'ppt/presentation.xml');
+  if (!presentation) throw new Error('Not a PowerPoint deck (ppt/presentation.xml missing)');
+  const rels = readRelationships(zip, 'ppt/presentation.xml');
+  const ids = [...presentation.matchAll(/<p:sldId\b[^>]*>/g)].map(([tag]) => attr(tag, 'r:id'));
+
+  const sections = [];
+  for (const [i, id] of ids.slice(0, MAX_SLIDES).entries()) {
+    const target = rels.get(id)?.target;
+    if (!target) continue;
+    const { title, lines } = slideText(readPart(zip, target));
+    const notesTarget = [...readRelationships(zip, target).values()].find((r) =>
+      r.type.endsWith('/notesSlide')
+    )?.target;
+    const notes = notesTarget ? slideText(readPart(zip, notesTarget)).lines : [];
+    const heading = `## Slide ${i + 1}${title ? `: ${title}` : ''}`;
+    const body = lines.join('\n');
+    const notesText = notes.length ? `Notes:\n${notes.join('\n')}` : '';
+    sections.push({
+      name: title || `Slide ${i + 1}`,
+      text: [heading, body, notesText].filter(Boolean).join('\n\n'),
+    });
+  }
+  return {
+    text: sections.map((s) => s.text).join('\n\n'),
+    sections,
+    truncated: ids.length > MAX_SLIDES,
+  };
+}
+
+// ============================================================================
+// Core Functions
+// ============================================================================
+
+/**
+ * Extract text from a DOCX, XLSX or PPTX file.
+ * @param {Uint8Array|Buffer} buffer - File data
+ * @param {Object} [options]
+ * @param {string} [options.name] - File name (or MIME type) that tells the format
+ * @param {'docx'|'xlsx'|'pptx'} [options.format] - Explicit format; wins over name
+ * @param {'markdown'|'csv'} [options.sheetFormat='markdown'] - How XLSX sheets are written
+ * @param {number} [options.maxTextLength=100000] - Maximum text length
+ * @returns {Promise<{text: string, format: string, sections: Array<{name: string, text: string}>, truncated: boolean}>}
+ */
+async function extractOfficeText(buffer, options = {}) {
+  if (buffer.length > MAX_FILE_SIZE_BYTES) {
+    throw new Error('Office file is too large (max 50MB)');
+  }
+  const format = OFFICE_MIME_TYPES[options.format] ? options.format : officeFormat(options.name);
+  if (!format) throw new Error('Unsupported Office file (expected .docx, .xlsx or .pptx)');
+  const maxTextLength =
+    Number.isFinite(options.maxTextLength) && options.maxTextLength > 0
+      ? options.maxTextLength
+      : DEFAULT_MAX_TEXT_LENGTH;
+
+  // Lazy-load: only needed when an Office file is attached
+  const AdmZip = require('adm-zip');
+  let zip;
+  try {
+    zip = new AdmZip(Buffer.from(buffer));
+  } catch {
+    throw new Error('The file is not a valid Office document');
+  }
+
+  const result =
+    format === 'docx'
+      ? extractDocx(zip)
+      : format === 'xlsx'
+        ? extractXlsx(zip, { sheetFormat: options.sheetFormat === 'csv' ? 'csv' : 'markdown' })
+        : extractPptx(zip);
+
+  let text = result.text.replace(/\n{3,}/g, '\n\n').trim();
+  let truncated = !!result.truncated;
+  if (text.length > maxTextLength) {
+    text = text.slice(0, maxTextLength);
+    truncated = true;
+  }
+  return { text, format, sections: result.sections, truncated };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+module.exports = {
+  OFFICE_MIME_TYPES,
+  officeFormat,
+  extractOfficeText,
+};
@@ -8,6 +8,7 @@ const path = require('path');
 // Configuration
 // ============================================================================
 const DEFAULT_MAX_PAGES = 10;
+const MAX_TEXT_PAGES = 500; // Upper bound for text-only extraction (e.g. knowledge base indexing)
 const DEFAULT_IMAGE_SCALE = 1.5;
 const DEFAULT_MAX_TEXT_LENGTH = 10000;
 const MAX_FILE_SIZE_BYTES = 50 * 1024 * 1024; // 50MB
@@ -90,9 +91,9 @@ class NodeCanvasFactory {
  * Extract text content from a PDF buffer.
  * @param {Uint8Array} buffer - PDF file data
  * @param {Object} [options]
- * @param {number} [options.maxPages=10] - Maximum pages to process
+ * @param {number} [options.maxPages=10] - Maximum pages to process (at most 500)
  * @param {number} [options.maxTextLength=10000] - Maximum text length
- * @returns {Promise<{text: string, pageCount: number, pagesProcessed: number, truncated: boolean}>}
+ * @returns {Promise<{text: string, pages: Array<{page: number, text: string}>, pageCount: number, pagesProcessed: number, truncated: boolean}>}
  */
 async function extractTextFromPdf(buffer, options = {}) {
   const pdfjs = await initPdfjs();
@@ -101,7 +102,7 @@ async function extractTextFromPdf(buffer, options = {}) {
     Number.isFinite(options.maxPages) && options.maxPages > 0
       ? options.maxPages
       : DEFAULT_MAX_PAGES,
-    DEFAULT_MAX_PAGES
+    MAX_TEXT_PAGES
   );
   const maxTextLength =
     Number.isFinite(options.maxTextLength) && options.maxTextLength > 0
@@ -117,6 +118,7 @@ async function extractTextFromPdf(buffer, options = {}) {
     const pagesToProcess = Math.min(totalPages, maxPages);
 
     const textParts = [];
+    const pages = [];
     let totalLength = 0;
     let truncated = false;
 
@@ -138,10 +140,12 @@ async function extractTextFromPdf(buffer, options = {}) {
         const remaining = maxTextLength - totalLength;
         if (pageText.length > remaining) {
           textParts.push(pageText.slice(0, remaining));
+          pages.push({ page: i, text: pageText.slice(0, remaining) });
           truncated = true;
           break;
         }
         textParts.push(pageText);
+        pages.push({ page: i, text: pageText });
         totalLength += pageText.length;
       }
     }
@@ -152,6 +156,7 @@ async function extractTextFromPdf(buffer, options = {}) {
 
     return {
       text: textParts.join('\n\n'),
+      pages,
       pageCount: totalPages,
       pagesProcessed: pagesToProcess,
       truncated,
@@ -0,0 +1,136 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const { getPref, setPref } = require('./preferences');
+
+const PREF_KEY = 'PROMPT_TEMPLATES';
+const MAX_TEMPLATE_LENGTH = 20000;
+
+/** Variables substituted into templates by the renderer (GeminiService.applyPromptTemplate). */
+const PROMPT_TEMPLATE_VARIABLES = ['selection', 'language', 'tone', 'history'];
+
+/**
+ * Built-in templates, written with the same variables a user override can use.
+ * The app keeps its hand-tuned (per-language) prompts while no override is saved;
+ * these are the starting point shown in Settings and what "Reset" restores.
+ */
+const BUILTIN_PROMPT_TEMPLATES = {
+  explain: `Explain "{{selection}}" in one short sentence. Start with the conclusion, be clear and concise.
+
+Tone: {{tone}}
+Respond strictly in {{language}}.
+
+Recent chat context:
+{{history}}`,
+  detailed: `Explain the following in a way that non-experts can understand. Use concrete examples, analogies, and bullets where useful. Structure the answer as: key points → reasons → examples → caveats, and include steps if appropriate.
+
+Tone: {{tone}}
+Respond strictly in {{language}}.
+
+Recent chat context:
+{{history}}
+
+Target:
+{{selection}}`,
+  translate: `Translate the text strictly into {{language}}.
+
+Rules:
+- Output the translation only. No preface, notes, or explanations.
+- Preserve formatting (Markdown, line breaks, lists) and code blocks as-is.
+- Keep URLs, code identifiers, and proper nouns unchanged when appropriate.
+
+Text:
+{{selection}}`,
+  rephrase: `I want to say this better. Reply in {{language}} unless the text is in another language.
+{{selection}}`,
+  reply: `You will propose five alternative replies to the following original text.
+
+Original text:
+"""
+{{selection}}
+"""
+
+Instructions:
+- Detect the language of the original text and write each reply entirely in that language.
+- Keep each reply to one or two sentences. Tone: {{tone}}.
+- After each reply, add a paraphrase and a short explanation of its nuance in {{language}}.
+
+Format the output as a numbered Markdown list with "Reply", "Paraphrase" and "Explanation" lines.`,
+};
+
+const PROMPT_TEMPLATE_ACTIONS = Object.keys(BUILTIN_PROMPT_TEMPLATES);
+
+function isValidTemplateAction(action) {
+  return typeof action === 'string' && PROMPT_TEMPLATE_ACTIONS.includes(action);
+}
+
+/**
+ * Per-action prompt overrides persisted in preferences.
+ */
+class PromptTemplateStore {
+  /**
+   * @returns {Object.<string, string>} Saved overrides keyed by action
+   */
+  getOverrides() {
+    const saved = getPref(PREF_KEY);
+    const out = {};
+    if (!saved || typeof saved !== 'object') return out;
+    for (const action of PROMPT_TEMPLATE_ACTIONS) {
+      if (typeof saved[action] === 'string' && saved[action].trim()) {
+        out[action] = saved[action];
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Save an override. An empty template, or one identical to the built-in, removes it.
+   */
+  setTemplate(action, template) {
+    if (!isValidTemplateAction(action)) {
+      throw new Error(`Unknown prompt template action: ${action}`);
+    }
+    const text = typeof template === 'string' ? template.replace(/\r\n/g, '\n') : '';
+    if (text.length > MAX_TEMPLATE_LENGTH) {
+      throw new Error(`Template is too long (max ${MAX_TEMPLATE_LENGTH} characters)`);
+    }
+    const overrides = this.getOverrides();
+    if (!text.trim() || text.trim() === BUILTIN_PROMPT_TEMPLATES[action].trim()) {
+      delete overrides[action];
+    } else {
+      overrides[action] = text;
+    }
+    setPref(PREF_KEY, Object.keys(overrides).length ? overrides : '');
+    return overrides;
+  }
+
+  /**
+   * Drop the override for one action, or all overrides when no action is given.
+   */
+  reset(action) {
+    if (!action) {
+      setPref(PREF_KEY, '');
+      return {};
+    }
+    return this.setTemplate(action, '');
+  }
+}
+
+let instance = null;
+
+function getPromptTemplateStore() {
+  if (!instance) {
+    instance = new PromptTemplateStore();
+  }
+  return instance;
+}
+
+module.exports = {
+  PROMPT_TEMPLATE_ACTIONS,
+  PROMPT_TEMPLATE_VARIABLES,
+  BUILTIN_PROMPT_TEMPLATES,
+  isValidTemplateAction,
+  PromptTemplateStore,
+  getPromptTemplateStore,
+};
@@ -0,0 +1,190 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+const USAGE_FEATURES = ['chat', 'shortcut', 'terminal', 'slide', 'rephrase', 'kb', 'agent'];
+const DEFAULT_FEATURE = 'chat';
+const RETENTION_DAYS = 400;
+const SAVE_DELAY_MS = 1000;
+
+function emptyCounts() {
+  return { calls: 0, promptTokens: 0, candidatesTokens: 0, totalTokens: 0 };
+}
+
+function addCounts(target, counts) {
+  target.calls += Number(counts.calls) || 0;
+  target.promptTokens += Number(counts.promptTokens) || 0;
+  target.candidatesTokens += Number(counts.candidatesTokens) || 0;
+  target.totalTokens += Number(counts.totalTokens) || 0;
+  return target;
+}
+
+// Local calendar day, so "today" matches what the user sees on their clock
+function dayKey(date = new Date()) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+function normalizeFeature(feature) {
+  const f = String(feature || '').toLowerCase();
+  return USAGE_FEATURES.includes(f) ? f : DEFAULT_FEATURE;
+}
+
+/**
+ * Token usage ledger persisted to userData/usage-ledger.json.
+ * Entries are aggregated per local day, then per "model|feature" so the file
+ * stays small no matter how many requests are made.
+ */
+class UsageLedger {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(app.getPath('userData'), 'usage-ledger.json');
+    this.data = null; // { days: { [YYYY-MM-DD]: { [model|feature]: counts } }, warnedMonth }
+    this.saveTimeout = null;
+  }
+
+  load() {
+    if (this.data) return this.data;
+    this.data = { days: {}, warnedMonth: '' };
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (parsed && typeof parsed.days === 'object') {
+          this.data.days = parsed.days || {};
+          this.data.warnedMonth = String(parsed.warnedMonth || '');
+        }
+      }
+    } catch {}
+    return this.data;
+  }
+
+  prune(now = new Date()) {
+    const cutoff = dayKey(new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    const days = this.load().days;
+    for (const day of Object.keys(days)) {
+      if (day < cutoff) delete days[day];
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimeout) clearTimeout(this.saveTimeout);
+    this.saveTimeout = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+  }
+
+  flush() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+    if (!this.data) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2), 'utf8');
+    } catch {}
+  }
+
+  /**
+   * Record one completed AI call.
+   * @param {Object} entry
+   * @param {string} entry.model - Model that produced the response
+   * @param {string} [entry.feature] - One of USAGE_FEATURES (unknown values count as chat)
+   * @param {{promptTokens: number, candidatesTokens: number, totalTokens: number}|null} [entry.usage]
+   */
+  record({ model, feature, usage } = {}) {
+    const now = new Date();
+    const days = this.load().days;
+    const today = dayKey(now);
+    if (!days[today]) {
+      days[today] = {};
+      this.prune(now);
+    }
+    const key = `${String(model || 'unknown').replace(/^models\//, '')}|${normalizeFeature(feature)}`;
+    const counts = days[today][key] || emptyCounts();
+    days[today][key] = addCounts(counts, { calls: 1, ...(usage || {}) });
+    this.scheduleSave();
+  }
+
+  /**
+   * Aggregate the current month.
+   * @returns {{month: string, total: Object, days: Array, byModel: Array, byFeature: Array}}
+   */
+  getMonthSummary(now = new Date()) {
+    const month = dayKey(now).slice(0, 7);
+    const total = emptyCounts();
+    const days = [];
+    const byModel = new Map();
+    const byFeature = new Map();
+
+    const entries = Object.entries(this.load().days)
+      .filter(([day]) => day.startsWith(month))
+      .sort(([a], [b]) => (a < b ? 1 : -1));
+    for (const [date, buckets] of entries) {
+      const dayTotal = emptyCounts();
+      for (const [key, counts] of Object.entries(buckets || {})) {
+        const sep = key.lastIndexOf('|');
+        const model = key.slice(0, sep);
+        const feature = key.slice(sep + 1);
+        addCounts(dayTotal, counts);
+        addCounts(byModel.get(model) || byModel.set(model, emptyCounts()).get(model), counts);
+        addCounts(
+          byFeature.get(feature) || byFeature.set(feature, emptyCounts()).get(feature),
+          counts
+        );
+      }
+      addCounts(total, dayTotal);
+      days.push({ date, ...dayTotal });
+    }
+
+    const toList = (map, name) =>
+      Array.from(map, ([id, counts]) => ({ [name]: id, ...counts })).sort(
+        (a, b) => b.totalTokens - a.totalTokens
+      );
+    return {
+      month,
+      total,
+      days,
+      byModel: toList(byModel, 'model'),
+      byFeature: toList(byFeature, 'feature'),
+    };
+  }
+
+  /**
+   * Returns true once per month, the first time the month total reaches the budget.
+   * @param {number} budgetTokens - Monthly budget (0 disables the warning)
+   */
+  checkBudget(budgetTokens, now = new Date()) {
+    const budget = Number(budgetTokens) || 0;
+    if (budget <= 0) return false;
+    const { month, total } = this.getMonthSummary(now);
+    const data = this.load();
+    if (total.totalTokens < budget || data.warnedMonth === month) return false;
+    data.warnedMonth = month;
+    this.scheduleSave();
+    return true;
+  }
+
+  clear() {
+    this.data = { days: {}, warnedMonth: '' };
+    this.flush();
+  }
+}
+
+let instance = null;
+
+function getUsageLedger() {
+  if (!instance) {
+    instance = new UsageLedger();
+  }
+  return instance;
+}
+
+module.exports = {
+  USAGE_FEATURES,
+  UsageLedger,
+  getUsageLedger,
+};
@@ -1,14 +1,17 @@
 /* Clipboard, shortcuts and capture utilities for Electron main process */
-const { app } = require('electron');
+const { app, clipboard } = require('electron');
 const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const { fetchSelectedText } = require('./services/macAutomationBridge');
+const { fetchSelectedText, pasteClipboard } = require('./services/macAutomationBridge');
+const { getClipboardHistoryService } = require('./services/clipboardHistory');
 
 // Constants
 const isDev = process.env.NODE_ENV === 'development';
 const DEFAULT_CLIPBOARD_TIMEOUT_MS = 1500;
 const WINDOW_ALWAYS_ON_TOP_DELAY_MS = 100;
+// Time the target app gets to read the pasteboard before the previous content is put back
+const CLIPBOARD_RESTORE_DELAY_MS = 400;
 
 /**
  * Shows a window and brings it to the front without stealing focus from other applications.
@@ -95,6 +98,76 @@ async function tryCopySelectedText() {
   return '';
 }
 
+/**
+ * Reads every format we can put back later (plain text, HTML, RTF and image).
+ *
+ * @returns {{text: string, html: string, rtf: string, image: Electron.NativeImage|null}}
+ */
+function snapshotClipboard() {
+  const image = clipboard.readImage();
+  return {
+    text: clipboard.readText(),
+    html: clipboard.readHTML(),
+    rtf: clipboard.readRTF(),
+    image: image && !image.isEmpty() ? image : null,
+  };
+}
+
+/**
+ * Writes a snapshot back and flags it as programmatic so clipboard history ignores it.
+ *
+ * @param {ReturnType<typeof snapshotClipboard>} snapshot
+ */
+function restoreClipboard(snapshot) {
+  const history = getClipboardHistoryService();
+  const formats = {};
+  if (snapshot.text) formats.text = snapshot.text;
+  if (snapshot.html) formats.html = snapshot.html;
+  if (snapshot.rtf) formats.rtf = snapshot.rtf;
+  if (snapshot.image) formats.image = snapshot.image;
+
+  const imageHash = snapshot.image ? history.getImageHash(snapshot.image.toDataURL()) : null;
+  history.lastClipboard = snapshot.text || '';
+  history.lastImageHash = imageHash || '';
+  history.lastProgrammaticText = snapshot.text || null;
+  history.lastProgrammaticImageHash = imageHash;
+  history.programmaticSetTime = Date.now();
+
+  if (Object.keys(formats).length) {
+    clipboard.write(formats);
+  } else {
+    clipboard.clear();
+  }
+}
+
+/**
+ * Replaces the selection in the frontmost app with the given text: puts it on the
+ * clipboard, pastes through the Swift bridge and then restores the previous clipboard.
+ * Neither write is recorded in clipboard history. When the paste cannot be dispatched
+ * the text is left on the clipboard so the user can paste it manually.
+ *
+ * @param {string} text - Replacement text
+ * @returns {Promise<{status: string, code?: string}>}
+ */
+async function replaceSelectionWithText(text) {
+  const content = String(text || '');
+  if (!content) return { status: 'error', code: 'empty_text' };
+
+  const previous = snapshotClipboard();
+  getClipboardHistoryService().copyToClipboard(content);
+
+  const result = await pasteClipboard();
+  if (result.status !== 'ok') {
+    return { status: 'error', code: result.code || 'paste_failed' };
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, CLIPBOARD_RESTORE_DELAY_MS));
+  try {
+    restoreClipboard(previous);
+  } catch {}
+  return { status: 'ok' };
+}
+
 /**
  * Captures a user-selected screen area using macOS screencapture utility.
  * The captured image is returned as base64-encoded PNG data.
@@ -154,5 +227,6 @@ async function captureInteractiveArea() {
 module.exports = {
   showWindowNonActivating,
   tryCopySelectedText,
+  replaceSelectionWithText,
   captureInteractiveArea,
 };
@@ -0,0 +1,123 @@
+/**
+ * rephrasePopupWindow.js - Small floating result window shown next to the cursor
+ * Renders rephrase_popup.html and receives loading / result / error states from the main process
+ */
+
+const { BrowserWindow, screen } = require('electron');
+const path = require('path');
+
+const POPUP_WIDTH = 340;
+const POPUP_HEIGHT = 180;
+const CURSOR_OFFSET = 12;
+
+let popupWindow = null;
+// Last state sent, replayed once the page has finished loading
+let lastState = null;
+
+function isAlive() {
+  return !!popupWindow && !popupWindow.isDestroyed();
+}
+
+function send(channel, payload) {
+  lastState = { channel, payload };
+  if (isAlive() && !popupWindow.webContents.isLoading()) {
+    popupWindow.webContents.send(channel, payload);
+  }
+}
+
+/**
+ * Place the popup below-right of the cursor, kept inside the work area of that display
+ * @returns {{x: number, y: number}}
+ */
+function positionNearCursor() {
+  const point = screen.getCursorScreenPoint();
+  const { workArea } = screen.getDisplayNearestPoint(point);
+  let x = point.x + CURSOR_OFFSET;
+  let y = point.y + CURSOR_OFFSET;
+  if (x + POPUP_WIDTH > workArea.x + workArea.width) x = point.x - POPUP_WIDTH - CURSOR_OFFSET;
+  if (y + POPUP_HEIGHT > workArea.y + workArea.height) y = point.y - POPUP_HEIGHT - CURSOR_OFFSET;
+  return {
+    x: Math.round(Math.max(workArea.x, x)),
+    y: Math.round(Math.max(workArea.y, y)),
+  };
+}
+
+function createWindow() {
+  const { x, y } = positionNearCursor();
+  popupWindow = new BrowserWindow({
+    width: POPUP_WIDTH,
+    height: POPUP_HEIGHT,
+    x,
+    y,
+    frame: false,
+    transparent: true,
+    backgroundColor: '#00000000',
+    alwaysOnTop: true,
+    resizable: false,
+    skipTaskbar: true,
+    minimizable: false,
+    maximizable: false,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, '../../preload_rephrase.js'),
+      devTools: false,
+    },
+  });
+
+  popupWindow.webContents.on('did-finish-load', () => {
+    if (isAlive() && lastState) {
+      popupWindow.webContents.send(lastState.channel, lastState.payload);
+    }
+  });
+  popupWindow.once('ready-to-show', () => {
+    if (isAlive()) popupWindow.showInactive();
+  });
+  popupWindow.on('closed', () => {
+    popupWindow = null;
+    lastState = null;
+  });
+
+  popupWindow.loadFile(path.join(__dirname, '../../renderer/rephrase_popup.html'));
+  return popupWindow;
+}
+
+/**
+ * Show the popup in its loading state without taking focus from the frontmost app
+ * @param {string} [title] - Header text (defaults to the page's own title)
+ */
+function showRephrasePopup(title = '') {
+  if (isAlive()) {
+    const { x, y } = positionNearCursor();
+    popupWindow.setPosition(x, y);
+    popupWindow.showInactive();
+  } else {
+    createWindow();
+  }
+  send('rephrase:loading', title ? String(title) : '');
+}
+
+function showRephraseResult(text) {
+  send('rephrase:result', String(text || ''));
+}
+
+function showRephraseError(message) {
+  send('rephrase:error', String(message || ''));
+}
+
+function closeRephrasePopup() {
+  if (isAlive()) popupWindow.close();
+}
+
+function hasRephrasePopup() {
+  return isAlive();
+}
+
+module.exports = {
+  showRephrasePopup,
+  showRephraseResult,
+  showRephraseError,
+  closeRephrasePopup,
+  hasRephrasePopup,
+};
@@ -2,7 +2,7 @@
  * IrukaDark — (c) 2025 CORe Inc.
  * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
  */
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
   getModel: () => ipcRenderer.invoke('get-model'),
@@ -21,26 +21,52 @@ contextBridge.exposeInMainWorld('electronAPI', {
   openExternal: (url) => ipcRenderer.invoke('open-external', url),
   fetchUrlContent: (url, options = {}) =>
     ipcRenderer.invoke('url:fetch-content', { url, ...options }),
+  extractOfficeContent: (data, name, options = {}) =>
+    ipcRenderer.invoke('office:extract-content', { data, name, ...options }),
   aiGenerate: (prompt, options = {}) => ipcRenderer.invoke('ai:generate', { prompt, ...options }),
+  // Streaming text generation: chunks arrive via onAIStreamChunk({ streamId, delta })
+  aiGenerateStream: (prompt, options = {}) =>
+    ipcRenderer.invoke('ai:generate-stream', { prompt, ...options }),
+  onAIStreamChunk: (cb) => ipcRenderer.on('ai:stream-chunk', (_e, p) => cb(p)),
+  onAIUploadProgress: (cb) => ipcRenderer.on('ai:upload-progress', (_e, p) => cb(p)),
   aiGenerateWithImage: (prompt, imageBase64, mimeType = 'image/png', options = {}) =>
     ipcRenderer.invoke('ai:generate-with-image', { prompt, imageBase64, mimeType, ...options }),
+  // attachments: ordered [{ data, mimeType, name }] (base64), [{ text, name }], or a large
+  // recording's [{ path, mimeType, name }] (read and uploaded by main)
+  aiGenerateWithAttachments: (prompt, attachments, options = {}) =>
+    ipcRenderer.invoke('ai:generate-with-attachments', { prompt, attachments, ...options }),
+  // Disk path of a picked file ('' for pasted or generated files)
+  getPathForFile: (file) => webUtils.getPathForFile(file),
+  // Agent mode (function calling): one model step, and main-process tool execution
+  aiAgentStep: (payload) => ipcRenderer.invoke('ai:agent-step', payload),
+  runAgentTool: (name, args, options = {}) =>
+    ipcRenderer.invoke('agent:run-tool', { name, args, ...options }),
   generateTerminalCommand: (prompt, options = {}) =>
     ipcRenderer.invoke('ai:generate-command', { prompt, ...options }),
   generateImageFromText: (prompt, options = {}) =>
     ipcRenderer.invoke('ai:generate-image-from-text', { prompt, ...options }),
   generateVideoFromText: (prompt, options = {}) =>
     ipcRenderer.invoke('ai:generate-video-from-text', { prompt, ...options }),
-  // Cancel current in-flight AI request (shortcut-only)
-  cancelAI: () => ipcRenderer.invoke('cancel-ai'),
+  // Cancel in-flight AI requests: { requestId } one request, { kind } all of a kind,
+  // no argument everything except terminal command generation
+  cancelAI: (options) => ipcRenderer.invoke('cancel-ai', options),
+  listAIRequests: () => ipcRenderer.invoke('ai:list-requests'),
+  onAIRequestsChanged: (cb) => ipcRenderer.on('ai:requests-changed', (_e, list) => cb(list)),
+  getAIConcurrency: () => ipcRenderer.invoke('settings:get-ai-concurrency'),
+  setAIConcurrency: (value) => ipcRenderer.invoke('settings:set-ai-concurrency', value),
   onLanguageChanged: (cb) => ipcRenderer.on('language-changed', (_e, lang) => cb(lang)),
   onWindowOpacityChanged: (cb) => ipcRenderer.on('window-opacity-changed', (_e, v) => cb(v)),
   onExplainClipboard: (cb) => ipcRenderer.on('explain-clipboard', (_e, t) => cb(t)),
   onExplainClipboardDetailed: (cb) =>
     ipcRenderer.on('explain-clipboard-detailed', (_e, t) => cb(t)),
-  onTranslateClipboard: (cb) => ipcRenderer.on('translate-clipboard', (_e, t) => cb(t)),
-  onRephraseClipboard: (cb) => ipcRenderer.on('rephrase-clipboard', (_e, t) => cb(t)),
+  onTranslateClipboard: (cb) =>
+    ipcRenderer.on('translate-clipboard', (_e, t, options) => cb(t, options)),
+  onRephraseClipboard: (cb) =>
+    ipcRenderer.on('rephrase-clipboard', (_e, t, options) => cb(t, options)),
   onExplainClipboardError: (cb) => ipcRenderer.on('explain-clipboard-error', (_e, msg) => cb(msg)),
   onReplyClipboard: (cb) => ipcRenderer.on('reply-clipboard-variations', (_e, t) => cb(t)),
+  onCustomActionRun: (cb) => ipcRenderer.on('custom-action-run', (_e, payload) => cb(payload)),
+  deliverShortcutResult: (payload) => ipcRenderer.invoke('shortcut:deliver-result', payload),
   onSummarizeUrlContext: (cb) => ipcRenderer.on('summarize-url-context', (_e, url) => cb(url)),
   onSummarizeUrlContextDetailed: (cb) =>
     ipcRenderer.on('summarize-url-context-detailed', (_e, url) => cb(url)),
@@ -168,6 +194,40 @@ contextBridge.exposeInMainWorld('electronAPI', {
     executeSystemCommand: (commandId) =>
       ipcRenderer.invoke('launcher:execute-system-command', commandId),
   },
+  // Persistent chat threads
+  chatThreads: {
+    list: () => ipcRenderer.invoke('chat-thread:list'),
+    get: (id) => ipcRenderer.invoke('chat-thread:get', id),
+    save: (thread) => ipcRenderer.invoke('chat-thread:save', thread),
+    rename: (id, title) => ipcRenderer.invoke('chat-thread:rename', { id, title }),
+    delete: (id) => ipcRenderer.invoke('chat-thread:delete', id),
+    search: (query) => ipcRenderer.invoke('chat-thread:search', query),
+    // Pick an exported JSON file and import it as a new thread
+    importFile: () => ipcRenderer.invoke('chat-thread:import'),
+  },
+  // Chat export: content is built in the renderer, main shows the save dialog
+  saveChatExport: (payload) => ipcRenderer.invoke('chat:export-save', payload),
+  onChatExportRequest: (cb) => ipcRenderer.on('chat:export-request', (_e, format) => cb(format)),
+  onChatImportRequest: (cb) => ipcRenderer.on('chat:import-request', () => cb()),
+  // Local knowledge base (folders indexed for /kb)
+  knowledgeBase: {
+    listFolders: () => ipcRenderer.invoke('kb:list-folders'),
+    addFolder: () => ipcRenderer.invoke('kb:add-folder'),
+    removeFolder: (folderPath) => ipcRenderer.invoke('kb:remove-folder', folderPath),
+    reindex: () => ipcRenderer.invoke('kb:reindex'),
+    search: (query, limit) => ipcRenderer.invoke('kb:search', { query, limit }),
+  },
+  onKnowledgeBaseProgress: (cb) => ipcRenderer.on('kb:index-progress', (_e, p) => cb(p)),
+  // MCP servers (tools offered to agent mode)
+  mcp: {
+    listServers: () => ipcRenderer.invoke('mcp:list-servers'),
+    addServer: (config) => ipcRenderer.invoke('mcp:add-server', config),
+    removeServer: (id) => ipcRenderer.invoke('mcp:remove-server', id),
+    refreshServer: (id) => ipcRenderer.invoke('mcp:refresh-server', id),
+    setEnabled: (id, enabled) => ipcRenderer.invoke('mcp:set-enabled', { id, enabled }),
+    setToolApproval: (id, tool, approval) =>
+      ipcRenderer.invoke('mcp:set-tool-approval', { id, tool, approval }),
+  },
   // Schedule
   schedule: {
     selectApp: () => ipcRenderer.invoke('schedule:select-app'),
@@ -177,13 +237,48 @@ contextBridge.exposeInMainWorld('electronAPI', {
   saveShortcutAssignment: (action, key) =>
     ipcRenderer.invoke('settings:save-shortcut-assignment', action, key),
   resetShortcutAssignments: () => ipcRenderer.invoke('settings:reset-shortcut-assignments'),
+  getShortcutOutputModes: () => ipcRenderer.invoke('settings:get-shortcut-output-modes'),
+  setShortcutOutputMode: (action, mode) =>
+    ipcRenderer.invoke('settings:set-shortcut-output-mode', action, mode),
   // Gemini API Key
   getGeminiApiKey: () => ipcRenderer.invoke('settings:get-gemini-api-key'),
   saveGeminiApiKey: (apiKey) => ipcRenderer.invoke('settings:save-gemini-api-key', apiKey),
+  // Gemini API key pool (extra keys with health / cooldown status)
+  apiKeyPool: {
+    getStatus: () => ipcRenderer.invoke('settings:get-api-key-pool'),
+    add: (label, apiKey) => ipcRenderer.invoke('settings:add-pool-api-key', { label, apiKey }),
+    remove: (id) => ipcRenderer.invoke('settings:remove-pool-api-key', id),
+    resetHealth: (id) => ipcRenderer.invoke('settings:reset-api-key-health', id),
+  },
   // Custom Instructions (ChatGPT-style personalization)
   getCustomInstructions: () => ipcRenderer.invoke('settings:get-custom-instructions'),
   setCustomInstructions: (instructions) =>
     ipcRenderer.invoke('settings:set-custom-instructions', instructions),
+  // Prompt templates for shortcut actions
+  getPromptTemplates: () => ipcRenderer.invoke('settings:get-prompt-templates'),
+  setPromptTemplate: (action, template) =>
+    ipcRenderer.invoke('settings:set-prompt-template', action, template),
+  resetPromptTemplates: (action) => ipcRenderer.invoke('settings:reset-prompt-templates', action),
+  getModelRoutes: () => ipcRenderer.invoke('settings:get-model-routes'),
+  saveModelRoutes: (routes) => ipcRenderer.invoke('settings:save-model-routes', routes),
+  // User-defined shortcut actions
+  getCustomActions: () => ipcRenderer.invoke('settings:get-custom-actions'),
+  saveCustomAction: (action) => ipcRenderer.invoke('settings:save-custom-action', action),
+  deleteCustomAction: (id) => ipcRenderer.invoke('settings:delete-custom-action', id),
+  // Response schemas for /json <name>
+  getJsonSchemas: () => ipcRenderer.invoke('settings:get-json-schemas'),
+  saveJsonSchema: (entry) => ipcRenderer.invoke('settings:save-json-schema', entry),
+  deleteJsonSchema: (name) => ipcRenderer.invoke('settings:delete-json-schema', name),
+  // AI provider (Gemini / OpenAI-compatible / Ollama / llama.cpp)
+  getAIProvider: () => ipcRenderer.invoke('settings:get-ai-provider'),
+  setAIProvider: (config) => ipcRenderer.invoke('settings:set-ai-provider', config),
+  // Token usage ledger
+  usage: {
+    getSummary: () => ipcRenderer.invoke('usage:get-summary'),
+    setBudget: (budgetTokens) => ipcRenderer.invoke('usage:set-budget', budgetTokens),
+    clear: () => ipcRenderer.invoke('usage:clear'),
+  },
+  onUsageBudgetExceeded: (cb) => ipcRenderer.on('usage:budget-exceeded', (_e, p) => cb(p)),
 });
 
 // Terminal API
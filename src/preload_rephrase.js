@@ -7,7 +7,7 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   // Receive state updates from main process (use once to prevent memory leaks)
   onRephraseLoading: (cb) => {
-    const handler = () => cb();
+    const handler = (_e, title) => cb(title);
     ipcRenderer.removeAllListeners('rephrase:loading');
     ipcRenderer.on('rephrase:loading', handler);
   },
@@ -13,6 +13,10 @@ const SLASHES = (typeof window !== 'undefined' && window.IRUKADARK_SLASHES) || {
   SLASH_TRANSLATE_TARGETS: [],
   SLASH_TRANSLATE_LOOKUP: {},
   SLASH_WEB_TARGETS: [],
+  SLASH_AGENT_TARGETS: [],
+  SLASH_COMPARE_TARGETS: [],
+  SLASH_THINK_TARGETS: [],
+  SLASH_CONFIG_TARGETS: [],
   SLASH_IMAGE_TARGETS: [],
   SLASH_IMAGE_SIZE_TARGETS: [],
   SLASH_IMAGE_COUNT_TARGETS: [],
@@ -25,6 +29,7 @@ const SLASHES = (typeof window !== 'undefined' && window.IRUKADARK_SLASHES) || {
   SLASH_SLIDE_TARGETS: [],
   SLASH_SLIDE_SIZE_TARGETS: [],
   SLASH_SLIDE_COUNT_TARGETS: [],
+  SLASH_EXPORT_TARGETS: [],
   getLangMeta: (code) => ({ code, name: code }),
   normalizeTranslateCode: () => null,
   getLanguageDisplayName: (code) => code,
@@ -47,6 +52,10 @@ const SLASH_TRANSLATE_TARGETS = SLASHES.SLASH_TRANSLATE_TARGETS || [];
 const SLASH_TRANSLATE_LOOKUP = SLASHES.SLASH_TRANSLATE_LOOKUP || {};
 const SLASH_TRANSLATE_MODE_TARGETS = SLASHES.SLASH_TRANSLATE_MODE_TARGETS || [];
 const SLASH_WEB_TARGETS = SLASHES.SLASH_WEB_TARGETS || [];
+const SLASH_AGENT_TARGETS = SLASHES.SLASH_AGENT_TARGETS || [];
+const SLASH_COMPARE_TARGETS = SLASHES.SLASH_COMPARE_TARGETS || [];
+const SLASH_THINK_TARGETS = SLASHES.SLASH_THINK_TARGETS || [];
+const SLASH_CONFIG_TARGETS = SLASHES.SLASH_CONFIG_TARGETS || [];
 const SLASH_IMAGE_TARGETS = SLASHES.SLASH_IMAGE_TARGETS || [];
 const SLASH_IMAGE_SIZE_TARGETS = SLASHES.SLASH_IMAGE_SIZE_TARGETS || [];
 const SLASH_IMAGE_COUNT_TARGETS = SLASHES.SLASH_IMAGE_COUNT_TARGETS || [];
@@ -58,6 +67,7 @@ const SLASH_VIDEO_DURATION_TARGETS = SLASHES.SLASH_VIDEO_DURATION_TARGETS || [];
 const SLASH_VIDEO_COUNT_TARGETS = SLASHES.SLASH_VIDEO_COUNT_TARGETS || [];
 const SLASH_SLIDE_TARGETS = SLASHES.SLASH_SLIDE_TARGETS || [];
 const SLASH_SLIDE_SIZE_TARGETS = SLASHES.SLASH_SLIDE_SIZE_TARGETS || [];
+const SLASH_EXPORT_TARGETS = SLASHES.SLASH_EXPORT_TARGETS || [];
 const SLASH_SLIDE_COUNT_TARGETS = SLASHES.SLASH_SLIDE_COUNT_TARGETS || [];
 const SLASH_SLIDE_TEMPLATE_TARGETS = SLASHES.SLASH_SLIDE_TEMPLATE_TARGETS || [];
 
@@ -103,6 +113,55 @@ function setCurrentTone(value) {
     STATE.setTone(value);
   }
 }
+
+// file:// URL for a local absolute path (knowledge base citations)
+function toFileUrl(filePath) {
+  const normalized = String(filePath || '').replace(/\\/g, '/');
+  const encoded = encodeURI(normalized).replace(/#/g, '%23').replace(/\?/g, '%3F');
+  return `file://${normalized.startsWith('/') ? '' : '/'}${encoded}`;
+}
+
+// Id for one AI request, shared with the main-process request registry
+function newAIRequestId() {
+  return `req-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Recordings accepted as chat attachments, with the MIME type Gemini expects for each
+const AUDIO_MIME_TYPES = { mp3: 'audio/mp3', m4a: 'audio/mp4', wav: 'audio/wav' };
+
+function audioMimeType(file) {
+  const ext = String(file?.name || '')
+    .split('.')
+    .pop()
+    .toLowerCase();
+  return AUDIO_MIME_TYPES[ext] || '';
+}
+
+// Recordings larger than this go to main as a file path and are uploaded from disk
+// (Files API) instead of being read into memory; Gemini takes up to 20 MB inline
+const LARGE_AUDIO_BYTES = 20 * 1024 * 1024;
+// Disk path of each picked recording (a re-typed File no longer knows where it came from)
+const attachmentPaths = new WeakMap();
+
+// A chat message as threads store it: image data stays in memory, attachments are metadata only
+function storableMessage({ attachmentParts, images, ...m }) {
+  return m.branch
+    ? {
+        ...m,
+        branch: { ...m.branch, tails: m.branch.tails.map((t) => t && t.map(storableMessage)) },
+      }
+    : m;
+}
+
+// Icons of the buttons under chat messages (edit, regenerate, version switcher)
+const MESSAGE_ACTION_ICONS = {
+  edit: '<path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/>',
+  regenerate:
+    '<path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/><path d="M21 3v5h-5"/><path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/><path d="M8 16H3v5"/>',
+  previous: '<path d="m15 18-6-6 6-6"/>',
+  next: '<path d="m9 18 6-6-6-6"/>',
+};
+
 function getUIText(key, ...args) {
   const lang = getCurrentUILanguage();
   const strings = I18N_STRINGS[lang] || I18N_STRINGS.en;
@@ -119,6 +178,21 @@ function getUIText(key, ...args) {
   return value || key;
 }
 
+// Reply text of a failed request: main answers in English, the renderer in the UI language
+function isApiErrorText(text) {
+  return window.IRUKADARK_AI_REPLIES.isErrorText(text, getUIText('apiError'));
+}
+
+// An answer that came back as an API failure (main replies with error text instead of throwing)
+function isFailedReply(response) {
+  return !!response && (!!response.error || isApiErrorText(response.text));
+}
+
+// A { text } reply flagged error (and cancelled) when its text is a failure
+function flagFailedReply(reply) {
+  return window.IRUKADARK_AI_REPLIES.flagFailure(reply, getUIText('apiError'));
+}
+
 // Lazy-load language pack script when missing
 async function ensureLangLoaded(lang) {
   try {
@@ -141,12 +215,35 @@ class IrukaDarkApp {
   // Constants
   static IME_DEBOUNCE_MS = 100; // Time to wait after IME composition ends before allowing Enter key
   static MAX_CHAT_HISTORY_SIZE = 200; // Maximum number of messages to keep in memory
+  static MAX_STORED_MESSAGES = 1000; // Messages a saved thread keeps (chatThreads)
+  static MAX_HISTORY_TURNS = 40; // Turns sent as structured history (main trims by token budget)
+  static MAX_AGENT_STEPS = 8; // Model round-trips per agent turn before giving up
+  static MAX_COMPARE_MODELS = 4; // Columns per /compare turn
+  static MAX_BRANCH_VERSIONS = 10; // Versions kept per edited / regenerated message
+  static MAX_CONFIG_TEMPERATURE = 2; // /config temperature range is 0-2
+  static MAX_CONFIG_OUTPUT_TOKENS = 65536; // Upper bound of /config max
 
   constructor() {
     this.geminiService = new GeminiService();
     this.chatHistoryData = [];
+    // Saved messages before chatHistoryData: trimmed from memory or compacted away by /compact.
+    // They stay in the thread file but are no longer drawn or sent to the model.
+    this.threadArchive = [];
+    // chatHistoryData entry -> its message element / attached files (edit and regenerate)
+    this.messageElements = new WeakMap();
+    this.messageFiles = new WeakMap();
+    // Persisted conversation: id is assigned by the main process on first save
+    this.currentThread = { id: null };
+    this.threadSaveTimer = null;
+    this.threadSaveChain = Promise.resolve();
+    this.threadSearchTimer = null;
     this.shortcutRequestId = 0;
     this.webSearchEnabled = false;
+    this.agentModeEnabled = false; // /agent on: chat may call launcher, clipboard, schedule and timer tools
+    this.pendingAgentConfirm = null; // Resolves the tool call waiting for Allow / Deny
+    this.compareModels = []; // /compare a b: chat messages go to every model, answers side by side
+    this.thinkingOverride = ''; // /think off|low|high for chat this session ('' = Settings → Model Routing)
+    this.chatConfig = {}; // /config temperature|max|model of this conversation (saved with the thread)
     this.translateMode = 'literal';
     this.pendingTranslateModeAck = null;
     this.imageSize = '1:1';
@@ -166,6 +263,9 @@ class IrukaDarkApp {
     this.editingTemplateType = null; // 'slide' or 'image'
     this.isGenerating = false;
     this.cancelRequested = false;
+    this.cancelledRequestIds = new Set(); // Requests stopped from their own message
+    this.inFlightRequests = []; // Last snapshot from the main-process request registry
+    this.jsonSchemas = []; // User-defined response schemas for /json <name>
     this.isSending = false; // Prevent duplicate sendMessage() execution
 
     // IME (Input Method Editor) state management for CJK languages
@@ -192,6 +292,7 @@ class IrukaDarkApp {
     this.checkInitialState();
     this.createIconsEnhanced();
     this.initSlashSuggest();
+    this.loadJsonSchemas();
     this.updateMonitoringUI();
 
     // Check API key on initial load (chat tab is default)
@@ -214,6 +315,12 @@ class IrukaDarkApp {
           setCurrentTone(tone);
         });
       }
+      if (window.electronAPI && window.electronAPI.onAIRequestsChanged) {
+        window.electronAPI.onAIRequestsChanged((requests) => {
+          this.inFlightRequests = Array.isArray(requests) ? requests : [];
+          this.updateInFlightIndicators(this.inFlightRequests);
+        });
+      }
     } catch {}
   }
   updateUILanguage() {
@@ -624,12 +731,18 @@ class IrukaDarkApp {
     this.plusBtn = document.getElementById('plusBtn');
     this.fileInput = document.getElementById('fileInput');
     this.attachmentArea = document.getElementById('attachmentArea');
+    this.chatConfigChip = document.getElementById('chatConfigChip');
     this.chatHistory = document.getElementById('chatHistory');
     this.apiKeyForm = document.getElementById('apiKeyForm');
     this.apiKeyInput = document.getElementById('apiKeyInput');
     this.saveApiKeyBtn = document.getElementById('saveApiKeyBtn');
     this.inputArea = document.getElementById('inputArea');
     this.inputCommandBadge = document.getElementById('inputCommandBadge');
+    this.threadsBtn = document.getElementById('threadsBtn');
+    this.threadPanel = document.getElementById('threadPanel');
+    this.threadList = document.getElementById('threadList');
+    this.threadSearchInput = document.getElementById('threadSearchInput');
+    this.threadNewBtn = document.getElementById('threadNewBtn');
     this.attachedFiles = [];
     this.currentCommandMode = null; // 'image' | 'video' | null
   }
@@ -651,6 +764,7 @@ class IrukaDarkApp {
     this.fileInput.addEventListener('change', (e) => {
       this.handleFileSelection(e);
     });
+    this.bindThreadPanelEvents();
 
     // API Key form events
     if (this.saveApiKeyBtn) {
@@ -816,6 +930,21 @@ class IrukaDarkApp {
       } catch (error) {}
     });
     on('onThemeChanged', (theme) => this.applyTheme(theme));
+    on('onChatExportRequest', (format) => {
+      if (typeof window.switchToTab === 'function') window.switchToTab('chat');
+      this.exportChat(format);
+    });
+    on('onChatImportRequest', () => {
+      if (typeof window.switchToTab === 'function') window.switchToTab('chat');
+      this.importChat();
+    });
+    on('onUsageBudgetExceeded', (p) => {
+      const fmt = (n) => (Number(n) || 0).toLocaleString();
+      this.addMessage(
+        'system',
+        getUIText('usageBudgetExceeded', fmt(p?.totalTokens), fmt(p?.budgetTokens))
+      );
+    });
     on('onTranslateModeChanged', (mode) => {
       const normalized = mode === 'free' ? 'free' : 'literal';
       const changed = this.translateMode !== normalized;
@@ -839,9 +968,10 @@ class IrukaDarkApp {
     on('onWindowOpacityChanged', (value) => this.applySolidWindowClass(value));
     on('onExplainClipboard', (text) => this.handleExplainClipboard(text));
     on('onExplainClipboardDetailed', (text) => this.handleExplainClipboardDetailed(text));
-    on('onTranslateClipboard', (text) => this.handleTranslateClipboard(text));
-    on('onRephraseClipboard', (text) => this.handleRephraseClipboard(text));
+    on('onTranslateClipboard', (text, options) => this.handleTranslateClipboard(text, options));
+    on('onRephraseClipboard', (text, options) => this.handleRephraseClipboard(text, options));
     on('onReplyClipboard', (text) => this.handleReplyClipboard(text));
+    on('onCustomActionRun', (action) => this.handleCustomAction(action));
     on('onSummarizeUrlContext', (url) => this.handleSummarizeUrlContext(url));
     on('onSummarizeUrlContextDetailed', (url) => this.handleSummarizeUrlContextDetailed(url));
     on('onExplainClipboardError', (msg) => {
@@ -2418,7 +2548,15 @@ Text should be in ${name} (${code}).`;
     }
   }
 
-  async handleTranslateClipboard(text) {
+  async handleTranslateClipboard(text, options = {}) {
+    if (options.output === 'replace') {
+      const content = (text || '').trim();
+      if (!content) return;
+      await this.deliverShortcutInBackground('replace', getUIText('selectionTranslation'), () =>
+        this.geminiService.generatePureTranslation(content)
+      );
+      return;
+    }
     await this.cancelActiveShortcut();
     // Switch to chat tab when shortcut is triggered
     if (window.switchToTab) window.switchToTab('chat');
@@ -2469,7 +2607,15 @@ Text should be in ${name} (${code}).`;
   /**
    * Rephrase selected text to express it better
    */
-  async handleRephraseClipboard(text) {
+  async handleRephraseClipboard(text, options = {}) {
+    if (options.output === 'replace') {
+      const content = (text || '').trim();
+      if (!content) return;
+      await this.deliverShortcutInBackground('replace', getUIText('selectionRephrase'), () =>
+        this.geminiService.generateRephrase(content)
+      );
+      return;
+    }
     await this.cancelActiveShortcut();
     // Switch to chat tab when shortcut is triggered
     if (window.switchToTab) window.switchToTab('chat');
@@ -2517,6 +2663,96 @@ Text should be in ${name} (${code}).`;
     }
   }
 
+  /**
+   * Generate a shortcut result without touching the chat and hand it to the main process
+   * (popup / replace selection / clipboard). Failures are reported in the chat.
+   * @param {string} output - Delivery target understood by shortcut:deliver-result
+   * @param {string} label - Name of the shortcut, used in messages
+   * @param {Function} generate - Returns a requestText-style { text, error? } result
+   */
+  async deliverShortcutInBackground(output, label, generate) {
+    let response = null;
+    try {
+      response = await generate();
+    } catch (e) {
+      const message = String(e?.message || 'Unknown error');
+      response = { text: message, error: true, cancelled: /CANCELLED|Abort/i.test(message) };
+    }
+    // Error replies are never pasted or copied; a stopped request delivers nothing
+    const delivery = window.IRUKADARK_AI_REPLIES.deliveryFor(
+      response,
+      getUIText('unexpectedResponse')
+    );
+    if (!delivery) return;
+    try {
+      const result = await window.electronAPI.deliverShortcutResult({ output, ...delivery });
+      if (delivery.error && output !== 'popup') {
+        this.addMessage('system', `${getUIText('errorOccurred')}: ${delivery.error}`);
+      } else if (result && !result.success && output === 'replace') {
+        // The result stays on the clipboard when the paste could not be dispatched
+        this.addMessage('system', getUIText('replaceSelectionFailed', label));
+      }
+    } catch {}
+  }
+
+  /**
+   * Run a user-defined shortcut action on the selected text. Chat output behaves like the
+   * built-in shortcuts; the other outputs are generated without touching the chat and
+   * handed back to the main process (popup / replace selection / clipboard).
+   */
+  async handleCustomAction(action) {
+    const content = String(action?.text || '').trim();
+    if (!action || !action.template || !content) return;
+
+    if (action.output !== 'chat') {
+      await this.deliverShortcutInBackground(action.output, action.name, () =>
+        this.geminiService.generateCustomAction(action.template, content)
+      );
+      return;
+    }
+
+    await this.cancelActiveShortcut();
+    if (window.switchToTab) window.switchToTab('chat');
+    const token = ++this.shortcutRequestId;
+    this.disableAutoScrollCount++;
+
+    requestAnimationFrame(() => {
+      this.addMessage('system-question', action.name);
+      this.showTypingIndicator();
+
+      requestAnimationFrame(() => {
+        if (this.chatHistory && this.chatHistory.isConnected) {
+          this.chatHistory.scrollTop = this.chatHistory.scrollHeight;
+        }
+      });
+    });
+
+    try {
+      const response = await this.geminiService.generateCustomAction(action.template, content);
+      if (token !== this.shortcutRequestId) {
+        return;
+      }
+      this.hideTypingIndicator();
+      if (this.cancelRequested) {
+        return;
+      }
+      this.addMessage('ai', response);
+      try {
+        window.electronAPI &&
+          window.electronAPI.ensureVisible &&
+          window.electronAPI.ensureVisible(false);
+      } catch {}
+    } catch (e) {
+      if (this.cancelRequested || /CANCELLED|Abort/i.test(String(e?.message || ''))) {
+        return;
+      }
+      this.hideTypingIndicator();
+      this.addMessage('system', `${getUIText('errorOccurred')}: ${e?.message || 'Unknown error'}`);
+    } finally {
+      this.disableAutoScrollCount = Math.max(0, this.disableAutoScrollCount - 1);
+    }
+  }
+
   /**
    * 選択テキストへの返信バリエーションを生成
    */
@@ -2903,7 +3139,8 @@ Text should be in ${name} (${code}).`;
   async cancelActiveShortcut() {
     try {
       if (window?.electronAPI?.cancelAI) {
-        await window.electronAPI.cancelAI();
+        // Only the previous shortcut request; chat and other windows keep running
+        await window.electronAPI.cancelAI({ kind: 'shortcut' });
       }
       this.hideTypingIndicator();
     } catch {}
@@ -2953,6 +3190,18 @@ Text should be in ${name} (${code}).`;
       this.clearInputCommandBadge();
       this.messageInput.focus();
 
+      // /transcribe works on the recordings attached with it
+      if (/^\/transcribe(?:\s|$)/i.test(message)) {
+        try {
+          await this.runTranscribeCommand(message, attachments);
+        } finally {
+          this.autosizeMessageInput(true);
+          this.messageInput?.focus();
+          this.isSending = false; // Release lock before return
+        }
+        return;
+      }
+
       if (message.startsWith('/')) {
         await this.handleSlashCommand(message);
         this.autosizeMessageInput(true);
@@ -2991,53 +3240,36 @@ Text should be in ${name} (${code}).`;
         return;
       }
 
+      // Earlier turns only; the message being sent becomes the final user turn
+      const history = this.buildHistoryContents();
       this.addMessage('user', message, attachments);
       if (this.maybeRespondIdentity(message)) {
         this.messageInput?.focus();
         this.isSending = false; // Release lock before return
         return;
       }
-      this.disableAutoScrollCount++;
-      this.showTypingIndicator();
-
-      try {
-        const historyText = this.buildHistoryContext();
-        let response;
-
-        if (attachments && attachments.length > 0) {
-          response = await this.geminiService.generateResponseWithAttachments(
-            message,
-            historyText,
-            attachments,
-            this.webSearchEnabled
-          );
-        } else {
-          response = await this.geminiService.generateResponse(
-            message,
-            historyText,
-            this.webSearchEnabled
-          );
-        }
-
-        // Check cancel before adding message
-        if (this.cancelRequested) {
-          return;
+      if (this.compareModels.length) {
+        try {
+          await this.runCompareTurn(message, history, attachments);
+        } finally {
+          this.messageInput?.focus();
+          this.isSending = false; // Release lock before return
         }
-        this.addMessage('ai', response);
-        this.messageInput?.focus();
-      } catch (error) {
-        if (this.cancelRequested || /CANCELLED|Abort/i.test(String(error?.message || ''))) {
-          return;
+        return;
+      }
+      if (this.agentModeEnabled && !attachments?.length) {
+        try {
+          await this.runAgentTurn(message, history);
+        } finally {
+          this.messageInput?.focus();
+          this.isSending = false; // Release lock before return
         }
-        this.addMessage('system', `${getUIText('errorOccurred')}: ${error.message}`);
-        this.messageInput?.focus();
+        return;
+      }
+      try {
+        await this.runChatResponse(message, history, attachments);
       } finally {
-        // Always hide typing indicator (even if cancelled)
-        this.hideTypingIndicator();
-        // Only reset auto-scroll if not cancelled (prevent scroll state corruption)
-        if (!this.cancelRequested) {
-          this.disableAutoScrollCount = Math.max(0, this.disableAutoScrollCount - 1);
-        }
+        this.messageInput?.focus();
         // Always release the lock to allow next message
         this.isSending = false;
       }
@@ -3093,6 +3325,78 @@ Text should be in ${name} (${code}).`;
     return arr[Math.floor(Math.random() * arr.length)];
   }
 
+  /**
+   * /transcribe [instructions]: a timestamped transcript of the attached recordings, then a
+   * summary of it. Both answers stay in the thread, so later questions can quote the transcript.
+   */
+  async runTranscribeCommand(message, attachments = []) {
+    const recordings = attachments.filter((file) => audioMimeType(file));
+    if (!recordings.length) {
+      this.addMessage('system', getUIText('transcribeHelp'));
+      return;
+    }
+    const instructions = message.slice('/transcribe'.length).trim();
+    this.addMessage('user', message, attachments);
+    // Long recordings are uploaded once per conversation; that needs the saved thread id
+    if (!this.currentThread.id) await this.saveCurrentThread();
+
+    const transcript = await this.runStreamedTurn((options) =>
+      this.geminiService.generateTranscript(recordings, instructions, options)
+    );
+    if (!transcript || isApiErrorText(transcript.text)) return;
+    // The transcript is now the latest model turn of the history
+    const history = this.buildHistoryContents();
+    await this.runStreamedTurn((options) =>
+      this.geminiService.generateTranscriptSummary(history, options)
+    );
+  }
+
+  /**
+   * One AI answer drawn into a streaming message, with the stop button, upload progress and
+   * cancellation handled like a chat turn.
+   * @param {(options: Object) => Promise<Object>} request - Receives { requestId, onChunk,
+   *   thinking, conversationId, onUploadProgress }
+   * @returns {Promise<Object|null>} The response, or null when cancelled or failed
+   */
+  async runStreamedTurn(request) {
+    this.disableAutoScrollCount++;
+    const requestId = newAIRequestId();
+    const isCancelled = () => this.cancelRequested || this.cancelledRequestIds.has(requestId);
+    this.showTypingIndicator(requestId);
+    const stream = this.createStreamingAIMessage(requestId);
+    try {
+      const response = await request({
+        requestId,
+        onChunk: (delta) => {
+          if (!isCancelled()) stream.append(delta);
+        },
+        thinking: this.thinkingOverride,
+        conversationId: this.currentThread.id,
+        onUploadProgress: (p) => this.showUploadProgress(requestId, p),
+      });
+      if (isCancelled()) {
+        stream.settlePartial();
+        return null;
+      }
+      stream.finalize(response);
+      return response;
+    } catch (error) {
+      if (isCancelled() || /CANCELLED|Abort/i.test(String(error?.message || ''))) {
+        stream.settlePartial();
+        return null;
+      }
+      stream.discard();
+      this.addMessage('system', `${getUIText('errorOccurred')}: ${error.message}`);
+      return null;
+    } finally {
+      this.cancelledRequestIds.delete(requestId);
+      this.hideTypingIndicator();
+      if (!this.cancelRequested) {
+        this.disableAutoScrollCount = Math.max(0, this.disableAutoScrollCount - 1);
+      }
+    }
+  }
+
   /**
    * Execute a slash command with consistent scrolling behavior:
    * 1. Show system message (trigger scroll)
@@ -3158,29 +3462,9 @@ Text should be in ${name} (${code}).`;
     }
     if (lower === '/clear') {
       try {
-        // Abort all active event listeners to prevent memory leaks
-        const chatHistory = this.chatHistory;
-        if (chatHistory && chatHistory.isConnected) {
-          const messageElements = this.chatHistory.querySelectorAll(
-            '.message-ai, .message-system, .message-system-question, .message-fallback'
-          );
-          messageElements.forEach((el) => {
-            const controller = this.messageAbortControllers.get(el);
-            if (controller) {
-              controller.abort();
-              this.messageAbortControllers.delete(el);
-            }
-          });
-        }
-
-        this.chatHistoryData = [];
-        if (this.chatHistory) this.chatHistory.innerHTML = '';
-        if (this.geminiService) {
-          this.geminiService.lastGeneratedImage = null;
-        }
-
-        // Clear history context cache
-        this.clearHistoryContextCache();
+        // The current conversation stays saved; /clear starts a new one
+        this.saveCurrentThread();
+        this.resetChatView();
 
         // Show shortcut hints after clearing chat
         this.showShortcutHints();
@@ -3190,14 +3474,34 @@ Text should be in ${name} (${code}).`;
       return;
     }
 
+    if (lower === '/export' || lower.startsWith('/export ')) {
+      const format = lower.slice('/export'.length).trim();
+      if (!format) {
+        this.addMessage('system', getUIText('exportHelp'));
+        return;
+      }
+      await this.exportChat(format);
+      return;
+    }
+
+    if (lower === '/import') {
+      await this.importChat();
+      return;
+    }
+
     if (lower === '/compact') {
       const summary = await this.executeSlashCommandWrapper('Executing /compact...', async () => {
         const historyText = this.buildHistoryContext(8000, 30);
         return this.geminiService.generateHistorySummary(historyText, this.webSearchEnabled);
       });
 
-      if (summary) {
-        this.chatHistoryData = [{ role: 'assistant', content: summary }];
+      // The model's context restarts from the summary; the saved thread keeps every message
+      const summaryEntry = this.chatHistoryData[this.chatHistoryData.length - 1];
+      if (summary && summaryEntry?.role === 'assistant') {
+        summaryEntry.kind = 'summary';
+        this.archiveMessages(this.chatHistoryData.slice(0, -1));
+        this.chatHistoryData = [summaryEntry];
+        this.scheduleThreadSave();
         this.addMessage('system', getUIText('historyCompacted'));
       }
       return;
@@ -3234,15 +3538,17 @@ Text should be in ${name} (${code}).`;
 
       await this.executeSlashCommandWrapper('Executing /table...', async () => {
         const historyText = this.buildHistoryContext(8000, 30);
-        return this.geminiService.generateTableFromText(
-          String(lastAI.content || ''),
-          historyText,
-          this.webSearchEnabled
-        );
+        return this.geminiService.generateTableFromText(String(lastAI.content || ''), historyText);
       });
       return;
     }
 
+    // Structured output with a user-defined schema: /json <schema> [request]
+    if (lower === '/json' || lower.startsWith('/json ')) {
+      await this.runStructuredJsonCommand(cmd.slice('/json'.length).trim());
+      return;
+    }
+
     // Clarify last AI output: /What do you mean?
     if (lower === '/what do you mean?') {
       const lastAI = [...(this.chatHistoryData || [])]
@@ -3264,6 +3570,16 @@ Text should be in ${name} (${code}).`;
       return;
     }
 
+    if (lower === '/kb' || lower.startsWith('/kb ')) {
+      const question = cmd.slice('/kb'.length).trim();
+      if (!question) {
+        this.addMessage('system', getUIText('kbHelp'));
+        return;
+      }
+      await this.runKnowledgeBaseQuery(question);
+      return;
+    }
+
     if (lower.startsWith('/image ') || lower === '/image') {
       const parts = cmd
         .split(/\s+/)
@@ -3484,43 +3800,920 @@ Text should be in ${name} (${code}).`;
       return;
     }
 
-    this.addMessage('system', getUIText('availableCommands'));
-  }
+    if (lower === '/think' || lower.startsWith('/think ')) {
+      const act = (cmd.split(/\s+/)[1] || '').toLowerCase();
+      // Session only; "on" means high, "auto" returns to the level set in Settings
+      const level = { on: 'high', off: 'off', low: 'low', high: 'high', auto: '' }[act];
+      if (level !== undefined) {
+        this.thinkingOverride = level;
+        this.addMessage(
+          'system',
+          level
+            ? getUIText('thinkingSet', getUIText(`thinkingLevels.${level}`))
+            : getUIText('thinkingAuto')
+        );
+        return;
+      }
+      if (act === 'status') {
+        this.addMessage(
+          'system',
+          getUIText(
+            'thinkingStatus',
+            getUIText(`thinkingLevels.${this.thinkingOverride || 'auto'}`)
+          )
+        );
+        return;
+      }
+      this.addMessage('system', getUIText('thinkingHelp'));
+      return;
+    }
 
-  async runSlashTranslation(targetCode, meta = null) {
-    const lastAI = [...(this.chatHistoryData || [])]
-      .reverse()
-      .find((m) => m && m.role === 'assistant' && m.content);
-    if (!lastAI) {
-      this.addMessage('system', getUIText('noPreviousAI'));
+    if (lower === '/config' || lower.startsWith('/config ')) {
+      this.handleConfigCommand(cmd.slice('/config'.length).trim());
       return;
     }
 
-    const code = normalizeTranslateCode(meta?.target || targetCode) || 'en';
-    const langName = getLanguageDisplayName(code);
+    if (lower === '/compare' || lower.startsWith('/compare ')) {
+      this.handleCompareCommand(cmd.slice('/compare'.length).trim());
+      return;
+    }
 
-    await this.executeSlashCommandWrapper(`Executing /translate (${langName})...`, async () => {
-      return this.geminiService.generateTargetedTranslation(
-        String(lastAI.content || ''),
-        code,
-        this.translateMode
+    if (lower === '/agent' || lower.startsWith('/agent ')) {
+      const act = (cmd.split(/\s+/)[1] || '').toLowerCase();
+      if (act === 'on' || act === 'off') {
+        // Session only: side-effecting tools should not stay armed across restarts
+        this.agentModeEnabled = act === 'on';
+        this.addMessage('system', getUIText(act === 'on' ? 'agentEnabled' : 'agentDisabled'));
+        return;
+      }
+      if (act === 'status') {
+        this.addMessage(
+          'system',
+          getUIText(this.agentModeEnabled ? 'agentStatusOn' : 'agentStatusOff')
+        );
+        return;
+      }
+      this.addMessage('system', getUIText('agentHelp'));
+      return;
+    }
+
+    this.addMessage('system', getUIText('availableCommands'));
+  }
+
+  // ============================================================================
+  // Conversation settings (/config)
+  // ============================================================================
+
+  /**
+   * /config temperature <0-2> | max <tokens> | model <name> | status | reset
+   * Settings belong to the conversation: they are saved with the thread and come back when it
+   * is opened again. "default" as the value clears one setting.
+   */
+  handleConfigCommand(args) {
+    const [name = '', value = '', ...rest] = String(args || '')
+      .split(/\s+/)
+      .filter(Boolean);
+    const act = name.toLowerCase();
+    if (act === 'status' && !value) {
+      const summary = this.describeChatConfig();
+      this.addMessage(
+        'system',
+        summary ? getUIText('configStatus', summary) : getUIText('configStatusDefault')
       );
-    });
+      return;
+    }
+    if (act === 'reset' && !value) {
+      this.setChatConfig({});
+      this.addMessage('system', getUIText('configReset'));
+      return;
+    }
+    const field = {
+      temperature: 'temperature',
+      temp: 'temperature',
+      max: 'maxOutputTokens',
+      model: 'model',
+    }[act];
+    if (!field || !value || rest.length) {
+      this.addMessage('system', getUIText('configHelp'));
+      return;
+    }
+
+    const next = { ...this.chatConfig };
+    if (/^(default|auto)$/i.test(value)) {
+      delete next[field];
+      this.setChatConfig(next);
+      this.addMessage('system', getUIText('configCleared', getUIText(`configFields.${field}`)));
+      return;
+    }
+    let parsed = null;
+    if (field === 'model') {
+      if (/^[\w.:/-]{1,100}$/.test(value)) parsed = value.replace(/^models\//, '');
+    } else {
+      const n = Number(value);
+      const valid =
+        field === 'temperature'
+          ? Number.isFinite(n) && n >= 0 && n <= IrukaDarkApp.MAX_CONFIG_TEMPERATURE
+          : Number.isInteger(n) && n > 0 && n <= IrukaDarkApp.MAX_CONFIG_OUTPUT_TOKENS;
+      if (valid) parsed = n;
+    }
+    if (parsed === null) {
+      this.addMessage('system', getUIText(`configInvalid.${field}`));
+      return;
+    }
+    next[field] = parsed;
+    this.setChatConfig(next);
+    this.addMessage('system', getUIText('configSet', this.describeChatConfig()));
   }
 
-  async handleImageGeneration(prompt, attachments = []) {
-    try {
-      this.disableAutoScrollCount = Math.max(0, this.disableAutoScrollCount - 1);
-      this.addMessage('user', `@image ${prompt}`, attachments);
+  setChatConfig(config) {
+    this.chatConfig = config;
+    this.updateChatConfigChip();
+    // A chat without messages saves its settings together with the first message
+    this.scheduleThreadSave();
+  }
 
-      const aspectRatio = this.imageSize === 'auto' ? '1:1' : this.imageSize;
-      const count = this.imageCount || 1;
-      this.showImageSkeletonLoader(aspectRatio, count);
+  // "temperature 0.2 · max 2048 tokens · model-name", or '' when nothing is set
+  describeChatConfig() {
+    const { temperature, maxOutputTokens, model } = this.chatConfig;
+    const parts = [];
+    if (temperature !== undefined) parts.push(getUIText('configTemperatureLabel', temperature));
+    if (maxOutputTokens !== undefined) parts.push(getUIText('configMaxLabel', maxOutputTokens));
+    if (model) parts.push(model);
+    return parts.join(' · ');
+  }
 
-      // Get active image template
-      const activeTemplate = this.getActiveImageTemplate();
-      let finalPrompt = prompt;
-      let templateReferenceImage = null;
+  /**
+   * Request options for this conversation's settings: the pinned model (no routing fallbacks)
+   * and generation config overrides.
+   */
+  chatConfigOptions() {
+    const { temperature, maxOutputTokens, model } = this.chatConfig;
+    const overrides = {};
+    if (temperature !== undefined) overrides.temperature = temperature;
+    if (maxOutputTokens !== undefined) overrides.maxOutputTokens = maxOutputTokens;
+    return {
+      ...(model ? { model } : {}),
+      ...(Object.keys(overrides).length ? { generationConfigOverrides: overrides } : {}),
+    };
+  }
+
+  // Chip above the input while the conversation has settings; its × goes back to the defaults
+  updateChatConfigChip() {
+    const chip = this.chatConfigChip;
+    if (!chip) return;
+    const summary = this.describeChatConfig();
+    chip.classList.toggle('hidden', !summary);
+    chip.replaceChildren();
+    if (!summary) return;
+    const label = document.createElement('span');
+    label.className = 'chat-config-chip-label';
+    label.textContent = summary;
+    label.title = getUIText('configChipTitle');
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.className = 'chat-config-chip-clear';
+    clear.textContent = '×';
+    clear.title = getUIText('configChipClear');
+    clear.setAttribute('aria-label', clear.title);
+    clear.addEventListener('click', () => {
+      this.setChatConfig({});
+      this.addMessage('system', getUIText('configReset'));
+    });
+    chip.append(label, clear);
+  }
+
+  // ============================================================================
+  // Compare mode (/compare)
+  // ============================================================================
+
+  /**
+   * /compare <model-a> <model-b> [...] | off | status
+   * Session only, like agent mode: model names are not validated until the first request.
+   */
+  handleCompareCommand(args) {
+    const words = String(args || '')
+      .split(/\s+/)
+      .filter(Boolean);
+    const act = (words[0] || '').toLowerCase();
+    if (!words.length) {
+      this.addMessage('system', getUIText('compareHelp'));
+      return;
+    }
+    if (act === 'off' && words.length === 1) {
+      this.compareModels = [];
+      this.addMessage('system', getUIText('compareDisabled'));
+      return;
+    }
+    if (act === 'status' && words.length === 1) {
+      this.addMessage(
+        'system',
+        this.compareModels.length
+          ? getUIText('compareStatusOn', this.compareModels.join(', '))
+          : getUIText('compareStatusOff')
+      );
+      return;
+    }
+    const models = [...new Set(words.map((w) => w.replace(/^models\//, '')))];
+    if (models.length < 2 || models.some((m) => !/^[\w.:/-]+$/.test(m))) {
+      this.addMessage('system', getUIText('compareHelp'));
+      return;
+    }
+    if (models.length > IrukaDarkApp.MAX_COMPARE_MODELS) {
+      this.addMessage('system', getUIText('compareTooMany', IrukaDarkApp.MAX_COMPARE_MODELS));
+      return;
+    }
+    this.compareModels = models;
+    this.addMessage('system', getUIText('compareEnabled', models.join(', ')));
+  }
+
+  /**
+   * Send one chat turn to every compare model at once and draw the answers in columns.
+   * Nothing is added to the history until the user keeps one of the answers.
+   */
+  async runCompareTurn(message, history, attachments = []) {
+    const models = [...this.compareModels];
+    // The user message just added; a kept answer must directly follow it
+    const turnEntry = this.chatHistoryData[this.chatHistoryData.length - 1];
+    const remembered = this.rememberAttachments(turnEntry, attachments);
+
+    const board = document.createElement('div');
+    board.className = 'message-ai message-compare';
+    const grid = document.createElement('div');
+    grid.className = 'compare-board';
+    grid.style.setProperty('--compare-columns', String(models.length));
+    board.appendChild(grid);
+    const abortController = new AbortController();
+    this.messageAbortControllers.set(board, abortController);
+    this.hideShortcutHints();
+    this.chatHistory?.appendChild(board);
+    this.setGenerating(true);
+
+    const keep = (response) => {
+      if (this.chatHistoryData[this.chatHistoryData.length - 1] !== turnEntry) {
+        this.addMessage('system', getUIText('compareStale'));
+        return;
+      }
+      abortController.abort();
+      this.messageAbortControllers.delete(board);
+      this.addMessage('ai', response, [], { targetElement: board });
+      this.addMessage('system', getUIText('compareKept', response.model));
+    };
+
+    const runs = models.map(async (model) => {
+      const requestId = newAIRequestId();
+      const isCancelled = () => this.cancelRequested || this.cancelledRequestIds.has(requestId);
+      const column = this.createCompareColumn(model, requestId);
+      grid.appendChild(column.element);
+      this.updateInFlightIndicators(this.inFlightRequests);
+      const startedAt = performance.now();
+      try {
+        const options = {
+          ...this.chatConfigOptions(),
+          requestId,
+          model,
+          thinking: this.thinkingOverride,
+          conversationId: this.currentThread.id,
+        };
+        const response = attachments.length
+          ? await this.geminiService.generateResponseWithAttachments(
+              message,
+              history,
+              attachments,
+              this.webSearchEnabled,
+              options
+            )
+          : await this.geminiService.generateResponse(
+              message,
+              history,
+              this.webSearchEnabled,
+              options
+            );
+        if (isCancelled() || /CANCELLED/.test(String(response?.text || ''))) {
+          column.fail(getUIText('canceled'));
+          return;
+        }
+        if (response?.error || isApiErrorText(response?.text)) {
+          column.fail(response?.text || getUIText('unexpectedResponse'));
+          return;
+        }
+        if (response.files) {
+          await remembered;
+          this.rememberUploadedFiles(turnEntry, response.files);
+        }
+        const latencyMs = Number.isFinite(response.latencyMs)
+          ? response.latencyMs
+          : performance.now() - startedAt;
+        column.finish({ ...response, model }, latencyMs, () => keep({ ...response, model }), {
+          signal: abortController.signal,
+        });
+      } catch (error) {
+        column.fail(isCancelled() ? getUIText('canceled') : error?.message || String(error));
+      } finally {
+        this.cancelledRequestIds.delete(requestId);
+      }
+    });
+
+    try {
+      await Promise.all(runs);
+    } finally {
+      this.setGenerating(false);
+    }
+  }
+
+  /**
+   * One column of a compare board: model name, then the answer with latency, tokens and a
+   * "Keep" button. The column carries the request id so it gets its own stop control.
+   */
+  createCompareColumn(model, requestId) {
+    const element = document.createElement('div');
+    element.className = 'compare-column';
+    element.dataset.state = 'running';
+    element.dataset.requestId = requestId;
+    const head = document.createElement('div');
+    head.className = 'compare-head';
+    const name = document.createElement('span');
+    name.className = 'compare-model';
+    name.textContent = model;
+    const meta = document.createElement('span');
+    meta.className = 'compare-meta';
+    head.append(name, meta);
+    const body = document.createElement('div');
+    body.className = 'compare-body message-ai-content';
+    body.innerHTML = '<div class="thinking-bar" aria-hidden="true"></div>';
+    element.append(head, body);
+
+    const settle = () => {
+      delete element.dataset.requestId;
+      element.querySelector(':scope > .ai-request-controls')?.remove();
+    };
+    const formatCount = (n) => Number(n || 0).toLocaleString();
+
+    return {
+      element,
+      finish: (response, latencyMs, onKeep, { signal }) => {
+        settle();
+        element.dataset.state = 'done';
+        const parts = [getUIText('compareLatency', (latencyMs / 1000).toFixed(1))];
+        if (response.usage) {
+          parts.push(
+            getUIText(
+              'compareTokens',
+              formatCount(response.usage.promptTokens),
+              formatCount(response.usage.candidatesTokens)
+            )
+          );
+        }
+        meta.textContent = parts.join(' · ');
+        body.innerHTML = this.renderMarkdown(String(response.text || ''));
+        const actions = document.createElement('div');
+        actions.className = 'compare-actions';
+        const keepBtn = document.createElement('button');
+        keepBtn.type = 'button';
+        keepBtn.className = 'compare-keep';
+        keepBtn.textContent = getUIText('compareKeep');
+        keepBtn.addEventListener('click', onKeep, { signal });
+        actions.appendChild(keepBtn);
+        element.appendChild(actions);
+      },
+      fail: (text) => {
+        settle();
+        element.dataset.state = 'failed';
+        body.textContent = String(text || '');
+      },
+    };
+  }
+
+  // ============================================================================
+  // Agent mode (function calling)
+  // ============================================================================
+
+  /**
+   * Agent mode: let the model call tools until it answers in text.
+   * Every call is shown as a card in the chat; side-effecting calls wait for Allow / Deny.
+   */
+  async runAgentTurn(message, history) {
+    const api = window.electronAPI;
+    if (!api || !api.aiAgentStep) {
+      this.addMessage('system', getUIText('apiUnavailable'));
+      return;
+    }
+    const contents = [{ role: 'user', parts: [{ text: message }] }];
+    // /config settings of the conversation; a pinned model skips the routing table
+    const { model, generationConfigOverrides } = this.chatConfigOptions();
+    this.disableAutoScrollCount++;
+    try {
+      for (let step = 0; step < IrukaDarkApp.MAX_AGENT_STEPS; step++) {
+        const requestId = newAIRequestId();
+        this.showTypingIndicator(requestId);
+        let result;
+        try {
+          result = await api.aiAgentStep({
+            contents,
+            history,
+            requestId,
+            model: model || this.geminiService.model,
+            ...(model ? { strictModel: true } : {}),
+            ...(generationConfigOverrides ? { generationConfig: generationConfigOverrides } : {}),
+            systemInstruction: this.geminiService.buildChatSystemInstruction(),
+          });
+        } finally {
+          this.hideTypingIndicator();
+        }
+        const cancelled =
+          this.cancelRequested ||
+          this.cancelledRequestIds.delete(requestId) ||
+          result?.error === 'CANCELLED';
+        if (cancelled) return;
+        if (!result || result.error) {
+          this.addMessage(
+            'system',
+            `${getUIText('errorOccurred')}: ${result?.error || 'Unknown error'}`
+          );
+          return;
+        }
+
+        const calls = Array.isArray(result.functionCalls) ? result.functionCalls : [];
+        if (!calls.length) {
+          this.addMessage('ai', { text: result.text, sources: [] });
+          return;
+        }
+        // Keep the stop button while tool calls run or wait for confirmation
+        this.setGenerating(true);
+        if (result.content) contents.push(result.content);
+        const responses = [];
+        for (const call of calls) {
+          const response = await this.runAgentToolCall(call);
+          if (this.cancelRequested) return;
+          responses.push({
+            functionResponse: {
+              name: call.name,
+              response,
+              ...(call.id ? { id: call.id } : {}),
+            },
+          });
+        }
+        contents.push({ role: 'user', parts: responses });
+      }
+      this.addMessage('system', getUIText('agentTooManySteps'));
+    } finally {
+      this.pendingAgentConfirm = null;
+      this.setGenerating(false);
+      this.disableAutoScrollCount = Math.max(0, this.disableAutoScrollCount - 1);
+    }
+  }
+
+  /**
+   * Show one tool call, ask for confirmation if it has side effects, then run it.
+   * @returns {Promise<Object>} The functionResponse payload ({ result } or { error })
+   */
+  async runAgentToolCall(call) {
+    const card = this.createAgentToolCard(call);
+    if (!call.known) {
+      card.setStatus(getUIText('agentToolFailed', 'unknown tool'), 'failed');
+      return { error: `Unknown tool: ${call.name}` };
+    }
+    if (call.sideEffect) {
+      const approved = await card.confirm();
+      if (!approved) {
+        card.setStatus(getUIText('agentToolDenied'), 'denied');
+        return { error: 'The user declined this action.' };
+      }
+    }
+    card.setStatus(getUIText('agentToolRunning'), 'running');
+    try {
+      let result;
+      if (call.runsIn === 'renderer') {
+        result = await this.runRendererAgentTool(call.name, call.args || {});
+      } else {
+        // Registered like a model request, so the stop controls can cancel a slow tool
+        const requestId = newAIRequestId();
+        card.element.dataset.requestId = requestId;
+        // confirmToken is only reached after Allow; main refuses confirmable calls without it
+        const res = await window.electronAPI.runAgentTool(call.name, call.args || {}, {
+          requestId,
+          ...(call.confirmToken ? { confirmToken: call.confirmToken } : {}),
+        });
+        delete card.element.dataset.requestId;
+        if (this.cancelledRequestIds.delete(requestId)) throw new Error('CANCELLED');
+        if (!res || !res.success) throw new Error(res?.error || 'Unknown error');
+        result = res.result;
+      }
+      card.setStatus(getUIText('agentToolDone'), 'done');
+      return { result };
+    } catch (err) {
+      if (err?.message === 'CANCELLED') {
+        card.setStatus(getUIText('canceled'), 'denied');
+        return { error: 'The user cancelled this action.' };
+      }
+      const msg = err?.message || 'Unknown error';
+      card.setStatus(getUIText('agentToolFailed', msg), 'failed');
+      return { error: msg };
+    }
+  }
+
+  /**
+   * Tool call card (not part of the conversation history).
+   * @returns {{element: HTMLElement, setStatus: Function, confirm: Function}}
+   */
+  createAgentToolCard(call) {
+    const el = document.createElement('div');
+    el.className = 'message-tool';
+    // MCP tools come with a "server · tool" label; getUIText returns the key when missing
+    const key = `agentToolNames.${call.name}`;
+    const name = call.label || getUIText(key);
+    const label = typeof name === 'string' && name && name !== key ? name : call.name;
+    let args = '';
+    try {
+      args = JSON.stringify(call.args || {});
+    } catch {}
+    if (args.length > 200) args = `${args.slice(0, 200)}…`;
+    el.innerHTML = `
+      <div class="agent-tool-card">
+        <div class="agent-tool-head">
+          <span class="agent-tool-label">${this.escapeHtml(getUIText('agentToolCall'))}</span>
+          <span class="agent-tool-name">${this.escapeHtml(label)}</span>
+        </div>
+        ${args && args !== '{}' ? `<code class="agent-tool-args">${this.escapeHtml(args)}</code>` : ''}
+        <div class="agent-tool-status"></div>
+      </div>
+    `;
+    this.chatHistory?.appendChild(el);
+    const card = el.firstElementChild;
+    const statusEl = el.querySelector('.agent-tool-status');
+
+    const setStatus = (text, state) => {
+      statusEl.textContent = text;
+      card.dataset.state = state;
+    };
+    const confirm = () =>
+      new Promise((resolve) => {
+        setStatus(getUIText('agentToolPending'), 'pending');
+        const actions = document.createElement('div');
+        actions.className = 'agent-tool-actions';
+        const allow = document.createElement('button');
+        allow.type = 'button';
+        allow.className = 'agent-tool-allow';
+        allow.textContent = getUIText('agentToolAllow');
+        const deny = document.createElement('button');
+        deny.type = 'button';
+        deny.className = 'agent-tool-deny';
+        deny.textContent = getUIText('agentToolDeny');
+        actions.append(allow, deny);
+        card.appendChild(actions);
+        const settle = (approved) => {
+          actions.remove();
+          if (this.pendingAgentConfirm === settle) this.pendingAgentConfirm = null;
+          resolve(approved);
+        };
+        allow.addEventListener('click', () => settle(true), { once: true });
+        deny.addEventListener('click', () => settle(false), { once: true });
+        // The stop button denies whatever is waiting
+        this.pendingAgentConfirm = settle;
+        allow.focus();
+      });
+    return { element: el, setStatus, confirm };
+  }
+
+  /**
+   * Tools backed by UI that lives in this window (timer and schedule panels).
+   */
+  async runRendererAgentTool(name, args) {
+    if (name === 'start_timer') {
+      const timer = window.timerApp;
+      if (!timer || typeof timer.start !== 'function') throw new Error('Timer is not available');
+      const part = (v) => Math.max(0, Math.floor(Number(v) || 0));
+      const maxSeconds = 99 * 3600 + 59 * 60 + 59;
+      const total = Math.min(
+        maxSeconds,
+        part(args.hours) * 3600 + part(args.minutes) * 60 + part(args.seconds)
+      );
+      if (!total) throw new Error('Timer duration must be at least 1 second');
+      timer.reset();
+      timer.hours = Math.floor(total / 3600);
+      timer.minutes = Math.floor((total % 3600) / 60);
+      timer.seconds = total % 60;
+      timer.updateDisplayValues();
+      timer.start();
+      return { started: true, durationSeconds: total };
+    }
+
+    if (name === 'create_schedule') {
+      const schedules = window.scheduleApp;
+      if (!schedules || typeof schedules.addSchedule !== 'function') {
+        throw new Error('Schedules are not available');
+      }
+      const match = String(args.time || '')
+        .trim()
+        .match(/^(\d{1,2}):(\d{2})$/);
+      const hours = match ? Number(match[1]) : NaN;
+      const minutes = match ? Number(match[2]) : NaN;
+      if (!(hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59)) {
+        throw new Error('time must be "HH:MM" in 24-hour format');
+      }
+      const type = ['alarm', 'open-app', 'open-url'].includes(args.action) ? args.action : 'alarm';
+      let config = {};
+      if (type === 'open-app') {
+        const wanted = String(args.app_name || '').trim();
+        const found = wanted ? await window.electronAPI.launcher.searchApps(wanted) : null;
+        const results = Array.isArray(found?.results) ? found.results : [];
+        const app =
+          results.find((r) => r.name.toLowerCase() === wanted.toLowerCase()) || results[0];
+        if (!app) throw new Error(`No installed application matches "${wanted}"`);
+        config = { appPath: app.path, appName: app.name };
+      } else if (type === 'open-url') {
+        const url = String(args.url || '').trim();
+        if (!/^https?:\/\//i.test(url)) throw new Error('url must start with http:// or https://');
+        config = { url };
+      }
+      const schedule = schedules.addSchedule({
+        time: { hours, minutes },
+        action: { type, config },
+        repeat: { type: args.repeat === 'daily' ? 'daily' : 'once' },
+      });
+      const pad = (n) => String(n).padStart(2, '0');
+      return {
+        id: schedule.id,
+        time: `${pad(hours)}:${pad(minutes)}`,
+        action: type,
+        repeat: schedule.repeat.type,
+        ...(config.appName ? { app: config.appName } : {}),
+        ...(config.url ? { url: config.url } : {}),
+      };
+    }
+
+    throw new Error(`Unknown tool: ${name}`);
+  }
+
+  // ============================================================================
+  // Structured output (JSON mode)
+  // ============================================================================
+
+  /** Reload the user's response schemas (also called by Settings after a change). */
+  async loadJsonSchemas() {
+    try {
+      if (window.electronAPI && window.electronAPI.getJsonSchemas) {
+        const result = await window.electronAPI.getJsonSchemas();
+        if (result && result.success) {
+          this.jsonSchemas = Array.isArray(result.schemas) ? result.schemas : [];
+        }
+      }
+    } catch {}
+    const meta = (this.slashCommands || []).find((c) => c.key === '/json');
+    if (meta) meta.children = this.jsonSchemaSlashTargets();
+  }
+
+  jsonSchemaSlashTargets() {
+    return this.jsonSchemas.map((schema) => ({
+      key: `/json ${schema.name}`,
+      match: `/json ${schema.name}`,
+      label: `/json ${schema.name}`,
+      ...(schema.description
+        ? { desc: { en: this.escapeHtml(schema.description) } }
+        : { descKey: 'slashDescriptions.jsonSchema' }),
+    }));
+  }
+
+  /**
+   * /json <schema> [request]: answer in JSON matching a saved schema.
+   * Without a request the last AI answer is restructured.
+   */
+  async runStructuredJsonCommand(args) {
+    await this.loadJsonSchemas();
+    const name = (args.split(/\s+/)[0] || '').toLowerCase();
+    if (!name) {
+      this.addMessage(
+        'system',
+        this.jsonSchemas.length
+          ? getUIText('jsonSchemaList', this.jsonSchemas.map((s) => s.name).join(', '))
+          : getUIText('jsonNoSchemas')
+      );
+      return;
+    }
+    const entry = this.jsonSchemas.find((s) => s.name === name);
+    if (!entry) {
+      this.addMessage('system', getUIText('jsonUnknownSchema', name));
+      return;
+    }
+    const instruction = args.slice(name.length).trim();
+    let sourceText = '';
+    if (!instruction) {
+      const lastAI = [...(this.chatHistoryData || [])]
+        .reverse()
+        .find((m) => m && m.role === 'assistant' && m.content);
+      if (!lastAI) {
+        this.addMessage('system', getUIText('noPreviousAI'));
+        return;
+      }
+      sourceText = String(lastAI.content || '');
+    }
+
+    await this.executeSlashCommandWrapper(`Executing /json ${entry.name}...`, async () => {
+      const historyText = instruction ? this.buildHistoryContext(8000, 30) : '';
+      const result = await this.geminiService.generateStructuredJson(
+        entry,
+        instruction,
+        sourceText,
+        historyText
+      );
+      if (result.invalid) {
+        this.addMessage('system', getUIText('jsonSchemaMismatch', result.invalid.join('\n')));
+        return { text: `\`\`\`json\n${result.text}\n\`\`\``, sources: result.sources };
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Collapsible thought summary shown above an answer (closed by default).
+   */
+  renderThoughtSummary(thoughts) {
+    const details = document.createElement('details');
+    details.className = 'thought-summary';
+    const summary = document.createElement('summary');
+    summary.textContent = getUIText('thoughtSummary');
+    const body = document.createElement('div');
+    body.className = 'thought-summary-body';
+    body.innerHTML = this.renderMarkdown(thoughts);
+    details.append(summary, body);
+    return details;
+  }
+
+  /**
+   * Draw a structured answer: tables (with TSV / JSON copy), option cards, or formatted JSON.
+   * @param {{kind: string, data: *}} structured
+   * @param {AbortSignal} signal - Removes the listeners with the message
+   * @returns {HTMLElement}
+   */
+  renderStructuredOutput(structured, signal) {
+    const helpers = window.IRUKADARK_STRUCTURED;
+    const { kind, data } = structured;
+    const root = document.createElement('div');
+    root.className = 'structured-output';
+
+    const copy = async (text) => {
+      try {
+        await window.electronAPI.copyToClipboard(text);
+        this.showToast(getUIText('structuredCopied'), 'success');
+      } catch {
+        this.showToast(getUIText('errorOccurred'), 'error');
+      }
+    };
+    const addButton = (parent, label, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'structured-copy-btn';
+      btn.textContent = label;
+      btn.addEventListener('click', onClick, { signal });
+      parent.appendChild(btn);
+      return btn;
+    };
+
+    if (helpers.isTableData(data)) {
+      const wrap = document.createElement('div');
+      wrap.className = 'md-table-wrap';
+      const table = document.createElement('table');
+      const headRow = table.createTHead().insertRow();
+      data.columns.forEach((col) => {
+        const th = document.createElement('th');
+        th.textContent = helpers.cellText(col);
+        headRow.appendChild(th);
+      });
+      const body = table.createTBody();
+      helpers.tableRows(data).forEach((row) => {
+        const tr = body.insertRow();
+        row.forEach((cell) => {
+          tr.insertCell().textContent = cell;
+        });
+      });
+      wrap.appendChild(table);
+      root.appendChild(wrap);
+    } else if (helpers.isOptionsData(data)) {
+      const labels = getUIText('structuredFields');
+      data.options.forEach((option) => {
+        const card = document.createElement('div');
+        card.className = 'structured-option';
+        const [first, ...rest] = Object.entries(option).filter(([, v]) => v !== '' && v != null);
+        const main = document.createElement('div');
+        main.className = 'structured-option-main';
+        main.textContent = helpers.cellText(first ? first[1] : '');
+        card.appendChild(main);
+        for (const [key, value] of rest) {
+          const line = document.createElement('div');
+          line.className = 'structured-option-detail';
+          const label = document.createElement('span');
+          label.className = 'structured-option-label';
+          label.textContent = (labels && labels[key]) || key;
+          line.append(label, document.createTextNode(helpers.cellText(value)));
+          card.appendChild(line);
+        }
+        const actions = document.createElement('div');
+        actions.className = 'structured-actions';
+        addButton(actions, getUIText('structuredCopy'), () => copy(main.textContent));
+        card.appendChild(actions);
+        root.appendChild(card);
+      });
+    } else {
+      const pre = document.createElement('pre');
+      const code = document.createElement('code');
+      code.textContent = JSON.stringify(data, null, 2);
+      pre.appendChild(code);
+      root.appendChild(pre);
+    }
+
+    // Whole-answer copy: TSV pastes into spreadsheets cell by cell
+    if (kind !== 'options' || !helpers.isOptionsData(data)) {
+      const actions = document.createElement('div');
+      actions.className = 'structured-actions';
+      if (helpers.isTableData(data)) {
+        addButton(actions, getUIText('structuredCopyTsv'), () => copy(helpers.tableToTsv(data)));
+      }
+      addButton(actions, getUIText('structuredCopyJson'), () =>
+        copy(JSON.stringify(data, null, 2))
+      );
+      root.appendChild(actions);
+    }
+    return root;
+  }
+
+  /**
+   * /kb: retrieve matching chunks from the local index (offline) and answer from them with citations.
+   */
+  async runKnowledgeBaseQuery(question) {
+    const api = window.electronAPI && window.electronAPI.knowledgeBase;
+    if (!api) {
+      this.addMessage('system', getUIText('apiUnavailable'));
+      return;
+    }
+    let found;
+    try {
+      found = await api.search(question, 6);
+    } catch (e) {
+      found = { success: false, error: e?.message };
+    }
+    if (!found || !found.success) {
+      this.addMessage('system', `${getUIText('errorOccurred')}: ${found?.error || 'Unknown'}`);
+      return;
+    }
+    if (!found.folderCount) {
+      this.addMessage('system', getUIText('kbNoFolders'));
+      return;
+    }
+    if (!found.results.length) {
+      this.addMessage('system', getUIText('kbNoResults', question));
+      return;
+    }
+
+    const excerpts = found.results.map((r) => ({
+      ...r,
+      location: r.page ? `${r.file} (p. ${r.page})` : `${r.file}:${r.line || 1}`,
+    }));
+    await this.executeSlashCommandWrapper(`Executing /kb: ${question}`, async () => {
+      const result = await this.geminiService.generateKnowledgeBaseAnswer(question, excerpts);
+      if (result.error) return result;
+      return {
+        text: result.text,
+        sources: excerpts.map((x, i) => ({
+          url: toFileUrl(x.file),
+          title: `[${i + 1}] ${x.location}`,
+        })),
+      };
+    });
+  }
+
+  async runSlashTranslation(targetCode, meta = null) {
+    const lastAI = [...(this.chatHistoryData || [])]
+      .reverse()
+      .find((m) => m && m.role === 'assistant' && m.content);
+    if (!lastAI) {
+      this.addMessage('system', getUIText('noPreviousAI'));
+      return;
+    }
+
+    const code = normalizeTranslateCode(meta?.target || targetCode) || 'en';
+    const langName = getLanguageDisplayName(code);
+
+    await this.executeSlashCommandWrapper(`Executing /translate (${langName})...`, async () => {
+      return this.geminiService.generateTargetedTranslation(
+        String(lastAI.content || ''),
+        code,
+        this.translateMode
+      );
+    });
+  }
+
+  async handleImageGeneration(prompt, attachments = []) {
+    try {
+      this.disableAutoScrollCount = Math.max(0, this.disableAutoScrollCount - 1);
+      this.addMessage('user', `@image ${prompt}`, attachments);
+
+      const aspectRatio = this.imageSize === 'auto' ? '1:1' : this.imageSize;
+      const count = this.imageCount || 1;
+      this.showImageSkeletonLoader(aspectRatio, count);
+
+      // Get active image template
+      const activeTemplate = this.getActiveImageTemplate();
+      let finalPrompt = prompt;
+      let templateReferenceImage = null;
 
       if (activeTemplate) {
         // Apply template prompt if it exists
@@ -3732,10 +4925,11 @@ ${content}`;
       return this.geminiService.generateImageFromTextWithReference(
         fullPrompt,
         aspectRatio,
-        referenceImage
+        referenceImage,
+        'slide'
       );
     }
-    return this.geminiService.generateImageFromText(fullPrompt, aspectRatio);
+    return this.geminiService.generateImageFromText(fullPrompt, aspectRatio, 'slide');
   }
 
   async generateSingleVideo(prompt, aspectRatio, durationSeconds, resolution, referenceImage) {
@@ -3798,6 +4992,15 @@ ${content}`;
 
     messageDiv.appendChild(imagesContainer);
 
+    // Recorded for export; image data is kept in memory only (threads store no image bytes)
+    this.addToChatHistory({
+      role: 'assistant',
+      kind: 'images',
+      content: '',
+      alt: altText,
+      images: results.map(({ imageBase64, mimeType }) => ({ data: imageBase64, mimeType })),
+    });
+
     if (!this.chatHistory) return;
 
     this.chatHistory.appendChild(messageDiv);
@@ -4071,6 +5274,36 @@ ${content}`;
         label: '/compact',
         descKey: 'slashDescriptions.compact',
       },
+      {
+        key: '/export',
+        match: '/export',
+        label: '/export',
+        descKey: 'slashDescriptions.export',
+        children: SLASH_EXPORT_TARGETS,
+        childSeparator: ' ',
+      },
+      {
+        key: '/import',
+        match: '/import',
+        label: '/import',
+        descKey: 'slashDescriptions.import',
+      },
+      {
+        key: '/kb',
+        match: '/kb',
+        label: '/kb',
+        descKey: 'slashDescriptions.kb',
+        // Takes a free-form question: selecting it only fills the input
+        takesArgument: true,
+      },
+      {
+        key: '/transcribe',
+        match: '/transcribe',
+        label: '/transcribe',
+        descKey: 'slashDescriptions.transcribe',
+        // Optional instructions; runs on the recordings attached to the message
+        takesArgument: true,
+      },
       {
         key: '/web',
         match: '/web',
@@ -4080,15 +5313,56 @@ ${content}`;
         childSeparator: ' ',
       },
       {
-        key: '/image',
-        match: '/image',
-        label: '/image',
-        descKey: 'slashDescriptions.image',
-        children: SLASH_IMAGE_TARGETS,
+        key: '/agent',
+        match: '/agent',
+        label: '/agent',
+        descKey: 'slashDescriptions.agent',
+        children: SLASH_AGENT_TARGETS,
         childSeparator: ' ',
       },
       {
-        key: '/slide',
+        key: '/think',
+        match: '/think',
+        label: '/think',
+        descKey: 'slashDescriptions.think',
+        children: SLASH_THINK_TARGETS,
+        childSeparator: ' ',
+      },
+      {
+        key: '/config',
+        match: '/config',
+        label: '/config',
+        descKey: 'slashDescriptions.config',
+        children: SLASH_CONFIG_TARGETS,
+        childSeparator: ' ',
+      },
+      {
+        key: '/compare',
+        match: '/compare',
+        label: '/compare',
+        descKey: 'slashDescriptions.compare',
+        children: SLASH_COMPARE_TARGETS,
+        childSeparator: ' ',
+      },
+      {
+        key: '/json',
+        match: '/json',
+        label: '/json',
+        descKey: 'slashDescriptions.json',
+        // Filled with the saved schemas by loadJsonSchemas()
+        children: [],
+        childSeparator: ' ',
+      },
+      {
+        key: '/image',
+        match: '/image',
+        label: '/image',
+        descKey: 'slashDescriptions.image',
+        children: SLASH_IMAGE_TARGETS,
+        childSeparator: ' ',
+      },
+      {
+        key: '/slide',
         match: '/slide',
         label: '/slide',
         descKey: 'slashDescriptions.slide',
@@ -4222,12 +5496,50 @@ ${content}`;
       }
       return this.slashCommands.filter((c) => c.match.startsWith('/web'));
     }
+    if (normalized.startsWith('/export ')) {
+      return SLASH_EXPORT_TARGETS.filter((c) => c.match.startsWith(normalized));
+    }
+    if (normalized === '/export' && (raw.endsWith(' ') || lower.endsWith(' '))) {
+      return SLASH_EXPORT_TARGETS;
+    }
     if (normalized.startsWith('/web ')) {
       return SLASH_WEB_TARGETS.filter((c) => c.match.startsWith(normalized));
     }
     if (normalized === '/web' && (raw.endsWith(' ') || lower.endsWith(' '))) {
       return SLASH_WEB_TARGETS;
     }
+    if (normalized.startsWith('/agent ')) {
+      return SLASH_AGENT_TARGETS.filter((c) => c.match.startsWith(normalized));
+    }
+    if (normalized === '/agent' && (raw.endsWith(' ') || lower.endsWith(' '))) {
+      return SLASH_AGENT_TARGETS;
+    }
+    if (normalized.startsWith('/think ')) {
+      return SLASH_THINK_TARGETS.filter((c) => c.match.startsWith(normalized));
+    }
+    if (normalized === '/think' && (raw.endsWith(' ') || lower.endsWith(' '))) {
+      return SLASH_THINK_TARGETS;
+    }
+    if (normalized.startsWith('/config ')) {
+      // Once a value is typed, Enter sends it instead of picking an example
+      if (normalized.split(/\s+/).length > 2) return [];
+      return SLASH_CONFIG_TARGETS.filter((c) => c.match.startsWith(normalized));
+    }
+    if (normalized === '/config' && (raw.endsWith(' ') || lower.endsWith(' '))) {
+      return SLASH_CONFIG_TARGETS;
+    }
+    if (normalized.startsWith('/compare ')) {
+      return SLASH_COMPARE_TARGETS.filter((c) => c.match.startsWith(normalized));
+    }
+    if (normalized === '/compare' && (raw.endsWith(' ') || lower.endsWith(' '))) {
+      return SLASH_COMPARE_TARGETS;
+    }
+    if (normalized.startsWith('/json ')) {
+      return this.jsonSchemaSlashTargets().filter((c) => c.match.startsWith(normalized));
+    }
+    if (normalized === '/json' && (raw.endsWith(' ') || lower.endsWith(' '))) {
+      return this.jsonSchemaSlashTargets();
+    }
     if (normalized.startsWith('/image size')) {
       const wantsChildren =
         normalized === '/image size' && (raw.endsWith(' ') || lower.endsWith(' '));
@@ -4393,6 +5705,12 @@ ${content}`;
     if (execute) {
       const lower = String(cmd || '').toLowerCase();
       const meta = this.slashCommands.find((c) => c.match === lower);
+      if (meta?.takesArgument) {
+        this.messageInput.value = `${meta.key} `;
+        this.autosizeMessageInput();
+        this.messageInput.focus();
+        return;
+      }
       if (meta?.children?.length) {
         if (typeof meta.childBase === 'string') {
           this.messageInput.value = meta.childBase;
@@ -4507,7 +5825,19 @@ ${content}`;
   }
 
   handleFileSelection(event) {
-    const files = Array.from(event.target.files || []);
+    // Chromium reports recordings as audio/mpeg, audio/x-m4a, audio/x-wav...; keep one type each
+    const files = Array.from(event.target.files || []).map((file) => {
+      const type = audioMimeType(file);
+      const picked =
+        type && file.type !== type
+          ? new File([file], file.name, { type, lastModified: file.lastModified })
+          : file;
+      if (type) {
+        const filePath = window.electronAPI?.getPathForFile?.(file);
+        if (filePath) attachmentPaths.set(picked, filePath);
+      }
+      return picked;
+    });
     if (!files.length) return;
 
     this.attachedFiles.push(...files);
@@ -4640,6 +5970,8 @@ ${content}`;
     try {
       // Set cancel flag - ongoing operations will check this and abort
       this.cancelRequested = true;
+      // A tool call waiting for approval counts as denied
+      if (this.pendingAgentConfirm) this.pendingAgentConfirm(false);
       if (window?.electronAPI?.cancelAI) {
         // Best-effort cancel on main process (for shortcut operations)
         window.electronAPI.cancelAI().catch(() => {});
@@ -4654,11 +5986,58 @@ ${content}`;
     this.addMessage('system', getUIText('canceled'));
   }
 
+  /**
+   * Stop one request from the control on its own message.
+   * Other requests (shortcuts, slides, other windows) keep running.
+   */
+  cancelRequest(requestId) {
+    if (!requestId) return;
+    this.cancelledRequestIds.add(requestId);
+    if (window?.electronAPI?.cancelAI) {
+      window.electronAPI.cancelAI({ requestId }).catch(() => {});
+    }
+    this.addMessage('system', getUIText('canceled'));
+  }
+
+  /**
+   * Sync per-message request controls with the main-process registry:
+   * elements tagged with data-request-id get a "queued" label and a stop button while in flight.
+   */
+  updateInFlightIndicators(requests) {
+    if (!this.chatHistory) return;
+    const byId = new Map((Array.isArray(requests) ? requests : []).map((r) => [r.id, r]));
+    this.chatHistory.querySelectorAll('[data-request-id]').forEach((el) => {
+      const request = byId.get(el.dataset.requestId);
+      let controls = el.querySelector(':scope > .ai-request-controls');
+      if (!request) {
+        controls?.remove();
+        return;
+      }
+      if (!controls) {
+        controls = document.createElement('div');
+        controls.className = 'ai-request-controls';
+        const state = document.createElement('span');
+        state.className = 'ai-request-state';
+        const stop = document.createElement('button');
+        stop.type = 'button';
+        stop.className = 'ai-request-stop';
+        stop.textContent = getUIText('stopRequest');
+        stop.setAttribute('aria-label', getUIText('stopRequest'));
+        stop.addEventListener('click', () => this.cancelRequest(el.dataset.requestId));
+        controls.append(state, stop);
+        el.appendChild(controls);
+      }
+      controls.querySelector('.ai-request-state').textContent =
+        request.state === 'queued' ? getUIText('requestQueued') : '';
+    });
+  }
+
   /**
    * Show typing indicator (thinking animation)
    * Also changes send button to stop button to allow cancellation
+   * @param {string} [requestId] - Tags the indicator so it gets per-request controls
    */
-  showTypingIndicator() {
+  showTypingIndicator(requestId = '') {
     // Set generating state - this triggers send button icon change to stop icon
     this.setGenerating(true);
 
@@ -4666,6 +6045,7 @@ ${content}`;
 
     const typingDiv = document.createElement('div');
     typingDiv.id = 'typing-indicator';
+    if (requestId) typingDiv.dataset.requestId = requestId;
     typingDiv.className = 'message-ai-container';
     typingDiv.setAttribute('role', 'status');
     typingDiv.setAttribute('aria-live', 'polite');
@@ -4680,6 +6060,27 @@ ${content}`;
     // Typing indicator scroll disabled - only user/system messages should trigger scroll
   }
 
+  /**
+   * Show Files API upload progress for a large attachment in the request's typing indicator.
+   * @param {string} requestId
+   * @param {{name?: string, loaded: number, total: number}} progress
+   */
+  showUploadProgress(requestId, progress) {
+    const indicator = document.getElementById('typing-indicator');
+    if (!indicator || indicator.dataset.requestId !== String(requestId || '')) return;
+    const content = indicator.querySelector('.typing-indicator-content');
+    if (!content) return;
+    let label = content.querySelector('.upload-progress');
+    if (!label) {
+      label = document.createElement('div');
+      label.className = 'upload-progress';
+      content.appendChild(label);
+    }
+    const total = Math.max(1, Number(progress?.total) || 0);
+    const percent = Math.min(100, Math.round(((Number(progress?.loaded) || 0) / total) * 100));
+    label.textContent = getUIText('uploadingFile', progress?.name || '', percent);
+  }
+
   /**
    * Hide typing indicator and restore send button
    */
@@ -4734,16 +6135,33 @@ ${content}`;
     // Hide shortcut hints when a message is added
     this.hideShortcutHints();
 
-    const messageDiv = document.createElement('div');
+    // options.targetElement: reuse an element already in the chat (streamed AI answer)
+    const messageDiv = options.targetElement || document.createElement('div');
+    messageDiv.replaceChildren();
     messageDiv.className = `message-${type}`;
 
+    // options.entry: the chatHistoryData entry of a restored message
+    let entry = options.restore ? options.entry : null;
     if (type === 'user') {
       const processedContent = this.processUserContent(content);
       const attachmentsHtml = this.generateAttachmentsPreview(attachments);
 
-      this.addToChatHistory({ role: 'user', content });
-      // Invalidate cache after modifying history data (optimization: only when history changes)
-      this.clearHistoryContextCache();
+      if (!options.restore) {
+        entry = this.addToChatHistory({
+          role: 'user',
+          content,
+          attachments: (attachments || []).map((f) => ({
+            name: f.name,
+            type: f.type,
+            size: f.size,
+          })),
+        });
+        // Files stay in memory so the message can be edited and sent again
+        const files = (attachments || []).filter((f) => f instanceof Blob);
+        if (files.length) this.messageFiles.set(entry, files);
+        // Invalidate cache after modifying history data (optimization: only when history changes)
+        this.clearHistoryContextCache();
+      }
       messageDiv.innerHTML = `
         <div class="message-user-container">
           <div class="message-user-content">
@@ -4752,11 +6170,21 @@ ${content}`;
           </div>
         </div>
       `;
+      if (entry) this.renderMessageActions(messageDiv, entry);
     } else if (type === 'ai') {
       const isObj = content && typeof content === 'object' && !Array.isArray(content);
       let text = isObj ? String(content.text || '') : String(content || '');
       let sources =
         isObj && Array.isArray(content.sources) ? content.sources.filter((s) => s && s.url) : [];
+      // JSON mode answers are drawn from their data; text is the Markdown form for history
+      const structured =
+        isObj && content.structured && content.structured.kind && window.IRUKADARK_STRUCTURED
+          ? { kind: String(content.structured.kind), data: content.structured.data }
+          : null;
+      // Thought summary (thinking models with includeThoughts); shown collapsed above the answer
+      const thoughts = isObj && typeof content.thoughts === 'string' ? content.thoughts.trim() : '';
+      // The answer used the thread's context cache: mark the document's attachment chip
+      if (isObj && content.cached) this.markCachedAttachment(content.cached);
 
       // If no structured sources, try to parse inline "出典/Sources" block from text and remove it
       if (!sources.length) {
@@ -4769,10 +6197,18 @@ ${content}`;
         } catch {}
       }
 
-      const markdownContent = this.renderMarkdown(text);
-      this.addToChatHistory({ role: 'assistant', content: text });
-      // Invalidate cache after modifying history data (optimization: only when history changes)
-      this.clearHistoryContextCache();
+      const markdownContent = structured ? '' : this.renderMarkdown(text);
+      if (!options.restore) {
+        entry = this.addToChatHistory({
+          role: 'assistant',
+          content: text,
+          sources,
+          ...(structured ? { structured } : {}),
+          ...(thoughts ? { thoughts } : {}),
+        });
+        // Invalidate cache after modifying history data (optimization: only when history changes)
+        this.clearHistoryContextCache();
+      }
       // Build DOM to allow badge + accordion below
       const container = document.createElement('div');
       container.className = 'message-ai-container';
@@ -4783,6 +6219,9 @@ ${content}`;
       // Create AbortController for automatic cleanup (memory leak prevention)
       const abortController = new AbortController();
       this.messageAbortControllers.set(messageDiv, abortController);
+      if (structured) {
+        contentEl.appendChild(this.renderStructuredOutput(structured, abortController.signal));
+      }
 
       // Open any link in default browser instead of navigating inside the app
       try {
@@ -4816,6 +6255,7 @@ ${content}`;
           }
         });
       } catch {}
+      if (thoughts) container.appendChild(this.renderThoughtSummary(thoughts));
       container.appendChild(contentEl);
       if (sources.length > 0) {
         const badge = document.createElement('span');
@@ -4864,6 +6304,7 @@ ${content}`;
         container.appendChild(acc);
       }
       messageDiv.appendChild(container);
+      if (entry) this.renderMessageActions(messageDiv, entry);
     } else if (type === 'system-question') {
       // ショートカット由来のシステム表示（2行まで表示し、クリックで展開/折りたたみ）
       const safe = this.escapeHtml(content).replace(/\n/g, '<br>');
@@ -4883,9 +6324,11 @@ ${content}`;
           { signal: systemAbortController.signal }
         );
       } catch {}
-      this.addToChatHistory({ role: 'user', content });
-      // Invalidate cache after modifying history data (optimization: only when history changes)
-      this.clearHistoryContextCache();
+      if (!options.restore) {
+        this.addToChatHistory({ role: 'user', content, kind: 'system-question' });
+        // Invalidate cache after modifying history data (optimization: only when history changes)
+        this.clearHistoryContextCache();
+      }
     } else if (type === 'system') {
       // すべてのシステムメッセージはコンパクト表示に統一（2行クランプ、クリックで展開）
       // Note: System messages do NOT modify chatHistoryData, so no cache invalidation needed
@@ -4927,9 +6370,10 @@ ${content}`;
       } catch {}
     }
 
+    if (entry) this.messageElements.set(entry, messageDiv);
     if (!this.chatHistory) return;
 
-    this.chatHistory.appendChild(messageDiv);
+    if (!messageDiv.isConnected) this.chatHistory.appendChild(messageDiv);
 
     // システムメッセージ（通常/ショートカット）でアイコンを初期化
     // IMPORTANT: Initialize icons BEFORE scrolling to ensure accurate scroll height
@@ -4949,13 +6393,792 @@ ${content}`;
     }
   }
 
-  // Add message to chat history with size limit to prevent memory leaks
-  addToChatHistory(message) {
-    this.chatHistoryData.push(message);
-    // Trim old messages if exceeding max size
-    const maxSize = IrukaDarkApp.MAX_CHAT_HISTORY_SIZE;
-    if (this.chatHistoryData.length > maxSize) {
-      this.chatHistoryData = this.chatHistoryData.slice(-maxSize);
+  /**
+   * Create a placeholder AI message that fills in as stream chunks arrive.
+   * It is attached on the first chunk (replacing the typing indicator) and
+   * finalize() re-renders it through addMessage so sources attach to the same element.
+   */
+  createStreamingAIMessage(requestId = '') {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message-ai';
+    if (requestId) messageDiv.dataset.requestId = requestId;
+    const container = document.createElement('div');
+    container.className = 'message-ai-container';
+    const contentEl = document.createElement('div');
+    contentEl.className = 'message-ai-content';
+    container.appendChild(contentEl);
+    messageDiv.appendChild(container);
+
+    let text = '';
+    let frame = 0;
+    const cancelFrame = () => {
+      if (frame) cancelAnimationFrame(frame);
+      frame = 0;
+    };
+    const render = () => {
+      frame = 0;
+      contentEl.innerHTML = this.renderMarkdown(text);
+    };
+    // The request is over once the message settles; drop its stop control
+    const detachRequest = () => {
+      delete messageDiv.dataset.requestId;
+      messageDiv.querySelector(':scope > .ai-request-controls')?.remove();
+    };
+
+    return {
+      append: (delta) => {
+        if (!delta) return;
+        text += delta;
+        if (!messageDiv.isConnected && this.chatHistory) {
+          // Keep the stop button active; only the thinking bar is replaced
+          document.getElementById('typing-indicator')?.remove();
+          this.hideShortcutHints();
+          this.chatHistory.appendChild(messageDiv);
+          if (requestId) this.updateInFlightIndicators(this.inFlightRequests);
+        }
+        if (!frame) frame = requestAnimationFrame(render);
+      },
+      finalize: (content) => {
+        cancelFrame();
+        detachRequest();
+        this.addMessage('ai', content, [], { targetElement: messageDiv });
+      },
+      // After a cancel: keep the partial answer (and record it in history) or drop the placeholder
+      settlePartial: () => {
+        cancelFrame();
+        detachRequest();
+        if (text && messageDiv.isConnected) {
+          this.addMessage('ai', text, [], { targetElement: messageDiv });
+        } else {
+          messageDiv.remove();
+        }
+      },
+      discard: () => {
+        cancelFrame();
+        messageDiv.remove();
+      },
+    };
+  }
+
+  // Add message to chat history with size limit to prevent memory leaks
+  addToChatHistory(message) {
+    const entry = { ...message, createdAt: message.createdAt || Date.now() };
+    this.chatHistoryData.push(entry);
+    // Trim old messages if exceeding max size (the saved thread keeps them)
+    const maxSize = IrukaDarkApp.MAX_CHAT_HISTORY_SIZE;
+    if (this.chatHistoryData.length > maxSize) {
+      this.archiveMessages(this.chatHistoryData.slice(0, -maxSize));
+      this.chatHistoryData = this.chatHistoryData.slice(-maxSize);
+    }
+    this.scheduleThreadSave();
+    return entry;
+  }
+
+  // Move messages out of the model's context into threadArchive, without their in-memory data
+  archiveMessages(messages) {
+    this.threadArchive.push(...messages.map(storableMessage));
+    const max = IrukaDarkApp.MAX_STORED_MESSAGES;
+    if (this.threadArchive.length > max) this.threadArchive = this.threadArchive.slice(-max);
+  }
+
+  // ============================================================================
+  // Saved conversations (threads)
+  // ============================================================================
+
+  // Debounce writes so a streamed answer or a burst of messages costs one save
+  scheduleThreadSave(delay = 800) {
+    if (!window.electronAPI?.chatThreads) return;
+    if (this.threadSaveTimer) clearTimeout(this.threadSaveTimer);
+    this.threadSaveTimer = setTimeout(() => {
+      this.saveCurrentThread();
+    }, delay);
+  }
+
+  /**
+   * Persist the current conversation immediately.
+   * Saves are chained so the first save (which assigns the id) finishes before the next one runs.
+   * @returns {Promise<void>}
+   */
+  saveCurrentThread() {
+    if (this.threadSaveTimer) {
+      clearTimeout(this.threadSaveTimer);
+      this.threadSaveTimer = null;
+    }
+    const api = window.electronAPI?.chatThreads;
+    const thread = this.currentThread;
+    const settings = { ...this.chatConfig };
+    const messages = [...this.threadArchive, ...this.chatHistoryData.map(storableMessage)];
+    if (!api || !messages.length) return this.threadSaveChain;
+
+    this.threadSaveChain = this.threadSaveChain
+      .then(async () => {
+        const result = await api.save({ id: thread.id, messages, settings });
+        if (result?.success && result.thread?.id) {
+          thread.id = result.thread.id;
+        }
+      })
+      .catch(() => {});
+    return this.threadSaveChain;
+  }
+
+  // Clear the chat DOM and in-memory history and start a fresh (unsaved) conversation
+  resetChatView() {
+    if (this.threadSaveTimer) {
+      clearTimeout(this.threadSaveTimer);
+      this.threadSaveTimer = null;
+    }
+    this.clearChatMessages();
+    this.chatHistoryData = [];
+    this.threadArchive = [];
+    this.currentThread = { id: null };
+    this.chatConfig = {};
+    this.updateChatConfigChip();
+    if (this.geminiService) {
+      this.geminiService.lastGeneratedImage = null;
+    }
+
+    // Clear history context cache
+    this.clearHistoryContextCache();
+  }
+
+  // Remove every message element from the chat
+  clearChatMessages() {
+    // Abort all active event listeners to prevent memory leaks
+    const chatHistory = this.chatHistory;
+    if (chatHistory && chatHistory.isConnected) {
+      const messageElements = this.chatHistory.querySelectorAll(
+        '.message-ai, .message-system, .message-system-question, .message-fallback'
+      );
+      messageElements.forEach((el) => {
+        const controller = this.messageAbortControllers.get(el);
+        if (controller) {
+          controller.abort();
+          this.messageAbortControllers.delete(el);
+        }
+      });
+    }
+    if (this.chatHistory) this.chatHistory.innerHTML = '';
+  }
+
+  /**
+   * Replace the chat with a saved conversation so follow-up questions continue it.
+   * @param {string} id - Thread id
+   */
+  async loadThread(id) {
+    const api = window.electronAPI?.chatThreads;
+    if (!api || this.isGenerating) return;
+    try {
+      await this.saveCurrentThread();
+      const result = await api.get(id);
+      if (!result?.success || !result.thread) {
+        this.showToast(getUIText('threadLoadFailed'), 'error');
+        return;
+      }
+
+      this.resetChatView();
+      this.currentThread = { id: result.thread.id };
+      this.chatConfig = { ...(result.thread.settings || {}) };
+      this.updateChatConfigChip();
+      const messages = Array.isArray(result.thread.messages) ? result.thread.messages : [];
+      // The context starts at the last /compact summary and holds at most
+      // MAX_CHAT_HISTORY_SIZE messages; earlier ones are kept for the next save
+      const start = Math.max(
+        messages.findLastIndex((m) => m?.kind === 'summary'),
+        messages.length - IrukaDarkApp.MAX_CHAT_HISTORY_SIZE,
+        0
+      );
+      this.threadArchive = messages.slice(0, start);
+      this.chatHistoryData = messages.slice(start);
+
+      this.renderStoredMessages(0);
+      this.clearHistoryContextCache();
+
+      this.hideThreadPanel();
+      requestAnimationFrame(() => {
+        if (this.chatHistory && this.chatHistory.isConnected) {
+          this.chatHistory.scrollTop = this.chatHistory.scrollHeight;
+        }
+      });
+    } catch (e) {
+      this.showToast(getUIText('threadLoadFailed'), 'error');
+    }
+  }
+
+  /**
+   * Draw chatHistoryData entries from index on (restored thread, switched version).
+   * @param {number} index
+   * @param {number} [end] - Stop before this entry
+   */
+  renderStoredMessages(index, end = this.chatHistoryData.length) {
+    this.disableAutoScrollCount++;
+    try {
+      for (const m of this.chatHistoryData.slice(index, end)) {
+        // Generated images are not persisted, so there is nothing to show for them
+        if (m.kind === 'images') continue;
+        if (m.role === 'assistant') {
+          this.addMessage(
+            'ai',
+            {
+              text: m.content,
+              sources: m.sources || [],
+              structured: m.structured,
+              thoughts: m.thoughts,
+            },
+            [],
+            { restore: true, entry: m }
+          );
+        } else if (m.kind === 'system-question') {
+          this.addMessage('system-question', m.content, [], { restore: true });
+        } else {
+          const files = this.messageFiles.get(m) || m.attachments || [];
+          this.addMessage('user', m.content, files, { restore: true, entry: m });
+        }
+      }
+    } finally {
+      this.disableAutoScrollCount--;
+    }
+  }
+
+  // ============================================================================
+  // Message versions (edit / regenerate)
+  // ============================================================================
+  //
+  // chatHistoryData is always the selected path through the conversation, so history sent to
+  // the model follows the visible versions. The first message of a version carries
+  // branch: { index, tails }; each tail is one version of it plus everything that followed,
+  // and the selected one (tails[index]) is null because it is the thread's own messages.
+
+  /**
+   * Version switcher and edit / regenerate buttons of a chat message.
+   * @param {HTMLElement} messageDiv
+   * @param {Object} entry - The message's chatHistoryData entry
+   */
+  renderMessageActions(messageDiv, entry) {
+    messageDiv.querySelector(':scope > .message-actions')?.remove();
+    const bar = document.createElement('div');
+    bar.className = 'message-actions';
+
+    const tails = entry.branch?.tails;
+    if (Array.isArray(tails) && tails.length > 1) {
+      const index = entry.branch.index;
+      const switcher = document.createElement('div');
+      switcher.className = 'message-branch-switcher';
+      const previous = this.createMessageActionButton('previous', 'messagePreviousVersion', () =>
+        this.switchBranch(entry, -1)
+      );
+      previous.disabled = index <= 0;
+      const label = document.createElement('span');
+      label.className = 'message-branch-label';
+      label.textContent = `${index + 1}/${tails.length}`;
+      const next = this.createMessageActionButton('next', 'messageNextVersion', () =>
+        this.switchBranch(entry, 1)
+      );
+      next.disabled = index >= tails.length - 1;
+      switcher.append(previous, label, next);
+      bar.appendChild(switcher);
+    }
+
+    if (entry.role === 'assistant') {
+      const question = this.chatHistoryData[this.chatHistoryData.indexOf(entry) - 1];
+      if (this.canResendUserMessage(question)) {
+        bar.appendChild(
+          this.createMessageActionButton('regenerate', 'messageRegenerate', () =>
+            this.regenerateMessage(entry)
+          )
+        );
+      }
+    } else if (this.canResendUserMessage(entry)) {
+      bar.appendChild(
+        this.createMessageActionButton('edit', 'messageEdit', () =>
+          this.startEditingMessage(messageDiv, entry)
+        )
+      );
+    }
+
+    if (bar.childElementCount) messageDiv.appendChild(bar);
+  }
+
+  createMessageActionButton(icon, titleKey, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'message-action-btn';
+    button.title = getUIText(titleKey);
+    button.setAttribute('aria-label', button.title);
+    button.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${MESSAGE_ACTION_ICONS[icon]}</svg>`;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  // Plain chat messages only: commands are not replayed, and attachments need their files
+  canResendUserMessage(entry) {
+    if (!entry || entry.role !== 'user' || entry.kind) return false;
+    if (/^[/@]/.test(String(entry.content || '').trim())) return false;
+    const attachments = entry.attachments || [];
+    return !attachments.length || this.messageFiles.get(entry)?.length === attachments.length;
+  }
+
+  isChatBusy() {
+    return this.isSending || this.isGenerating;
+  }
+
+  /**
+   * Remove the elements of chatHistoryData[index] and everything after it from the chat.
+   * When that message has no element (never drawn), the chat is redrawn up to index instead.
+   */
+  clearMessagesFrom(index) {
+    const element = this.messageElements.get(this.chatHistoryData[index]);
+    if (!element?.isConnected) {
+      this.clearChatMessages();
+      this.renderStoredMessages(0, index);
+      return;
+    }
+    for (let node = element; node; ) {
+      const next = node.nextElementSibling;
+      const controller = this.messageAbortControllers.get(node);
+      if (controller) {
+        controller.abort();
+        this.messageAbortControllers.delete(node);
+      }
+      node.remove();
+      node = next;
+    }
+  }
+
+  /**
+   * Move chatHistoryData[index] and what follows into a stored version and make room for a new
+   * one. The caller adds the new version's first message and hands the branch to attachBranch.
+   * @returns {{branch: {index: number, tails: Array}, previous: Array}} previous: the version
+   *   that was selected
+   */
+  forkHistoryAt(index) {
+    const head = this.chatHistoryData[index];
+    const branch = head.branch || { index: 0, tails: [null] };
+    delete head.branch;
+    const previous = this.chatHistoryData.slice(index);
+    const tails = [...branch.tails];
+    tails[branch.index] = previous;
+    tails.push(null);
+    if (tails.length > IrukaDarkApp.MAX_BRANCH_VERSIONS) {
+      tails.splice(
+        tails.findIndex((t) => t !== previous),
+        1
+      );
+    }
+    this.chatHistoryData = this.chatHistoryData.slice(0, index);
+    this.clearHistoryContextCache();
+    return { branch: { index: tails.length - 1, tails }, previous };
+  }
+
+  attachBranch(head, branch) {
+    head.branch = branch;
+    const element = this.messageElements.get(head);
+    if (element) this.renderMessageActions(element, head);
+    this.scheduleThreadSave();
+  }
+
+  /**
+   * A new version whose answer failed or never came: drop what it added from index on (the
+   * error is reported, not kept as an answer or sent as a model turn later) and select the
+   * previous version again.
+   * @param {number} index - Where the new version starts in chatHistoryData
+   * @param {{branch: Object, previous: Array}} fork - From forkHistoryAt
+   * @param {Object|null} response - From runChatResponse
+   */
+  discardFailedVersion(index, fork, response) {
+    for (const entry of this.chatHistoryData.splice(index)) {
+      this.messageElements.get(entry)?.remove();
+    }
+    if (isFailedReply(response)) this.addMessage('system', String(response.text));
+    this.restoreBranch(index, fork);
+  }
+
+  // No new version came out of it (failed request): select the previous version again
+  restoreBranch(index, { branch, previous }) {
+    const tails = branch.tails.filter((t) => t !== null);
+    const selected = tails.indexOf(previous);
+    tails[selected] = null;
+    if (tails.length > 1) previous[0].branch = { index: selected, tails };
+    this.chatHistoryData.push(...previous);
+    this.renderStoredMessages(index);
+    this.clearHistoryContextCache();
+    this.scheduleThreadSave();
+  }
+
+  /**
+   * Show the previous / next version of a message and the conversation that followed it.
+   * @param {Object} entry - First message of the selected version
+   * @param {number} step - -1 or 1
+   */
+  switchBranch(entry, step) {
+    if (this.isChatBusy()) return;
+    const index = this.chatHistoryData.indexOf(entry);
+    const branch = entry.branch;
+    const target = branch ? branch.index + step : -1;
+    if (index < 0 || !branch?.tails[target]) return;
+
+    const tail = branch.tails[target];
+    const tails = [...branch.tails];
+    tails[branch.index] = this.chatHistoryData.slice(index);
+    tails[target] = null;
+    delete entry.branch;
+    tail[0].branch = { index: target, tails };
+
+    this.clearMessagesFrom(index);
+    this.chatHistoryData = [...this.chatHistoryData.slice(0, index), ...tail];
+    this.renderStoredMessages(index);
+    this.clearHistoryContextCache();
+    this.scheduleThreadSave();
+  }
+
+  // Swap a user message for an editor; sending it starts a new version from that message
+  startEditingMessage(messageDiv, entry) {
+    if (this.isChatBusy() || messageDiv.querySelector('.message-edit')) return;
+    const restore = () =>
+      this.addMessage('user', entry.content, this.messageFiles.get(entry) || [], {
+        restore: true,
+        entry,
+        targetElement: messageDiv,
+        noScroll: true,
+      });
+
+    const form = document.createElement('div');
+    form.className = 'message-edit';
+    const input = document.createElement('textarea');
+    input.className = 'message-edit-input';
+    input.value = entry.content;
+    input.rows = Math.min(8, entry.content.split('\n').length + 1);
+    const actions = document.createElement('div');
+    actions.className = 'message-edit-actions';
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'message-edit-cancel';
+    cancel.textContent = getUIText('messageEditCancel');
+    const send = document.createElement('button');
+    send.type = 'button';
+    send.className = 'message-edit-send';
+    send.textContent = getUIText('messageEditSend');
+    actions.append(cancel, send);
+    form.append(input, actions);
+
+    const submit = () => {
+      const text = input.value.trim();
+      if (!text || this.isChatBusy()) return;
+      this.resendEditedMessage(entry, text);
+    };
+    cancel.addEventListener('click', restore);
+    send.addEventListener('click', submit);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        restore();
+      } else if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+        e.preventDefault();
+        submit();
+      }
+    });
+
+    messageDiv.replaceChildren(form);
+    input.focus();
+    input.setSelectionRange(input.value.length, input.value.length);
+  }
+
+  /**
+   * Send an edited user message as a new version and answer it.
+   * @param {Object} entry - The message being edited
+   * @param {string} text - The edited message
+   */
+  async resendEditedMessage(entry, text) {
+    const index = this.chatHistoryData.indexOf(entry);
+    if (index < 0 || this.isChatBusy()) return;
+    this.isSending = true;
+    try {
+      const files = this.messageFiles.get(entry) || [];
+      this.clearMessagesFrom(index);
+      const fork = this.forkHistoryAt(index);
+      // Earlier turns only; the edited message becomes the final user turn
+      const history = this.buildHistoryContents();
+      this.addMessage('user', text, files);
+      const edited = this.chatHistoryData[this.chatHistoryData.length - 1];
+      this.attachBranch(edited, fork.branch);
+      // A new version must not be the previous answer served from the response cache
+      const response = await this.runChatResponse(text, history, files, { fresh: true });
+      const head = this.chatHistoryData[this.chatHistoryData.length - 1];
+      if (head === edited || isFailedReply(response)) {
+        this.discardFailedVersion(this.chatHistoryData.indexOf(edited), fork, response);
+      }
+    } finally {
+      this.isSending = false;
+      this.messageInput?.focus();
+    }
+  }
+
+  /**
+   * Answer the question of an AI message again as a new version of that answer.
+   * @param {Object} entry - The AI message's chatHistoryData entry
+   */
+  async regenerateMessage(entry) {
+    const index = this.chatHistoryData.indexOf(entry);
+    const question = this.chatHistoryData[index - 1];
+    if (index < 1 || this.isChatBusy() || !this.canResendUserMessage(question)) return;
+    this.isSending = true;
+    try {
+      this.clearMessagesFrom(index);
+      const fork = this.forkHistoryAt(index);
+      // The question stays in the history; it is sent as the current message instead
+      const history = this.buildHistoryContents().slice(0, -1);
+      const files = this.messageFiles.get(question) || [];
+      const response = await this.runChatResponse(question.content, history, files, {
+        fresh: true,
+      });
+      const head = this.chatHistoryData[this.chatHistoryData.length - 1];
+      if (head && head !== question && head.role === 'assistant' && !isFailedReply(response)) {
+        this.attachBranch(head, fork.branch);
+      } else {
+        this.discardFailedVersion(this.chatHistoryData.indexOf(question) + 1, fork, response);
+      }
+    } finally {
+      this.isSending = false;
+      this.messageInput?.focus();
+    }
+  }
+
+  /**
+   * Stream the answer to the user message that ends the chat (send, edit, regenerate).
+   * @param {{fresh?: boolean}} [options] - fresh: skip the response cache (new versions)
+   * @returns {Promise<Object|null>} The response, or null when cancelled or failed
+   */
+  async runChatResponse(message, history, attachments = [], { fresh = false } = {}) {
+    const question = this.chatHistoryData[this.chatHistoryData.length - 1];
+    const remembered = this.rememberAttachments(question, attachments);
+    // Large attachments are uploaded once per conversation; that needs the saved thread id
+    if (attachments.length && !this.currentThread.id) await this.saveCurrentThread();
+    const response = await this.runStreamedTurn((turnOptions) => {
+      const options = { ...turnOptions, ...this.chatConfigOptions(), fresh };
+      return attachments.length
+        ? this.geminiService.generateResponseWithAttachments(
+            message,
+            history,
+            attachments,
+            this.webSearchEnabled,
+            options
+          )
+        : this.geminiService.generateResponse(message, history, this.webSearchEnabled, options);
+    });
+    if (response?.files) {
+      await remembered;
+      this.rememberUploadedFiles(question, response.files);
+    }
+    return response;
+  }
+
+  async deleteThread(id) {
+    const api = window.electronAPI?.chatThreads;
+    if (!api) return;
+    try {
+      // Wait for pending writes so a queued save cannot recreate the deleted thread
+      await this.saveCurrentThread();
+      await api.delete(id);
+      if (this.currentThread.id === id) {
+        this.resetChatView();
+        this.showShortcutHints();
+      }
+      await this.refreshThreadList();
+    } catch {}
+  }
+
+  /**
+   * Export the current conversation through a save dialog.
+   * @param {string} format - 'md' | 'html' | 'json'
+   */
+  async exportChat(format) {
+    const exporter = window.IRUKADARK_CHAT_EXPORT;
+    if (!exporter || !window.electronAPI?.saveChatExport) return;
+    const f = exporter.normalizeFormat(format);
+    if (!f) {
+      this.addMessage('system', getUIText('exportHelp'));
+      return;
+    }
+    // The whole saved conversation, including messages trimmed or compacted away
+    const messages = [...this.threadArchive, ...this.chatHistoryData].filter(
+      (m) => m && (m.content || (Array.isArray(m.images) && m.images.length))
+    );
+    if (!messages.length) {
+      this.addMessage('system', getUIText('exportEmpty'));
+      return;
+    }
+    try {
+      const firstUser = messages.find((m) => m.role === 'user' && m.content);
+      const title =
+        String(firstUser?.content || '')
+          .replace(/\s+/g, ' ')
+          .trim()
+          .slice(0, 80) || 'IrukaDark Chat';
+      const file = exporter.buildExport(
+        f,
+        { title, createdAt: messages[0].createdAt, messages },
+        {
+          labels: {
+            user: getUIText('exportLabelUser'),
+            assistant: 'IrukaDark',
+            sources: getUIText('sourcesBadge'),
+            attachments: getUIText('exportLabelAttachments'),
+          },
+          renderMarkdown: (text) => this.renderMarkdown(text),
+        }
+      );
+      const result = await window.electronAPI.saveChatExport(file);
+      if (result?.canceled) return;
+      if (!result?.success) throw new Error(result?.error || 'Unknown');
+      this.addMessage('system', getUIText('exportSaved', result.filePath));
+    } catch (e) {
+      this.addMessage('system', `${getUIText('errorOccurred')}: ${e?.message || 'Unknown'}`);
+    }
+  }
+
+  // Import a JSON export as a new thread and open it
+  async importChat() {
+    const api = window.electronAPI?.chatThreads;
+    if (!api?.importFile || this.isGenerating) return;
+    try {
+      const result = await api.importFile();
+      if (result?.canceled) return;
+      if (!result?.success || !result.thread?.id) {
+        this.addMessage('system', getUIText('importFailed'));
+        return;
+      }
+      await this.loadThread(result.thread.id);
+      this.addMessage('system', getUIText('importDone', result.thread.title));
+    } catch {
+      this.addMessage('system', getUIText('importFailed'));
+    }
+  }
+
+  bindThreadPanelEvents() {
+    if (!this.threadsBtn || !this.threadPanel) return;
+    this.threadsBtn.addEventListener('click', () => {
+      if (this.threadPanel.style.display === 'none') {
+        this.showThreadPanel();
+      } else {
+        this.hideThreadPanel();
+      }
+    });
+    this.threadNewBtn?.addEventListener('click', () => {
+      if (this.isGenerating) return;
+      this.saveCurrentThread();
+      this.resetChatView();
+      this.hideThreadPanel();
+      this.showShortcutHints();
+    });
+    this.threadSearchInput?.addEventListener('input', () => {
+      if (this.threadSearchTimer) clearTimeout(this.threadSearchTimer);
+      this.threadSearchTimer = setTimeout(() => {
+        this.threadSearchTimer = null;
+        this.refreshThreadList();
+      }, 200);
+    });
+    this.threadList?.addEventListener('click', (e) => {
+      const item = e.target.closest('.thread-item-wrapper');
+      if (!item) return;
+      if (e.target.closest('.clipboard-item-btn.delete')) {
+        e.stopPropagation();
+        this.deleteThread(item.dataset.threadId);
+        return;
+      }
+      this.loadThread(item.dataset.threadId);
+    });
+  }
+
+  async showThreadPanel() {
+    if (!this.threadPanel) return;
+    this.chatHistory.style.display = 'none';
+    this.threadPanel.style.display = 'block';
+    this.threadsBtn?.classList.add('active');
+    await this.saveCurrentThread();
+    await this.refreshThreadList();
+    this.threadSearchInput?.focus();
+  }
+
+  hideThreadPanel() {
+    if (!this.threadPanel || this.threadPanel.style.display === 'none') return;
+    this.threadPanel.style.display = 'none';
+    this.chatHistory.style.display = 'block';
+    this.threadsBtn?.classList.remove('active');
+  }
+
+  async refreshThreadList() {
+    const api = window.electronAPI?.chatThreads;
+    if (!api || !this.threadList) return;
+    const query = String(this.threadSearchInput?.value || '').trim();
+    let threads = [];
+    try {
+      const result = query ? await api.search(query) : await api.list();
+      threads = result?.success && Array.isArray(result.threads) ? result.threads : [];
+    } catch {}
+    this.renderThreadList(threads, query);
+  }
+
+  renderThreadList(threads, query = '') {
+    const list = this.threadList;
+    list.replaceChildren();
+
+    if (!threads.length) {
+      const empty = document.createElement('div');
+      empty.className = 'empty-state';
+      empty.textContent = getUIText(query ? 'threadNoMatches' : 'threadEmpty');
+      list.appendChild(empty);
+      return;
+    }
+
+    const lang =
+      (typeof getCurrentUILanguage === 'function' ? getCurrentUILanguage() : 'en') || 'en';
+    for (const t of threads) {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'clipboard-item-wrapper thread-item-wrapper';
+      if (t.id === this.currentThread.id) wrapper.classList.add('current');
+      wrapper.dataset.threadId = t.id;
+
+      const item = document.createElement('div');
+      item.className = 'clipboard-item';
+      const content = document.createElement('div');
+      content.className = 'clipboard-item-content';
+
+      const title = document.createElement('div');
+      title.className = 'clipboard-item-text thread-item-title';
+      title.textContent = t.title || getUIText('threadNew');
+      content.appendChild(title);
+
+      const meta = document.createElement('div');
+      meta.className = 'thread-item-meta';
+      let updated = '';
+      try {
+        updated = new Date(t.updatedAt).toLocaleString(lang);
+      } catch {}
+      meta.textContent = `${updated} · ${getUIText('threadMessageCount', t.messageCount || 0)}`;
+      content.appendChild(meta);
+
+      if (t.snippet) {
+        const snippet = document.createElement('div');
+        snippet.className = 'clipboard-item-text';
+        snippet.textContent = t.snippet;
+        content.appendChild(snippet);
+      }
+
+      const actions = document.createElement('div');
+      actions.className = 'clipboard-item-actions';
+      const del = document.createElement('button');
+      del.className = 'clipboard-item-btn delete';
+      del.title = getUIText('threadDelete');
+      del.innerHTML =
+        '<svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6"/><path d="M8 6V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>';
+      actions.appendChild(del);
+
+      item.appendChild(content);
+      item.appendChild(actions);
+      wrapper.appendChild(item);
+      list.appendChild(wrapper);
     }
   }
 
@@ -5000,6 +7223,77 @@ ${content}`;
     this.historyContextCacheTime = 0;
   }
 
+  /**
+   * Recent chat history as role-tagged turns for multi-turn requests.
+   * Images, PDFs and recordings attached earlier in this session are included (inline, or as the
+   * Files API upload main reported for them) so follow-ups can refer to them.
+   * @param {number} maxMessages - Upper bound on turns; the main process trims by token budget
+   * @returns {Array<{role: 'user'|'model', parts: Array}>}
+   */
+  buildHistoryContents(maxMessages = IrukaDarkApp.MAX_HISTORY_TURNS) {
+    if (!Array.isArray(this.chatHistoryData)) return [];
+    return this.chatHistoryData
+      .slice(-maxMessages)
+      .filter((m) => m && m.content)
+      .map((m) => {
+        const parts = [{ text: String(m.content) }];
+        for (const file of m.attachmentParts || []) {
+          if (file.fileUri) {
+            parts.push({ fileData: { fileUri: file.fileUri, mimeType: file.mimeType } });
+          } else if (file.data) {
+            parts.push({ inlineData: { data: file.data, mimeType: file.mimeType } });
+          }
+        }
+        return { role: m.role === 'assistant' ? 'model' : 'user', parts };
+      });
+  }
+
+  /**
+   * Keep the image, PDF and recording attachments of a user message in memory (not persisted
+   * with the thread) for later turns: inline data until main reports an upload for them.
+   * @param {Object} entry - The message's chatHistoryData entry
+   * @param {File[]} attachments
+   */
+  async rememberAttachments(entry, attachments) {
+    const files = (attachments || []).filter(
+      (f) =>
+        f instanceof Blob &&
+        (String(f.type || '').startsWith('image/') ||
+          f.type === 'application/pdf' ||
+          !!audioMimeType(f))
+    );
+    // A regenerated question keeps what it already remembered (possibly uploads)
+    if (!entry || entry.role !== 'user' || entry.attachmentParts || !files.length) return;
+    try {
+      entry.attachmentParts = await Promise.all(
+        files.map(async (f) => {
+          const part = { name: f.name, mimeType: audioMimeType(f) || f.type };
+          // Recordings sent from disk are never read here; only their upload is remembered
+          if (attachmentPaths.has(f) && f.size > LARGE_AUDIO_BYTES) return part;
+          return { ...part, data: await this.geminiService.fileToBase64(f) };
+        })
+      );
+    } catch {}
+  }
+
+  /**
+   * Swap remembered attachments for the Files API uploads main made for them, so later turns
+   * reference the upload instead of sending the bytes again (matched by name, in order).
+   * @param {Object} entry - The message's chatHistoryData entry
+   * @param {Array<{name: string, fileUri: string, mimeType: string}>} files - response.files
+   */
+  rememberUploadedFiles(entry, files) {
+    const parts = entry?.attachmentParts;
+    if (!Array.isArray(parts) || !Array.isArray(files)) return;
+    for (const file of files) {
+      const part = parts.find((p) => !p.fileUri && p.name === file.name);
+      if (!part || !file.fileUri) continue;
+      delete part.data;
+      part.fileUri = String(file.fileUri);
+      part.mimeType = String(file.mimeType || part.mimeType);
+    }
+  }
+
   // Toast helper
   showToast(message, type = 'info', timeout = 2600) {
     try {
@@ -5049,12 +7343,40 @@ ${content}`;
       .replace(/^@slide\s+/i, '<span class="command-badge">@slide</span> ');
   }
 
+  /**
+   * Show a "cached" chip on the latest attachment of each document held in a context cache.
+   * @param {{documents: string[], tokens?: number, expiresAt?: number}} cached
+   */
+  markCachedAttachment(cached) {
+    if (!this.chatHistory || !Array.isArray(cached?.documents)) return;
+    const until = cached.expiresAt
+      ? new Date(cached.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : '';
+    for (const name of cached.documents) {
+      const items = this.chatHistory.querySelectorAll(
+        `.message-attachment-item[data-file-name="${CSS.escape(String(name))}"]`
+      );
+      const item = items[items.length - 1];
+      if (!item) continue;
+      // Previews are small clipped squares, so the chip sits right after the item
+      let chip = item.nextElementSibling;
+      if (!chip || !chip.classList.contains('message-attachment-cached')) {
+        chip = document.createElement('span');
+        chip.className = 'message-attachment-cached';
+        chip.textContent = getUIText('attachmentCached');
+        item.after(chip);
+      }
+      chip.title = getUIText('attachmentCachedTitle', Number(cached.tokens) || 0, until);
+    }
+  }
+
   generateAttachmentsPreview(attachments) {
     if (!attachments?.length) return '';
 
     const previewItems = attachments
       .map((file) => {
-        if (file.type.startsWith('image/')) {
+        // Restored conversations only carry attachment metadata, not the file itself
+        if (String(file.type || '').startsWith('image/') && file instanceof Blob) {
           const itemId = `preview-${Date.now()}-${Math.random()}`;
           const reader = new FileReader();
 
@@ -5077,12 +7399,16 @@ ${content}`;
           };
 
           reader.readAsDataURL(file);
-          return `<div class="message-attachment-item">
+          return `<div class="message-attachment-item" data-file-name="${this.escapeHtml(file.name || '')}">
             <img id="${itemId}" class="message-attachment-img" src="" alt="${this.escapeHtml(file.name)}" />
           </div>`;
         }
-        const ext = file.name.split('.').pop().substring(0, 3).toUpperCase();
-        return `<div class="message-attachment-item">
+        const ext = String(file.name || '')
+          .split('.')
+          .pop()
+          .substring(0, 3)
+          .toUpperCase();
+        return `<div class="message-attachment-item" title="${this.escapeHtml(file.name || '')}" data-file-name="${this.escapeHtml(file.name || '')}">
           <div class="message-attachment-file">${this.escapeHtml(ext)}</div>
         </div>`;
       })
@@ -5173,6 +7499,10 @@ class GeminiService {
     // Custom instructions cache
     this.customUserInfo = '';
     this.customAIInstructions = '';
+    // Prompt template overrides from Settings, keyed by action (explain/detailed/translate/...)
+    this.promptTemplates = {};
+    // streamId -> onChunk callback for in-flight streaming requests
+    this.streamHandlers = null;
     this.initializeModel();
   }
 
@@ -5187,6 +7517,7 @@ class GeminiService {
       }
       // カスタム指示の取得
       await this.loadCustomInstructions();
+      await this.loadPromptTemplates();
     } catch (error) {}
   }
 
@@ -5202,6 +7533,48 @@ class GeminiService {
     } catch (error) {}
   }
 
+  async loadPromptTemplates() {
+    try {
+      if (window.electronAPI && window.electronAPI.getPromptTemplates) {
+        const result = await window.electronAPI.getPromptTemplates();
+        if (result && result.success) {
+          this.promptTemplates = result.templates || {};
+        }
+      }
+    } catch (error) {}
+  }
+
+  /**
+   * Render the user's template for an action, or return null to use the built-in prompt.
+   * Unknown {{variables}} are left as typed so mistakes stay visible in the output.
+   */
+  applyPromptTemplate(action, vars = {}) {
+    const template = this.promptTemplates && this.promptTemplates[action];
+    if (!template) return null;
+    return this.renderPromptTemplate(template, vars);
+  }
+
+  /** Substitute {{selection}}, {{language}}, {{tone}} and {{history}} into a template. */
+  renderPromptTemplate(template, vars = {}) {
+    const lang =
+      (typeof getCurrentUILanguage === 'function' ? getCurrentUILanguage() : 'en') || 'en';
+    const { name, code } = getLangMeta(lang);
+    const tone = typeof getCurrentTone === 'function' ? getCurrentTone() : 'casual';
+    const values = {
+      language: `${name} (${code})`,
+      tone:
+        tone === 'casual'
+          ? 'friendly and conversational, no emojis'
+          : 'polite and professional, no emojis',
+      history: '',
+      ...vars,
+    };
+    if (!String(values.history || '').trim()) values.history = '(none)';
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+      Object.prototype.hasOwnProperty.call(values, key) ? String(values[key] ?? '') : match
+    );
+  }
+
   async requestText(prompt, useWebSearch = false, source = 'chat', options = {}) {
     try {
       if (window.electronAPI && window.electronAPI.aiGenerate) {
@@ -5212,17 +7585,199 @@ class GeminiService {
             ? options.generationConfigOverrides
             : {}),
         };
-        const result = await window.electronAPI.aiGenerate(prompt, {
+        const payload = {
           model: this.model,
           generationConfig,
           useWebSearch: !!useWebSearch,
           source,
-        });
+          ...this.buildModelOverride(options),
+          ...this.buildTurnOptions(options),
+        };
+        // Finer-grained bucket for the usage ledger (e.g. 'rephrase')
+        if (options.feature) payload.feature = String(options.feature);
+        // Model routing table row (Settings → Model Routing); main defaults to the source
+        if (options.task) payload.task = String(options.task);
+        // Lets the UI stop this exact request (see AI request registry in main)
+        if (options.requestId) payload.requestId = String(options.requestId);
+        const onChunk = typeof options?.onChunk === 'function' ? options.onChunk : null;
+        const stopProgress = this.watchUploadProgress(options.requestId, options.onUploadProgress);
+        let result;
+        try {
+          result =
+            onChunk && window.electronAPI.aiGenerateStream
+              ? await this.requestTextStream(prompt, payload, onChunk)
+              : await window.electronAPI.aiGenerate(prompt, payload);
+        } finally {
+          stopProgress();
+        }
+        // Main reports failures as reply text; flag them so they are never used as a result
+        if (typeof result === 'string') return flagFailedReply({ text: result, sources: [] });
+        if (result && typeof result.text === 'string') {
+          return flagFailedReply({
+            text: result.text,
+            sources: Array.isArray(result.sources) ? result.sources : [],
+            ...this.pickResultMeta(result),
+          });
+        }
+        return { text: getUIText('unexpectedResponse'), sources: [], error: true };
+      }
+      return { text: getUIText('apiUnavailable'), sources: [], error: true };
+    } catch (error) {
+      return flagFailedReply({
+        text: `${getUIText('apiError')} ${error?.message || 'Unknown error'}`,
+        sources: [],
+        error: true,
+      });
+    }
+  }
+
+  /**
+   * JSON mode: ask for output matching a response schema, then parse and validate it.
+   * Search is not available together with a response schema, so none is requested.
+   * @param {string} prompt
+   * @param {Object} schema - JSON Schema for the response
+   * @param {'table'|'options'|'json'} kind - How the renderer draws the result
+   * @returns {Promise<{text: string, sources: Array, structured?: {kind: string, data: *},
+   *   notJson?: boolean, invalid?: string[], error?: boolean}>} text is the Markdown form when
+   *   the JSON is valid, otherwise the raw answer (or API error)
+   */
+  async requestStructured(prompt, schema, kind, options = {}) {
+    const result = await this.requestText(prompt, false, options.source || 'chat', {
+      ...options,
+      generationConfigOverrides: {
+        ...(options.generationConfigOverrides || {}),
+        responseMimeType: 'application/json',
+        responseSchema: schema,
+      },
+    });
+    if (result.error) return result;
+    const helpers = window.IRUKADARK_STRUCTURED;
+    if (!helpers) return result;
+    let data;
+    try {
+      data = helpers.parseJson(result.text);
+    } catch {
+      // API errors come back as plain text
+      return { ...result, notJson: true };
+    }
+    const invalid = helpers.validate(schema, data);
+    if (invalid.length) return { ...result, invalid };
+    return {
+      text: helpers.toMarkdown(kind, data, getUIText('structuredFields')),
+      sources: result.sources,
+      structured: { kind, data },
+    };
+  }
+
+  // options.model pins one exact model (compare mode); main then skips fallbacks and the cache.
+  // options.thinking ('off'|'low'|'high', from /think) replaces the task's thinking level.
+  buildModelOverride(options = {}) {
+    const out = options.model ? { model: String(options.model), strictModel: true } : {};
+    if (options.thinking) out.thinking = String(options.thinking);
+    return out;
+  }
+
+  // Which model answered, how long it took, the token usage and the thought summary,
+  // when main reported them
+  pickResultMeta(result) {
+    const meta = {};
+    if (typeof result.thoughts === 'string' && result.thoughts) meta.thoughts = result.thoughts;
+    if (result.cached && typeof result.cached === 'object') meta.cached = result.cached;
+    if (result.model) meta.model = String(result.model);
+    if (Number.isFinite(result.latencyMs)) meta.latencyMs = result.latencyMs;
+    if (result.usage && typeof result.usage === 'object') meta.usage = result.usage;
+    // Files API uploads of the attachments, for later turns to reference
+    if (Array.isArray(result.files) && result.files.length) meta.files = result.files;
+    return meta;
+  }
+
+  // Multi-turn fields forwarded to the main process only when the caller supplied them
+  buildTurnOptions(options = {}) {
+    const out = {};
+    if (Array.isArray(options.history) && options.history.length) out.history = options.history;
+    if (options.systemInstruction) out.systemInstruction = String(options.systemInstruction);
+    // Lets main reuse files it uploaded for this conversation (Files API)
+    if (options.conversationId) out.conversationId = String(options.conversationId);
+    // Ask the model again instead of returning a cached answer (regenerate)
+    if (options.fresh) out.fresh = true;
+    return out;
+  }
+
+  /**
+   * Route 'ai:upload-progress' events of one request to a handler.
+   * @returns {Function} Unsubscribe
+   */
+  watchUploadProgress(requestId, handler) {
+    if (!requestId || typeof handler !== 'function' || !window.electronAPI?.onAIUploadProgress) {
+      return () => {};
+    }
+    if (!this.uploadProgressHandlers) {
+      this.uploadProgressHandlers = new Map();
+      window.electronAPI.onAIUploadProgress((p) => {
+        const fn = p && this.uploadProgressHandlers.get(p.requestId);
+        if (fn) fn(p);
+      });
+    }
+    const id = String(requestId);
+    this.uploadProgressHandlers.set(id, handler);
+    return () => this.uploadProgressHandlers.delete(id);
+  }
+
+  // Stream a text request; the main process tags every chunk with our streamId
+  async requestTextStream(prompt, payload, onChunk) {
+    if (!this.streamHandlers) {
+      this.streamHandlers = new Map();
+      window.electronAPI.onAIStreamChunk((p) => {
+        const handler = p && this.streamHandlers.get(p.streamId);
+        if (handler) handler(String(p.delta || ''));
+      });
+    }
+    const streamId = `stream-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this.streamHandlers.set(streamId, onChunk);
+    try {
+      return await window.electronAPI.aiGenerateStream(prompt, { ...payload, streamId });
+    } finally {
+      this.streamHandlers.delete(streamId);
+    }
+  }
+
+  async requestWithImage(
+    prompt,
+    imageBase64,
+    mimeType = 'image/png',
+    useWebSearch = false,
+    source = 'chat',
+    options = {}
+  ) {
+    try {
+      if (window.electronAPI && window.electronAPI.aiGenerateWithImage) {
+        const baseCfg = this.defaultGenerationConfig();
+        const cfg = options.generationConfigOverrides
+          ? { ...baseCfg, ...options.generationConfigOverrides }
+          : baseCfg;
+        const stopProgress = this.watchUploadProgress(options.requestId, options.onUploadProgress);
+        let result;
+        try {
+          result = await window.electronAPI.aiGenerateWithImage(prompt, imageBase64, mimeType, {
+            model: this.model,
+            generationConfig: cfg,
+            useWebSearch: !!useWebSearch,
+            source,
+            ...(options.requestId ? { requestId: String(options.requestId) } : {}),
+            ...(options.task ? { task: String(options.task) } : {}),
+            ...(options.fileName ? { fileName: String(options.fileName) } : {}),
+            ...this.buildModelOverride(options),
+            ...this.buildTurnOptions(options),
+          });
+        } finally {
+          stopProgress();
+        }
         if (typeof result === 'string') return { text: result, sources: [] };
         if (result && typeof result.text === 'string') {
           return {
             text: result.text,
             sources: Array.isArray(result.sources) ? result.sources : [],
+            ...this.pickResultMeta(result),
           };
         }
         return { text: getUIText('unexpectedResponse'), sources: [] };
@@ -5233,31 +7788,44 @@ class GeminiService {
     }
   }
 
-  async requestWithImage(
+  /**
+   * Send several attachments with one prompt, in the order they were attached.
+   * @param {Array<{data: string, mimeType: string, name: string}|{text: string, name: string}>} attachments
+   */
+  async requestWithAttachments(
     prompt,
-    imageBase64,
-    mimeType = 'image/png',
+    attachments,
     useWebSearch = false,
     source = 'chat',
     options = {}
   ) {
     try {
-      if (window.electronAPI && window.electronAPI.aiGenerateWithImage) {
+      if (window.electronAPI && window.electronAPI.aiGenerateWithAttachments) {
         const baseCfg = this.defaultGenerationConfig();
         const cfg = options.generationConfigOverrides
           ? { ...baseCfg, ...options.generationConfigOverrides }
           : baseCfg;
-        const result = await window.electronAPI.aiGenerateWithImage(prompt, imageBase64, mimeType, {
-          model: this.model,
-          generationConfig: cfg,
-          useWebSearch: !!useWebSearch,
-          source,
-        });
-        if (typeof result === 'string') return { text: result, sources: [] };
+        const stopProgress = this.watchUploadProgress(options.requestId, options.onUploadProgress);
+        let result;
+        try {
+          result = await window.electronAPI.aiGenerateWithAttachments(prompt, attachments, {
+            model: this.model,
+            generationConfig: cfg,
+            useWebSearch: !!useWebSearch,
+            source,
+            ...(options.requestId ? { requestId: String(options.requestId) } : {}),
+            ...(options.task ? { task: String(options.task) } : {}),
+            ...this.buildModelOverride(options),
+            ...this.buildTurnOptions(options),
+          });
+        } finally {
+          stopProgress();
+        }
         if (result && typeof result.text === 'string') {
           return {
             text: result.text,
             sources: Array.isArray(result.sources) ? result.sources : [],
+            ...this.pickResultMeta(result),
           };
         }
         return { text: getUIText('unexpectedResponse'), sources: [] };
@@ -5268,11 +7836,12 @@ class GeminiService {
     }
   }
 
-  async generateImageFromText(prompt, aspectRatio = '1:1') {
+  async generateImageFromText(prompt, aspectRatio = '1:1', feature = 'chat') {
     try {
       if (window.electronAPI && window.electronAPI.generateImageFromText) {
         const options = {
           aspectRatio,
+          feature,
         };
 
         // Include previous image as reference if available
@@ -5312,7 +7881,12 @@ class GeminiService {
     }
   }
 
-  async generateImageFromTextWithReference(prompt, aspectRatio = '1:1', referenceFiles) {
+  async generateImageFromTextWithReference(
+    prompt,
+    aspectRatio = '1:1',
+    referenceFiles,
+    feature = 'chat'
+  ) {
     try {
       if (window.electronAPI && window.electronAPI.generateImageFromText) {
         // Normalize input: accept either File objects or pre-converted {base64, mimeType} objects
@@ -5337,6 +7911,7 @@ class GeminiService {
         const options = {
           aspectRatio,
           referenceImages,
+          feature,
         };
 
         const result = await window.electronAPI.generateImageFromText(prompt, options);
@@ -5543,30 +8118,58 @@ class GeminiService {
         'shortcut',
         {
           generationConfigOverrides: cfgOverrides,
+          task: 'url',
         }
       );
     }
 
     return this.requestText(prompt, false, 'shortcut', {
       generationConfigOverrides: cfgOverrides,
+      task: 'url',
     });
   }
 
-  async generateResponse(userMessage, historyText = '', useWebSearch = false) {
-    const prompt = this.buildTextOnlyPrompt(userMessage, historyText);
-    return this.requestText(prompt, useWebSearch, 'chat');
+  /**
+   * Chat answer as a multi-turn request.
+   * @param {string} userMessage - Current message (sent as the final user turn)
+   * @param {Array} history - Earlier turns from IrukaDarkApp.buildHistoryContents()
+   */
+  async generateResponse(userMessage, history = [], useWebSearch = false, options = {}) {
+    return this.requestText(userMessage, useWebSearch, 'chat', {
+      onChunk: options.onChunk,
+      requestId: options.requestId,
+      model: options.model,
+      thinking: options.thinking,
+      conversationId: options.conversationId,
+      onUploadProgress: options.onUploadProgress,
+      fresh: options.fresh,
+      generationConfigOverrides: options.generationConfigOverrides,
+      history,
+      systemInstruction: this.buildChatSystemInstruction(),
+    });
   }
 
   async generateResponseWithAttachments(
     userMessage,
-    historyText = '',
+    history = [],
     attachments = [],
-    useWebSearch = false
+    useWebSearch = false,
+    options = {}
   ) {
-    let prompt = this.buildTextOnlyPrompt(userMessage, historyText);
+    let prompt = userMessage;
+    const turnOptions = {
+      history,
+      systemInstruction: this.buildChatSystemInstruction(),
+      requestId: options.requestId,
+      model: options.model,
+      thinking: options.thinking,
+      conversationId: options.conversationId,
+      onUploadProgress: options.onUploadProgress,
+      fresh: options.fresh,
+      generationConfigOverrides: options.generationConfigOverrides,
+    };
 
     // ファイルを種類ごとに分類
-    const imageFiles = attachments.filter((file) => file.type.startsWith('image/'));
     const textBasedExtensions = [
       '.txt',
       '.md',
@@ -5588,43 +8191,63 @@ class GeminiService {
       '.yaml',
       '.yml',
     ];
-    const textFiles = attachments.filter(
-      (file) =>
-        file.type.startsWith('text/') ||
-        file.type === 'application/json' ||
-        file.type === 'application/xml' ||
-        textBasedExtensions.some((ext) => file.name.toLowerCase().endsWith(ext))
-    );
-    const pdfFiles = attachments.filter((file) => file.type === 'application/pdf');
-
-    // テキストファイルの内容をプロンプトに追加
-    if (textFiles.length > 0) {
+    const isTextFile = (file) =>
+      file.type.startsWith('text/') ||
+      file.type === 'application/json' ||
+      file.type === 'application/xml' ||
+      textBasedExtensions.some((ext) => file.name.toLowerCase().endsWith(ext));
+    // Word / Excel / PowerPoint are sent as text extracted in the main process
+    const isOfficeFile = (file) => /\.(docx|xlsx|pptx)$/i.test(file.name);
+    const isBinaryFile = (file) =>
+      !isTextFile(file) &&
+      (file.type.startsWith('image/') || file.type === 'application/pdf' || !!audioMimeType(file));
+    const readText = (file) =>
+      isOfficeFile(file) ? this.readOfficeFile(file) : this.readTextFile(file);
+    const wrapText = (file, content) =>
+      `[Attached file: ${file.name}]\n${content}\n[End of ${file.name}]`;
+
+    // テキストファイルのみの場合はプロンプトに追加してストリーミング
+    if (!attachments.some(isBinaryFile)) {
       const textContents = await Promise.all(
-        textFiles.map(async (file) => {
-          const content = await this.readTextFile(file);
-          return `\n\n[Attached file: ${file.name}]\n${content}\n[End of ${file.name}]`;
-        })
+        attachments
+          .filter((file) => isTextFile(file) || isOfficeFile(file))
+          .map(async (file) => `\n\n${wrapText(file, await readText(file))}`)
       );
       prompt = prompt + textContents.join('');
+      return this.requestText(prompt, useWebSearch, 'chat', {
+        onChunk: options.onChunk,
+        ...turnOptions,
+      });
     }
 
-    // PDFファイルがある場合
-    if (pdfFiles.length > 0) {
-      const firstPdf = pdfFiles[0];
-      const base64 = await this.fileToBase64(firstPdf);
-      // PDFも画像と同じくrequestWithImageで送信（mainプロセス側で処理）
-      return this.requestWithImage(prompt, base64, 'application/pdf', useWebSearch, 'chat');
-    }
-
-    // 画像ファイルがある場合
-    if (imageFiles.length > 0) {
-      const firstImage = imageFiles[0];
-      const base64 = await this.fileToBase64(firstImage);
-      return this.requestWithImage(prompt, base64, firstImage.type, useWebSearch, 'chat');
+    // 画像・PDF・テキストを添付順のまま送信
+    const parts = [];
+    for (const file of attachments) {
+      if (isTextFile(file) || isOfficeFile(file)) {
+        parts.push({ text: wrapText(file, await readText(file)), name: file.name });
+      } else if (audioMimeType(file)) {
+        parts.push(await this.audioAttachment(file));
+      } else if (isBinaryFile(file)) {
+        parts.push({ data: await this.fileToBase64(file), mimeType: file.type, name: file.name });
+      }
     }
+    return this.requestWithAttachments(prompt, parts, useWebSearch, 'chat', turnOptions);
+  }
 
-    // ファイルがテキストのみの場合、または添付ファイルがない場合
-    return this.requestText(prompt, useWebSearch, 'chat');
+  /**
+   * Text of a DOCX / XLSX / PPTX attachment (paragraphs, sheets as Markdown tables, slides
+   * with speaker notes).
+   */
+  async readOfficeFile(file) {
+    if (!window.electronAPI?.extractOfficeContent) throw new Error(getUIText('apiUnavailable'));
+    const result = await window.electronAPI.extractOfficeContent(
+      await this.fileToBase64(file),
+      file.name
+    );
+    if (!result?.success) throw new Error(result?.error || `Could not read ${file.name}`);
+    return result.truncated
+      ? `${result.text}\n\nNote: Extracted content was truncated for length.`
+      : result.text;
   }
 
   async readTextFile(file) {
@@ -5647,6 +8270,19 @@ class GeminiService {
     });
   }
 
+  /**
+   * Attachment payload of a recording: base64, or its disk path when it is large
+   * (the main process uploads it from disk).
+   */
+  async audioAttachment(file) {
+    const mimeType = audioMimeType(file);
+    const filePath = attachmentPaths.get(file);
+    if (filePath && file.size > LARGE_AUDIO_BYTES) {
+      return { path: filePath, mimeType, name: file.name };
+    }
+    return { data: await this.fileToBase64(file), mimeType, name: file.name };
+  }
+
   async fileToBase64(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
@@ -5696,7 +8332,13 @@ class GeminiService {
     };
     const targetName = nameMap[lang] || 'English';
     const targetCode = lang;
-    const prompt = `Translate the text strictly into ${targetName} (${targetCode}).
+    const custom = this.applyPromptTemplate('translate', {
+      selection: t,
+      language: `${targetName} (${targetCode})`,
+    });
+    const prompt =
+      custom ||
+      `Translate the text strictly into ${targetName} (${targetCode}).
 
 Rules:
 - Output the translation only. No preface, notes, or explanations.
@@ -5707,7 +8349,7 @@ Rules:
 Text:
 ${t}`;
     // Web search is unnecessary for pure translation
-    const res = await this.requestText(prompt, false, 'shortcut');
+    const res = await this.requestText(prompt, false, 'shortcut', { task: 'translate' });
     return res;
   }
 
@@ -5737,13 +8379,28 @@ ${t}`;
       tr: 'Bunu daha iyi ifade etmek istiyorum:',
     };
     const promptPrefix = rephrasePromptMap[lang] || rephrasePromptMap['en'];
-    const prompt = `${promptPrefix}\n${t}`;
+    const prompt =
+      this.applyPromptTemplate('rephrase', { selection: t }) || `${promptPrefix}\n${t}`;
     const res = await this.requestText(prompt, false, 'shortcut', {
       generationConfigOverrides: { temperature: 1.0, maxOutputTokens: 8192 },
+      feature: 'rephrase',
+      task: 'rephrase',
     });
     return res;
   }
 
+  /**
+   * Run a user-defined shortcut action. A template without {{selection}} gets the
+   * selected text appended so a bare instruction ("Summarize as bullet points") works.
+   */
+  async generateCustomAction(template, text) {
+    const t = text.length > 12000 ? text.slice(0, 12000) + ' …(truncated)' : text;
+    const body = /\{\{\s*selection\s*\}\}/.test(template)
+      ? template
+      : `${template}\n\n{{selection}}`;
+    return this.requestText(this.renderPromptTemplate(body, { selection: t }), false, 'shortcut');
+  }
+
   async generateEmpathyReply(text) {
     const trimmed = text.length > 1500 ? text.slice(0, 1500) + ' …(truncated)' : text;
     const prompt = `You are preparing a short quote-repost comment for a social media post (X/Twitter or Reddit).
@@ -5769,6 +8426,7 @@ If the text is empty or the language cannot be determined, reply in English with
     };
     return this.requestText(prompt, false, 'shortcut', {
       generationConfigOverrides: cfgOverrides,
+      task: 'reply',
     });
   }
 
@@ -5777,6 +8435,23 @@ If the text is empty or the language cannot be determined, reply in English with
     const uiLang =
       (typeof getCurrentUILanguage === 'function' ? getCurrentUILanguage() : 'en') || 'en';
     const uiName = getLanguageDisplayName(uiLang) || uiLang;
+    const cfgOverrides = {
+      temperature: 0.75,
+      topK: 32,
+      topP: 0.9,
+      maxOutputTokens: 1024,
+    };
+    const custom = this.applyPromptTemplate('reply', {
+      selection: trimmed,
+      language: `${uiName} (${uiLang})`,
+    });
+    // A custom template defines its own output format
+    if (custom) {
+      return this.requestText(custom, false, 'shortcut', {
+        generationConfigOverrides: cfgOverrides,
+        task: 'reply',
+      });
+    }
     const prompt = `You will propose five alternative replies to the following original text.
 
 Original text:
@@ -5787,39 +8462,17 @@ ${trimmed}
 Instructions:
 - Detect the language of the original text and write each reply entirely in that language.
 - Keep each reply to one or two sentences, with a native, relaxed tone that still sounds respectfully polite (avoid stiff formality). No emojis, hashtags, or repeated wording between variants.
-- After each reply, add a paraphrase in ${uiName} (${uiLang}) that loosely rephrases the reply in natural ${uiName}.
-- Provide a short explanation in ${uiName} (${uiLang}) that clarifies the intention or nuance of the reply.
-- Present the paraphrase and explanation as plain text lines using the structure below (no tables or bullet lists inside each item).
-- Explanations must sound natural and polite in ${uiName} and stay in ${uiName} only.
-
-Format the output in Markdown exactly as:
-
-1. Reply: <reply in source language>
-   Paraphrase (${uiName}): <paraphrase in ${uiName}>
-   Explanation (${uiName}): <explanation in ${uiName}>
-2. Reply: ...
-   Paraphrase (${uiName}): ...
-   Explanation (${uiName}): ...
-3. Reply: ...
-   Paraphrase (${uiName}): ...
-   Explanation (${uiName}): ...
-4. Reply: ...
-   Paraphrase (${uiName}): ...
-   Explanation (${uiName}): ...
-5. Reply: ...
-   Paraphrase (${uiName}): ...
-   Explanation (${uiName}): ...
-
-Do not add any extra sections, introductions, or closing remarks.`;
-    const cfgOverrides = {
-      temperature: 0.75,
-      topK: 32,
-      topP: 0.9,
-      maxOutputTokens: 720,
-    };
-    return this.requestText(prompt, false, 'shortcut', {
-      generationConfigOverrides: cfgOverrides,
-    });
+- For each option return:
+  - reply: the reply in the source language
+  - paraphrase: a loose, natural rephrasing of the reply in ${uiName} (${uiLang})
+  - explanation: a short, polite explanation in ${uiName} (${uiLang}) of the intention or nuance of the reply
+- Return exactly five options.`;
+    return this.requestStructured(
+      prompt,
+      window.IRUKADARK_STRUCTURED?.BUILTIN_SCHEMAS.options,
+      'options',
+      { source: 'shortcut', generationConfigOverrides: cfgOverrides, task: 'reply' }
+    );
   }
 
   async generateTargetedTranslation(text, targetCode = 'en', mode = 'literal') {
@@ -5847,7 +8500,11 @@ Guidelines:
 
 Text:
 ${trimmed}`;
-    const prompt = normalizedMode === 'free' ? freePrompt : literalPrompt;
+    const custom = this.applyPromptTemplate('translate', {
+      selection: trimmed,
+      language: `${name} (${canonical})`,
+    });
+    const prompt = custom || (normalizedMode === 'free' ? freePrompt : literalPrompt);
     const baseConfig = this.defaultGenerationConfig();
     const safeMaxTokens = Number.isFinite(Number(baseConfig.maxOutputTokens))
       ? Number(baseConfig.maxOutputTokens)
@@ -5858,6 +8515,7 @@ ${trimmed}`;
         : { temperature: 0.4, topP: 0.82, maxOutputTokens: safeMaxTokens };
     return this.requestText(prompt, false, 'chat', {
       generationConfigOverrides: cfgOverrides,
+      task: 'translate',
     });
   }
 
@@ -5882,13 +8540,16 @@ ${trimmed}`;
       const toneLine = tone === 'casual' ? ' Use a friendly, conversational tone (no emojis).' : '';
       prompt = `Explain "${t}" in one short sentence. Start with the conclusion, be clear and concise. Respond strictly in ${name} (${code}).${toneLine}`;
     }
-    if (historyText && historyText.trim()) {
+    const custom = this.applyPromptTemplate('explain', { selection: t, history: historyText });
+    if (custom) {
+      prompt = custom;
+    } else if (historyText && historyText.trim()) {
       prompt =
         (lang === 'ja'
           ? `【チャット履歴（直近）】\n${historyText}\n\n`
           : `Context (recent chat):\n${historyText}\n\n`) + prompt;
     }
-    return this.requestText(prompt, useWebSearch, 'shortcut');
+    return this.requestText(prompt, useWebSearch, 'shortcut', { task: 'explain' });
   }
 
   /**
@@ -5915,13 +8576,16 @@ ${trimmed}`;
         tone === 'casual' ? '\n- Use a friendly, conversational tone (no emojis)' : '';
       prompt = `Explain the following in a way that non-experts can understand. Use concrete examples, analogies, and bullets where useful. Structure the answer as: key points → reasons → examples → caveats, and include steps if appropriate.${toneLine}\n\nRespond strictly in ${name} (${code}).\n\nTarget:\n${t}`;
     }
-    if (historyText && historyText.trim()) {
+    const custom = this.applyPromptTemplate('detailed', { selection: t, history: historyText });
+    if (custom) {
+      prompt = custom;
+    } else if (historyText && historyText.trim()) {
       prompt =
         (lang === 'ja'
           ? `【チャット履歴（直近）】\n${historyText}\n\n`
           : `Recent chat context:\n${historyText}\n\n`) + prompt;
     }
-    return this.requestText(prompt, useWebSearch, 'shortcut');
+    return this.requestText(prompt, useWebSearch, 'shortcut', { task: 'detailed' });
   }
 
   async generateImageExplanation(
@@ -5952,7 +8616,9 @@ ${trimmed}`;
           ? `【チャット履歴（直近）】\n${historyText}\n\n`
           : `Recent chat context:\n${historyText}\n\n`) + prompt;
     }
-    return this.requestWithImage(prompt, imageBase64, mimeType, useWebSearch, 'shortcut');
+    return this.requestWithImage(prompt, imageBase64, mimeType, useWebSearch, 'shortcut', {
+      task: 'screenshot',
+    });
   }
 
   async generateImageDetailedExplanation(
@@ -5983,7 +8649,9 @@ ${trimmed}`;
           ? `【チャット履歴（直近）】\n${historyText}\n\n`
           : `Recent chat context:\n${historyText}\n\n`) + prompt;
     }
-    return this.requestWithImage(prompt, imageBase64, mimeType, useWebSearch, 'shortcut');
+    return this.requestWithImage(prompt, imageBase64, mimeType, useWebSearch, 'shortcut', {
+      task: 'screenshot',
+    });
   }
 
   /**
@@ -6036,16 +8704,20 @@ ${trimmed}`;
     return this.requestWithImage(prompt, imageBase64, mimeType, useWebSearch, 'voice-query');
   }
 
-  async generateTableFromText(text, historyText = '', useWebSearch = false) {
+  /**
+   * Turn text into a table in JSON mode ({ columns, rows }); the renderer draws it and offers
+   * copying as TSV for spreadsheets. Search is not combined with JSON output.
+   */
+  async generateTableFromText(text, historyText = '') {
     const lang =
       (typeof getCurrentUILanguage === 'function' ? getCurrentUILanguage() : 'en') || 'en';
     const { name, code } = getLangMeta(lang);
     const t = String(text || '');
     let prompt;
     if (lang === 'ja') {
-      prompt = `次のテキストを、GFM（GitHub Flavored Markdown）の表に変換してください。\n\n要件:\n- ヘッダー行の直後に区切り行（|---|---|...|）を必ず入れる\n- 表以外の説明文やコードブロックは出力しない（表のみ）\n- 列は内容に合わせて2〜6列程度に整理（不可能なら「項目 | 値」の2列）\n- 最大20行程度に要約し、長文は適度に省略\n- URLやコードは適切に切り、可読性を保つ\n- ヘッダー名・セル内容は日本語で簡潔に（固有名詞は原文を維持可）\n\n対象テキスト:\n${t}`;
+      prompt = `次のテキストを表に整理してください。\n\n要件:\n- columns にヘッダー名、rows に各行のセル（列の順番どおりの文字列配列）を入れる\n- 列は内容に合わせて2〜6列程度に整理（不可能なら「項目」「値」の2列）\n- 最大20行程度に要約し、長文は適度に省略\n- URLやコードは適切に切り、可読性を保つ\n- ヘッダー名・セル内容は日本語で簡潔に（固有名詞は原文を維持可）\n\n対象テキスト:\n${t}`;
     } else {
-      prompt = `Convert the following text into a well-formed GitHub Flavored Markdown (GFM) table.\n\nRequirements:\n- Include a header row AND the separator row (|---|---|...) right after it\n- Output ONLY the table (no explanations, no code fences)\n- Choose 2–6 columns that best fit the content (fallback to "Key | Value" if structure is unclear)\n- Limit to about 20 rows; truncate long content sensibly\n- Keep URLs/code readable\n- Write all headers and cell values strictly in ${name} (${code}). Translate any non-${name} content into concise, natural ${name} while preserving proper nouns.\n\nText:\n${t}`;
+      prompt = `Organize the following text as a table.\n\nRequirements:\n- Put the header names in "columns" and one array of cell strings per row (in column order) in "rows"\n- Choose 2–6 columns that best fit the content (fallback to "Key" and "Value" if structure is unclear)\n- Limit to about 20 rows; truncate long content sensibly\n- Keep URLs/code readable\n- Write all headers and cell values strictly in ${name} (${code}). Translate any non-${name} content into concise, natural ${name} while preserving proper nouns.\n\nText:\n${t}`;
     }
     if (historyText && historyText.trim()) {
       prompt =
@@ -6053,7 +8725,31 @@ ${trimmed}`;
           ? `【チャット履歴（直近）】\n${historyText}\n\n`
           : `Recent chat context:\n${historyText}\n\n`) + prompt;
     }
-    return this.requestText(prompt, useWebSearch, 'chat');
+    return this.requestStructured(
+      prompt,
+      window.IRUKADARK_STRUCTURED?.BUILTIN_SCHEMAS.table,
+      'table'
+    );
+  }
+
+  /**
+   * /json <schema>: structure the given text (or instruction) with a user-defined schema.
+   * @param {{name: string, description?: string, schema: Object}} entry
+   * @param {string} instruction - What to produce; may be empty
+   * @param {string} sourceText - Text to extract from (the last AI answer when no instruction)
+   */
+  async generateStructuredJson(entry, instruction = '', sourceText = '', historyText = '') {
+    const lang =
+      (typeof getCurrentUILanguage === 'function' ? getCurrentUILanguage() : 'en') || 'en';
+    const { name, code } = getLangMeta(lang);
+    const parts = [
+      `Produce JSON that matches the "${entry.name}" response schema.${entry.description ? ` Schema purpose: ${entry.description}` : ''}`,
+      `Write free-text values in ${name} (${code}) unless the source or the request clearly calls for another language. Do not invent facts; leave optional fields out when the source does not provide them.`,
+    ];
+    if (instruction) parts.push(`Request:\n${instruction}`);
+    if (sourceText) parts.push(`Source text:\n${sourceText}`);
+    if (historyText && historyText.trim()) parts.unshift(`Recent chat context:\n${historyText}`);
+    return this.requestStructured(parts.join('\n\n'), entry.schema, 'json');
   }
 
   /**
@@ -6086,6 +8782,66 @@ ${trimmed}`;
     return this.requestText(prompt, useWebSearch, 'chat');
   }
 
+  /**
+   * Answer a question strictly from local knowledge base excerpts, citing them as [n].
+   * @param {string} question
+   * @param {Array<{location: string, text: string}>} excerpts
+   */
+  async generateKnowledgeBaseAnswer(question, excerpts = []) {
+    const lang =
+      (typeof getCurrentUILanguage === 'function' ? getCurrentUILanguage() : 'en') || 'en';
+    const { name, code } = getLangMeta(lang);
+    const blocks = excerpts
+      .map((x, i) => `[${i + 1}] ${x.location}\n${String(x.text || '').slice(0, 2000)}`)
+      .join('\n\n');
+    const prompt =
+      lang === 'ja'
+        ? `以下はユーザーのローカル文書から検索した抜粋です。抜粋の内容だけを根拠に質問へ日本語で答えてください。\n\n要件:\n- 根拠にした抜粋を [1] のような番号とファイルパスで明示する\n- 抜粋に答えがない場合は推測せず、その旨をはっきり伝える\n- 簡潔に、必要なら箇条書きで\n\n【質問】\n${question}\n\n【抜粋】\n${blocks}`
+        : `Below are excerpts retrieved from the user's local documents. Answer the question in ${name} (${code}) using ONLY these excerpts.\n\nRequirements:\n- Cite the excerpts you rely on by number like [1] together with their file path\n- If the excerpts do not contain the answer, say so plainly instead of guessing\n- Be concise; use bullets when helpful\n\n[Question]\n${question}\n\n[Excerpts]\n${blocks}`;
+    return this.requestText(prompt, false, 'chat', { feature: 'kb' });
+  }
+
+  /**
+   * Timestamped transcript of recordings, in the language spoken.
+   * @param {File[]} files - .mp3 / .m4a / .wav; large ones are uploaded by the main process
+   * @param {string} [instructions] - Extra wishes typed after /transcribe
+   */
+  async generateTranscript(files, instructions = '', options = {}) {
+    const lang =
+      (typeof getCurrentUILanguage === 'function' ? getCurrentUILanguage() : 'en') || 'en';
+    const parts = [];
+    for (const file of files) parts.push(await this.audioAttachment(file));
+    const extra = String(instructions || '').trim();
+    const prompt =
+      lang === 'ja'
+        ? `添付の音声を、話されている言語のまま一字一句文字起こししてください。\n\n形式:\n- 発言ごとに1行: [mm:ss] 話者: 発言内容（1時間を超える場合は [hh:mm:ss]）\n- 話者は一貫したラベルで区別する（名乗っていれば名前、なければ 話者1、話者2）\n- 複数のファイルがある場合は、それぞれ「### ファイル名」の見出しで始め、タイムスタンプを0から数え直す\n- 聞き取れない箇所は [聞き取り不能] と書き、要約や補足は加えない${extra ? `\n\n追加の指示: ${extra}` : ''}`
+        : `Transcribe the attached audio verbatim, in the language spoken.\n\nFormat:\n- One line per utterance: [mm:ss] Speaker: text (use [hh:mm:ss] past one hour)\n- Label speakers consistently (their names when stated, otherwise Speaker 1, Speaker 2)\n- With several files, start each with a "### <file name>" heading and restart the timestamps\n- Mark unclear passages as [inaudible]; do not summarize or add commentary${extra ? `\n\nAdditional instructions: ${extra}` : ''}`;
+    return this.requestWithAttachments(prompt, parts, false, 'chat', {
+      ...options,
+      // Long meetings produce long transcripts
+      generationConfigOverrides: { temperature: 0.2, maxOutputTokens: 32768 },
+    });
+  }
+
+  /**
+   * Summary of the transcript that ends the given history.
+   * @param {Array} history - Chat turns ending with the transcript (buildHistoryContents)
+   */
+  async generateTranscriptSummary(history, options = {}) {
+    const lang =
+      (typeof getCurrentUILanguage === 'function' ? getCurrentUILanguage() : 'en') || 'en';
+    const { name, code } = getLangMeta(lang);
+    const prompt =
+      lang === 'ja'
+        ? `直前の文字起こしを日本語で要約してください。\n\n構成:\n1. 概要（2〜3文）\n2. 主な論点と決定事項（それぞれ話題に出たタイムスタンプを [12:34] のように添える）\n3. アクションアイテム（担当者・期限が話されていれば併記）\n4. 未解決の論点`
+        : `Summarize the transcript above in ${name} (${code}).\n\nStructure:\n1. Overview (2-3 sentences)\n2. Key points and decisions, each with the timestamp where it came up, like [12:34]\n3. Action items (with owner and due date when mentioned)\n4. Open questions`;
+    return this.requestText(prompt, false, 'chat', {
+      ...options,
+      history,
+      systemInstruction: this.buildChatSystemInstruction(),
+    });
+  }
+
   async generateHistorySummary(historyText = '', useWebSearch = false) {
     const lang =
       (typeof getCurrentUILanguage === 'function' ? getCurrentUILanguage() : 'en') || 'en';
@@ -6126,7 +8882,11 @@ ${trimmed}`;
     return { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 8192 };
   }
 
-  buildTextOnlyPrompt(userMessage, historyText = '') {
+  /**
+   * System instruction for chat: persona, tone, answering guidelines and the user's
+   * custom instructions. Conversation history is sent separately as contents turns.
+   */
+  buildChatSystemInstruction() {
     const lang =
       (typeof getCurrentUILanguage === 'function' ? getCurrentUILanguage() : 'en') || 'en';
     const tone = typeof getCurrentTone === 'function' ? getCurrentTone() : 'casual';
@@ -6134,99 +8894,51 @@ ${trimmed}`;
     // Build custom instructions section
     const customInstructionsSection = this.buildCustomInstructionsSection(lang);
 
+    let intro;
+    let guidelines;
     if (lang === 'ja') {
       if (tone === 'formal') {
-        let prompt = `あなたは親切で知識豊富なAIアシスタントです。ユーザーの質問に日本語で丁寧に回答してください。`;
-        if (customInstructionsSection) {
-          prompt += `\n${customInstructionsSection}`;
-        }
-        prompt += `\n\nユーザーの質問: ${userMessage}`;
-        if (historyText && historyText.trim()) {
-          prompt += `
-
-【チャット履歴（直近）】
-${historyText}
-
-この履歴の文脈を理解した上で、回答を行ってください。`;
-        }
-        prompt += `
-
-回答の方針:
+        intro = `あなたは親切で知識豊富なAIアシスタントです。ユーザーの質問に日本語で丁寧に回答してください。`;
+        guidelines = `回答の方針:
+- これまでの会話の文脈を理解した上で回答してください
 - 推測で断言せず、確実な情報に基づいて回答してください
 - 必要に応じて手順や根拠を示してください
 - 日本語で自然な会話形式で簡潔に回答してください`;
-        return prompt;
       } else {
         // casual: やさしく温かみのあるタメ口（常体）
-        let prompt = `あなたは親切でフレンドリーなAIアシスタントです。日本語で、やさしく温かみのあるタメ口（常体）で、簡潔に答えて。`;
-        if (customInstructionsSection) {
-          prompt += `\n${customInstructionsSection}`;
-        }
-        prompt += `\n\nユーザーの質問: ${userMessage}`;
-        if (historyText && historyText.trim()) {
-          prompt += `
-
-【チャット履歴（直近）】
-${historyText}
-
-この文脈も踏まえて答えてください。`;
-        }
-        prompt += `
-
-回答の方針:
+        intro = `あなたは親切でフレンドリーなAIアシスタントです。日本語で、やさしく温かみのあるタメ口（常体）で、簡潔に答えて。`;
+        guidelines = `回答の方針:
+- これまでの会話の文脈も踏まえて答える
 - 憶測で断言せず、確実な情報に基づいて答える
 - 必要に応じて手順や根拠を短く添える
 - 断定を避ける柔らかい言い回しを適度に使う（例: 〜かも、〜と思う、〜かな）
 - 敬体・敬語は使わず常体（タメ口）。やさしく温かみのある文体で簡潔に（くだけすぎない／前置き最小限／絵文字なし）`;
-        return prompt;
       }
     } else {
       const { name, code } = getLangMeta(lang);
       if (tone === 'formal') {
-        let prompt = `You are a helpful and knowledgeable AI assistant. Answer the user's question clearly and concisely. Respond strictly in ${name} (${code}).`;
-        if (customInstructionsSection) {
-          prompt += `\n${customInstructionsSection}`;
-        }
-        prompt += `\n\nUser question: ${userMessage}`;
-        if (historyText && historyText.trim()) {
-          prompt += `
-
-Recent chat context:
-${historyText}
-
-Incorporate this context when answering.`;
-        }
-        prompt += `
-
-Answering guidelines:
+        intro = `You are a helpful and knowledgeable AI assistant. Answer the user's question clearly and concisely. Respond strictly in ${name} (${code}).`;
+        guidelines = `Answering guidelines:
+- Incorporate the earlier conversation when answering
 - Avoid unfounded claims; base answers on reliable information
 - Provide steps or rationale when helpful
 - Use natural, concise ${name}`;
-        return prompt;
       } else {
         // casual: friendly, conversational, still concise
-        let prompt = `You are a helpful, friendly AI assistant. Answer with a warm, conversational tone. Respond strictly in ${name} (${code}).`;
-        if (customInstructionsSection) {
-          prompt += `\n${customInstructionsSection}`;
-        }
-        prompt += `\n\nUser question: ${userMessage}`;
-        if (historyText && historyText.trim()) {
-          prompt += `
-
-Recent chat context:
-${historyText}
-
-Use this context in your answer.`;
-        }
-        prompt += `
-
-Answering guidelines:
+        intro = `You are a helpful, friendly AI assistant. Answer with a warm, conversational tone. Respond strictly in ${name} (${code}).`;
+        guidelines = `Answering guidelines:
+- Use the earlier conversation as context
 - Don't overstate; base answers on solid information
 - Add brief steps or rationale when useful
 - Keep it friendly and conversational, but succinct (no emojis)`;
-        return prompt;
       }
     }
+
+    let instruction = intro;
+    if (customInstructionsSection) {
+      instruction += `\n${customInstructionsSection}`;
+    }
+    return `${instruction}\n\n${guidelines}`;
   }
 
   /**
@@ -0,0 +1,47 @@
+(function () {
+  // Replies of AI requests. The main process reports failures as reply text ("API error
+  // occurred: …", including a cancelled request), so they are told apart here and never used
+  // as a result: pasted over the selection, copied to the clipboard or kept as an answer.
+
+  const MAIN_ERROR_PATTERN = /^(?:API error occurred:|API key is not set\.)/i;
+  const CANCELLED_PATTERN = /\bCANCELLED\b|\bAbort/;
+
+  /**
+   * Whether reply text is a failure: main's English error text, or the renderer's own
+   * (localizedPrefix is the UI language's apiError text).
+   */
+  function isErrorText(text, localizedPrefix = '') {
+    const value = String(text || '');
+    return (
+      MAIN_ERROR_PATTERN.test(value) || (!!localizedPrefix && value.startsWith(localizedPrefix))
+    );
+  }
+
+  /**
+   * A { text, … } reply with error: true when its text is a failure, and cancelled: true as
+   * well when the request was stopped.
+   */
+  function flagFailure(reply, localizedPrefix = '') {
+    if (!isErrorText(reply?.text, localizedPrefix)) return reply;
+    const cancelled = CANCELLED_PATTERN.test(String(reply.text));
+    return { ...reply, error: true, ...(cancelled ? { cancelled: true } : {}) };
+  }
+
+  /**
+   * What a background shortcut hands to shortcut:deliver-result for a generated reply:
+   * { text } on success, { error } on failure (empty replies included), or null for a
+   * cancelled request, which is dropped without a word.
+   */
+  function deliveryFor(response, fallbackError = '') {
+    if (response?.cancelled) return null;
+    const text = String(response?.text || '').trim();
+    if (!response?.error && text) return { text, error: '' };
+    return { text: '', error: text || String(fallbackError) };
+  }
+
+  window.IRUKADARK_AI_REPLIES = {
+    isErrorText,
+    flagFailure,
+    deliveryFor,
+  };
+})();
@@ -0,0 +1,246 @@
+(function () {
+  // Chat export formatters (Markdown / HTML / JSON).
+  // A thread here is { title, createdAt, messages } where messages come from
+  // IrukaDarkApp.chatHistoryData: { role, content, kind?, createdAt?, attachments?, sources?, images? }.
+
+  const EXPORT_FORMAT_ID = 'irukadark-chat';
+  const EXPORT_FORMAT_VERSION = 1;
+
+  const FORMATS = {
+    md: { extension: 'md', filterName: 'Markdown' },
+    html: { extension: 'html', filterName: 'HTML' },
+    json: { extension: 'json', filterName: 'JSON' },
+  };
+
+  function normalizeFormat(format) {
+    const f = String(format || '')
+      .trim()
+      .toLowerCase();
+    if (f === 'markdown') return 'md';
+    return Object.prototype.hasOwnProperty.call(FORMATS, f) ? f : null;
+  }
+
+  function escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function formatTime(ts) {
+    if (!ts) return '';
+    try {
+      return new Date(ts).toLocaleString();
+    } catch {
+      return '';
+    }
+  }
+
+  function roleLabel(m, labels) {
+    if (m.role === 'assistant') return labels.assistant;
+    return labels.user;
+  }
+
+  function imageDataUrl(img) {
+    return `data:${img.mimeType || 'image/png'};base64,${img.data}`;
+  }
+
+  function safeFileName(title) {
+    const base = String(title || 'chat')
+      .replace(/[\\/:*?"<>|\r\n\t]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 60);
+    return base || 'chat';
+  }
+
+  function defaultFileName(thread, format) {
+    const date = new Date(thread.createdAt || Date.now()).toISOString().slice(0, 10);
+    return `IrukaDark-${safeFileName(thread.title)}-${date}.${FORMATS[format].extension}`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Markdown
+  // ---------------------------------------------------------------------------
+
+  function buildMarkdown(thread, labels) {
+    const lines = [`# ${thread.title}`, ''];
+    if (thread.createdAt) lines.push(`_${formatTime(thread.createdAt)}_`, '');
+
+    for (const m of thread.messages) {
+      const images = Array.isArray(m.images) ? m.images : [];
+      if (!m.content && !images.length) continue;
+      const time = formatTime(m.createdAt);
+      lines.push(`## ${roleLabel(m, labels)}${time ? ` · ${time}` : ''}`, '');
+
+      if (Array.isArray(m.attachments) && m.attachments.length) {
+        lines.push(`> ${labels.attachments}: ${m.attachments.map((a) => a.name).join(', ')}`, '');
+      }
+      if (m.content) lines.push(String(m.content).trim(), '');
+      for (const img of images) {
+        lines.push(`![${m.alt || ''}](${imageDataUrl(img)})`, '');
+      }
+      if (Array.isArray(m.sources) && m.sources.length) {
+        lines.push(`**${labels.sources}**`, '');
+        for (const s of m.sources) lines.push(`- [${s.title || s.url}](${s.url})`);
+        lines.push('');
+      }
+    }
+    return `${lines.join('\n').trimEnd()}\n`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // HTML (self-contained; assistant markdown is rendered and sanitized by the caller)
+  // ---------------------------------------------------------------------------
+
+  const HTML_STYLE = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 760px; margin: 32px auto; padding: 0 16px; color: #1f2937; line-height: 1.6; }
+    h1 { font-size: 1.4em; margin-bottom: 4px; }
+    .meta { color: #6b7280; font-size: 12px; margin-bottom: 24px; }
+    .msg { margin: 16px 0; padding: 12px 14px; border-radius: 10px; }
+    .msg.user { background: #eef2ff; }
+    .msg.assistant { background: #f9fafb; border: 1px solid #e5e7eb; }
+    .role { font-size: 12px; font-weight: 600; color: #4b5563; margin-bottom: 6px; }
+    .role time { font-weight: 400; color: #9ca3af; margin-left: 6px; }
+    .attachments { font-size: 12px; color: #6b7280; margin-bottom: 6px; }
+    .content img, .images img { max-width: 100%; border-radius: 8px; }
+    .content pre { background: #111827; color: #f9fafb; padding: 10px; border-radius: 6px; overflow-x: auto; }
+    .content table { border-collapse: collapse; }
+    .content th, .content td { border: 1px solid #d1d5db; padding: 4px 8px; }
+    .sources { font-size: 12px; margin-top: 8px; }
+    .sources ul { margin: 4px 0 0; padding-left: 18px; }
+  `;
+
+  function buildHtml(thread, labels, renderMarkdown) {
+    const render =
+      typeof renderMarkdown === 'function'
+        ? renderMarkdown
+        : (text) => `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`;
+    const parts = [];
+    for (const m of thread.messages) {
+      const images = Array.isArray(m.images) ? m.images : [];
+      if (!m.content && !images.length) continue;
+      const cls = m.role === 'assistant' ? 'assistant' : 'user';
+      const time = formatTime(m.createdAt);
+      let html = `<div class="msg ${cls}"><div class="role">${escapeHtml(roleLabel(m, labels))}`;
+      if (time) html += `<time>${escapeHtml(time)}</time>`;
+      html += '</div>';
+      if (Array.isArray(m.attachments) && m.attachments.length) {
+        html += `<div class="attachments">${escapeHtml(labels.attachments)}: ${escapeHtml(
+          m.attachments.map((a) => a.name).join(', ')
+        )}</div>`;
+      }
+      if (m.content) {
+        const body =
+          cls === 'assistant'
+            ? render(String(m.content))
+            : `<p>${escapeHtml(m.content).replace(/\n/g, '<br>')}</p>`;
+        html += `<div class="content">${body}</div>`;
+      }
+      if (images.length) {
+        html += `<div class="images">${images
+          .map((img) => `<img src="${imageDataUrl(img)}" alt="${escapeHtml(m.alt || '')}" />`)
+          .join('')}</div>`;
+      }
+      if (Array.isArray(m.sources) && m.sources.length) {
+        html += `<div class="sources"><strong>${escapeHtml(labels.sources)}</strong><ul>${m.sources
+          .map(
+            (s) =>
+              `<li><a href="${escapeHtml(s.url)}" rel="noopener noreferrer">${escapeHtml(
+                s.title || s.url
+              )}</a></li>`
+          )
+          .join('')}</ul></div>`;
+      }
+      html += '</div>';
+      parts.push(html);
+    }
+
+    return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(thread.title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(thread.title)}</h1>
+<div class="meta">${escapeHtml(formatTime(thread.createdAt))}</div>
+${parts.join('\n')}
+</body>
+</html>
+`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // JSON (re-importable via chat-thread:import)
+  // ---------------------------------------------------------------------------
+
+  function buildJson(thread) {
+    const messages = thread.messages.map((m) => {
+      const out = { role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content || '' };
+      if (m.kind) out.kind = m.kind;
+      if (m.createdAt) out.createdAt = m.createdAt;
+      if (Array.isArray(m.attachments) && m.attachments.length) out.attachments = m.attachments;
+      if (Array.isArray(m.sources) && m.sources.length) out.sources = m.sources;
+      // Generated images are left out: saved threads do not keep them either, so an import
+      // gets back exactly what was exported
+      return out;
+    });
+    return `${JSON.stringify(
+      {
+        format: EXPORT_FORMAT_ID,
+        version: EXPORT_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        thread: { title: thread.title, createdAt: thread.createdAt, messages },
+      },
+      null,
+      2
+    )}\n`;
+  }
+
+  /**
+   * Build export file content.
+   * @param {'md'|'html'|'json'} format
+   * @param {{title: string, createdAt: number, messages: Array}} thread
+   * @param {Object} [options]
+   * @param {{user: string, assistant: string, sources: string, attachments: string}} [options.labels]
+   * @param {Function} [options.renderMarkdown] - Markdown → sanitized HTML (HTML export only)
+   * @returns {{content: string, fileName: string, extension: string, filterName: string}}
+   */
+  function buildExport(format, thread, options = {}) {
+    const f = normalizeFormat(format);
+    if (!f) throw new Error(`Unsupported export format: ${format}`);
+    const labels = {
+      user: 'User',
+      assistant: 'IrukaDark',
+      sources: 'Sources',
+      attachments: 'Attachments',
+      ...(options.labels || {}),
+    };
+    const normalized = {
+      title: String(thread?.title || 'IrukaDark Chat'),
+      createdAt: thread?.createdAt || Date.now(),
+      messages: Array.isArray(thread?.messages) ? thread.messages : [],
+    };
+    let content;
+    if (f === 'md') content = buildMarkdown(normalized, labels);
+    else if (f === 'html') content = buildHtml(normalized, labels, options.renderMarkdown);
+    else content = buildJson(normalized);
+    return {
+      content,
+      fileName: defaultFileName(normalized, f),
+      extension: FORMATS[f].extension,
+      filterName: FORMATS[f].filterName,
+    };
+  }
+
+  window.IRUKADARK_CHAT_EXPORT = {
+    EXPORT_FORMAT_ID,
+    EXPORT_FORMAT_VERSION,
+    normalizeFormat,
+    buildExport,
+  };
+})();
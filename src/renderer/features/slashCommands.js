@@ -144,6 +144,89 @@
     },
   ];
 
+  const SLASH_AGENT_TARGETS = [
+    {
+      key: '/agent on',
+      match: '/agent on',
+      label: '/agent on',
+      descKey: 'slashDescriptions.agentOn',
+    },
+    {
+      key: '/agent off',
+      match: '/agent off',
+      label: '/agent off',
+      descKey: 'slashDescriptions.agentOff',
+    },
+    {
+      key: '/agent status',
+      match: '/agent status',
+      label: '/agent status',
+      descKey: 'slashDescriptions.agentStatus',
+    },
+  ];
+
+  const SLASH_THINK_TARGETS = ['on', 'off', 'low', 'high', 'auto', 'status'].map((act) => ({
+    key: `/think ${act}`,
+    match: `/think ${act}`,
+    label: `/think ${act}`,
+    descKey: `slashDescriptions.think${act[0].toUpperCase()}${act.slice(1)}`,
+  }));
+
+  // Examples: selecting one runs it as shown (edit the value in the input first to change it)
+  const SLASH_CONFIG_TARGETS = [
+    {
+      key: '/config temperature 0.2',
+      match: '/config temperature 0.2',
+      label: '/config temperature 0.2',
+      descKey: 'slashDescriptions.configTemperature',
+    },
+    {
+      key: '/config max 2048',
+      match: '/config max 2048',
+      label: '/config max 2048',
+      descKey: 'slashDescriptions.configMax',
+    },
+    {
+      key: '/config model gemini-flash-latest',
+      match: '/config model gemini-flash-latest',
+      label: '/config model gemini-flash-latest',
+      descKey: 'slashDescriptions.configModel',
+    },
+    {
+      key: '/config status',
+      match: '/config status',
+      label: '/config status',
+      descKey: 'slashDescriptions.configStatus',
+    },
+    {
+      key: '/config reset',
+      match: '/config reset',
+      label: '/config reset',
+      descKey: 'slashDescriptions.configReset',
+    },
+  ];
+
+  const SLASH_COMPARE_TARGETS = [
+    {
+      key: '/compare gemini-flash-lite-latest gemini-flash-latest',
+      match: '/compare gemini-flash-lite-latest gemini-flash-latest',
+      label: '/compare gemini-flash-lite-latest gemini-flash-latest',
+      descKey: 'slashDescriptions.compareModels',
+    },
+    {
+      key: '/compare off',
+      match: '/compare off',
+      label: '/compare off',
+      descKey: 'slashDescriptions.compareOff',
+    },
+    {
+      key: '/compare status',
+      match: '/compare status',
+      label: '/compare status',
+      descKey: 'slashDescriptions.compareStatus',
+    },
+  ];
+
   const SLASH_IMAGE_SIZE_TARGETS = [
     {
       key: '/image size auto',
@@ -222,6 +305,27 @@
 
   const SLASH_IMAGE_TEMPLATE_TARGETS = [];
 
+  const SLASH_EXPORT_TARGETS = [
+    {
+      key: '/export md',
+      match: '/export md',
+      label: '/export md',
+      descKey: 'slashDescriptions.exportMd',
+    },
+    {
+      key: '/export html',
+      match: '/export html',
+      label: '/export html',
+      descKey: 'slashDescriptions.exportHtml',
+    },
+    {
+      key: '/export json',
+      match: '/export json',
+      label: '/export json',
+      descKey: 'slashDescriptions.exportJson',
+    },
+  ];
+
   const SLASH_IMAGE_TARGETS = [
     {
       key: '/image status',
@@ -537,6 +641,10 @@
     SLASH_TRANSLATE_TARGETS,
     SLASH_TRANSLATE_LOOKUP,
     SLASH_WEB_TARGETS,
+    SLASH_AGENT_TARGETS,
+    SLASH_COMPARE_TARGETS,
+    SLASH_THINK_TARGETS,
+    SLASH_CONFIG_TARGETS,
     SLASH_IMAGE_TARGETS,
     SLASH_IMAGE_SIZE_TARGETS,
     SLASH_IMAGE_COUNT_TARGETS,
@@ -550,6 +658,7 @@
     SLASH_SLIDE_SIZE_TARGETS,
     SLASH_SLIDE_COUNT_TARGETS,
     SLASH_SLIDE_TEMPLATE_TARGETS,
+    SLASH_EXPORT_TARGETS,
     getLangMeta,
     normalizeTranslateCode,
     getLanguageDisplayName,
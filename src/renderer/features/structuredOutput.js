@@ -0,0 +1,196 @@
+(function () {
+  // Structured (JSON mode) output: built-in response schemas, a small validator for the
+  // JSON Schema subset Gemini's responseSchema uses, and the plain-text forms kept in history.
+  //
+  // Kinds:
+  // - table:   { columns: string[], rows: string[][] }
+  // - options: { options: [{ reply, paraphrase, explanation }] }
+  // - json:    anything matching a user schema (/json <name>)
+
+  const MAX_ERRORS = 8;
+
+  const BUILTIN_SCHEMAS = {
+    table: {
+      type: 'object',
+      properties: {
+        columns: { type: 'array', items: { type: 'string' }, minItems: 1 },
+        rows: {
+          type: 'array',
+          items: { type: 'array', items: { type: 'string' } },
+        },
+      },
+      required: ['columns', 'rows'],
+    },
+    options: {
+      type: 'object',
+      properties: {
+        options: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              reply: { type: 'string' },
+              paraphrase: { type: 'string' },
+              explanation: { type: 'string' },
+            },
+            required: ['reply', 'paraphrase', 'explanation'],
+          },
+        },
+      },
+      required: ['options'],
+    },
+  };
+
+  /**
+   * Parse a JSON mode answer. Tolerates a surrounding ```json fence from servers that add one.
+   * @throws {SyntaxError}
+   */
+  function parseJson(text) {
+    const trimmed = String(text || '').trim();
+    const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    return JSON.parse(fenced ? fenced[1] : trimmed);
+  }
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  /**
+   * Check a value against a schema (type, nullable, enum, properties, required, items).
+   * Types may be JSON Schema (lowercase) or OpenAPI style (uppercase).
+   * @returns {string[]} Problems as "path: message"; empty when the value matches
+   */
+  function validate(schema, value, path = '$', errors = []) {
+    if (!schema || typeof schema !== 'object' || errors.length >= MAX_ERRORS) return errors;
+    const types = (Array.isArray(schema.type) ? schema.type : [schema.type])
+      .filter(Boolean)
+      .map((t) => String(t).toLowerCase());
+    if (schema.nullable) types.push('null');
+    const actual = typeOf(value);
+    if (
+      types.length &&
+      !types.some((t) => t === actual || (t === 'number' && actual === 'integer'))
+    ) {
+      errors.push(`${path}: expected ${types.join(' | ')}, got ${actual}`);
+      return errors;
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+      errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (actual === 'object') {
+      for (const key of Array.isArray(schema.required) ? schema.required : []) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) {
+          errors.push(`${path}.${key}: required`);
+        }
+      }
+      const properties =
+        schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+      for (const [key, child] of Object.entries(properties)) {
+        if (Object.prototype.hasOwnProperty.call(value, key)) {
+          validate(child, value[key], `${path}.${key}`, errors);
+        }
+      }
+    }
+    if (actual === 'array' && schema.items) {
+      value.forEach((item, i) => validate(schema.items, item, `${path}[${i}]`, errors));
+    }
+    return errors.slice(0, MAX_ERRORS);
+  }
+
+  function isTableData(data) {
+    return (
+      !!data &&
+      Array.isArray(data.columns) &&
+      data.columns.length > 0 &&
+      Array.isArray(data.rows) &&
+      data.rows.every((row) => Array.isArray(row))
+    );
+  }
+
+  function isOptionsData(data) {
+    return (
+      !!data &&
+      Array.isArray(data.options) &&
+      data.options.length > 0 &&
+      data.options.every((o) => o && typeof o === 'object' && !Array.isArray(o))
+    );
+  }
+
+  function cellText(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  // Rows padded / cut to the header width
+  function tableRows(data) {
+    const width = data.columns.length;
+    return data.rows.map((row) =>
+      Array.from({ length: width }, (_, i) => cellText(row[i]).replace(/\s*\n\s*/g, ' '))
+    );
+  }
+
+  function tableToMarkdown(data) {
+    const esc = (s) =>
+      cellText(s)
+        .replace(/\|/g, '\\|')
+        .replace(/\s*\n\s*/g, ' ');
+    const lines = [
+      `| ${data.columns.map(esc).join(' | ')} |`,
+      `| ${data.columns.map(() => '---').join(' | ')} |`,
+      ...tableRows(data).map((row) => `| ${row.map(esc).join(' | ')} |`),
+    ];
+    return lines.join('\n');
+  }
+
+  /** Tab-separated values: pastes into spreadsheets as cells */
+  function tableToTsv(data) {
+    const esc = (s) => cellText(s).replace(/[\t\r\n]+/g, ' ');
+    return [
+      data.columns.map(esc).join('\t'),
+      ...tableRows(data).map((r) => r.map(esc).join('\t')),
+    ].join('\n');
+  }
+
+  /**
+   * @param {Object} data - { options: [...] }
+   * @param {Object} [labels] - Display names for option fields (e.g. { paraphrase: 'Paraphrase' })
+   */
+  function optionsToMarkdown(data, labels = {}) {
+    return data.options
+      .map((option, i) => {
+        const [first, ...rest] = Object.entries(option).filter(([, v]) => v !== '' && v != null);
+        const lines = [`${i + 1}. ${cellText(first ? first[1] : '')}`];
+        for (const [key, value] of rest) {
+          lines.push(`   ${labels[key] || key}: ${cellText(value)}`);
+        }
+        return lines.join('\n');
+      })
+      .join('\n');
+  }
+
+  /**
+   * Plain-text form of a structured answer; this is what chat history and exports see.
+   */
+  function toMarkdown(kind, data, labels) {
+    if (isTableData(data)) return tableToMarkdown(data);
+    if (kind === 'options' && isOptionsData(data)) return optionsToMarkdown(data, labels);
+    return `\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``;
+  }
+
+  window.IRUKADARK_STRUCTURED = {
+    BUILTIN_SCHEMAS,
+    parseJson,
+    validate,
+    isTableData,
+    isOptionsData,
+    cellText,
+    tableRows,
+    tableToMarkdown,
+    tableToTsv,
+    optionsToMarkdown,
+    toMarkdown,
+  };
+})();
@@ -16,15 +16,135 @@
     stop: 'Stop',
     addAttachment: 'Add attachment',
     canceled: 'Canceled.',
+    requestQueued: 'Queued — waiting for a free slot',
+    stopRequest: 'Stop',
     historyCompacted: 'Compressed chat history with a summary.',
+    threads: 'Conversations',
+    threadSearchPlaceholder: 'Search conversations...',
+    threadNew: 'New chat',
+    threadEmpty: 'No saved conversations yet.',
+    threadNoMatches: 'No conversations match your search.',
+    threadMessageCount: (count) => `${count} message${count === 1 ? '' : 's'}`,
+    threadDelete: 'Delete conversation',
+    threadLoadFailed: 'Could not open this conversation.',
+    exportHelp: 'Use /export md|html|json',
+    kbHelp:
+      'Use /kb <question> to answer from your local documents. Add folders in Settings → Knowledge Base.',
+    kbNoFolders: 'No knowledge base folders yet. Add one in Settings → Knowledge Base.',
+    kbNoResults: (question) => `Nothing in your knowledge base matches "${question}".`,
+    exportEmpty: 'There is nothing to export yet.',
+    exportSaved: (filePath) => `Chat exported to ${filePath}`,
+    exportLabelUser: 'You',
+    exportLabelAttachments: 'Attachments',
+    importDone: (title) => `Imported "${title}" as a new conversation.`,
+    importFailed: 'Could not import this file. Choose a JSON file exported from IrukaDark.',
+    usageBudgetExceeded: (total, budget) =>
+      `Monthly token budget reached: ${total} / ${budget} tokens. See Settings → Usage.`,
+    replaceSelectionFailed: (name) =>
+      `"${name}": could not paste into the active app. The result is on the clipboard.`,
     availableCommands:
-      'Available commands: /clear, /compact, /next, /table, /what do you mean?, /web (on/off/status), /image (status/size), /translate, /translate literal, /translate free, /translate status',
+      'Available commands: /clear, /compact, /export (md/html/json), /import, /kb <question>, /transcribe [instructions], /next, /table, /what do you mean?, /web (on/off/status), /agent (on/off/status), /compare <model-a> <model-b>, /think (on/off/low/high/auto/status), /config (temperature/max/model/status/reset), /json <schema> [request], /image (status/size), /translate, /translate literal, /translate free, /translate status',
     sourcesBadge: 'Sources',
     webSearchEnabled: 'Web Search enabled.',
     webSearchDisabled: 'Web Search disabled.',
     webSearchStatusOn: 'Web Search: ON',
     webSearchStatusOff: 'Web Search: OFF',
     webSearchHelp: 'Use /web on|off|status',
+    agentEnabled:
+      'Agent mode enabled. The assistant can search apps, files and clipboard history, open apps, create schedules and start the timer. Actions run only after you allow them.',
+    agentDisabled: 'Agent mode disabled.',
+    agentStatusOn: 'Agent mode: ON',
+    agentStatusOff: 'Agent mode: OFF',
+    agentHelp: 'Use /agent on|off|status',
+    agentToolCall: 'Tool',
+    agentToolAllow: 'Allow',
+    agentToolDeny: 'Deny',
+    agentToolPending: 'Waiting for your approval',
+    agentToolRunning: 'Running…',
+    agentToolDone: 'Done',
+    agentToolDenied: 'Denied',
+    agentToolFailed: (error) => `Failed: ${error}`,
+    agentTooManySteps: 'Stopped after too many tool calls in a row.',
+    compareEnabled: (models) =>
+      `Compare mode enabled: ${models}. Each message goes to every model; keep the answer you prefer.`,
+    compareDisabled: 'Compare mode disabled.',
+    compareStatusOn: (models) => `Compare mode: ON (${models})`,
+    compareStatusOff: 'Compare mode: OFF',
+    compareHelp: 'Use /compare <model-a> <model-b> [...], /compare off or /compare status',
+    compareTooMany: (max) => `Compare up to ${max} models at a time.`,
+    compareLatency: (seconds) => `${seconds}s`,
+    compareTokens: (input, output) => `${input} in / ${output} out tokens`,
+    compareKeep: 'Keep this answer',
+    compareKept: (model) => `Kept the answer from ${model}.`,
+    compareStale: 'The conversation has moved on; this answer can no longer be kept.',
+    thinkingSet: (level) => `Thinking for chat: ${level} (this session)`,
+    thinkingAuto: 'Thinking for chat follows Settings → Model Routing again.',
+    thinkingStatus: (level) => `Thinking for chat: ${level}`,
+    thinkingHelp:
+      'Use /think on, /think off, /think low, /think high, /think auto or /think status',
+    thinkingLevels: {
+      auto: 'auto (Settings)',
+      off: 'off',
+      low: 'low',
+      high: 'high',
+    },
+    thoughtSummary: 'Thoughts',
+    uploadingFile: (name, percent) => `Uploading ${name || 'attachment'}… ${percent}%`,
+    attachmentCached: 'cached',
+    attachmentCachedTitle: (tokens, until) =>
+      `Kept in a context cache (${tokens} tokens) until ${until}; follow-up questions reuse it instead of sending the file again.`,
+    transcribeHelp:
+      'Attach a recording (.mp3, .m4a or .wav) and send /transcribe, optionally followed by instructions such as speaker names.',
+    configSet: (summary) => `Settings for this chat: ${summary}`,
+    configCleared: (field) => `${field} is back to the default for this chat.`,
+    configReset: 'This chat uses the default settings again.',
+    configStatus: (summary) => `Settings for this chat: ${summary}`,
+    configStatusDefault: 'This chat uses the default settings.',
+    configHelp:
+      'Use /config temperature <0-2>, /config max <tokens>, /config model <name> (or "default" as the value), /config status or /config reset',
+    configInvalid: {
+      temperature: 'Temperature must be a number from 0 to 2.',
+      maxOutputTokens: 'Max tokens must be a whole number from 1 to 65536.',
+      model: 'Model names may only contain letters, digits and . _ : / -',
+    },
+    configFields: {
+      temperature: 'Temperature',
+      maxOutputTokens: 'Max tokens',
+      model: 'Model',
+    },
+    configTemperatureLabel: (value) => `temperature ${value}`,
+    configMaxLabel: (value) => `max ${value} tokens`,
+    configChipTitle: 'Settings for this chat (/config)',
+    configChipClear: 'Back to the default settings',
+    messageEdit: 'Edit and send again',
+    messageEditSend: 'Send',
+    messageEditCancel: 'Cancel',
+    messageRegenerate: 'Regenerate',
+    messagePreviousVersion: 'Previous version',
+    messageNextVersion: 'Next version',
+    structuredCopy: 'Copy',
+    structuredCopied: 'Copied to clipboard',
+    structuredCopyTsv: 'Copy for spreadsheet (TSV)',
+    structuredCopyJson: 'Copy JSON',
+    structuredFields: {
+      reply: 'Reply',
+      paraphrase: 'Paraphrase',
+      explanation: 'Explanation',
+    },
+    jsonNoSchemas:
+      'No response schemas yet. Add one in Settings → JSON Schemas, then use /json <name>.',
+    jsonSchemaList: (names) =>
+      `Use /json <name> [request]. Without a request the last answer is restructured. Schemas: ${names}`,
+    jsonUnknownSchema: (name) => `Unknown schema "${name}". See Settings → JSON Schemas.`,
+    jsonSchemaMismatch: (problems) => `The answer does not match the schema:\n${problems}`,
+    agentToolNames: {
+      search_apps: 'Search apps',
+      launch_app: 'Open app',
+      search_files: 'Search files',
+      get_clipboard_history: 'Read clipboard history',
+      create_schedule: 'Create schedule',
+      start_timer: 'Start timer',
+    },
     imageSizeUpdated: (size) => `Image size set to ${size}.`,
     imageSizeAlready: (size) => `Image size is already ${size}.`,
     imageSizeStatus: (size) => `Image size: ${size}`,
@@ -162,10 +282,40 @@
       translateStatus: 'Show translation mode status',
       clear: 'Clear chat history',
       compact: 'Summarize and compact history',
+      export: 'Export this chat (Markdown, HTML or JSON)',
+      exportMd: 'Export as Markdown',
+      exportHtml: 'Export as HTML',
+      exportJson: 'Export as JSON (re-importable)',
+      import: 'Import a JSON export as a new chat',
+      kb: 'Ask your local documents (knowledge base)',
+      transcribe: 'Transcribe the attached recording with timestamps, then summarize it',
       web: 'Web search controls',
       webOn: 'Enable web search',
       webOff: 'Disable web search',
       webStatus: 'Show web search status',
+      agent: 'Agent mode: let the assistant use apps, files, clipboard, schedules and the timer',
+      agentOn: 'Enable agent mode',
+      agentOff: 'Disable agent mode',
+      agentStatus: 'Show agent mode status',
+      config: 'Temperature, answer length and model for this chat',
+      configTemperature: 'Set the temperature for this chat (0-2; lower is more focused)',
+      configMax: 'Limit answers in this chat to this many tokens',
+      configModel: 'Use this model for this chat (edit the name as needed)',
+      configStatus: 'Show the settings of this chat',
+      configReset: 'Go back to the default settings',
+      compare: 'Send each message to several models and compare the answers',
+      compareModels: 'Compare these two models (edit the names as needed)',
+      compareOff: 'Disable compare mode',
+      compareStatus: 'Show compare mode status',
+      think: 'Set how much the model thinks before answering in chat',
+      thinkOn: 'Think harder (high)',
+      thinkOff: 'Turn thinking off for faster answers',
+      thinkLow: 'Think a little',
+      thinkHigh: 'Think harder before answering',
+      thinkAuto: 'Use the thinking level from Settings',
+      thinkStatus: 'Show the current thinking level',
+      json: 'Answer in JSON with one of your schemas',
+      jsonSchema: 'Restructure the last answer with this schema',
       image: 'Image generation controls',
       imageStatus: 'Show image generation settings',
       imageSize: 'Set image size',
@@ -375,6 +525,168 @@
         'How would you like IrukaDark to respond?\ne.g., Use simple, everyday language.',
       customInstructionsSaved: 'Custom instructions saved',
       customInstructionsCleared: 'Custom instructions cleared',
+      // AI Provider
+      aiProvider: 'AI Provider',
+      aiProviderGeminiHint: 'Uses your Gemini API key and model settings.',
+      aiProviderBaseUrl: 'Base URL',
+      aiProviderModel: 'Model',
+      aiProviderApiKey: 'API Key',
+      aiProviderApiKeySaved: 'Saved (enter a new key to replace)',
+      aiProviderApiKeyOptional: 'Optional for local servers',
+      aiProviderSave: 'Save',
+      aiProviderSaved: 'AI provider saved',
+      aiConcurrency: 'Concurrent AI requests',
+      aiConcurrencyHint: 'Requests beyond this limit wait in a queue until one finishes.',
+      aiConcurrencySaved: 'Concurrency limit saved',
+      apiKeyPool: 'Gemini API Keys',
+      apiKeyPoolDescription:
+        'Requests rotate through healthy keys. Rate-limited keys cool down and are skipped until they recover.',
+      apiKeyPoolEmpty: 'No Gemini API key saved yet.',
+      apiKeyPoolPrimary: 'Primary key',
+      apiKeyPoolHealthy: 'Healthy',
+      apiKeyPoolInvalid: 'Invalid key',
+      apiKeyPoolCooldown: (seconds) => `Cooling down (${seconds}s)`,
+      apiKeyPoolCounts: (ok, failed) => `${ok} ok / ${failed} failed`,
+      apiKeyPoolReset: 'Reset',
+      apiKeyPoolRemove: 'Remove',
+      apiKeyPoolLabelPlaceholder: 'Label (e.g. Team key 2)',
+      apiKeyPoolKeyPlaceholder: 'Gemini API key',
+      apiKeyPoolAdd: 'Add key',
+      apiKeyPoolAdded: 'API key added',
+      apiKeyPoolRefresh: 'Refresh status',
+      promptTemplates: 'Prompt Templates',
+      promptTemplateAction: 'Action',
+      promptTemplateExplain: 'Explain',
+      promptTemplateDetailed: 'Detailed explanation',
+      promptTemplateTranslate: 'Translate',
+      promptTemplateRephrase: 'Rephrase',
+      promptTemplateReply: 'Reply variations',
+      promptTemplateCustomized: 'customized',
+      promptTemplateVariables: 'Variables:',
+      promptTemplateSave: 'Save',
+      promptTemplateSaved: 'Prompt template saved',
+      promptTemplateReset: 'Reset to built-in',
+      promptTemplateResetDone: 'Restored the built-in prompt',
+      shortcutOutput: 'Result',
+      customActions: 'Custom Shortcut Actions',
+      customActionsDesc: 'Run your own prompt on the selected text with a shortcut',
+      customActionAdd: 'Add action',
+      customActionEdit: 'Edit',
+      customActionDelete: 'Delete',
+      customActionSave: 'Save',
+      customActionCancel: 'Cancel',
+      customActionNamePlaceholder: 'Name (e.g. Convert to SQL)',
+      customActionTemplatePlaceholder: 'Summarize {{selection}} as bullet points.',
+      customActionTemplateHint:
+        'The selected text is appended when the template has no {{selection}}. Variables:',
+      customActionOutputChat: 'Show in chat',
+      customActionOutputPopup: 'Show in popup',
+      customActionOutputReplace: 'Replace selection',
+      customActionOutputClipboard: 'Copy to clipboard',
+      customActionSaved: 'Action saved',
+      customActionCreated: 'Action added. Assign a shortcut with "Change".',
+      customActionDeleted: 'Action deleted',
+      customActionDeleteTitle: 'Delete Action',
+      customActionDeleteMessage: (name) => `Delete "${name}" and its shortcut?`,
+      usage: 'Usage',
+      usageThisMonth: 'This month',
+      usageTokens: 'tokens',
+      usageCalls: 'calls',
+      usageBudget: 'Monthly budget (tokens)',
+      usageBudgetPlaceholder: '0 = no limit',
+      usageBudgetSave: 'Save',
+      usageBudgetSaved: 'Budget saved',
+      usageBudgetNear: 'Approaching the monthly budget',
+      usageBudgetOver: 'Monthly budget exceeded',
+      usageDaily: 'Daily totals',
+      usageByModel: 'By model',
+      usageByFeature: 'By feature',
+      usageFeatureChat: 'Chat',
+      usageFeatureShortcut: 'Shortcuts',
+      usageFeatureTerminal: 'Terminal',
+      usageFeatureSlide: 'Slides',
+      usageFeatureRephrase: 'Rephrase',
+      usageFeatureKb: 'Knowledge base',
+      usageFeatureAgent: 'Agent',
+      usageEmpty: 'No AI usage recorded this month.',
+      usageClear: 'Clear usage history',
+      usageClearConfirm: 'Clear all recorded usage?',
+      usageCleared: 'Usage history cleared',
+      kb: 'Knowledge Base',
+      kbDescription:
+        'Text, Markdown and PDF files in these folders are indexed on this computer. Ask them with /kb <question>.',
+      kbEmpty: 'No folders added yet.',
+      kbFolderStats: (files, chunks) =>
+        `${files} file${files === 1 ? '' : 's'}, ${chunks} chunk${chunks === 1 ? '' : 's'}`,
+      kbAddFolder: 'Add folder',
+      kbRemove: 'Remove',
+      kbReindex: 'Reindex',
+      kbIndexing: 'Indexing…',
+      kbIndexed: 'Knowledge base updated',
+      mcp: 'MCP Servers',
+      mcpDescription:
+        'Tools from these Model Context Protocol servers are available in agent mode (/agent on). Servers run on this computer as local commands.',
+      mcpEmpty: 'No MCP servers added yet.',
+      mcpStatusStopped: 'Not started',
+      mcpStatusStarting: 'Starting…',
+      mcpStatusReady: 'Connected',
+      mcpStatusError: 'Error',
+      mcpServerDisabled: 'Disabled',
+      mcpApprovalAsk: 'Ask every time',
+      mcpApprovalAuto: 'Always allow',
+      mcpApprovalOff: 'Disabled',
+      mcpConnect: 'Connect',
+      mcpRestart: 'Restart',
+      mcpRemove: 'Remove',
+      mcpNamePlaceholder: 'Name (e.g. files)',
+      mcpCommandPlaceholder:
+        'Command (e.g. npx -y @modelcontextprotocol/server-filesystem /Users/me/Documents)',
+      mcpEnvPlaceholder: 'Environment variables, one KEY=VALUE per line (optional)',
+      mcpAdd: 'Add server',
+      mcpAdded: 'MCP server added',
+      jsonSchemas: 'JSON Schemas',
+      jsonSchemasDescription:
+        'Response schemas for /json <name>. The answer is returned as JSON matching the schema and shown as a table or formatted JSON.',
+      jsonSchemasEmpty: 'No schemas added yet.',
+      jsonSchemaNamePlaceholder: 'Name (e.g. invoice)',
+      jsonSchemaDescriptionPlaceholder: 'Description (optional)',
+      jsonSchemaInputPlaceholder:
+        '{ "type": "object", "properties": { "total": { "type": "number" } }, "required": ["total"] }',
+      jsonSchemaSave: 'Save schema',
+      jsonSchemaEdit: 'Edit',
+      jsonSchemaRemove: 'Remove',
+      jsonSchemaSaved: 'Schema saved',
+      modelRouting: 'Model Routing',
+      modelRoutingDescription:
+        'Choose the Gemini model for each task, then fallbacks tried in order when it fails. Leave a field empty to keep the default shown in gray.',
+      modelRoutingNotGemini:
+        'Text tasks use the AI Provider model while another provider is selected.',
+      modelRoutePrimary: 'Primary model',
+      modelRouteFallbacks: 'Fallback models (comma separated)',
+      modelRouteNoFallbacks: 'No fallbacks',
+      modelRoutesSave: 'Save',
+      modelRoutesReset: 'Reset to defaults',
+      modelRoutesSaved: 'Model routing saved',
+      modelRoutesResetDone: 'Model routing reset to defaults',
+      modelRouteThinking: 'Thinking',
+      modelRouteThinkingDefault: 'Model default',
+      modelRouteThinkingOff: 'Off',
+      modelRouteThinkingLow: 'Low',
+      modelRouteThinkingHigh: 'High',
+      modelRouteTasks: {
+        chat: 'Chat',
+        explain: 'Explain (concise)',
+        detailed: 'Explain (detailed)',
+        translate: 'Translate',
+        rephrase: 'Rephrase',
+        reply: 'Reply',
+        screenshot: 'Screenshot',
+        terminal: 'Terminal',
+        url: 'URL summary',
+        slide: 'Slides',
+        image: 'Image generation',
+        video: 'Video generation',
+      },
     },
     apiKey: {
       title: 'Welcome to IrukaDark',
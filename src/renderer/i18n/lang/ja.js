@@ -16,15 +16,139 @@
     stop: '停止',
     addAttachment: '添付ファイルを追加',
     canceled: '中断しました。',
+    requestQueued: '待機中 — 空きを待っています',
+    stopRequest: '停止',
     historyCompacted: '履歴を要約して圧縮しました。',
+    threads: '会話一覧',
+    threadSearchPlaceholder: '会話を検索...',
+    threadNew: '新しいチャット',
+    threadEmpty: '保存された会話はまだありません。',
+    threadNoMatches: '検索に一致する会話はありません。',
+    threadMessageCount: (count) => `${count}件のメッセージ`,
+    threadDelete: '会話を削除',
+    threadLoadFailed: 'この会話を開けませんでした。',
+    exportHelp: '/export md|html|json を使ってください',
+    kbHelp:
+      '/kb <質問> でローカル文書をもとに回答します。フォルダは設定 → ナレッジベースで追加できます。',
+    kbNoFolders:
+      'ナレッジベースのフォルダがまだありません。設定 → ナレッジベースで追加してください。',
+    kbNoResults: (question) =>
+      `ナレッジベースに「${question}」に一致する内容は見つかりませんでした。`,
+    exportEmpty: '書き出せる内容がまだありません。',
+    exportSaved: (filePath) => `チャットを書き出しました: ${filePath}`,
+    exportLabelUser: 'あなた',
+    exportLabelAttachments: '添付ファイル',
+    importDone: (title) => `「${title}」を新しい会話として読み込みました。`,
+    importFailed:
+      'このファイルを読み込めませんでした。IrukaDarkで書き出したJSONファイルを選んでください。',
+    usageBudgetExceeded: (total, budget) =>
+      `今月のトークン予算に達しました: ${total} / ${budget} トークン。設定 → 使用量 で確認できます。`,
+    replaceSelectionFailed: (name) =>
+      `「${name}」: アクティブなアプリに貼り付けできませんでした。結果はクリップボードにあります。`,
     availableCommands:
-      '利用可能なコマンド: /clear, /compact, /next, /table, /what do you mean?, /web (on/off/status), /image (status/size), /translate, /translate literal, /translate free, /translate status',
+      '利用可能なコマンド: /clear, /compact, /export (md/html/json), /import, /kb <質問>, /transcribe [指示], /next, /table, /what do you mean?, /web (on/off/status), /agent (on/off/status), /compare <モデルA> <モデルB>, /think (on/off/low/high/auto/status), /config (temperature/max/model/status/reset), /json <スキーマ> [依頼], /image (status/size), /translate, /translate literal, /translate free, /translate status',
     sourcesBadge: '参照',
     webSearchEnabled: 'Web検索を有効にしました。',
     webSearchDisabled: 'Web検索を無効にしました。',
     webSearchStatusOn: 'Web検索: ON',
     webSearchStatusOff: 'Web検索: OFF',
     webSearchHelp: '/web on|off|status を使用できます',
+    agentEnabled:
+      'エージェントモードを有効にしました。アプリ・ファイル・クリップボード履歴の検索、アプリの起動、スケジュールの作成、タイマーの開始ができます。操作はあなたが許可したときだけ実行されます。',
+    agentDisabled: 'エージェントモードを無効にしました。',
+    agentStatusOn: 'エージェントモード: ON',
+    agentStatusOff: 'エージェントモード: OFF',
+    agentHelp: '/agent on|off|status を使用できます',
+    agentToolCall: 'ツール',
+    agentToolAllow: '許可',
+    agentToolDeny: '拒否',
+    agentToolPending: '許可を待っています',
+    agentToolRunning: '実行中…',
+    agentToolDone: '完了',
+    agentToolDenied: '拒否しました',
+    agentToolFailed: (error) => `失敗しました: ${error}`,
+    agentTooManySteps: 'ツールの呼び出しが続きすぎたため中断しました。',
+    compareEnabled: (models) =>
+      `比較モードを有効にしました: ${models}。各メッセージをすべてのモデルに送ります。残したい回答を選んでください。`,
+    compareDisabled: '比較モードを無効にしました。',
+    compareStatusOn: (models) => `比較モード: ON（${models}）`,
+    compareStatusOff: '比較モード: OFF',
+    compareHelp: '/compare <モデルA> <モデルB> [...]、/compare off、/compare status を使用できます',
+    compareTooMany: (max) => `一度に比較できるモデルは${max}個までです。`,
+    compareLatency: (seconds) => `${seconds}秒`,
+    compareTokens: (input, output) => `入力 ${input} / 出力 ${output} トークン`,
+    compareKeep: 'この回答を残す',
+    compareKept: (model) => `${model} の回答を残しました。`,
+    compareStale: '会話が先に進んだため、この回答は残せません。',
+    thinkingSet: (level) => `チャットの思考レベル: ${level}（このセッションのみ）`,
+    thinkingAuto: 'チャットの思考レベルを設定 → モデルの振り分け に戻しました。',
+    thinkingStatus: (level) => `チャットの思考レベル: ${level}`,
+    thinkingHelp:
+      '/think on、/think off、/think low、/think high、/think auto、/think status のいずれかを使ってください',
+    thinkingLevels: {
+      auto: '自動（設定）',
+      off: 'オフ',
+      low: '低',
+      high: '高',
+    },
+    thoughtSummary: '思考の要約',
+    uploadingFile: (name, percent) => `${name || '添付ファイル'} をアップロード中… ${percent}%`,
+    attachmentCached: 'キャッシュ済み',
+    attachmentCachedTitle: (tokens, until) =>
+      `コンテキストキャッシュに保持中（${tokens}トークン、${until}まで）。続けての質問ではファイルを再送せずに再利用します。`,
+    transcribeHelp:
+      '録音ファイル（.mp3・.m4a・.wav）を添付して /transcribe を送信してください。話者名などの指示を続けて書くこともできます。',
+    configSet: (summary) => `このチャットの設定: ${summary}`,
+    configCleared: (field) => `このチャットの${field}を既定値に戻しました。`,
+    configReset: 'このチャットの設定を既定値に戻しました。',
+    configStatus: (summary) => `このチャットの設定: ${summary}`,
+    configStatusDefault: 'このチャットは既定の設定を使っています。',
+    configHelp:
+      '/config temperature <0〜2>、/config max <トークン数>、/config model <モデル名>（値に "default" で既定値に戻す）、/config status、/config reset を使ってください',
+    configInvalid: {
+      temperature: 'temperature は 0〜2 の数値で指定してください。',
+      maxOutputTokens: 'max は 1〜65536 の整数で指定してください。',
+      model: 'モデル名に使えるのは英数字と . _ : / - だけです。',
+    },
+    configFields: {
+      temperature: 'temperature',
+      maxOutputTokens: '最大トークン数',
+      model: 'モデル',
+    },
+    configTemperatureLabel: (value) => `temperature ${value}`,
+    configMaxLabel: (value) => `最大 ${value} トークン`,
+    configChipTitle: 'このチャットの設定（/config）',
+    configChipClear: '既定の設定に戻す',
+    messageEdit: '編集して再送信',
+    messageEditSend: '送信',
+    messageEditCancel: 'キャンセル',
+    messageRegenerate: '再生成',
+    messagePreviousVersion: '前のバージョン',
+    messageNextVersion: '次のバージョン',
+    structuredCopy: 'コピー',
+    structuredCopied: 'クリップボードにコピーしました',
+    structuredCopyTsv: 'スプレッドシート用にコピー (TSV)',
+    structuredCopyJson: 'JSONをコピー',
+    structuredFields: {
+      reply: '返信',
+      paraphrase: '言い換え',
+      explanation: '解説',
+    },
+    jsonNoSchemas:
+      'レスポンススキーマがまだありません。設定 → JSONスキーマで追加してから /json <名前> を使ってください。',
+    jsonSchemaList: (names) =>
+      `/json <名前> [依頼] で使います。依頼を省略すると直前の回答を構造化します。スキーマ: ${names}`,
+    jsonUnknownSchema: (name) =>
+      `スキーマ「${name}」が見つかりません。設定 → JSONスキーマを確認してください。`,
+    jsonSchemaMismatch: (problems) => `回答がスキーマと一致しません:\n${problems}`,
+    agentToolNames: {
+      search_apps: 'アプリを検索',
+      launch_app: 'アプリを開く',
+      search_files: 'ファイルを検索',
+      get_clipboard_history: 'クリップボード履歴を読む',
+      create_schedule: 'スケジュールを作成',
+      start_timer: 'タイマーを開始',
+    },
     imageSizeUpdated: (size) => `画像サイズを${size}に設定しました。`,
     imageSizeAlready: (size) => `画像サイズはすでに${size}です。`,
     imageSizeStatus: (size) => `画像サイズ: ${size}`,
@@ -164,10 +288,40 @@
       translateStatus: '現在の翻訳モードを表示',
       clear: '履歴をクリア',
       compact: '履歴を要約して圧縮',
+      export: 'このチャットを書き出す（Markdown / HTML / JSON）',
+      exportMd: 'Markdownで書き出す',
+      exportHtml: 'HTMLで書き出す',
+      exportJson: 'JSONで書き出す（再読み込み可能）',
+      import: '書き出したJSONを新しいチャットとして読み込む',
+      kb: 'ローカル文書（ナレッジベース）に質問',
+      transcribe: '添付した録音をタイムスタンプ付きで文字起こしし、要約する',
       web: 'Web検索の設定',
       webOn: 'Web検索を有効化',
       webOff: 'Web検索を無効化',
       webStatus: 'Web検索の状態を表示',
+      agent: 'エージェントモード: アプリ・ファイル・クリップボード・スケジュール・タイマーを操作',
+      agentOn: 'エージェントモードを有効化',
+      agentOff: 'エージェントモードを無効化',
+      agentStatus: 'エージェントモードの状態を表示',
+      config: 'このチャットの temperature・回答の長さ・モデルを設定',
+      configTemperature: 'このチャットの temperature を設定（0〜2、低いほど安定）',
+      configMax: 'このチャットの回答をこのトークン数までに制限',
+      configModel: 'このチャットでこのモデルを使う（名前は必要に応じて編集）',
+      configStatus: 'このチャットの設定を表示',
+      configReset: '既定の設定に戻す',
+      compare: '各メッセージを複数のモデルに送り、回答を比較',
+      compareModels: 'この2つのモデルを比較（モデル名は編集できます）',
+      compareOff: '比較モードを無効化',
+      compareStatus: '比較モードの状態を表示',
+      think: 'チャットで回答前にどれだけ考えるかを設定',
+      thinkOn: 'しっかり考える（高）',
+      thinkOff: '思考をオフにして素早く回答',
+      thinkLow: '少しだけ考える',
+      thinkHigh: '回答前にしっかり考える',
+      thinkAuto: '設定の思考レベルを使う',
+      thinkStatus: '現在の思考レベルを表示',
+      json: '保存したスキーマでJSON回答を生成',
+      jsonSchema: '直前の回答をこのスキーマで構造化',
       image: '画像生成の設定',
       imageStatus: '画像生成設定を表示',
       imageSize: '画像サイズを設定',
@@ -376,6 +530,168 @@
         'IrukaDarkにどのように応答してほしいですか？\n例：わかりやすい日常的な言葉を使うようにしてください。',
       customInstructionsSaved: 'カスタム指示を保存しました',
       customInstructionsCleared: 'カスタム指示をクリアしました',
+      // AIプロバイダー
+      aiProvider: 'AIプロバイダー',
+      aiProviderGeminiHint: 'Gemini APIキーとモデル設定を使用します。',
+      aiProviderBaseUrl: 'ベースURL',
+      aiProviderModel: 'モデル',
+      aiProviderApiKey: 'APIキー',
+      aiProviderApiKeySaved: '保存済み（変更するには新しいキーを入力）',
+      aiProviderApiKeyOptional: 'ローカルサーバーでは省略可',
+      aiProviderSave: '保存',
+      aiProviderSaved: 'AIプロバイダーを保存しました',
+      aiConcurrency: 'AIリクエストの同時実行数',
+      aiConcurrencyHint: '上限を超えたリクエストは、実行中のものが終わるまで待機します。',
+      aiConcurrencySaved: '同時実行数を保存しました',
+      apiKeyPool: 'Gemini APIキー',
+      apiKeyPoolDescription:
+        'リクエストは正常なキーを順番に使います。レート制限を受けたキーはクールダウン中は使われません。',
+      apiKeyPoolEmpty: 'Gemini APIキーはまだ保存されていません。',
+      apiKeyPoolPrimary: 'メインのキー',
+      apiKeyPoolHealthy: '正常',
+      apiKeyPoolInvalid: '無効なキー',
+      apiKeyPoolCooldown: (seconds) => `クールダウン中（残り${seconds}秒）`,
+      apiKeyPoolCounts: (ok, failed) => `成功 ${ok} / 失敗 ${failed}`,
+      apiKeyPoolReset: 'リセット',
+      apiKeyPoolRemove: '削除',
+      apiKeyPoolLabelPlaceholder: 'ラベル（例: チーム用キー2）',
+      apiKeyPoolKeyPlaceholder: 'Gemini APIキー',
+      apiKeyPoolAdd: 'キーを追加',
+      apiKeyPoolAdded: 'APIキーを追加しました',
+      apiKeyPoolRefresh: '状態を更新',
+      promptTemplates: 'プロンプトテンプレート',
+      promptTemplateAction: 'アクション',
+      promptTemplateExplain: '解説',
+      promptTemplateDetailed: '詳しい解説',
+      promptTemplateTranslate: '翻訳',
+      promptTemplateRephrase: '言い換え',
+      promptTemplateReply: '返信案',
+      promptTemplateCustomized: 'カスタム',
+      promptTemplateVariables: '変数:',
+      promptTemplateSave: '保存',
+      promptTemplateSaved: 'プロンプトテンプレートを保存しました',
+      promptTemplateReset: '標準に戻す',
+      promptTemplateResetDone: '標準のプロンプトに戻しました',
+      shortcutOutput: '結果の出力先',
+      customActions: 'カスタムショートカットアクション',
+      customActionsDesc: '選択したテキストに自分のプロンプトをショートカットで実行',
+      customActionAdd: 'アクションを追加',
+      customActionEdit: '編集',
+      customActionDelete: '削除',
+      customActionSave: '保存',
+      customActionCancel: 'キャンセル',
+      customActionNamePlaceholder: '名前（例: SQLに変換）',
+      customActionTemplatePlaceholder: '{{selection}} を箇条書きで要約してください。',
+      customActionTemplateHint:
+        'テンプレートに {{selection}} がない場合は選択テキストが末尾に追加されます。変数:',
+      customActionOutputChat: 'チャットに表示',
+      customActionOutputPopup: 'ポップアップに表示',
+      customActionOutputReplace: '選択範囲を置き換え',
+      customActionOutputClipboard: 'クリップボードにコピー',
+      customActionSaved: 'アクションを保存しました',
+      customActionCreated:
+        'アクションを追加しました。「変更」でショートカットを割り当ててください。',
+      customActionDeleted: 'アクションを削除しました',
+      customActionDeleteTitle: 'アクションを削除',
+      customActionDeleteMessage: (name) => `「${name}」とそのショートカットを削除しますか？`,
+      usage: '使用量',
+      usageThisMonth: '今月',
+      usageTokens: 'トークン',
+      usageCalls: '回',
+      usageBudget: '月間予算（トークン）',
+      usageBudgetPlaceholder: '0 = 上限なし',
+      usageBudgetSave: '保存',
+      usageBudgetSaved: '予算を保存しました',
+      usageBudgetNear: '月間予算に近づいています',
+      usageBudgetOver: '月間予算を超えました',
+      usageDaily: '日別',
+      usageByModel: 'モデル別',
+      usageByFeature: '機能別',
+      usageFeatureChat: 'チャット',
+      usageFeatureShortcut: 'ショートカット',
+      usageFeatureTerminal: 'ターミナル',
+      usageFeatureSlide: 'スライド',
+      usageFeatureRephrase: '言い換え',
+      usageFeatureKb: 'ナレッジベース',
+      usageFeatureAgent: 'エージェント',
+      usageEmpty: '今月のAI使用記録はありません。',
+      usageClear: '使用履歴を消去',
+      usageClearConfirm: '記録された使用量をすべて消去しますか？',
+      usageCleared: '使用履歴を消去しました',
+      kb: 'ナレッジベース',
+      kbDescription:
+        'これらのフォルダ内のテキスト・Markdown・PDFをこのコンピューター上で索引化します。/kb <質問> で質問できます。',
+      kbEmpty: 'フォルダはまだ追加されていません。',
+      kbFolderStats: (files, chunks) => `${files}ファイル・${chunks}チャンク`,
+      kbAddFolder: 'フォルダを追加',
+      kbRemove: '削除',
+      kbReindex: '再索引',
+      kbIndexing: '索引化中…',
+      kbIndexed: 'ナレッジベースを更新しました',
+      mcp: 'MCPサーバー',
+      mcpDescription:
+        'これらの Model Context Protocol サーバーのツールをエージェントモード(/agent on)で使えます。サーバーはこのコンピューター上のコマンドとして起動します。',
+      mcpEmpty: 'MCPサーバーはまだ追加されていません。',
+      mcpStatusStopped: '未起動',
+      mcpStatusStarting: '起動中…',
+      mcpStatusReady: '接続済み',
+      mcpStatusError: 'エラー',
+      mcpServerDisabled: '無効',
+      mcpApprovalAsk: '毎回確認',
+      mcpApprovalAuto: '常に許可',
+      mcpApprovalOff: '使用しない',
+      mcpConnect: '接続',
+      mcpRestart: '再起動',
+      mcpRemove: '削除',
+      mcpNamePlaceholder: '名前(例: files)',
+      mcpCommandPlaceholder:
+        'コマンド(例: npx -y @modelcontextprotocol/server-filesystem /Users/me/Documents)',
+      mcpEnvPlaceholder: '環境変数(任意、1行に KEY=VALUE)',
+      mcpAdd: 'サーバーを追加',
+      mcpAdded: 'MCPサーバーを追加しました',
+      jsonSchemas: 'JSONスキーマ',
+      jsonSchemasDescription:
+        '/json <名前> で使うレスポンススキーマです。回答はスキーマに沿ったJSONで返り、表または整形したJSONとして表示されます。',
+      jsonSchemasEmpty: 'スキーマはまだ追加されていません。',
+      jsonSchemaNamePlaceholder: '名前(例: invoice)',
+      jsonSchemaDescriptionPlaceholder: '説明(任意)',
+      jsonSchemaInputPlaceholder:
+        '{ "type": "object", "properties": { "total": { "type": "number" } }, "required": ["total"] }',
+      jsonSchemaSave: 'スキーマを保存',
+      jsonSchemaEdit: '編集',
+      jsonSchemaRemove: '削除',
+      jsonSchemaSaved: 'スキーマを保存しました',
+      modelRouting: 'モデルの振り分け',
+      modelRoutingDescription:
+        'タスクごとにGeminiモデルを選び、失敗したときに順に試すフォールバックを指定します。空欄のままにすると灰色で表示された既定のモデルを使います。',
+      modelRoutingNotGemini:
+        '他のプロバイダーを選択中は、テキストのタスクにAIプロバイダーのモデルを使います。',
+      modelRoutePrimary: 'メインのモデル',
+      modelRouteFallbacks: 'フォールバック（カンマ区切り）',
+      modelRouteNoFallbacks: 'フォールバックなし',
+      modelRoutesSave: '保存',
+      modelRoutesReset: '既定に戻す',
+      modelRoutesSaved: 'モデルの振り分けを保存しました',
+      modelRoutesResetDone: 'モデルの振り分けを既定に戻しました',
+      modelRouteThinking: '思考',
+      modelRouteThinkingDefault: 'モデルの既定',
+      modelRouteThinkingOff: 'オフ',
+      modelRouteThinkingLow: '低',
+      modelRouteThinkingHigh: '高',
+      modelRouteTasks: {
+        chat: 'チャット',
+        explain: '解説（簡潔）',
+        detailed: '解説（詳しく）',
+        translate: '翻訳',
+        rephrase: '言い換え',
+        reply: '返信',
+        screenshot: 'スクリーンショット',
+        terminal: 'ターミナル',
+        url: 'URL要約',
+        slide: 'スライド',
+        image: '画像生成',
+        video: '動画生成',
+      },
     },
     apiKey: {
       title: 'IrukaDarkへようこそ',
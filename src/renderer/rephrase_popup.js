@@ -16,15 +16,18 @@ class RephrasePopup {
     this.errorText = document.getElementById('errorText');
     this.copyBtn = document.getElementById('copyBtn');
     this.closeBtn = document.getElementById('closeBtn');
+    this.titleText = document.querySelector('.rephrase-title');
+    this.defaultTitle = this.titleText ? this.titleText.textContent : '';
     this.currentText = '';
     this.isCopying = false;
     this.init();
   }
 
   async init() {
-    await this.applyTheme();
+    // Subscribe before the theme round-trip so no state sent on load is missed
     this.setupListeners();
     this.setupIPC();
+    await this.applyTheme();
   }
 
   async applyTheme() {
@@ -43,12 +46,14 @@ class RephrasePopup {
   }
 
   setupIPC() {
-    window.electronAPI.onRephraseLoading(() => this.showLoading());
+    window.electronAPI.onRephraseLoading((title) => this.showLoading(title));
     window.electronAPI.onRephraseResult((text) => this.showResult(text));
     window.electronAPI.onRephraseError((message) => this.showError(message));
   }
 
-  showLoading() {
+  showLoading(title) {
+    if (this.titleText) this.titleText.textContent = title || this.defaultTitle;
+    this.currentText = '';
     this.popup.className = 'rephrase-popup state-loading';
   }
 
@@ -53,6 +53,55 @@ class SettingsUI {
     this.customAIInstructions = '';
     this.customInstructionsSaving = false; // Prevent double-click
 
+    // AI provider (Gemini / OpenAI-compatible / local servers)
+    this.aiProvider = {
+      providers: [],
+      provider: 'gemini',
+      baseUrl: '',
+      model: '',
+      hasApiKey: false,
+    };
+    this.aiProviderSaving = false; // Prevent double-click
+    // How many AI requests may run at once (the rest wait in a queue)
+    this.aiConcurrency = { value: 3, max: 8 };
+
+    // Gemini API key pool status (primary + extra keys, health and cooldowns)
+    this.apiKeyPool = [];
+    this.apiKeyPoolSaving = false; // Prevent double-click
+
+    // Model routing table: built-in models per task and the user's overrides
+    this.modelRoutes = { defaults: [], routes: {} };
+    this.modelRoutesSaving = false; // Prevent double-click
+
+    // Prompt templates for shortcut actions (overrides of the built-in prompts)
+    this.promptTemplates = { actions: [], variables: [], builtins: {}, templates: {} };
+    this.promptTemplateAction = 'explain';
+    this.promptTemplateSaving = false; // Prevent double-click
+
+    // User-defined shortcut actions (selected text → prompt template → output)
+    this.customActions = { outputs: [], actions: [] };
+    this.customActionEditing = null; // null, 'new' or the id of the action being edited
+    this.customActionSaving = false; // Prevent double-click
+
+    // Output mode (chat / replace selection) for the translate and rephrase shortcuts
+    this.shortcutOutputModes = {};
+
+    // Token usage ledger (current month) and monthly budget
+    this.usageSummary = null;
+    this.usageBudgetTokens = 0;
+    this.usageSaving = false; // Prevent double-click
+
+    // Local knowledge base folders (indexed for /kb)
+    this.kbFolders = [];
+    this.kbIndexing = false;
+    this.kbProgress = null; // { folder, processed, total } while indexing
+    // MCP servers whose tools are offered to agent mode
+    this.mcpServers = [];
+    this.mcpSaving = false;
+    // Response schemas for /json <name>
+    this.jsonSchemas = [];
+    this.jsonSchemaSaving = false;
+
     // Language list for settings
     this.languageList = [
       { code: 'en', label: 'English' },
@@ -135,6 +184,7 @@ class SettingsUI {
     this.setupLanguageChangeListener();
     this.setupThemeChangeListener();
     this.setupOpacityChangeListener();
+    this.setupKnowledgeBaseProgressListener();
   }
 
   async initI18n() {
@@ -207,10 +257,181 @@ class SettingsUI {
             this.customAIInstructions = result.aiInstructions || '';
           }
         }
+        // Load AI provider settings
+        if (window.electronAPI.getAIProvider) {
+          const result = await window.electronAPI.getAIProvider();
+          if (result && result.success) {
+            this.aiProvider = {
+              providers: Array.isArray(result.providers) ? result.providers : [],
+              provider: result.provider || 'gemini',
+              baseUrl: result.baseUrl || '',
+              model: result.model || '',
+              hasApiKey: !!result.hasApiKey,
+            };
+          }
+        }
+        // Load AI request concurrency limit
+        if (window.electronAPI.getAIConcurrency) {
+          const result = await window.electronAPI.getAIConcurrency();
+          if (result && result.success) {
+            this.aiConcurrency = {
+              value: Number(result.value) || this.aiConcurrency.value,
+              max: Number(result.max) || this.aiConcurrency.max,
+            };
+          }
+        }
+        // Load prompt templates
+        if (window.electronAPI.getPromptTemplates) {
+          const result = await window.electronAPI.getPromptTemplates();
+          if (result && result.success) {
+            this.promptTemplates = {
+              actions: Array.isArray(result.actions) ? result.actions : [],
+              variables: Array.isArray(result.variables) ? result.variables : [],
+              builtins: result.builtins || {},
+              templates: result.templates || {},
+            };
+          }
+        }
+        // Load shortcut output modes
+        if (window.electronAPI.getShortcutOutputModes) {
+          const result = await window.electronAPI.getShortcutOutputModes();
+          if (result && result.modes) {
+            this.shortcutOutputModes = result.modes;
+          }
+        }
+        await this.loadApiKeyPool();
+        await this.loadModelRoutes();
+        await this.loadCustomActions();
+        await this.loadUsage();
+        await this.loadKnowledgeBase();
+        await this.loadMcpServers();
+        await this.loadJsonSchemas();
+      }
+    } catch (err) {}
+  }
+
+  async loadApiKeyPool() {
+    try {
+      if (window.electronAPI && window.electronAPI.apiKeyPool) {
+        const result = await window.electronAPI.apiKeyPool.getStatus();
+        if (result && result.success) {
+          this.apiKeyPool = Array.isArray(result.keys) ? result.keys : [];
+        }
+      }
+    } catch (err) {}
+  }
+
+  async loadModelRoutes() {
+    try {
+      if (window.electronAPI && window.electronAPI.getModelRoutes) {
+        const result = await window.electronAPI.getModelRoutes();
+        if (result && result.success) {
+          this.modelRoutes = {
+            defaults: Array.isArray(result.defaults) ? result.defaults : [],
+            routes: result.routes || {},
+          };
+        }
+      }
+    } catch (err) {}
+  }
+
+  async loadCustomActions() {
+    try {
+      if (window.electronAPI && window.electronAPI.getCustomActions) {
+        const result = await window.electronAPI.getCustomActions();
+        if (result && result.success) {
+          this.customActions = {
+            outputs: Array.isArray(result.outputs) ? result.outputs : [],
+            actions: Array.isArray(result.actions) ? result.actions : [],
+          };
+        }
+      }
+    } catch (err) {}
+  }
+
+  async loadUsage() {
+    try {
+      if (window.electronAPI && window.electronAPI.usage) {
+        const result = await window.electronAPI.usage.getSummary();
+        if (result && result.success) {
+          this.usageSummary = result.summary || null;
+          this.usageBudgetTokens = Number(result.budgetTokens) || 0;
+        }
+      }
+    } catch (err) {}
+  }
+
+  async loadKnowledgeBase() {
+    try {
+      if (window.electronAPI && window.electronAPI.knowledgeBase) {
+        const result = await window.electronAPI.knowledgeBase.listFolders();
+        if (result && result.success) {
+          this.kbFolders = Array.isArray(result.folders) ? result.folders : [];
+        }
+      }
+    } catch (err) {}
+  }
+
+  async loadJsonSchemas() {
+    try {
+      if (window.electronAPI && window.electronAPI.getJsonSchemas) {
+        const result = await window.electronAPI.getJsonSchemas();
+        if (result && result.success) {
+          this.jsonSchemas = Array.isArray(result.schemas) ? result.schemas : [];
+        }
+      }
+    } catch (err) {}
+  }
+
+  async loadMcpServers() {
+    try {
+      if (window.electronAPI && window.electronAPI.mcp) {
+        const result = await window.electronAPI.mcp.listServers();
+        if (result && result.success) {
+          this.mcpServers = Array.isArray(result.servers) ? result.servers : [];
+        }
       }
     } catch (err) {}
   }
 
+  /**
+   * Reload usage and redraw only the Usage section (called when the Settings tab is shown)
+   */
+  async refreshUsage() {
+    await this.loadUsage();
+    const section = document.getElementById('usageSection');
+    if (!section) return;
+    section.outerHTML = this.renderUsageSection();
+    this.bindUsageEvents();
+  }
+
+  bindPromptTemplateEvents() {
+    const promptTemplateSelect = document.getElementById('promptTemplateSelect');
+    if (promptTemplateSelect) {
+      promptTemplateSelect.addEventListener('change', (e) => {
+        this.promptTemplateAction = e.target.value;
+        this.refreshPromptTemplatesSection();
+      });
+    }
+
+    const promptTemplateSaveBtn = document.getElementById('promptTemplateSaveBtn');
+    if (promptTemplateSaveBtn) {
+      promptTemplateSaveBtn.addEventListener('click', () => this.savePromptTemplate());
+    }
+
+    const promptTemplateResetBtn = document.getElementById('promptTemplateResetBtn');
+    if (promptTemplateResetBtn) {
+      promptTemplateResetBtn.addEventListener('click', () => this.resetPromptTemplate());
+    }
+  }
+
+  refreshPromptTemplatesSection() {
+    const section = document.getElementById('promptTemplatesSection');
+    if (!section) return;
+    section.outerHTML = this.renderPromptTemplatesSection();
+    this.bindPromptTemplateEvents();
+  }
+
   /**
    * Escape HTML special characters to prevent XSS attacks
    * @param {string} text - Text to escape
@@ -272,13 +493,23 @@ class SettingsUI {
       ${this.renderLanguageSection()}
       ${this.renderAppearanceSection()}
       ${this.renderCustomInstructionsSection()}
+      ${this.renderAIProviderSection()}
+      ${this.renderApiKeyPoolSection()}
+      ${this.renderModelRoutingSection()}
+      ${this.renderPromptTemplatesSection()}
+      ${this.renderUsageSection()}
+      ${this.renderKnowledgeBaseSection()}
+      ${this.renderMcpSection()}
+      ${this.renderJsonSchemasSection()}
       ${this.renderSnippetsSection()}
       <div class="settings-section">
         <div class="settings-section-title" data-i18n="settings.shortcuts">
           ${t.shortcuts || 'Keyboard Shortcuts'}
         </div>
         ${this.renderShortcutItems()}
+        ${this.renderShortcutOutputItems()}
       </div>
+      ${this.renderCustomActionsSection()}
       ${this.renderWindowControlSection()}
       ${this.renderFooterSection()}
     `;
@@ -440,166 +671,991 @@ class SettingsUI {
     `;
   }
 
-  renderSnippetsSection() {
+  renderAIProviderSection() {
     const t = this.i18n.settings;
+    const { providers, provider, baseUrl, model, hasApiKey } = this.aiProvider;
+    const preset = providers.find((p) => p.id === provider) || {};
+    const isGemini = provider === 'gemini';
+
     return `
       <div class="settings-section">
         <div class="settings-section-title">
-          ${this.escapeHtml(t.snippetsTitle || 'Snippets')}
+          ${this.escapeHtml(t.aiProvider || 'AI Provider')}
         </div>
-        <div class="settings-item snippet-buttons-vertical">
-          <button id="exportSnippetsBtn" class="snippet-action-btn">
-            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-              <polyline points="17 8 12 3 7 8"/>
-              <line x1="12" y1="3" x2="12" y2="15"/>
-            </svg>
-            ${this.escapeHtml(t.snippetsExport || 'Export')}
-          </button>
-          <button id="importSnippetsBtn" class="snippet-action-btn">
-            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-              <polyline points="7 10 12 15 17 10"/>
-              <line x1="12" y1="15" x2="12" y2="3"/>
-            </svg>
-            ${this.escapeHtml(t.snippetsImport || 'Import')}
-          </button>
+
+        <div class="settings-item">
+          <div class="settings-item-label">${this.escapeHtml(t.aiProvider || 'AI Provider')}</div>
+          <div class="settings-item-controls">
+            <select id="aiProviderSelect" class="settings-select">
+              ${providers
+                .map(
+                  (p) => `
+                <option value="${this.escapeHtml(p.id)}" ${p.id === provider ? 'selected' : ''}>
+                  ${this.escapeHtml(p.label)}
+                </option>
+              `
+                )
+                .join('')}
+            </select>
+          </div>
+          ${
+            isGemini
+              ? `<div class="popup-icon-hint">${this.escapeHtml(t.aiProviderGeminiHint || 'Uses your Gemini API key and model settings.')}</div>`
+              : ''
+          }
+        </div>
+
+        ${
+          isGemini
+            ? ''
+            : `
+        <div class="settings-item">
+          <div class="settings-item-label">${this.escapeHtml(t.aiProviderBaseUrl || 'Base URL')}</div>
+          <div class="settings-item-controls">
+            <input type="text" id="aiProviderBaseUrl" class="settings-input" value="${this.escapeHtml(baseUrl)}" placeholder="${this.escapeHtml(preset.baseUrl || '')}">
+          </div>
+        </div>
+        <div class="settings-item">
+          <div class="settings-item-label">${this.escapeHtml(t.aiProviderModel || 'Model')}</div>
+          <div class="settings-item-controls">
+            <input type="text" id="aiProviderModel" class="settings-input" value="${this.escapeHtml(model)}" placeholder="${this.escapeHtml(preset.defaultModel || '')}">
+          </div>
+        </div>
+        <div class="settings-item">
+          <div class="settings-item-label">${this.escapeHtml(t.aiProviderApiKey || 'API Key')}</div>
+          <div class="settings-item-controls">
+            <input type="password" id="aiProviderApiKey" class="settings-input" autocomplete="off" placeholder="${this.escapeHtml(
+              hasApiKey
+                ? t.aiProviderApiKeySaved || 'Saved (enter a new key to replace)'
+                : preset.requiresKey
+                  ? ''
+                  : t.aiProviderApiKeyOptional || 'Optional for local servers'
+            )}">
+          </div>
+        </div>
+        <div class="settings-item">
+          <div class="settings-item-controls">
+            <button id="aiProviderSaveBtn" class="settings-btn">
+              ${this.escapeHtml(t.aiProviderSave || 'Save')}
+            </button>
+          </div>
+        </div>`
+        }
+
+        <div class="settings-item">
+          <div class="settings-item-label">${this.escapeHtml(t.aiConcurrency || 'Concurrent AI requests')}</div>
+          <div class="settings-item-controls">
+            <select id="aiConcurrencySelect" class="settings-select">
+              ${Array.from({ length: this.aiConcurrency.max }, (_, i) => i + 1)
+                .map(
+                  (n) =>
+                    `<option value="${n}" ${n === this.aiConcurrency.value ? 'selected' : ''}>${n}</option>`
+                )
+                .join('')}
+            </select>
+          </div>
+          <div class="popup-icon-hint">${this.escapeHtml(
+            t.aiConcurrencyHint || 'Requests beyond this limit wait in a queue until one finishes.'
+          )}</div>
         </div>
       </div>
     `;
   }
 
-  renderShortcutItems() {
+  renderApiKeyPoolSection() {
     if (!this.i18n || !this.i18n.settings) return '';
 
     const t = this.i18n.settings;
-    // Exclude hidden actions and window control actions (shown in separate section)
-    const windowControlActions = new Set(Object.keys(this.windowControlShortcuts));
-    const actions = Object.keys(this.shortcuts).filter(
-      (action) => !this.hiddenShortcutActions.has(action) && !windowControlActions.has(action)
-    );
-
-    return actions
-      .map((action) => {
-        const key = this.shortcuts[action];
-        const label = (t.actions && t.actions[action]) || action;
-        const displayKey = this.displayKey(key);
-
-        // Escape all user-controlled content to prevent XSS
-        const safeAction = this.escapeHtml(action);
-        const safeLabel = this.escapeHtml(label);
-        const safeDisplayKey = this.escapeHtml(displayKey);
-        const safeChangeText = this.escapeHtml(t.change || 'Change');
+    const stateLabel = (key) => {
+      if (key.state === 'invalid') return t.apiKeyPoolInvalid || 'Invalid key';
+      if (key.state === 'cooldown') {
+        const seconds = Math.ceil(key.cooldownRemainingMs / 1000);
+        return typeof t.apiKeyPoolCooldown === 'function'
+          ? t.apiKeyPoolCooldown(seconds)
+          : `Cooling down (${seconds}s)`;
+      }
+      return t.apiKeyPoolHealthy || 'Healthy';
+    };
 
+    const rows = this.apiKeyPool
+      .map((key) => {
+        const safeId = this.escapeHtml(key.id);
+        const label = key.id === 'primary' ? t.apiKeyPoolPrimary || 'Primary key' : key.label;
+        const lastError = key.lastError
+          ? `<div class="popup-icon-hint api-key-last-error" title="${this.escapeHtml(key.lastError)}">${this.escapeHtml(key.lastError)}</div>`
+          : '';
         return `
-        <div class="settings-item" data-action="${safeAction}">
-          <div class="settings-item-label">${safeLabel}</div>
-          <div class="settings-item-controls">
-            <div class="shortcut-key-display" data-action="${safeAction}">
-              ${safeDisplayKey}
+        <div class="settings-item">
+          <div class="settings-item-label api-key-pool-label">
+            ${this.escapeHtml(label)} <code>${this.escapeHtml(key.masked)}</code>
+            <div class="popup-icon-hint">
+              <span class="api-key-state api-key-state-${this.escapeHtml(key.state)}">${this.escapeHtml(stateLabel(key))}</span>
+              · ${this.escapeHtml(
+                typeof t.apiKeyPoolCounts === 'function'
+                  ? t.apiKeyPoolCounts(key.successes, key.failures)
+                  : `${key.successes} ok / ${key.failures} failed`
+              )}
             </div>
-            <button class="change-key-btn" data-action="${safeAction}" data-i18n="settings.change">
-              ${safeChangeText}
-            </button>
+            ${lastError}
+          </div>
+          <div class="settings-item-controls">
+            ${
+              key.state !== 'healthy' || key.failures > 0
+                ? `<button class="settings-btn settings-btn-secondary api-key-reset-btn" data-id="${safeId}">
+              ${this.escapeHtml(t.apiKeyPoolReset || 'Reset')}
+            </button>`
+                : ''
+            }
+            ${
+              key.id !== 'primary'
+                ? `<button class="settings-btn settings-btn-danger-outline api-key-remove-btn" data-id="${safeId}">
+              ${this.escapeHtml(t.apiKeyPoolRemove || 'Remove')}
+            </button>`
+                : ''
+            }
           </div>
         </div>
       `;
       })
       .join('');
-  }
-
-  renderWindowControlSection() {
-    if (!this.i18n || !this.i18n.settings) return '';
 
-    const t = this.i18n.settings;
-    const wc = t.windowControl || {};
-
-    // Window control action labels with fallbacks
-    const actionLabels = {
-      windowLeftHalf: wc.leftHalf || 'Left Half',
-      windowRightHalf: wc.rightHalf || 'Right Half',
-      windowTopHalf: wc.topHalf || 'Top Half',
-      windowBottomHalf: wc.bottomHalf || 'Bottom Half',
-      windowMaximize: wc.maximize || 'Maximize',
-      windowCenter: wc.center || 'Center',
-      windowTopLeft: wc.topLeft || 'Top Left',
-      windowTopRight: wc.topRight || 'Top Right',
-      windowBottomLeft: wc.bottomLeft || 'Bottom Left',
-      windowBottomRight: wc.bottomRight || 'Bottom Right',
-      windowLeftThird: wc.leftThird || 'Left Third',
-      windowCenterThird: wc.centerThird || 'Center Third',
-      windowRightThird: wc.rightThird || 'Right Third',
-      windowLeftTwoThirds: wc.leftTwoThirds || 'Left Two Thirds',
-      windowRightTwoThirds: wc.rightTwoThirds || 'Right Two Thirds',
-      windowNextMonitor: wc.nextMonitor || 'Next Monitor',
-      windowPreviousMonitor: wc.previousMonitor || 'Previous Monitor',
-    };
-
-    // Group window control shortcuts by category
-    const halfGroups = ['windowLeftHalf', 'windowRightHalf', 'windowTopHalf', 'windowBottomHalf'];
-    const quarterGroups = [
-      'windowTopLeft',
-      'windowTopRight',
-      'windowBottomLeft',
-      'windowBottomRight',
-    ];
-    const thirdGroups = [
-      'windowLeftThird',
-      'windowCenterThird',
-      'windowRightThird',
-      'windowLeftTwoThirds',
-      'windowRightTwoThirds',
-    ];
-    const otherGroups = [
-      'windowMaximize',
-      'windowCenter',
-      'windowNextMonitor',
-      'windowPreviousMonitor',
-    ];
+    return `
+      <div class="settings-section" id="apiKeyPoolSection">
+        <div class="settings-section-title">
+          ${this.escapeHtml(t.apiKeyPool || 'Gemini API Keys')}
+        </div>
 
-    const renderGroup = (actions, groupTitle) => {
-      const items = actions
-        .map((action) => {
-          const key = this.shortcuts[action] || this.windowControlShortcuts[action] || '';
-          const label = actionLabels[action] || action;
-          const displayKey = this.displayKey(key);
+        <div class="settings-item">
+          <div class="popup-icon-hint">
+            ${this.escapeHtml(t.apiKeyPoolDescription || 'Requests rotate through healthy keys. Rate-limited keys cool down and are skipped until they recover.')}
+          </div>
+        </div>
 
-          const safeAction = this.escapeHtml(action);
-          const safeLabel = this.escapeHtml(label);
-          const safeDisplayKey = this.escapeHtml(displayKey);
-          const safeChangeText = this.escapeHtml(t.change || 'Change');
+        ${
+          rows ||
+          `
+        <div class="settings-item">
+          <div class="popup-icon-hint">${this.escapeHtml(t.apiKeyPoolEmpty || 'No Gemini API key saved yet.')}</div>
+        </div>`
+        }
 
-          return `
-          <div class="settings-item" data-action="${safeAction}">
-            <div class="settings-item-label">${safeLabel}</div>
-            <div class="settings-item-controls">
-              <div class="shortcut-key-display" data-action="${safeAction}">
-                ${safeDisplayKey}
-              </div>
-              <button class="change-key-btn" data-action="${safeAction}" data-i18n="settings.change">
-                ${safeChangeText}
-              </button>
-            </div>
+        <div class="settings-item">
+          <div class="settings-item-controls api-key-pool-add">
+            <input type="text" id="apiKeyPoolLabelInput" class="settings-input" maxlength="40" placeholder="${this.escapeHtml(t.apiKeyPoolLabelPlaceholder || 'Label (e.g. Team key 2)')}">
+            <input type="password" id="apiKeyPoolKeyInput" class="settings-input" autocomplete="off" placeholder="${this.escapeHtml(t.apiKeyPoolKeyPlaceholder || 'Gemini API key')}">
+            <button id="apiKeyPoolAddBtn" class="settings-btn">
+              ${this.escapeHtml(t.apiKeyPoolAdd || 'Add key')}
+            </button>
           </div>
-        `;
-        })
-        .join('');
-
-      return `
-        <div class="settings-group">
-          <div class="settings-group-title">${this.escapeHtml(groupTitle)}</div>
-          ${items}
         </div>
-      `;
-    };
 
-    return `
-      <div class="settings-section">
-        <div class="settings-section-title" data-i18n="settings.windowControl">
-          ${this.escapeHtml(wc.title || 'Window Control')}
+        <div class="settings-item">
+          <div class="settings-item-controls">
+            <button id="apiKeyPoolRefreshBtn" class="settings-btn settings-btn-secondary">
+              ${this.escapeHtml(t.apiKeyPoolRefresh || 'Refresh status')}
+            </button>
+          </div>
         </div>
-        ${renderGroup(halfGroups, wc.halfScreen || 'Half Screen')}
-        ${renderGroup(quarterGroups, wc.quarters || 'Quarters')}
+      </div>
+    `;
+  }
+
+  renderModelRoutingSection() {
+    const t = this.i18n.settings;
+    const { defaults, routes } = this.modelRoutes;
+    if (!defaults.length) return '';
+    const taskLabels = t.modelRouteTasks || {};
+    const busy = this.modelRoutesSaving;
+    const thinkingLabels = {
+      '': t.modelRouteThinkingDefault || 'Model default',
+      off: t.modelRouteThinkingOff || 'Off',
+      low: t.modelRouteThinkingLow || 'Low',
+      high: t.modelRouteThinkingHigh || 'High',
+    };
+    const rows = defaults
+      .map((entry) => {
+        const task = this.escapeHtml(entry.task);
+        const route = routes[entry.task] || { primary: '', fallbacks: [], thinking: '' };
+        // Thinking levels only apply to text answers
+        const thinking =
+          entry.kind === 'text'
+            ? `<select class="settings-select model-route-thinking" data-task="${task}" aria-label="${this.escapeHtml(t.modelRouteThinking || 'Thinking')}">
+              ${Object.entries(thinkingLabels)
+                .map(
+                  ([value, label]) =>
+                    `<option value="${value}" ${(route.thinking || '') === value ? 'selected' : ''}>${this.escapeHtml(label)}</option>`
+                )
+                .join('')}
+            </select>`
+            : '<span></span>';
+        return `
+        <div class="settings-item model-route-row">
+          <div class="settings-item-label">${this.escapeHtml(taskLabels[entry.task] || entry.task)}</div>
+          <div class="settings-item-controls model-route-inputs">
+            <input type="text" class="settings-input model-route-primary" data-task="${task}" spellcheck="false" value="${this.escapeHtml(route.primary)}" placeholder="${this.escapeHtml(entry.primary)}" aria-label="${this.escapeHtml(t.modelRoutePrimary || 'Primary model')}">
+            <input type="text" class="settings-input model-route-fallbacks" data-task="${task}" spellcheck="false" value="${this.escapeHtml(route.fallbacks.join(', '))}" placeholder="${this.escapeHtml(entry.fallbacks.join(', ') || t.modelRouteNoFallbacks || 'No fallbacks')}" aria-label="${this.escapeHtml(t.modelRouteFallbacks || 'Fallback models (comma separated)')}">
+            ${thinking}
+          </div>
+        </div>
+      `;
+      })
+      .join('');
+
+    return `
+      <div class="settings-section" id="modelRoutingSection">
+        <div class="settings-section-title">
+          ${this.escapeHtml(t.modelRouting || 'Model Routing')}
+        </div>
+
+        <div class="settings-item">
+          <div class="popup-icon-hint">
+            ${this.escapeHtml(t.modelRoutingDescription || 'Choose the Gemini model for each task, then fallbacks tried in order when it fails. Leave a field empty to keep the default shown in gray.')}
+          </div>
+          ${
+            this.aiProvider.provider !== 'gemini'
+              ? `<div class="popup-icon-hint">${this.escapeHtml(t.modelRoutingNotGemini || 'Text tasks use the AI Provider model while another provider is selected.')}</div>`
+              : ''
+          }
+        </div>
+
+        <div class="settings-item model-route-row model-route-head">
+          <div class="settings-item-label"></div>
+          <div class="settings-item-controls model-route-inputs popup-icon-hint">
+            <span>${this.escapeHtml(t.modelRoutePrimary || 'Primary model')}</span>
+            <span>${this.escapeHtml(t.modelRouteFallbacks || 'Fallback models (comma separated)')}</span>
+            <span>${this.escapeHtml(t.modelRouteThinking || 'Thinking')}</span>
+          </div>
+        </div>
+
+        ${rows}
+
+        <div class="settings-item">
+          <div class="settings-item-controls">
+            <button id="modelRoutesResetBtn" class="settings-btn settings-btn-danger-outline" ${busy || !Object.keys(routes).length ? 'disabled' : ''}>
+              ${this.escapeHtml(t.modelRoutesReset || 'Reset to defaults')}
+            </button>
+            <button id="modelRoutesSaveBtn" class="settings-btn" ${busy ? 'disabled' : ''}>
+              ${this.escapeHtml(t.modelRoutesSave || 'Save')}
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderPromptTemplatesSection() {
+    const t = this.i18n.settings;
+    const { actions, variables, builtins, templates } = this.promptTemplates;
+    if (!actions.length) return '';
+    const action = actions.includes(this.promptTemplateAction)
+      ? this.promptTemplateAction
+      : actions[0];
+    const actionLabels = {
+      explain: t.promptTemplateExplain || 'Explain',
+      detailed: t.promptTemplateDetailed || 'Detailed explanation',
+      translate: t.promptTemplateTranslate || 'Translate',
+      rephrase: t.promptTemplateRephrase || 'Rephrase',
+      reply: t.promptTemplateReply || 'Reply variations',
+    };
+    const customizedMark = ` (${t.promptTemplateCustomized || 'customized'})`;
+    const value = templates[action] || builtins[action] || '';
+
+    return `
+      <div class="settings-section" id="promptTemplatesSection">
+        <div class="settings-section-title">
+          ${this.escapeHtml(t.promptTemplates || 'Prompt Templates')}
+        </div>
+
+        <div class="settings-item">
+          <div class="settings-item-label">${this.escapeHtml(t.promptTemplateAction || 'Action')}</div>
+          <div class="settings-item-controls">
+            <select id="promptTemplateSelect" class="settings-select">
+              ${actions
+                .map(
+                  (id) => `
+                <option value="${this.escapeHtml(id)}" ${id === action ? 'selected' : ''}>
+                  ${this.escapeHtml((actionLabels[id] || id) + (templates[id] ? customizedMark : ''))}
+                </option>
+              `
+                )
+                .join('')}
+            </select>
+          </div>
+        </div>
+
+        <div class="settings-item prompt-template-item">
+          <textarea id="promptTemplateInput" class="custom-instructions-textarea prompt-template-textarea" spellcheck="false">${this.escapeHtml(value)}</textarea>
+          <div class="popup-icon-hint">
+            ${this.escapeHtml(t.promptTemplateVariables || 'Variables:')}
+            ${variables.map((v) => `<code>{{${this.escapeHtml(v)}}}</code>`).join(' ')}
+          </div>
+        </div>
+
+        <div class="settings-item">
+          <div class="settings-item-controls">
+            <button id="promptTemplateResetBtn" class="settings-btn settings-btn-danger-outline" ${templates[action] ? '' : 'disabled'}>
+              ${this.escapeHtml(t.promptTemplateReset || 'Reset to built-in')}
+            </button>
+            <button id="promptTemplateSaveBtn" class="settings-btn">
+              ${this.escapeHtml(t.promptTemplateSave || 'Save')}
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  formatTokens(value) {
+    return (Number(value) || 0).toLocaleString(this.currentLang);
+  }
+
+  renderUsageRows(rows, labelFor) {
+    return `
+      <div class="usage-list">
+        ${rows
+          .map(
+            (row) => `
+          <div class="usage-row">
+            <span class="usage-row-label">${this.escapeHtml(labelFor(row))}</span>
+            <span class="usage-row-value">${this.escapeHtml(this.formatTokens(row.totalTokens))}</span>
+            <span class="usage-row-calls">${this.escapeHtml(this.formatTokens(row.calls))}</span>
+          </div>
+        `
+          )
+          .join('')}
+      </div>
+    `;
+  }
+
+  renderUsageSection() {
+    const t = this.i18n.settings;
+    const summary = this.usageSummary || { total: {}, days: [], byModel: [], byFeature: [] };
+    const total = Number(summary.total?.totalTokens) || 0;
+    const budget = this.usageBudgetTokens;
+    const ratio = budget > 0 ? total / budget : 0;
+    const featureLabels = {
+      chat: t.usageFeatureChat || 'Chat',
+      shortcut: t.usageFeatureShortcut || 'Shortcuts',
+      terminal: t.usageFeatureTerminal || 'Terminal',
+      slide: t.usageFeatureSlide || 'Slides',
+      rephrase: t.usageFeatureRephrase || 'Rephrase',
+      kb: t.usageFeatureKb || 'Knowledge base',
+      agent: t.usageFeatureAgent || 'Agent',
+    };
+    let budgetWarning = '';
+    if (ratio >= 1) {
+      budgetWarning = t.usageBudgetOver || 'Monthly budget exceeded';
+    } else if (ratio >= 0.8) {
+      budgetWarning = t.usageBudgetNear || 'Approaching the monthly budget';
+    }
+    const hasUsage = summary.days.length > 0;
+
+    return `
+      <div class="settings-section" id="usageSection">
+        <div class="settings-section-title">
+          ${this.escapeHtml(t.usage || 'Usage')}
+        </div>
+
+        <div class="settings-item">
+          <div class="settings-item-label">${this.escapeHtml(t.usageThisMonth || 'This month')}</div>
+          <div class="settings-item-controls usage-total">
+            ${this.escapeHtml(this.formatTokens(total))}${
+              budget > 0 ? ` / ${this.escapeHtml(this.formatTokens(budget))}` : ''
+            } ${this.escapeHtml(t.usageTokens || 'tokens')}
+          </div>
+          ${budgetWarning ? `<div class="usage-warning">${this.escapeHtml(budgetWarning)} (${Math.round(ratio * 100)}%)</div>` : ''}
+        </div>
+
+        <div class="settings-item">
+          <div class="settings-item-label">${this.escapeHtml(t.usageBudget || 'Monthly budget (tokens)')}</div>
+          <div class="settings-item-controls">
+            <input type="number" id="usageBudgetInput" class="settings-input" min="0" step="1000" value="${budget > 0 ? budget : ''}" placeholder="${this.escapeHtml(t.usageBudgetPlaceholder || '0 = no limit')}">
+            <button id="usageBudgetSaveBtn" class="settings-btn">
+              ${this.escapeHtml(t.usageBudgetSave || 'Save')}
+            </button>
+          </div>
+        </div>
+
+        ${
+          hasUsage
+            ? `
+        <div class="settings-item usage-breakdown">
+          <div class="usage-row usage-row-header">
+            <span class="usage-row-label">${this.escapeHtml(t.usageDaily || 'Daily totals')}</span>
+            <span class="usage-row-value">${this.escapeHtml(t.usageTokens || 'tokens')}</span>
+            <span class="usage-row-calls">${this.escapeHtml(t.usageCalls || 'calls')}</span>
+          </div>
+          ${this.renderUsageRows(summary.days, (row) => row.date)}
+        </div>
+        <div class="settings-item usage-breakdown">
+          <div class="usage-row usage-row-header">
+            <span class="usage-row-label">${this.escapeHtml(t.usageByModel || 'By model')}</span>
+          </div>
+          ${this.renderUsageRows(summary.byModel, (row) => row.model)}
+        </div>
+        <div class="settings-item usage-breakdown">
+          <div class="usage-row usage-row-header">
+            <span class="usage-row-label">${this.escapeHtml(t.usageByFeature || 'By feature')}</span>
+          </div>
+          ${this.renderUsageRows(summary.byFeature, (row) => featureLabels[row.feature] || row.feature)}
+        </div>
+        <div class="settings-item">
+          <div class="settings-item-controls">
+            <button id="usageClearBtn" class="settings-btn settings-btn-danger-outline">
+              ${this.escapeHtml(t.usageClear || 'Clear usage history')}
+            </button>
+          </div>
+        </div>`
+            : `
+        <div class="settings-item">
+          <div class="popup-icon-hint">${this.escapeHtml(t.usageEmpty || 'No AI usage recorded this month.')}</div>
+        </div>`
+        }
+      </div>
+    `;
+  }
+
+  renderKnowledgeBaseSection() {
+    if (!this.i18n || !this.i18n.settings) return '';
+
+    const t = this.i18n.settings;
+    const busy = this.kbIndexing;
+    const rows = this.kbFolders
+      .map((folder) => {
+        const safePath = this.escapeHtml(folder.path);
+        const stats = folder.error
+          ? this.escapeHtml(folder.error)
+          : this.escapeHtml(
+              typeof t.kbFolderStats === 'function'
+                ? t.kbFolderStats(folder.fileCount || 0, folder.chunkCount || 0)
+                : `${folder.fileCount || 0} files, ${folder.chunkCount || 0} chunks`
+            );
+        return `
+        <div class="settings-item">
+          <div class="settings-item-label kb-folder-label">
+            <span class="kb-folder-path" title="${safePath}">${safePath}</span>
+            <div class="popup-icon-hint">${stats}</div>
+          </div>
+          <div class="settings-item-controls">
+            <button class="settings-btn settings-btn-danger-outline kb-remove-btn" data-path="${safePath}" ${busy ? 'disabled' : ''}>
+              ${this.escapeHtml(t.kbRemove || 'Remove')}
+            </button>
+          </div>
+        </div>
+      `;
+      })
+      .join('');
+
+    let status = '';
+    if (busy) {
+      const p = this.kbProgress;
+      status =
+        p && p.total
+          ? `${t.kbIndexing || 'Indexing…'} ${p.processed} / ${p.total}`
+          : t.kbIndexing || 'Indexing…';
+    }
+
+    return `
+      <div class="settings-section" id="knowledgeBaseSection">
+        <div class="settings-section-title">
+          ${this.escapeHtml(t.kb || 'Knowledge Base')}
+        </div>
+
+        <div class="settings-item">
+          <div class="popup-icon-hint">
+            ${this.escapeHtml(t.kbDescription || 'Text, Markdown and PDF files in these folders are indexed on this computer. Ask them with /kb <question>.')}
+          </div>
+        </div>
+
+        ${
+          rows ||
+          `
+        <div class="settings-item">
+          <div class="popup-icon-hint">${this.escapeHtml(t.kbEmpty || 'No folders added yet.')}</div>
+        </div>`
+        }
+
+        <div class="settings-item">
+          <div class="settings-item-controls">
+            <button id="kbAddFolderBtn" class="settings-btn" ${busy ? 'disabled' : ''}>
+              ${this.escapeHtml(t.kbAddFolder || 'Add folder')}
+            </button>
+            <button id="kbReindexBtn" class="settings-btn settings-btn-secondary" ${busy || !this.kbFolders.length ? 'disabled' : ''}>
+              ${this.escapeHtml(t.kbReindex || 'Reindex')}
+            </button>
+          </div>
+          ${status ? `<div class="popup-icon-hint" id="kbStatus">${this.escapeHtml(status)}</div>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  renderMcpSection() {
+    if (!this.i18n || !this.i18n.settings) return '';
+
+    const t = this.i18n.settings;
+    const busy = this.mcpSaving;
+    const statusLabels = {
+      stopped: t.mcpStatusStopped || 'Not started',
+      starting: t.mcpStatusStarting || 'Starting…',
+      ready: t.mcpStatusReady || 'Connected',
+      error: t.mcpStatusError || 'Error',
+    };
+    const approvalLabels = {
+      ask: t.mcpApprovalAsk || 'Ask every time',
+      auto: t.mcpApprovalAuto || 'Always allow',
+      off: t.mcpApprovalOff || 'Disabled',
+    };
+
+    const servers = this.mcpServers
+      .map((server) => {
+        const safeId = this.escapeHtml(server.id);
+        const commandLine = [server.command, ...(server.args || [])].join(' ');
+        const tools = server.tools
+          .map(
+            (tool) => `
+          <div class="settings-item mcp-tool-item">
+            <div class="settings-item-label mcp-tool-label">
+              <code>${this.escapeHtml(tool.name)}</code>
+              ${tool.description ? `<div class="popup-icon-hint mcp-tool-description" title="${this.escapeHtml(tool.description)}">${this.escapeHtml(tool.description)}</div>` : ''}
+            </div>
+            <div class="settings-item-controls">
+              <select class="settings-select mcp-approval-select" data-id="${safeId}" data-tool="${this.escapeHtml(tool.name)}" ${busy ? 'disabled' : ''}>
+                ${Object.entries(approvalLabels)
+                  .map(
+                    ([value, label]) =>
+                      `<option value="${value}" ${tool.approval === value ? 'selected' : ''}>${this.escapeHtml(label)}</option>`
+                  )
+                  .join('')}
+              </select>
+            </div>
+          </div>
+        `
+          )
+          .join('');
+        return `
+        <div class="settings-item">
+          <div class="settings-item-label mcp-server-label">
+            ${this.escapeHtml(server.name)}
+            <span class="mcp-server-status mcp-server-status-${this.escapeHtml(server.status)}">${this.escapeHtml(server.enabled ? statusLabels[server.status] || server.status : t.mcpServerDisabled || 'Disabled')}</span>
+            <div class="popup-icon-hint mcp-server-command" title="${this.escapeHtml(commandLine)}">${this.escapeHtml(commandLine)}</div>
+            ${server.error ? `<div class="popup-icon-hint mcp-server-error" title="${this.escapeHtml(server.error)}">${this.escapeHtml(server.error)}</div>` : ''}
+          </div>
+          <div class="settings-item-controls">
+            <label class="settings-toggle">
+              <input type="checkbox" class="mcp-enabled-toggle" data-id="${safeId}" ${server.enabled ? 'checked' : ''} ${busy ? 'disabled' : ''}>
+              <span class="settings-toggle-slider"></span>
+            </label>
+            <button class="settings-btn settings-btn-secondary mcp-refresh-btn" data-id="${safeId}" ${busy || !server.enabled ? 'disabled' : ''}>
+              ${this.escapeHtml(server.status === 'ready' ? t.mcpRestart || 'Restart' : t.mcpConnect || 'Connect')}
+            </button>
+            <button class="settings-btn settings-btn-danger-outline mcp-remove-btn" data-id="${safeId}" ${busy ? 'disabled' : ''}>
+              ${this.escapeHtml(t.mcpRemove || 'Remove')}
+            </button>
+          </div>
+        </div>
+        ${tools}
+      `;
+      })
+      .join('');
+
+    return `
+      <div class="settings-section" id="mcpSection">
+        <div class="settings-section-title">
+          ${this.escapeHtml(t.mcp || 'MCP Servers')}
+        </div>
+
+        <div class="settings-item">
+          <div class="popup-icon-hint">
+            ${this.escapeHtml(t.mcpDescription || 'Tools from these Model Context Protocol servers are available in agent mode (/agent on). Servers run on this computer as local commands.')}
+          </div>
+        </div>
+
+        ${
+          servers ||
+          `
+        <div class="settings-item">
+          <div class="popup-icon-hint">${this.escapeHtml(t.mcpEmpty || 'No MCP servers added yet.')}</div>
+        </div>`
+        }
+
+        <div class="settings-item">
+          <div class="settings-item-controls mcp-add">
+            <input type="text" id="mcpNameInput" class="settings-input" maxlength="40" placeholder="${this.escapeHtml(t.mcpNamePlaceholder || 'Name (e.g. files)')}">
+            <input type="text" id="mcpCommandInput" class="settings-input" spellcheck="false" placeholder="${this.escapeHtml(t.mcpCommandPlaceholder || 'Command (e.g. npx -y @modelcontextprotocol/server-filesystem /Users/me/Documents)')}">
+            <textarea id="mcpEnvInput" class="custom-instructions-textarea mcp-env-textarea" spellcheck="false" placeholder="${this.escapeHtml(t.mcpEnvPlaceholder || 'Environment variables, one KEY=VALUE per line (optional)')}"></textarea>
+            <button id="mcpAddBtn" class="settings-btn" ${busy ? 'disabled' : ''}>
+              ${this.escapeHtml(t.mcpAdd || 'Add server')}
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderJsonSchemasSection() {
+    if (!this.i18n || !this.i18n.settings) return '';
+
+    const t = this.i18n.settings;
+    const busy = this.jsonSchemaSaving;
+    const rows = this.jsonSchemas
+      .map((entry) => {
+        const safeName = this.escapeHtml(entry.name);
+        return `
+        <div class="settings-item">
+          <div class="settings-item-label">
+            <code>/json ${safeName}</code>
+            ${entry.description ? `<div class="popup-icon-hint">${this.escapeHtml(entry.description)}</div>` : ''}
+          </div>
+          <div class="settings-item-controls">
+            <button class="settings-btn settings-btn-secondary json-schema-edit-btn" data-name="${safeName}" ${busy ? 'disabled' : ''}>
+              ${this.escapeHtml(t.jsonSchemaEdit || 'Edit')}
+            </button>
+            <button class="settings-btn settings-btn-danger-outline json-schema-remove-btn" data-name="${safeName}" ${busy ? 'disabled' : ''}>
+              ${this.escapeHtml(t.jsonSchemaRemove || 'Remove')}
+            </button>
+          </div>
+        </div>
+      `;
+      })
+      .join('');
+
+    return `
+      <div class="settings-section" id="jsonSchemasSection">
+        <div class="settings-section-title">
+          ${this.escapeHtml(t.jsonSchemas || 'JSON Schemas')}
+        </div>
+
+        <div class="settings-item">
+          <div class="popup-icon-hint">
+            ${this.escapeHtml(t.jsonSchemasDescription || 'Response schemas for /json <name>. The answer is returned as JSON matching the schema and shown as a table or formatted JSON.')}
+          </div>
+        </div>
+
+        ${
+          rows ||
+          `
+        <div class="settings-item">
+          <div class="popup-icon-hint">${this.escapeHtml(t.jsonSchemasEmpty || 'No schemas added yet.')}</div>
+        </div>`
+        }
+
+        <div class="settings-item">
+          <div class="settings-item-controls json-schema-form">
+            <input type="text" id="jsonSchemaNameInput" class="settings-input" maxlength="40" spellcheck="false" placeholder="${this.escapeHtml(t.jsonSchemaNamePlaceholder || 'Name (e.g. invoice)')}">
+            <input type="text" id="jsonSchemaDescriptionInput" class="settings-input" maxlength="200" placeholder="${this.escapeHtml(t.jsonSchemaDescriptionPlaceholder || 'Description (optional)')}">
+            <textarea id="jsonSchemaInput" class="custom-instructions-textarea prompt-template-textarea" spellcheck="false" placeholder="${this.escapeHtml(t.jsonSchemaInputPlaceholder || '')}"></textarea>
+            <button id="jsonSchemaSaveBtn" class="settings-btn" ${busy ? 'disabled' : ''}>
+              ${this.escapeHtml(t.jsonSchemaSave || 'Save schema')}
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderSnippetsSection() {
+    const t = this.i18n.settings;
+    return `
+      <div class="settings-section">
+        <div class="settings-section-title">
+          ${this.escapeHtml(t.snippetsTitle || 'Snippets')}
+        </div>
+        <div class="settings-item snippet-buttons-vertical">
+          <button id="exportSnippetsBtn" class="snippet-action-btn">
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+              <polyline points="17 8 12 3 7 8"/>
+              <line x1="12" y1="3" x2="12" y2="15"/>
+            </svg>
+            ${this.escapeHtml(t.snippetsExport || 'Export')}
+          </button>
+          <button id="importSnippetsBtn" class="snippet-action-btn">
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+              <polyline points="7 10 12 15 17 10"/>
+              <line x1="12" y1="15" x2="12" y2="3"/>
+            </svg>
+            ${this.escapeHtml(t.snippetsImport || 'Import')}
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderShortcutItems() {
+    if (!this.i18n || !this.i18n.settings) return '';
+
+    const t = this.i18n.settings;
+    // Exclude hidden actions, window control actions and custom actions (shown in separate sections)
+    const windowControlActions = new Set(Object.keys(this.windowControlShortcuts));
+    const actions = Object.keys(this.shortcuts).filter(
+      (action) =>
+        !this.hiddenShortcutActions.has(action) &&
+        !windowControlActions.has(action) &&
+        !action.startsWith('custom_')
+    );
+
+    return actions
+      .map((action) => {
+        const key = this.shortcuts[action];
+        const label = (t.actions && t.actions[action]) || action;
+        const displayKey = this.displayKey(key);
+
+        // Escape all user-controlled content to prevent XSS
+        const safeAction = this.escapeHtml(action);
+        const safeLabel = this.escapeHtml(label);
+        const safeDisplayKey = this.escapeHtml(displayKey);
+        const safeChangeText = this.escapeHtml(t.change || 'Change');
+
+        return `
+        <div class="settings-item" data-action="${safeAction}">
+          <div class="settings-item-label">${safeLabel}</div>
+          <div class="settings-item-controls">
+            <div class="shortcut-key-display" data-action="${safeAction}">
+              ${safeDisplayKey}
+            </div>
+            <button class="change-key-btn" data-action="${safeAction}" data-i18n="settings.change">
+              ${safeChangeText}
+            </button>
+          </div>
+        </div>
+      `;
+      })
+      .join('');
+  }
+
+  renderShortcutOutputItems() {
+    const t = this.i18n.settings;
+    const outputLabels = {
+      chat: t.customActionOutputChat || 'Show in chat',
+      replace: t.customActionOutputReplace || 'Replace selection',
+    };
+
+    return Object.entries(this.shortcutOutputModes)
+      .map(([action, mode]) => {
+        const label = (t.actions && t.actions[action]) || action;
+        const safeAction = this.escapeHtml(action);
+        return `
+        <div class="settings-item">
+          <div class="settings-item-label">
+            ${this.escapeHtml(`${label} — ${t.shortcutOutput || 'Result'}`)}
+          </div>
+          <div class="settings-item-controls">
+            <select class="settings-select shortcut-output-select" data-action="${safeAction}">
+              ${Object.entries(outputLabels)
+                .map(
+                  ([value, text]) => `
+                <option value="${value}" ${value === mode ? 'selected' : ''}>
+                  ${this.escapeHtml(text)}
+                </option>
+              `
+                )
+                .join('')}
+            </select>
+          </div>
+        </div>
+      `;
+      })
+      .join('');
+  }
+
+  renderCustomActionsSection() {
+    if (!this.i18n || !this.i18n.settings) return '';
+
+    const t = this.i18n.settings;
+    const { outputs, actions } = this.customActions;
+    const outputLabels = {
+      chat: t.customActionOutputChat || 'Show in chat',
+      popup: t.customActionOutputPopup || 'Show in popup',
+      replace: t.customActionOutputReplace || 'Replace selection',
+      clipboard: t.customActionOutputClipboard || 'Copy to clipboard',
+    };
+    const safeChangeText = this.escapeHtml(t.change || 'Change');
+
+    const rows = actions
+      .map((action) => {
+        const safeId = this.escapeHtml(action.id);
+        return `
+        <div class="settings-item" data-action="${safeId}">
+          <div class="settings-item-label">
+            ${this.escapeHtml(action.name)}
+            <div class="popup-icon-hint">${this.escapeHtml(outputLabels[action.output] || action.output)}</div>
+          </div>
+          <div class="settings-item-controls custom-action-controls">
+            <div class="shortcut-key-display" data-action="${safeId}">
+              ${this.escapeHtml(this.displayKey(this.shortcuts[action.id] || ''))}
+            </div>
+            <button class="change-key-btn" data-action="${safeId}">
+              ${safeChangeText}
+            </button>
+            <button class="settings-btn settings-btn-secondary custom-action-edit-btn" data-id="${safeId}">
+              ${this.escapeHtml(t.customActionEdit || 'Edit')}
+            </button>
+            <button class="settings-btn settings-btn-danger-outline custom-action-delete-btn" data-id="${safeId}">
+              ${this.escapeHtml(t.customActionDelete || 'Delete')}
+            </button>
+          </div>
+        </div>
+      `;
+      })
+      .join('');
+
+    const editing =
+      this.customActionEditing === 'new'
+        ? { id: '', name: '', template: '', output: 'chat' }
+        : actions.find((a) => a.id === this.customActionEditing) || null;
+    const editor = editing
+      ? `
+        <div class="settings-item prompt-template-item custom-action-editor">
+          <input id="customActionNameInput" class="settings-input" type="text" maxlength="60"
+            placeholder="${this.escapeHtml(t.customActionNamePlaceholder || 'Name (e.g. Convert to SQL)')}"
+            value="${this.escapeHtml(editing.name)}">
+          <select id="customActionOutputSelect" class="settings-select">
+            ${outputs
+              .map(
+                (id) => `
+              <option value="${this.escapeHtml(id)}" ${id === editing.output ? 'selected' : ''}>
+                ${this.escapeHtml(outputLabels[id] || id)}
+              </option>
+            `
+              )
+              .join('')}
+          </select>
+          <textarea id="customActionTemplateInput" class="custom-instructions-textarea prompt-template-textarea" spellcheck="false"
+            placeholder="${this.escapeHtml(t.customActionTemplatePlaceholder || 'Summarize {{selection}} as bullet points.')}">${this.escapeHtml(editing.template)}</textarea>
+          <div class="popup-icon-hint">
+            ${this.escapeHtml(t.customActionTemplateHint || 'The selected text is appended when the template has no {{selection}}. Variables:')}
+            ${(this.promptTemplates.variables || []).map((v) => `<code>{{${this.escapeHtml(v)}}}</code>`).join(' ')}
+          </div>
+        </div>
+        <div class="settings-item">
+          <div class="settings-item-controls">
+            <button id="customActionCancelBtn" class="settings-btn settings-btn-secondary">
+              ${this.escapeHtml(t.customActionCancel || 'Cancel')}
+            </button>
+            <button id="customActionSaveBtn" class="settings-btn" data-id="${this.escapeHtml(editing.id)}">
+              ${this.escapeHtml(t.customActionSave || 'Save')}
+            </button>
+          </div>
+        </div>
+      `
+      : `
+        <div class="settings-item">
+          <div class="settings-item-label">
+            ${this.escapeHtml(t.customActionsDesc || 'Run your own prompt on the selected text with a shortcut')}
+          </div>
+          <div class="settings-item-controls">
+            <button id="customActionAddBtn" class="settings-btn">
+              ${this.escapeHtml(t.customActionAdd || 'Add action')}
+            </button>
+          </div>
+        </div>
+      `;
+
+    return `
+      <div class="settings-section" id="customActionsSection">
+        <div class="settings-section-title">
+          ${this.escapeHtml(t.customActions || 'Custom Shortcut Actions')}
+        </div>
+        ${rows}
+        ${editor}
+      </div>
+    `;
+  }
+
+  renderWindowControlSection() {
+    if (!this.i18n || !this.i18n.settings) return '';
+
+    const t = this.i18n.settings;
+    const wc = t.windowControl || {};
+
+    // Window control action labels with fallbacks
+    const actionLabels = {
+      windowLeftHalf: wc.leftHalf || 'Left Half',
+      windowRightHalf: wc.rightHalf || 'Right Half',
+      windowTopHalf: wc.topHalf || 'Top Half',
+      windowBottomHalf: wc.bottomHalf || 'Bottom Half',
+      windowMaximize: wc.maximize || 'Maximize',
+      windowCenter: wc.center || 'Center',
+      windowTopLeft: wc.topLeft || 'Top Left',
+      windowTopRight: wc.topRight || 'Top Right',
+      windowBottomLeft: wc.bottomLeft || 'Bottom Left',
+      windowBottomRight: wc.bottomRight || 'Bottom Right',
+      windowLeftThird: wc.leftThird || 'Left Third',
+      windowCenterThird: wc.centerThird || 'Center Third',
+      windowRightThird: wc.rightThird || 'Right Third',
+      windowLeftTwoThirds: wc.leftTwoThirds || 'Left Two Thirds',
+      windowRightTwoThirds: wc.rightTwoThirds || 'Right Two Thirds',
+      windowNextMonitor: wc.nextMonitor || 'Next Monitor',
+      windowPreviousMonitor: wc.previousMonitor || 'Previous Monitor',
+    };
+
+    // Group window control shortcuts by category
+    const halfGroups = ['windowLeftHalf', 'windowRightHalf', 'windowTopHalf', 'windowBottomHalf'];
+    const quarterGroups = [
+      'windowTopLeft',
+      'windowTopRight',
+      'windowBottomLeft',
+      'windowBottomRight',
+    ];
+    const thirdGroups = [
+      'windowLeftThird',
+      'windowCenterThird',
+      'windowRightThird',
+      'windowLeftTwoThirds',
+      'windowRightTwoThirds',
+    ];
+    const otherGroups = [
+      'windowMaximize',
+      'windowCenter',
+      'windowNextMonitor',
+      'windowPreviousMonitor',
+    ];
+
+    const renderGroup = (actions, groupTitle) => {
+      const items = actions
+        .map((action) => {
+          const key = this.shortcuts[action] || this.windowControlShortcuts[action] || '';
+          const label = actionLabels[action] || action;
+          const displayKey = this.displayKey(key);
+
+          const safeAction = this.escapeHtml(action);
+          const safeLabel = this.escapeHtml(label);
+          const safeDisplayKey = this.escapeHtml(displayKey);
+          const safeChangeText = this.escapeHtml(t.change || 'Change');
+
+          return `
+          <div class="settings-item" data-action="${safeAction}">
+            <div class="settings-item-label">${safeLabel}</div>
+            <div class="settings-item-controls">
+              <div class="shortcut-key-display" data-action="${safeAction}">
+                ${safeDisplayKey}
+              </div>
+              <button class="change-key-btn" data-action="${safeAction}" data-i18n="settings.change">
+                ${safeChangeText}
+              </button>
+            </div>
+          </div>
+        `;
+        })
+        .join('');
+
+      return `
+        <div class="settings-group">
+          <div class="settings-group-title">${this.escapeHtml(groupTitle)}</div>
+          ${items}
+        </div>
+      `;
+    };
+
+    return `
+      <div class="settings-section">
+        <div class="settings-section-title" data-i18n="settings.windowControl">
+          ${this.escapeHtml(wc.title || 'Window Control')}
+        </div>
+        ${renderGroup(halfGroups, wc.halfScreen || 'Half Screen')}
+        ${renderGroup(quarterGroups, wc.quarters || 'Quarters')}
         ${renderGroup(thirdGroups, wc.thirds || 'Thirds')}
         ${renderGroup(otherGroups, wc.other || 'Other')}
       </div>
@@ -681,47 +1737,307 @@ class SettingsUI {
       selectPopupIconBtn.addEventListener('click', () => this.handleSelectPopupIcon());
     }
 
-    // Popup icon reset button
-    const resetPopupIconBtn = document.getElementById('resetPopupIconBtn');
-    if (resetPopupIconBtn) {
-      resetPopupIconBtn.addEventListener('click', () => this.handleResetPopupIcon());
-    }
+    // Popup icon reset button
+    const resetPopupIconBtn = document.getElementById('resetPopupIconBtn');
+    if (resetPopupIconBtn) {
+      resetPopupIconBtn.addEventListener('click', () => this.handleResetPopupIcon());
+    }
+
+    // Language select
+    const languageSelect = document.getElementById('languageSelect');
+    if (languageSelect) {
+      languageSelect.addEventListener('change', (e) => this.handleLanguageSelect(e.target.value));
+    }
+
+    // Snippet export button
+    const exportSnippetsBtn = document.getElementById('exportSnippetsBtn');
+    if (exportSnippetsBtn) {
+      exportSnippetsBtn.addEventListener('click', () => this.handleExportSnippets());
+    }
+
+    // Snippet import button
+    const importSnippetsBtn = document.getElementById('importSnippetsBtn');
+    if (importSnippetsBtn) {
+      importSnippetsBtn.addEventListener('click', () => this.handleImportSnippets());
+    }
+
+    // Custom instructions edit button
+    const customInstructionsEditBtn = document.getElementById('customInstructionsEditBtn');
+    if (customInstructionsEditBtn) {
+      customInstructionsEditBtn.addEventListener('click', () => this.showCustomInstructionsPopup());
+    }
+
+    // AI provider select (Gemini applies immediately; others are saved with the button)
+    const aiProviderSelect = document.getElementById('aiProviderSelect');
+    if (aiProviderSelect) {
+      aiProviderSelect.addEventListener('change', (e) =>
+        this.handleAIProviderSelect(e.target.value)
+      );
+    }
+
+    const aiProviderSaveBtn = document.getElementById('aiProviderSaveBtn');
+    if (aiProviderSaveBtn) {
+      aiProviderSaveBtn.addEventListener('click', () => this.saveAIProvider());
+    }
+
+    const aiConcurrencySelect = document.getElementById('aiConcurrencySelect');
+    if (aiConcurrencySelect) {
+      aiConcurrencySelect.addEventListener('change', (e) => this.saveAIConcurrency(e.target.value));
+    }
+
+    // Shortcut output mode selects (translate / rephrase)
+    this.container.querySelectorAll('.shortcut-output-select').forEach((select) => {
+      select.addEventListener('change', (e) =>
+        this.handleShortcutOutputSelect(select.getAttribute('data-action'), e.target.value)
+      );
+    });
+
+    this.bindApiKeyPoolEvents();
+    this.bindModelRoutingEvents();
+    this.bindPromptTemplateEvents();
+    this.bindCustomActionEvents();
+    this.bindUsageEvents();
+    this.bindKnowledgeBaseEvents();
+    this.bindMcpEvents();
+    this.bindJsonSchemaEvents();
+
+    // Footer links (open external URLs)
+    const footerLinks = this.container.querySelectorAll('.settings-footer-link');
+    footerLinks.forEach((link) => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        const url = link.getAttribute('data-url');
+        if (url && window.electronAPI && window.electronAPI.openExternal) {
+          window.electronAPI.openExternal(url);
+        }
+      });
+    });
+  }
+
+  bindApiKeyPoolEvents() {
+    const section = document.getElementById('apiKeyPoolSection');
+    if (!section) return;
+
+    const addBtn = document.getElementById('apiKeyPoolAddBtn');
+    if (addBtn) {
+      addBtn.addEventListener('click', () => this.addPoolApiKey());
+    }
+
+    const refreshBtn = document.getElementById('apiKeyPoolRefreshBtn');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', () => this.refreshApiKeyPoolSection(true));
+    }
+
+    section.querySelectorAll('.api-key-reset-btn').forEach((btn) => {
+      btn.addEventListener('click', () =>
+        this.runApiKeyPoolTask('resetHealth', btn.getAttribute('data-id'))
+      );
+    });
+
+    section.querySelectorAll('.api-key-remove-btn').forEach((btn) => {
+      btn.addEventListener('click', () =>
+        this.runApiKeyPoolTask('remove', btn.getAttribute('data-id'))
+      );
+    });
+  }
+
+  /**
+   * Redraw only the API key pool section
+   * @param {boolean} [reload] - Fetch the latest status from the main process first
+   */
+  async refreshApiKeyPoolSection(reload = false) {
+    if (reload) await this.loadApiKeyPool();
+    const section = document.getElementById('apiKeyPoolSection');
+    if (!section) return;
+    section.outerHTML = this.renderApiKeyPoolSection();
+    this.bindApiKeyPoolEvents();
+  }
+
+  bindCustomActionEvents() {
+    const section = document.getElementById('customActionsSection');
+    if (!section) return;
+
+    const addBtn = document.getElementById('customActionAddBtn');
+    if (addBtn) {
+      addBtn.addEventListener('click', () => {
+        this.customActionEditing = 'new';
+        this.refreshCustomActionsSection();
+      });
+    }
+
+    section.querySelectorAll('.custom-action-edit-btn').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        this.customActionEditing = btn.getAttribute('data-id');
+        this.refreshCustomActionsSection();
+      });
+    });
+
+    section.querySelectorAll('.custom-action-delete-btn').forEach((btn) => {
+      btn.addEventListener('click', () => this.deleteCustomAction(btn.getAttribute('data-id')));
+    });
+
+    const cancelBtn = document.getElementById('customActionCancelBtn');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => {
+        this.customActionEditing = null;
+        this.refreshCustomActionsSection();
+      });
+    }
+
+    const saveBtn = document.getElementById('customActionSaveBtn');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () =>
+        this.saveCustomAction(saveBtn.getAttribute('data-id'))
+      );
+    }
+  }
+
+  refreshCustomActionsSection() {
+    const section = document.getElementById('customActionsSection');
+    if (!section) return;
+    section.outerHTML = this.renderCustomActionsSection();
+    this.bindCustomActionEvents();
+  }
+
+  bindUsageEvents() {
+    const usageBudgetSaveBtn = document.getElementById('usageBudgetSaveBtn');
+    if (usageBudgetSaveBtn) {
+      usageBudgetSaveBtn.addEventListener('click', () => this.saveUsageBudget());
+    }
+
+    const usageClearBtn = document.getElementById('usageClearBtn');
+    if (usageClearBtn) {
+      usageClearBtn.addEventListener('click', () => this.clearUsage());
+    }
+  }
+
+  bindKnowledgeBaseEvents() {
+    const section = document.getElementById('knowledgeBaseSection');
+    if (!section) return;
+
+    const addBtn = document.getElementById('kbAddFolderBtn');
+    if (addBtn) {
+      addBtn.addEventListener('click', () => this.runKnowledgeBaseTask('addFolder'));
+    }
+
+    const reindexBtn = document.getElementById('kbReindexBtn');
+    if (reindexBtn) {
+      reindexBtn.addEventListener('click', () => this.runKnowledgeBaseTask('reindex'));
+    }
+
+    section.querySelectorAll('.kb-remove-btn').forEach((btn) => {
+      btn.addEventListener('click', () =>
+        this.runKnowledgeBaseTask('removeFolder', btn.getAttribute('data-path'))
+      );
+    });
+  }
+
+  refreshKnowledgeBaseSection() {
+    const section = document.getElementById('knowledgeBaseSection');
+    if (!section) return;
+    section.outerHTML = this.renderKnowledgeBaseSection();
+    this.bindKnowledgeBaseEvents();
+  }
+
+  bindMcpEvents() {
+    const section = document.getElementById('mcpSection');
+    if (!section) return;
+
+    const addBtn = document.getElementById('mcpAddBtn');
+    if (addBtn) {
+      addBtn.addEventListener('click', () => this.addMcpServer());
+    }
+
+    section.querySelectorAll('.mcp-enabled-toggle').forEach((input) => {
+      input.addEventListener('change', () =>
+        this.runMcpTask('setEnabled', input.getAttribute('data-id'), input.checked)
+      );
+    });
+
+    section.querySelectorAll('.mcp-refresh-btn').forEach((btn) => {
+      btn.addEventListener('click', () =>
+        this.runMcpTask('refreshServer', btn.getAttribute('data-id'))
+      );
+    });
+
+    section.querySelectorAll('.mcp-remove-btn').forEach((btn) => {
+      btn.addEventListener('click', () =>
+        this.runMcpTask('removeServer', btn.getAttribute('data-id'))
+      );
+    });
+
+    section.querySelectorAll('.mcp-approval-select').forEach((select) => {
+      select.addEventListener('change', () =>
+        this.runMcpTask(
+          'setToolApproval',
+          select.getAttribute('data-id'),
+          select.getAttribute('data-tool'),
+          select.value
+        )
+      );
+    });
+  }
+
+  bindJsonSchemaEvents() {
+    const section = document.getElementById('jsonSchemasSection');
+    if (!section) return;
+
+    const saveBtn = document.getElementById('jsonSchemaSaveBtn');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => this.saveJsonSchema());
+    }
+
+    // Edit loads the schema into the form; saving under the same name replaces it
+    section.querySelectorAll('.json-schema-edit-btn').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const entry = this.jsonSchemas.find((s) => s.name === btn.getAttribute('data-name'));
+        if (!entry) return;
+        document.getElementById('jsonSchemaNameInput').value = entry.name;
+        document.getElementById('jsonSchemaDescriptionInput').value = entry.description || '';
+        const input = document.getElementById('jsonSchemaInput');
+        input.value = JSON.stringify(entry.schema, null, 2);
+        input.focus();
+      });
+    });
+
+    section.querySelectorAll('.json-schema-remove-btn').forEach((btn) => {
+      btn.addEventListener('click', () =>
+        this.runJsonSchemaTask('deleteJsonSchema', btn.getAttribute('data-name'))
+      );
+    });
+  }
 
-    // Language select
-    const languageSelect = document.getElementById('languageSelect');
-    if (languageSelect) {
-      languageSelect.addEventListener('change', (e) => this.handleLanguageSelect(e.target.value));
+  bindModelRoutingEvents() {
+    const saveBtn = document.getElementById('modelRoutesSaveBtn');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => this.saveModelRoutes(this.collectModelRoutes()));
     }
 
-    // Snippet export button
-    const exportSnippetsBtn = document.getElementById('exportSnippetsBtn');
-    if (exportSnippetsBtn) {
-      exportSnippetsBtn.addEventListener('click', () => this.handleExportSnippets());
+    const resetBtn = document.getElementById('modelRoutesResetBtn');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => this.saveModelRoutes({}));
     }
+  }
 
-    // Snippet import button
-    const importSnippetsBtn = document.getElementById('importSnippetsBtn');
-    if (importSnippetsBtn) {
-      importSnippetsBtn.addEventListener('click', () => this.handleImportSnippets());
-    }
+  refreshModelRoutingSection() {
+    const section = document.getElementById('modelRoutingSection');
+    if (!section) return;
+    section.outerHTML = this.renderModelRoutingSection();
+    this.bindModelRoutingEvents();
+  }
 
-    // Custom instructions edit button
-    const customInstructionsEditBtn = document.getElementById('customInstructionsEditBtn');
-    if (customInstructionsEditBtn) {
-      customInstructionsEditBtn.addEventListener('click', () => this.showCustomInstructionsPopup());
-    }
+  refreshJsonSchemasSection() {
+    const section = document.getElementById('jsonSchemasSection');
+    if (!section) return;
+    section.outerHTML = this.renderJsonSchemasSection();
+    this.bindJsonSchemaEvents();
+  }
 
-    // Footer links (open external URLs)
-    const footerLinks = this.container.querySelectorAll('.settings-footer-link');
-    footerLinks.forEach((link) => {
-      link.addEventListener('click', (e) => {
-        e.preventDefault();
-        const url = link.getAttribute('data-url');
-        if (url && window.electronAPI && window.electronAPI.openExternal) {
-          window.electronAPI.openExternal(url);
-        }
-      });
-    });
+  refreshMcpSection() {
+    const section = document.getElementById('mcpSection');
+    if (!section) return;
+    section.outerHTML = this.renderMcpSection();
+    this.bindMcpEvents();
   }
 
   unbindEvents() {
@@ -1212,6 +2528,19 @@ class SettingsUI {
     } catch (err) {}
   }
 
+  /**
+   * Show indexing progress sent by the main process
+   */
+  setupKnowledgeBaseProgressListener() {
+    if (window.electronAPI && window.electronAPI.onKnowledgeBaseProgress) {
+      window.electronAPI.onKnowledgeBaseProgress((progress) => {
+        if (!this.kbIndexing) return;
+        this.kbProgress = progress || null;
+        this.refreshKnowledgeBaseSection();
+      });
+    }
+  }
+
   /**
    * Setup theme change listener for real-time UI updates
    */
@@ -1695,6 +3024,469 @@ class SettingsUI {
     }
   }
 
+  /**
+   * Handle AI provider selection change
+   * @param {string} provider - Provider id
+   */
+  async handleAIProviderSelect(provider) {
+    this.aiProvider.provider = provider;
+    if (provider === 'gemini') {
+      await this.saveAIProvider();
+      return;
+    }
+    // Show the connection fields for the selected provider
+    this.render();
+    this.bindEvents();
+  }
+
+  /**
+   * Save AI provider settings
+   */
+  async saveAIProvider() {
+    // Prevent double-click
+    if (this.aiProviderSaving) return;
+    this.aiProviderSaving = true;
+
+    const baseUrlInput = document.getElementById('aiProviderBaseUrl');
+    const modelInput = document.getElementById('aiProviderModel');
+    const apiKeyInput = document.getElementById('aiProviderApiKey');
+    const config = {
+      provider: this.aiProvider.provider,
+      baseUrl: baseUrlInput ? baseUrlInput.value : this.aiProvider.baseUrl,
+      model: modelInput ? modelInput.value : this.aiProvider.model,
+    };
+    // Leave the saved key untouched unless a new one was typed
+    if (apiKeyInput && apiKeyInput.value.trim()) {
+      config.apiKey = apiKeyInput.value;
+    }
+
+    try {
+      const result = await window.electronAPI.setAIProvider(config);
+      if (result && result.success) {
+        this.aiProvider.baseUrl = String(config.baseUrl || '').trim();
+        this.aiProvider.model = String(config.model || '').trim();
+        if (config.apiKey) this.aiProvider.hasApiKey = true;
+        const t = this.i18n?.settings || {};
+        this.showToast(t.aiProviderSaved || 'AI provider saved', 'success');
+        this.render();
+        this.bindEvents();
+      } else {
+        throw new Error(result?.error || 'Failed to save');
+      }
+    } catch (err) {
+      this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+    } finally {
+      this.aiProviderSaving = false;
+    }
+  }
+
+  /**
+   * Save the concurrent AI request limit (applies immediately to queued requests)
+   * @param {string|number} value
+   */
+  async saveAIConcurrency(value) {
+    try {
+      const result = await window.electronAPI.setAIConcurrency(Number(value));
+      if (result && result.success) {
+        this.aiConcurrency.value = Number(result.value) || this.aiConcurrency.value;
+        const t = this.i18n?.settings || {};
+        this.showToast(t.aiConcurrencySaved || 'Concurrency limit saved', 'success');
+      } else {
+        throw new Error(result?.error || 'Failed to save');
+      }
+    } catch (err) {
+      this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+    }
+  }
+
+  /**
+   * Save the template shown in the editor for the selected action.
+   * Saving the unchanged built-in text simply keeps the built-in prompt.
+   */
+  async savePromptTemplate() {
+    if (this.promptTemplateSaving) return;
+    this.promptTemplateSaving = true;
+
+    const input = document.getElementById('promptTemplateInput');
+    const action = this.promptTemplateAction;
+    try {
+      const result = await window.electronAPI.setPromptTemplate(action, input ? input.value : '');
+      if (result && result.success) {
+        this.promptTemplates.templates = result.templates || {};
+        const t = this.i18n?.settings || {};
+        this.showToast(t.promptTemplateSaved || 'Prompt template saved', 'success');
+        this.refreshPromptTemplatesSection();
+        this.reloadGeminiPromptTemplates();
+      } else {
+        throw new Error(result?.error || 'Failed to save');
+      }
+    } catch (err) {
+      this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+    } finally {
+      this.promptTemplateSaving = false;
+    }
+  }
+
+  async resetPromptTemplate() {
+    if (this.promptTemplateSaving) return;
+    this.promptTemplateSaving = true;
+    try {
+      const result = await window.electronAPI.resetPromptTemplates(this.promptTemplateAction);
+      if (result && result.success) {
+        this.promptTemplates.templates = result.templates || {};
+        const t = this.i18n?.settings || {};
+        this.showToast(t.promptTemplateResetDone || 'Restored the built-in prompt', 'success');
+        this.refreshPromptTemplatesSection();
+        this.reloadGeminiPromptTemplates();
+      } else {
+        throw new Error(result?.error || 'Failed to reset');
+      }
+    } catch (err) {
+      this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+    } finally {
+      this.promptTemplateSaving = false;
+    }
+  }
+
+  async handleShortcutOutputSelect(action, mode) {
+    try {
+      const result = await window.electronAPI.setShortcutOutputMode(action, mode);
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to save');
+      }
+      this.shortcutOutputModes[action] = mode;
+      this.showToast(this.i18n?.settings?.saved || 'Settings saved', 'success');
+    } catch (err) {
+      this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+    }
+  }
+
+  async saveCustomAction(id) {
+    if (this.customActionSaving) return;
+    this.customActionSaving = true;
+
+    const t = this.i18n?.settings || {};
+    const nameInput = document.getElementById('customActionNameInput');
+    const outputSelect = document.getElementById('customActionOutputSelect');
+    const templateInput = document.getElementById('customActionTemplateInput');
+    try {
+      const result = await window.electronAPI.saveCustomAction({
+        id: id || undefined,
+        name: nameInput ? nameInput.value : '',
+        output: outputSelect ? outputSelect.value : 'chat',
+        template: templateInput ? templateInput.value : '',
+      });
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to save');
+      }
+      this.customActions.actions = Array.isArray(result.actions) ? result.actions : [];
+      this.customActionEditing = null;
+      this.refreshCustomActionsSection();
+      this.showToast(
+        id
+          ? t.customActionSaved || 'Action saved'
+          : t.customActionCreated || 'Action added. Assign a shortcut with "Change".',
+        'success'
+      );
+    } catch (err) {
+      this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+    } finally {
+      this.customActionSaving = false;
+    }
+  }
+
+  deleteCustomAction(id) {
+    const t = this.i18n?.settings || {};
+    const action = this.customActions.actions.find((a) => a.id === id);
+    if (!action) return;
+
+    this.showConfirmation(
+      t.customActionDeleteTitle || 'Delete Action',
+      typeof t.customActionDeleteMessage === 'function'
+        ? t.customActionDeleteMessage(action.name)
+        : `Delete "${action.name}" and its shortcut?`,
+      async () => {
+        try {
+          const result = await window.electronAPI.deleteCustomAction(id);
+          if (!result || !result.success) {
+            throw new Error(result?.error || 'Failed to delete');
+          }
+          this.customActions.actions = Array.isArray(result.actions) ? result.actions : [];
+          if (this.customActionEditing === id) this.customActionEditing = null;
+          await this.loadShortcuts();
+          this.refreshCustomActionsSection();
+          this.showToast(t.customActionDeleted || 'Action deleted', 'success');
+        } catch (err) {
+          this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+        }
+      }
+    );
+  }
+
+  /**
+   * Reload prompt templates in GeminiService so the next shortcut uses them
+   */
+  reloadGeminiPromptTemplates() {
+    try {
+      if (window.app && window.app.geminiService && window.app.geminiService.loadPromptTemplates) {
+        window.app.geminiService.loadPromptTemplates();
+      }
+    } catch (err) {}
+  }
+
+  /**
+   * Save the monthly token budget (empty or 0 disables the warning)
+   */
+  async saveUsageBudget() {
+    if (this.usageSaving) return;
+    this.usageSaving = true;
+
+    const input = document.getElementById('usageBudgetInput');
+    const budgetTokens = input && input.value.trim() ? Number(input.value) : 0;
+    try {
+      const result = await window.electronAPI.usage.setBudget(budgetTokens);
+      if (result && result.success) {
+        const t = this.i18n?.settings || {};
+        this.showToast(t.usageBudgetSaved || 'Budget saved', 'success');
+        await this.refreshUsage();
+      } else {
+        throw new Error(result?.error || 'Failed to save');
+      }
+    } catch (err) {
+      this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+    } finally {
+      this.usageSaving = false;
+    }
+  }
+
+  /**
+   * Add a folder (directory picker), remove one, or reindex everything
+   * @param {'addFolder'|'removeFolder'|'reindex'} task
+   * @param {string} [folderPath] - For removeFolder
+   */
+  async runKnowledgeBaseTask(task, folderPath) {
+    if (this.kbIndexing) return;
+    const t = this.i18n?.settings || {};
+    this.kbIndexing = true;
+    this.kbProgress = null;
+    this.refreshKnowledgeBaseSection();
+    try {
+      const result = await window.electronAPI.knowledgeBase[task](folderPath);
+      if (result && result.success) {
+        this.kbFolders = Array.isArray(result.folders) ? result.folders : this.kbFolders;
+        if (task !== 'removeFolder') {
+          this.showToast(t.kbIndexed || 'Knowledge base updated', 'success');
+        }
+      } else if (!result?.canceled) {
+        throw new Error(result?.error || 'Failed to update the knowledge base');
+      }
+    } catch (err) {
+      this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+    } finally {
+      this.kbIndexing = false;
+      this.kbProgress = null;
+      this.refreshKnowledgeBaseSection();
+    }
+  }
+
+  async saveJsonSchema() {
+    const nameInput = document.getElementById('jsonSchemaNameInput');
+    const schemaInput = document.getElementById('jsonSchemaInput');
+    const descriptionInput = document.getElementById('jsonSchemaDescriptionInput');
+    const name = nameInput ? nameInput.value.trim() : '';
+    const schema = schemaInput ? schemaInput.value.trim() : '';
+    if (!name) {
+      nameInput?.focus();
+      return;
+    }
+    if (!schema) {
+      schemaInput?.focus();
+      return;
+    }
+    await this.runJsonSchemaTask('saveJsonSchema', {
+      name,
+      description: descriptionInput ? descriptionInput.value.trim() : '',
+      schema,
+    });
+  }
+
+  // Read the routing table inputs; rows left empty are dropped by the main process
+  collectModelRoutes() {
+    const routes = {};
+    const section = document.getElementById('modelRoutingSection');
+    if (!section) return routes;
+    section.querySelectorAll('.model-route-primary').forEach((input) => {
+      const task = input.getAttribute('data-task');
+      const fallbacks = section.querySelector(`.model-route-fallbacks[data-task="${task}"]`);
+      const thinking = section.querySelector(`.model-route-thinking[data-task="${task}"]`);
+      routes[task] = {
+        primary: input.value.trim(),
+        fallbacks: fallbacks ? fallbacks.value.trim() : '',
+        thinking: thinking ? thinking.value : '',
+      };
+    });
+    return routes;
+  }
+
+  async saveModelRoutes(routes) {
+    if (this.modelRoutesSaving) return;
+    const t = this.i18n?.settings || {};
+    const isReset = !Object.keys(routes).length;
+    this.modelRoutesSaving = true;
+    try {
+      const result = await window.electronAPI.saveModelRoutes(routes);
+      if (result && result.success) {
+        this.modelRoutes.routes = result.routes || {};
+        this.showToast(
+          isReset
+            ? t.modelRoutesResetDone || 'Model routing reset to defaults'
+            : t.modelRoutesSaved || 'Model routing saved',
+          'success'
+        );
+        this.modelRoutesSaving = false;
+        this.refreshModelRoutingSection();
+      } else {
+        throw new Error(result?.error || 'Failed to save');
+      }
+    } catch (err) {
+      this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+    } finally {
+      this.modelRoutesSaving = false;
+    }
+  }
+
+  /**
+   * @param {'saveJsonSchema'|'deleteJsonSchema'} task
+   */
+  async runJsonSchemaTask(task, arg) {
+    if (this.jsonSchemaSaving) return;
+    const t = this.i18n?.settings || {};
+    this.jsonSchemaSaving = true;
+    try {
+      const result = await window.electronAPI[task](arg);
+      if (result && result.success) {
+        this.jsonSchemas = Array.isArray(result.schemas) ? result.schemas : this.jsonSchemas;
+        if (task === 'saveJsonSchema') {
+          this.showToast(t.jsonSchemaSaved || 'Schema saved', 'success');
+        }
+        // Keep the chat's /json suggestions in sync
+        if (window.app && typeof window.app.loadJsonSchemas === 'function') {
+          window.app.loadJsonSchemas();
+        }
+        this.jsonSchemaSaving = false;
+        this.refreshJsonSchemasSection();
+      } else {
+        throw new Error(result?.error || 'Failed to save the schema');
+      }
+    } catch (err) {
+      this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+    } finally {
+      this.jsonSchemaSaving = false;
+    }
+  }
+
+  async addMcpServer() {
+    const nameInput = document.getElementById('mcpNameInput');
+    const commandInput = document.getElementById('mcpCommandInput');
+    const envInput = document.getElementById('mcpEnvInput');
+    const name = nameInput ? nameInput.value.trim() : '';
+    const commandLine = commandInput ? commandInput.value.trim() : '';
+    if (!name) {
+      nameInput?.focus();
+      return;
+    }
+    if (!commandLine) {
+      commandInput?.focus();
+      return;
+    }
+    await this.runMcpTask('addServer', { name, commandLine, env: envInput ? envInput.value : '' });
+  }
+
+  /**
+   * Add, remove, restart or enable a server, or change a tool's approval
+   * @param {'addServer'|'removeServer'|'refreshServer'|'setEnabled'|'setToolApproval'} task
+   */
+  async runMcpTask(task, ...args) {
+    if (this.mcpSaving) return;
+    const t = this.i18n?.settings || {};
+    this.mcpSaving = true;
+    // Starting a server can take a while (npx downloads); show it as busy meanwhile
+    if (task === 'addServer' || task === 'refreshServer') this.refreshMcpSection();
+    try {
+      const result = await window.electronAPI.mcp[task](...args);
+      if (result && result.success) {
+        this.mcpServers = Array.isArray(result.servers) ? result.servers : this.mcpServers;
+        if (task === 'addServer') {
+          this.showToast(t.mcpAdded || 'MCP server added', 'success');
+        }
+      } else {
+        throw new Error(result?.error || 'Failed to update MCP servers');
+      }
+    } catch (err) {
+      this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+    } finally {
+      this.mcpSaving = false;
+      this.refreshMcpSection();
+    }
+  }
+
+  async addPoolApiKey() {
+    const labelInput = document.getElementById('apiKeyPoolLabelInput');
+    const keyInput = document.getElementById('apiKeyPoolKeyInput');
+    const apiKey = keyInput ? keyInput.value.trim() : '';
+    if (!apiKey) {
+      keyInput?.focus();
+      return;
+    }
+    await this.runApiKeyPoolTask('add', labelInput ? labelInput.value.trim() : '', apiKey);
+  }
+
+  /**
+   * Add / remove a pool key or reset its health, then redraw the section
+   * @param {'add'|'remove'|'resetHealth'} task
+   */
+  async runApiKeyPoolTask(task, ...args) {
+    if (this.apiKeyPoolSaving) return;
+    const t = this.i18n?.settings || {};
+    this.apiKeyPoolSaving = true;
+    try {
+      const result = await window.electronAPI.apiKeyPool[task](...args);
+      if (result && result.success) {
+        this.apiKeyPool = Array.isArray(result.keys) ? result.keys : this.apiKeyPool;
+        if (task === 'add') {
+          this.showToast(t.apiKeyPoolAdded || 'API key added', 'success');
+        }
+        await this.refreshApiKeyPoolSection();
+      } else {
+        throw new Error(result?.error || 'Failed to update API keys');
+      }
+    } catch (err) {
+      this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+    } finally {
+      this.apiKeyPoolSaving = false;
+    }
+  }
+
+  async clearUsage() {
+    if (this.usageSaving) return;
+    const t = this.i18n?.settings || {};
+    if (!confirm(t.usageClearConfirm || 'Clear all recorded usage?')) return;
+    this.usageSaving = true;
+    try {
+      const result = await window.electronAPI.usage.clear();
+      if (result && result.success) {
+        this.showToast(t.usageCleared || 'Usage history cleared', 'success');
+        await this.refreshUsage();
+      } else {
+        throw new Error(result?.error || 'Failed to clear');
+      }
+    } catch (err) {
+      this.showToast(err?.message || this.i18n?.errorOccurred || 'An error occurred', 'error');
+    } finally {
+      this.usageSaving = false;
+    }
+  }
+
   /**
    * Reload custom instructions in GeminiService
    */
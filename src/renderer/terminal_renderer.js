@@ -829,6 +829,7 @@ class TerminalUI {
     let generatedCommand = '';
     let isGenerating = false;
     let cancelRequested = false; // Flag to cancel ongoing generation
+    let currentRequestId = ''; // Registry id of the in-flight generation
 
     // IME (Input Method Editor) state management for CJK languages
     const imeState = {
@@ -900,12 +901,14 @@ class TerminalUI {
     /**
      * Cancel ongoing generation
      *
-     * Note: We cannot actually abort the IPC call to the main process,
-     * but we can set a flag to ignore the result when it arrives.
-     * This ensures the UI responds immediately to the cancellation.
+     * Aborts this window's request in the main process and sets a flag to ignore
+     * whatever result still arrives, so the UI responds immediately.
      */
     const cancelGeneration = () => {
       cancelRequested = true; // Flag to ignore result
+      if (currentRequestId && window.electronAPI.cancelAI) {
+        window.electronAPI.cancelAI({ requestId: currentRequestId }).catch(() => {});
+      }
       isGenerating = false;
       updateButtonIcon();
 
@@ -941,10 +944,12 @@ class TerminalUI {
         // Get terminal context (last 300 lines)
         const terminalContext = this.getTerminalContext(this.activeTerminalId, 300);
 
+        currentRequestId = `term-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
         const result = await window.electronAPI.generateTerminalCommand(naturalLanguage, {
           shell: terminal?.shellName || 'bash',
           os: navigator.platform,
           context: terminalContext,
+          requestId: currentRequestId,
         });
 
         // Check if user cancelled while waiting for result
@@ -981,6 +986,7 @@ class TerminalUI {
         setTimeout(() => hideStatus(), 3000);
         alert(`${getUIText('terminal.aiError')} ${err.message}`);
       } finally {
+        currentRequestId = '';
         // Reset state only if not already cancelled (cancel button already reset it)
         if (!cancelRequested) {
           isGenerating = false;
@@ -47,6 +47,22 @@ const DEFAULT_SHORTCUTS = {
   windowPreviousMonitor: 'Control+Alt+P',
 };
 
+/**
+ * Where the result of a selection shortcut goes: shown in chat, or pasted back over the
+ * selection in the frontmost app. Only these actions offer a choice.
+ * @type {Object.<string, string>}
+ */
+const DEFAULT_OUTPUT_MODES = {
+  translate: 'chat',
+  rephrase: 'chat',
+};
+
+/**
+ * Supported output modes for DEFAULT_OUTPUT_MODES actions
+ * @type {Array<string>}
+ */
+const OUTPUT_MODES = ['chat', 'replace'];
+
 /**
  * System-reserved shortcuts that users should not be able to override
  * These are critical system or application shortcuts
@@ -87,6 +103,25 @@ const MAX_SHORTCUT_LENGTH = 50;
  */
 const MAX_ACTION_LENGTH = 50;
 
+/**
+ * Prefix for user-defined actions created in Settings (e.g. "custom_lq2x9k3f1a")
+ * @type {string}
+ */
+const CUSTOM_ACTION_PREFIX = 'custom_';
+
+/**
+ * Check if an action name has the user-defined action format
+ * @param {string} action - Action name to check
+ * @returns {boolean} True if action looks like a custom action id
+ */
+function isCustomAction(action) {
+  return (
+    typeof action === 'string' &&
+    action.length <= MAX_ACTION_LENGTH &&
+    /^custom_[a-z0-9]{4,40}$/.test(action)
+  );
+}
+
 /**
  * Check if a shortcut is reserved by the system
  * @param {string} shortcut - Shortcut string to check
@@ -110,25 +145,42 @@ function isValidShortcutFormat(shortcut) {
 /**
  * Validate action name
  * @param {string} action - Action name to validate
+ * @param {Array<string>} [customActionIds] - Ids of user-defined actions that currently exist
  * @returns {boolean} True if action is valid
  */
-function isValidAction(action) {
+function isValidAction(action, customActionIds = []) {
   if (!action || typeof action !== 'string') return false;
   if (action.length > MAX_ACTION_LENGTH) return false;
-  return DEFAULT_SHORTCUTS.hasOwnProperty(action);
+  if (DEFAULT_SHORTCUTS.hasOwnProperty(action)) return true;
+  return isCustomAction(action) && customActionIds.includes(action);
+}
+
+/**
+ * Validate an output mode for an action
+ * @param {string} action - Action name (key of DEFAULT_OUTPUT_MODES)
+ * @param {string} mode - Output mode to validate
+ * @returns {boolean} True if the action supports the mode
+ */
+function isValidOutputMode(action, mode) {
+  return DEFAULT_OUTPUT_MODES.hasOwnProperty(action) && OUTPUT_MODES.includes(mode);
 }
 
 // Export for CommonJS (main process)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     DEFAULT_SHORTCUTS,
+    DEFAULT_OUTPUT_MODES,
+    OUTPUT_MODES,
     RESERVED_SHORTCUTS,
     SHORTCUT_FORMAT_REGEX,
     MAX_SHORTCUT_LENGTH,
     MAX_ACTION_LENGTH,
+    CUSTOM_ACTION_PREFIX,
     isReservedShortcut,
     isValidShortcutFormat,
+    isCustomAction,
     isValidAction,
+    isValidOutputMode,
   };
 }
 
@@ -136,9 +188,14 @@ if (typeof module !== 'undefined' && module.exports) {
 if (typeof window !== 'undefined') {
   window.SHORTCUT_DEFAULTS = {
     DEFAULT_SHORTCUTS,
+    DEFAULT_OUTPUT_MODES,
+    OUTPUT_MODES,
     RESERVED_SHORTCUTS,
+    CUSTOM_ACTION_PREFIX,
     isReservedShortcut,
     isValidShortcutFormat,
+    isCustomAction,
     isValidAction,
+    isValidOutputMode,
   };
 }
@@ -0,0 +1,59 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// A renderer script: it registers itself on window
+function loadAiReplies() {
+  const file = path.join(__dirname, '../src/renderer/features/aiReplies.js');
+  const context = { window: {} };
+  vm.runInNewContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  return context.window.IRUKADARK_AI_REPLIES;
+}
+
+const { isErrorText, flagFailure, deliveryFor: deliveryInContext } = loadAiReplies();
+// Objects made in the script's context have that context's prototypes
+const deliveryFor = (...args) => {
+  const delivery = deliveryInContext(...args);
+  return delivery && { ...delivery };
+};
+
+test('failures reported as reply text are flagged', () => {
+  const failures = [
+    'API error occurred: All Gemini API keys are cooling down after rate limits. Try again in 30s.',
+    'API error occurred: Request timed out',
+    'API key is not set. Please set GEMINI_API_KEY.',
+  ];
+  for (const text of failures) {
+    assert.equal(flagFailure({ text, sources: [] }).error, true, text);
+  }
+  assert.equal(
+    isErrorText('APIエラーが発生しました: fetch failed', 'APIエラーが発生しました:'),
+    true
+  );
+  assert.deepEqual(flagFailure({ text: 'Bonjour', sources: [] }), { text: 'Bonjour', sources: [] });
+});
+
+test('a failed shortcut generation is never delivered as text', () => {
+  const reply = flagFailure({ text: 'API error occurred: quota exceeded', sources: [] });
+  assert.deepEqual(deliveryFor(reply, 'Unexpected response'), {
+    text: '',
+    error: 'API error occurred: quota exceeded',
+  });
+  assert.deepEqual(deliveryFor({ text: '  ', sources: [] }, 'Unexpected response'), {
+    text: '',
+    error: 'Unexpected response',
+  });
+  assert.deepEqual(deliveryFor({ text: ' Hello \n', sources: [] }), { text: 'Hello', error: '' });
+});
+
+test('a cancelled request delivers nothing', () => {
+  const reply = flagFailure({ text: 'API error occurred: CANCELLED', sources: [] });
+  assert.equal(reply.cancelled, true);
+  assert.equal(deliveryFor(reply), null);
+});
@@ -0,0 +1,41 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AIRequestRegistry } = require('../src/main/services/aiRequestRegistry');
+
+test('a request id that is already in flight is refused', async () => {
+  const registry = new AIRequestRegistry();
+  let finish;
+  const first = registry.run({ id: 'chat-1' }, () => new Promise((resolve) => (finish = resolve)));
+  let ran = false;
+  await assert.rejects(
+    registry.run({ id: 'chat-1' }, async () => {
+      ran = true;
+    }),
+    /already in flight/
+  );
+  assert.equal(ran, false);
+  assert.deepEqual(
+    registry.list().map((r) => r.id),
+    ['chat-1']
+  );
+
+  // Cancelling by id still reaches the first request, and the id is free again afterwards
+  assert.equal(registry.cancel('chat-1'), true);
+  finish('done');
+  assert.equal(await first, 'done');
+  assert.equal(await registry.run({ id: 'chat-1' }, async () => 'again'), 'again');
+});
+
+test('requests without a usable id get a generated one', async () => {
+  const registry = new AIRequestRegistry();
+  const ids = await Promise.all([
+    registry.run({}, async (request) => request.id),
+    registry.run({ id: 'not valid!' }, async (request) => request.id),
+  ]);
+  assert.equal(new Set(ids).size, 2);
+  ids.forEach((id) => assert.match(id, /^ai-/));
+});
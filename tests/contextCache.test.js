@@ -0,0 +1,51 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { ContextCacheRegistry } = require('../src/main/services/contextCache');
+
+const pdf = {
+  base64: Buffer.alloc(128 * 1024, 3).toString('base64'),
+  mimeType: 'application/pdf',
+  name: 'report.pdf',
+};
+
+test('documents are remembered by content hash, not by their bytes', () => {
+  const registry = new ContextCacheRegistry();
+  const image = { base64: pdf.base64, mimeType: 'image/png', name: 'photo.png' };
+
+  assert.deepEqual(registry.setDocuments('thread-1', [image, pdf]), [pdf]);
+
+  const { documents } = registry.conversations.get('thread-1');
+  assert.deepEqual(documents, [
+    {
+      hash: crypto.createHash('sha256').update(pdf.base64).digest('hex'),
+      mimeType: 'application/pdf',
+      name: 'report.pdf',
+    },
+  ]);
+  assert.ok(!JSON.stringify([...registry.conversations.values()]).includes(pdf.base64));
+});
+
+test('no cache when the documents cannot be resolved any more', async () => {
+  const registry = new ContextCacheRegistry();
+  registry.setDocuments('thread-1', [pdf]);
+  let resolved = null;
+
+  const cache = await registry.acquire('key-1', 'gemini-2.5-flash', {
+    conversationId: 'thread-1',
+    toParts: async (docs) => {
+      resolved = docs;
+      throw new Error('report.pdf is no longer uploaded for this key');
+    },
+  });
+
+  assert.equal(cache, null);
+  assert.deepEqual(
+    resolved.map((d) => d.name),
+    ['report.pdf']
+  );
+});
@@ -0,0 +1,61 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+// Minimal stdio MCP server for tests: an "echo" tool and an "exit" tool that ends the process
+let initialized = false;
+let buffer = '';
+
+const TOOLS = [
+  {
+    name: 'echo',
+    description: 'Return the given text',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } } },
+  },
+  {
+    name: 'exit',
+    description: 'Exit without answering',
+    inputSchema: { type: 'object', properties: { code: { type: 'integer' } } },
+  },
+];
+
+function reply(id, result) {
+  process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', id, result })}\n`);
+}
+
+function handle(message) {
+  if (message.method === 'notifications/initialized') {
+    initialized = true;
+    return;
+  }
+  if (message.method === 'initialize') {
+    reply(message.id, {
+      protocolVersion: message.params.protocolVersion,
+      capabilities: { tools: {} },
+      serverInfo: { name: 'echo', version: '1.0.0' },
+    });
+  } else if (message.method === 'tools/list') {
+    reply(message.id, { tools: TOOLS });
+  } else if (message.method === 'tools/call') {
+    const { name, arguments: args } = message.params;
+    if (name === 'exit') {
+      process.stderr.write('bye\n');
+      process.exit(args.code || 0);
+    }
+    const text = initialized ? String(args.text || '') : 'not initialized';
+    reply(message.id, { content: [{ type: 'text', text }], isError: !initialized });
+  }
+}
+
+// Logging to stdout before the handshake must not confuse the client
+process.stdout.write('echo server starting\n');
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', (chunk) => {
+  buffer += chunk;
+  let newline;
+  while ((newline = buffer.indexOf('\n')) !== -1) {
+    const line = buffer.slice(0, newline);
+    buffer = buffer.slice(newline + 1);
+    if (line.trim()) handle(JSON.parse(line));
+  }
+});
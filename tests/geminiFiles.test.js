@@ -0,0 +1,215 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  UPLOAD_THRESHOLD_BYTES,
+  isMissingFileError,
+  GeminiFileStore,
+} = require('../src/main/services/geminiFiles');
+
+/**
+ * Local stand-in for the Files API: resumable uploads (start, upload, finalize) and file
+ * status checks. Files whose display name starts with "slow" are PROCESSING on the first
+ * status check.
+ */
+async function startFilesServer() {
+  const uploads = new Map();
+  const files = new Map();
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, 'http://localhost');
+      const json = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      const command = String(req.headers['x-goog-upload-command'] || '');
+      if (url.pathname === '/upload/v1beta/files' && command === 'start') {
+        const id = `u${uploads.size + 1}`;
+        uploads.set(id, {
+          displayName: JSON.parse(body.toString()).file.display_name,
+          mimeType: req.headers['x-goog-upload-header-content-type'],
+          size: Number(req.headers['x-goog-upload-header-content-length']),
+          received: [],
+          key: req.headers['x-goog-api-key'],
+        });
+        res.writeHead(200, { 'x-goog-upload-url': `http://localhost:${port}/resumable/${id}` });
+        return res.end();
+      }
+      if (url.pathname.startsWith('/resumable/')) {
+        const upload = uploads.get(url.pathname.slice('/resumable/'.length));
+        assert.equal(
+          Number(req.headers['x-goog-upload-offset']),
+          Buffer.concat(upload.received).length
+        );
+        upload.received.push(body);
+        if (!command.includes('finalize')) return json(200, {});
+        const name = `files/f${files.size + 1}`;
+        const file = {
+          name,
+          uri: `https://files.test/${name}`,
+          mimeType: upload.mimeType,
+          state: upload.displayName.startsWith('slow') ? 'PROCESSING' : 'ACTIVE',
+          expirationTime: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString(),
+          bytes: Buffer.concat(upload.received),
+        };
+        files.set(name, file);
+        const { bytes, ...rest } = file;
+        return json(200, { file: rest });
+      }
+      const file = files.get(url.pathname.replace('/v1beta/', ''));
+      if (!file) return json(404, { error: { message: 'not found' } });
+      file.state = 'ACTIVE';
+      const { bytes, ...rest } = file;
+      return json(200, rest);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    uploads,
+    files,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test('uploads in chunks, waits for processing and reports progress', async (t) => {
+  const server = await startFilesServer();
+  t.after(() => server.close());
+  const store = new GeminiFileStore({ baseUrl: server.baseUrl });
+  const buffer = Buffer.alloc(UPLOAD_THRESHOLD_BYTES + 1024, 7);
+  const progress = [];
+
+  const file = await store.upload(
+    'key-1',
+    { buffer, mimeType: 'application/pdf', displayName: 'slow.pdf' },
+    { onProgress: (p) => progress.push(p) }
+  );
+
+  assert.equal(file.uri, 'https://files.test/files/f1');
+  assert.equal(file.mimeType, 'application/pdf');
+  assert.ok(file.expiresAt > Date.now());
+  const upload = server.uploads.get('u1');
+  assert.equal(upload.key, 'key-1');
+  assert.equal(upload.size, buffer.length);
+  assert.equal(upload.received.length, 2);
+  assert.ok(server.files.get('files/f1').bytes.equals(buffer));
+  assert.deepEqual(progress.at(-1), { loaded: buffer.length, total: buffer.length });
+});
+
+test('uploads a file from disk', async (t) => {
+  const server = await startFilesServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'irukadark-files-'));
+  t.after(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const filePath = path.join(dir, 'meeting.m4a');
+  const bytes = Buffer.from('recorded audio bytes');
+  fs.writeFileSync(filePath, bytes);
+  const store = new GeminiFileStore({ baseUrl: server.baseUrl });
+
+  const file = await store.upload('key-1', { filePath, mimeType: 'audio/mp4' });
+
+  assert.equal(file.mimeType, 'audio/mp4');
+  assert.ok(server.files.get(file.name).bytes.equals(bytes));
+});
+
+test('a conversation reuses its upload of the same bytes', async (t) => {
+  const server = await startFilesServer();
+  t.after(() => server.close());
+  const store = new GeminiFileStore({ baseUrl: server.baseUrl });
+  const inline = { data: Buffer.from('same bytes').toString('base64'), mimeType: 'text/plain' };
+
+  const first = await store.ensure('key-1', 'thread-1', inline);
+  assert.equal((await store.ensure('key-1', 'thread-1', inline)).uri, first.uri);
+  assert.equal(server.uploads.size, 1);
+
+  // Another conversation, another key or a refresh uploads again
+  await store.ensure('key-1', 'thread-2', inline);
+  await store.ensure('key-2', 'thread-1', inline);
+  await store.ensure('key-1', 'thread-1', inline, { refresh: true });
+  assert.equal(server.uploads.size, 4);
+});
+
+test('find returns a live upload without uploading', async (t) => {
+  const server = await startFilesServer();
+  t.after(() => server.close());
+  const store = new GeminiFileStore({ baseUrl: server.baseUrl });
+  const data = Buffer.from('document bytes').toString('base64');
+  const hash = crypto.createHash('sha256').update(data).digest('hex');
+
+  assert.equal(store.find('key-1', 'thread-1', hash), null);
+  const file = await store.ensure('key-1', 'thread-1', { data, mimeType: 'application/pdf' });
+  assert.equal(store.find('key-1', 'thread-1', hash).uri, file.uri);
+  assert.equal(store.find('key-2', 'thread-1', hash), null);
+  assert.equal(server.uploads.size, 1);
+
+  file.expiresAt = Date.now();
+  assert.equal(store.find('key-1', 'thread-1', hash), null);
+});
+
+test('prepare uploads large parts and passes earlier uploads in the history through', async (t) => {
+  const server = await startFilesServer();
+  t.after(() => server.close());
+  const store = new GeminiFileStore({ baseUrl: server.baseUrl });
+  const large = Buffer.alloc(UPLOAD_THRESHOLD_BYTES + 1, 1).toString('base64');
+  const earlier = {
+    fileData: { fileUri: 'https://files.test/files/old', mimeType: 'application/pdf' },
+  };
+  const history = [
+    { role: 'user', parts: [{ text: 'Read this' }, earlier] },
+    { role: 'model', parts: [{ text: 'Done' }] },
+  ];
+  const attachments = [
+    { base64: large, mimeType: 'application/pdf', name: 'large.pdf' },
+    { base64: 'c21hbGw=', mimeType: 'image/png', name: 'small.png' },
+    { text: 'notes', name: 'notes.txt' },
+  ];
+
+  const prepared = await store.prepare('key-1', {
+    conversationId: 'thread-1',
+    attachments,
+    history,
+  });
+
+  assert.equal(prepared.usesFiles, true);
+  assert.deepEqual(prepared.attachments[0], {
+    fileUri: 'https://files.test/files/f1',
+    mimeType: 'application/pdf',
+    name: 'large.pdf',
+  });
+  assert.deepEqual(prepared.attachments.slice(1), attachments.slice(1));
+  assert.deepEqual(prepared.history, history);
+
+  // After a missing-file error the earlier upload cannot be redone, so it is left out
+  const refreshed = await store.prepare(
+    'key-1',
+    { conversationId: 'thread-1', history },
+    { refresh: true }
+  );
+  assert.deepEqual(refreshed.history[0].parts, [{ text: 'Read this' }]);
+  assert.equal(refreshed.usesFiles, false);
+});
+
+test('recognizes missing-file errors', () => {
+  assert.equal(
+    isMissingFileError(
+      new Error('403 You do not have permission to access the File abc or it may not exist.')
+    ),
+    true
+  );
+  assert.equal(isMissingFileError(new Error('The File abc is not in an ACTIVE state')), true);
+  assert.equal(isMissingFileError(new Error('429 Resource has been exhausted')), false);
+});
@@ -0,0 +1,77 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { tokenize, chunkText, KnowledgeBase } = require('../src/main/services/knowledgeBase');
+
+test('tokenize drops stopwords and splits CJK runs into bigrams', () => {
+  assert.deepEqual(tokenize('The Quick brown fox, a 1 and 42 foxes'), [
+    'quick',
+    'brown',
+    'fox',
+    '1',
+    '42',
+    'foxes',
+  ]);
+  assert.deepEqual(tokenize('東京タワー'), ['東京', '京タ', 'タワ', 'ワー']);
+  assert.deepEqual(tokenize('IrukaDarkの設定'), ['irukadark', 'の設', '設定']);
+  // Full-width letters are normalized
+  assert.deepEqual(tokenize('ＡＰＩ Key'), ['api', 'key']);
+});
+
+test('chunkText overlaps chunks and reports the line each one starts on', () => {
+  const lines = Array.from({ length: 400 }, (_, i) => `Line ${i + 1} of the notes.`);
+  const text = lines.join('\r\n');
+  const chunks = chunkText(text);
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].line, 1);
+  const normalized = text.replace(/\r\n/g, '\n');
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.length <= 1200);
+    const start = normalized.indexOf(chunk.text);
+    assert.ok(start >= 0);
+    assert.equal(chunk.line, normalized.slice(0, start).split('\n').length);
+  }
+  // Neighbouring chunks share text
+  assert.ok(chunks[1].text.includes(chunks[0].text.split('\n').pop()));
+  assert.deepEqual(chunkText('  \n\n '), []);
+});
+
+test('chunkText stays linear on large files', () => {
+  const text = 'A short line of text.\n'.repeat(240000); // ~5 MB
+  const started = Date.now();
+  const chunks = chunkText(text);
+  assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+  assert.equal(
+    chunks.at(-1).line,
+    text.slice(0, text.lastIndexOf(chunks.at(-1).text)).split('\n').length
+  );
+});
+
+test('a folder added during a running pass gets indexed', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'irukadark-kb-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const folder = path.join(root, 'notes');
+  fs.mkdirSync(folder);
+  fs.writeFileSync(path.join(folder, 'plan.md'), '# Plan\n\nShip the release on Friday.\n');
+  const kb = new KnowledgeBase({ dir: path.join(root, 'index') });
+
+  // A pass that is already past its folder loop
+  let finishPass;
+  kb.indexing = new Promise((resolve) => (finishPass = resolve)).finally(() => {
+    kb.indexing = null;
+  });
+  setTimeout(() => finishPass([]), 20);
+
+  const folders = await kb.addFolder(folder);
+
+  assert.equal(folders.length, 1);
+  assert.equal(folders[0].fileCount, 1);
+  assert.equal(kb.search('release friday')[0].file, path.join(folder, 'plan.md'));
+});
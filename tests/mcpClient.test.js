@@ -0,0 +1,62 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { McpConnection, toFunctionName } = require('../src/main/services/mcpClient');
+
+const ECHO_SERVER = path.join(__dirname, 'fixtures', 'echo-mcp-server.js');
+
+function connect() {
+  return new McpConnection({ command: process.execPath, args: [ECHO_SERVER] });
+}
+
+test('handshake, tools/list and a tool call', async (t) => {
+  const connection = connect();
+  t.after(() => connection.close());
+  await connection.start();
+  assert.deepEqual(connection.serverInfo, { name: 'echo', version: '1.0.0' });
+
+  const tools = await connection.listTools();
+  assert.deepEqual(
+    tools.map((tool) => tool.name),
+    ['echo', 'exit']
+  );
+
+  const result = await connection.callTool('echo', { text: 'hello' });
+  assert.equal(result.isError, false);
+  assert.deepEqual(result.content, [{ type: 'text', text: 'hello' }]);
+});
+
+test('server exit rejects the pending call and later sends', async () => {
+  const connection = connect();
+  let closeError = null;
+  connection.onClose = (err) => {
+    closeError = err;
+  };
+  await connection.start();
+
+  await assert.rejects(connection.callTool('exit', { code: 3 }), /Server exited \(code 3\): bye/);
+  assert.match(closeError.message, /code 3/);
+  await assert.rejects(connection.callTool('echo', { text: 'again' }), /not running/);
+});
+
+test('an aborted call is rejected as cancelled', async (t) => {
+  const connection = connect();
+  t.after(() => connection.close());
+  await connection.start();
+  const controller = new AbortController();
+  // Aborted before the server answers; the server only gets a cancellation notification
+  const pending = connection.request('tools/list', undefined, { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(pending, /CANCELLED/);
+});
+
+test('function names stay within what Gemini accepts', () => {
+  assert.equal(toFunctionName('my-fs', 'read file'), 'mcp__my_fs__read_file');
+  const long = toFunctionName('server', 'x'.repeat(80));
+  assert.equal(long.length, 64);
+  assert.match(long, /^[A-Za-z0-9_]+$/);
+});
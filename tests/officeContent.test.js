@@ -0,0 +1,29 @@
+/*!
+ * IrukaDark — (c) 2025 CORe Inc.
+ * License: AGPL-3.0-only. See https://github.com/co-r-e/IrukaDark/blob/HEAD/LICENSE
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { extractOfficeText } = require('../src/main/services/officeContent');
+
+function docx(paragraphs) {
+  const body = paragraphs.map((text) => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`).join('');
+  const zip = new AdmZip();
+  zip.addFile(
+    'word/document.xml',
+    Buffer.from(
+      `<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`
+    )
+  );
+  return zip.toBuffer();
+}
+
+test('XML entities are decoded and malformed ones are kept as written', async () => {
+  const result = await extractOfficeText(
+    docx(['Fish &amp; chips &#x1F41F; &#12354;', 'Broken &#99999999; entity']),
+    { name: 'menu.docx' }
+  );
+  assert.match(result.text, /Fish & chips 🐟 あ/);
+  assert.match(result.text, /Broken &#99999999; entity/);
+});